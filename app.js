@@ -15,7 +15,19 @@ const MySQLStore = require('express-mysql-session')(session);
 const app = express();
 
 // Import database configuration
-const { pool, checkDatabaseHealth, gracefulShutdown } = require('./config/database');
+const { pool, checkDatabaseHealth, gracefulShutdown, initializeDatabase } = require('./config/database');
+
+// Recurring background jobs (payment reconciliation)
+const schedulerService = require('./app/services/schedulerService');
+
+// Role permissions for the signed-in user
+const { loadPermissions } = require('./app/middleware/roleCheck');
+
+// Admins seeing the site as another user
+const { loadImpersonation } = require('./app/middleware/impersonation');
+
+// Device and last activity of each signed-in session
+const { trackSessionActivity } = require('./app/middleware/auth');
 
 // Session store configuration
 const sessionStore = new MySQLStore({
@@ -69,6 +81,7 @@ const authLimiter = rateLimit({
 
 app.use(limiter);
 app.use('/auth', authLimiter);
+app.use('/api/v1/auth/token', authLimiter);
 
 // Logging setup
 const accessLogStream = fs.createWriteStream(
@@ -129,9 +142,18 @@ require('./config/passport')(passport);
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Runs before impersonation so the session is always recorded against the signed-in admin
+app.use(trackSessionActivity);
+
 // Flash messages
 app.use(flash());
 
+// Impersonation swaps in the impersonated user before their permissions are loaded
+app.use(loadImpersonation);
+
+// Permissions (also gives every view a can() helper)
+app.use(loadPermissions);
+
 // Global variables middleware
 app.use((req, res, next) => {
   res.locals.success_msg = req.flash('success_msg');
@@ -207,7 +229,7 @@ const testDatabaseConnection = async () => {
 };
 
 // Import middleware with safe fallbacks
-let ensureAuthenticated, requireRole, errorHandler;
+let ensureAuthenticated, requirePermission, errorHandler;
 
 try {
   const authMiddleware = require('./app/middleware/auth');
@@ -219,10 +241,10 @@ try {
 
 try {
   const roleMiddleware = require('./app/middleware/roleCheck');
-  requireRole = roleMiddleware.requireRole || ((roles) => (req, res, next) => next());
+  requirePermission = roleMiddleware.requirePermission || ((permission) => (req, res, next) => next());
 } catch (error) {
   console.error('❌ Error loading role middleware:', error.message);
-  requireRole = (roles) => (req, res, next) => next();
+  requirePermission = (permission) => (req, res, next) => next();
 }
 
 try {
@@ -277,11 +299,14 @@ console.log('🔍 Loading routes...');
 app.use('/', safeRequireRoute('./app/routes/index', 'Index'));
 app.use('/auth', safeRequireRoute('./app/routes/auth', 'Auth'));
 
-// Protected routes with role-based access
-app.use('/admin', ensureAuthenticated, requireRole(['admin']), safeRequireRoute('./app/routes/admin', 'Admin'));
-app.use('/student', ensureAuthenticated, requireRole(['student']), safeRequireRoute('./app/routes/student', 'Student'));
-app.use('/instructor', ensureAuthenticated, requireRole(['instructor']), safeRequireRoute('./app/routes/instructor', 'Instructor'));
-app.use('/finance', ensureAuthenticated, requireRole(['finance']), safeRequireRoute('./app/routes/finance', 'Finance'));
+// Protected areas, opened by the role's area permissions
+app.use('/admin', ensureAuthenticated, requirePermission('area.admin'), safeRequireRoute('./app/routes/admin', 'Admin'));
+app.use('/student', ensureAuthenticated, requirePermission('area.student'), safeRequireRoute('./app/routes/student', 'Student'));
+app.use('/instructor', ensureAuthenticated, requirePermission('area.instructor'), safeRequireRoute('./app/routes/instructor', 'Instructor'));
+app.use('/finance', ensureAuthenticated, requirePermission('area.finance'), safeRequireRoute('./app/routes/finance', 'Finance'));
+
+// Every signed-in user's own profile, whatever their role
+app.use('/profile', ensureAuthenticated, safeRequireRoute('./app/routes/profile', 'Profile'));
 
 // Academic routes
 app.use('/courses', ensureAuthenticated, safeRequireRoute('./app/routes/courses', 'Courses'));
@@ -290,12 +315,15 @@ app.use('/submissions', ensureAuthenticated, safeRequireRoute('./app/routes/subm
 app.use('/grades', ensureAuthenticated, safeRequireRoute('./app/routes/grades', 'Grades'));
 app.use('/enrollments', ensureAuthenticated, safeRequireRoute('./app/routes/enrollments', 'Enrollments'));
 
-// Finance routes
-app.use('/payments', ensureAuthenticated, safeRequireRoute('./app/routes/payments', 'Payments'));
+// Finance routes (the payments router authenticates itself so M-Pesa callbacks stay public)
+app.use('/payments', safeRequireRoute('./app/routes/payments', 'Payments'));
 
 // System routes
 app.use('/notifications', ensureAuthenticated, safeRequireRoute('./app/routes/notifications', 'Notifications'));
-app.use('/system', ensureAuthenticated, requireRole(['admin']), safeRequireRoute('./app/routes/system', 'System'));
+app.use('/system', ensureAuthenticated, requirePermission('system.settings'), safeRequireRoute('./app/routes/system', 'System'));
+
+// REST API for mobile and third-party clients (bearer tokens, not the session)
+app.use('/api/v1', safeRequireRoute('./app/routes/api/v1', 'API v1'));
 
 // Error handling middleware
 app.use(errorHandler);
@@ -352,6 +380,8 @@ const startServer = async (port) => {
 //       `);
       console.log(` Application: ${process.env.SITE_NAME || 'EduLMS'}
  URL: http://localhost:${port}`)
+
+      schedulerService.start();
     });
 
     server.on('error', (err) => {
@@ -371,7 +401,7 @@ const startServer = async (port) => {
   }
 };
 
-// Start the server
-startServer(PORT);
+// Start the server once pending migrations have been applied
+initializeDatabase().then(() => startServer(PORT));
 
 module.exports = app; 
\ No newline at end of file
@@ -1,5 +1,8 @@
 const db = require('../../../config/database');
 const Assignment = require('../../models/Assignment');
+const Course = require('../../models/Course');
+const quizService = require('../../services/quizService');
+const permissionService = require('../../services/permissionService');
 const { ROLES } = require('../../../config/constants');
 
 const assignmentController = {
@@ -491,8 +494,33 @@ const assignmentController = {
   // Get assignment analytics (instructor/admin only)
   getAssignmentAnalytics: async (req, res) => {
     try {
-      const assignmentId = req.params.assignmentId;
-      const analytics = await Assignment.getAnalytics(assignmentId);
+      const assignment = await Assignment.findById(req.params.assignmentId);
+      if (!assignment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Assignment not found'
+        });
+      }
+
+      const course = await Course.findById(assignment.course_id);
+      if (!permissionService.can(req.user, 'courses.edit', course)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const analytics = {
+        assignment_id: assignment.id,
+        title: assignment.title,
+        submission_type: assignment.submission_type,
+        statistics: await Assignment.getStatistics(assignment.id)
+      };
+
+      // Quizzes also get per-question item analysis
+      if (assignment.submission_type === 'quiz') {
+        analytics.items = await quizService.getItemAnalysis(assignment.id);
+      }
 
       res.json({
         success: true,
@@ -1,10 +1,51 @@
 const Grade = require('../../models/Grade');
-const Submission = require('../../models/Submission');
-const Assignment = require('../../models/Assignment');
 const Course = require('../../models/Course');
-const Enrollment = require('../../models/Enrollment');
+const Instructor = require('../../models/Instructor');
+const gradebookService = require('../../services/gradebookService');
+const rubricService = require('../../services/rubricService');
+const permissionService = require('../../services/permissionService');
 const { validationResult } = require('express-validator');
 
+// Errors Instructor.gradeSubmission raises, mapped to the status they deserve
+const gradingErrorStatus = (error) => {
+  if (error.message === 'Submission not found') return 404;
+  if (error.message.startsWith('Access denied')) return 403;
+  return 400;
+};
+
+// Load a course the user may grade, or send the error response and return null
+const findGradableCourse = async (req, res, courseId) => {
+  const course = await Course.findById(courseId);
+  if (!course) {
+    res.status(404).json({
+      success: false,
+      message: 'Course not found'
+    });
+    return null;
+  }
+
+  if (!permissionService.can(req.user, 'courses.edit', course)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied'
+    });
+    return null;
+  }
+
+  return course;
+};
+
+// A gradebook student row as JSON (marks are a Map internally)
+const serializeStudent = (student) => ({
+  ...student,
+  marks: Object.fromEntries(student.marks)
+});
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 const gradeController = {
   // Grade submission
   gradeSubmission: async (req, res) => {
@@ -18,102 +59,19 @@ const gradeController = {
         });
       }
 
-      const { submissionId } = req.params;
-      const { points, feedback, comments, rubricScores } = req.body;
-
-      const submission = await Submission.findById(submissionId)
-        .populate('assignment')
-        .populate('student', 'firstName lastName studentId');
-
-      if (!submission) {
-        return res.status(404).json({
-          success: false,
-          message: 'Submission not found'
-        });
-      }
-
-      // Verify user is instructor of the course
-      const course = await Course.findById(submission.assignment.course);
-      if (course.instructor.toString() !== req.user.id && req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied. Only course instructor can grade submissions.'
-        });
-      }
-
-      // Validate points
-      if (points > submission.assignment.maxPoints) {
-        return res.status(400).json({
-          success: false,
-          message: `Points cannot exceed maximum points (${submission.assignment.maxPoints})`
-        });
-      }
-
-      // Update submission with grade
-      submission.points = points;
-      submission.feedback = feedback;
-      submission.comments = comments;
-      submission.rubricScores = rubricScores || [];
-      submission.gradedBy = req.user.id;
-      submission.gradedAt = new Date();
-      submission.status = 'graded';
-
-      await submission.save();
-
-      // Update or create grade record
-      let grade = await Grade.findOne({
-        student: submission.student._id,
-        course: course._id
-      });
-
-      if (!grade) {
-        grade = new Grade({
-          student: submission.student._id,
-          course: course._id,
-          assignmentGrades: []
-        });
-      }
-
-      // Update assignment grade
-      const assignmentGradeIndex = grade.assignmentGrades.findIndex(
-        ag => ag.assignment.toString() === submission.assignment._id.toString()
-      );
-
-      if (assignmentGradeIndex > -1) {
-        grade.assignmentGrades[assignmentGradeIndex] = {
-          assignment: submission.assignment._id,
-          points: points,
-          maxPoints: submission.assignment.maxPoints,
-          gradedAt: new Date()
-        };
-      } else {
-        grade.assignmentGrades.push({
-          assignment: submission.assignment._id,
-          points: points,
-          maxPoints: submission.assignment.maxPoints,
-          gradedAt: new Date()
-        });
-      }
-
-      // Recalculate overall grade
-      await calculateOverallGrade(grade);
-
-      await grade.save();
+      // Either points, or rubric levels ([{ criterion_id, level_id, comment }]) the points are worked out from
+      const result = await rubricService.gradeSubmission(req.params.submissionId, req.user, req.body);
 
       res.status(200).json({
         success: true,
         message: 'Submission graded successfully',
-        data: {
-          submission,
-          grade: grade.overallGrade
-        }
+        data: result
       });
     } catch (error) {
       console.error('Grade submission error:', error);
-      res.status(500).json({
+      res.status(gradingErrorStatus(error)).json({
         success: false,
-        message: 'Internal server error',
-        error: error.message
+        message: error.message
       });
     }
   },
@@ -121,7 +79,6 @@ const gradeController = {
   // Bulk grade submissions
   bulkGradeSubmissions: async (req, res) => {
     try {
-      const { assignmentId } = req.params;
       const { grades } = req.body;
 
       if (!grades || !Array.isArray(grades)) {
@@ -131,23 +88,6 @@ const gradeController = {
         });
       }
 
-      // Verify assignment and permissions
-      const assignment = await Assignment.findById(assignmentId);
-      if (!assignment) {
-        return res.status(404).json({
-          success: false,
-          message: 'Assignment not found'
-        });
-      }
-
-      const course = await Course.findById(assignment.course);
-      if (course.instructor.toString() !== req.user.id && req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
-
       const results = {
         successful: [],
         failed: []
@@ -155,38 +95,11 @@ const gradeController = {
 
       for (const gradeData of grades) {
         try {
-          const { submissionId, points, feedback, comments } = gradeData;
-
-          const submission = await Submission.findById(submissionId);
-          if (!submission) {
-            results.failed.push({
-              submissionId,
-              error: 'Submission not found'
-            });
-            continue;
-          }
-
-          if (points > assignment.maxPoints) {
-            results.failed.push({
-              submissionId,
-              error: `Points exceed maximum (${assignment.maxPoints})`
-            });
-            continue;
-          }
-
-          submission.points = points;
-          submission.feedback = feedback;
-          submission.comments = comments;
-          submission.gradedBy = req.user.id;
-          submission.gradedAt = new Date();
-          submission.status = 'graded';
-
-          await submission.save();
-
-          // Update grade record
-          await updateStudentGrade(submission.student, course._id, assignment._id, points, assignment.maxPoints);
-
-          results.successful.push(submissionId);
+          await Instructor.gradeSubmission(gradeData.submissionId, req.user.id, {
+            points_earned: Number(gradeData.points),
+            feedback: gradeData.feedback || null
+          });
+          results.successful.push(gradeData.submissionId);
         } catch (error) {
           results.failed.push({
             submissionId: gradeData.submissionId,
@@ -210,64 +123,26 @@ const gradeController = {
     }
   },
 
-  // Get grades for course
+  // Get the weighted gradebook for a course
   getCourseGrades: async (req, res) => {
     try {
-      const { courseId } = req.params;
-      const { page = 1, limit = 50 } = req.query;
-
-      // Verify course and permissions
-      const course = await Course.findById(courseId);
-      if (!course) {
-        return res.status(404).json({
-          success: false,
-          message: 'Course not found'
-        });
-      }
-
-      // Students can only see their own grades
-      if (req.user.role === 'student') {
-        const grade = await Grade.findOne({
-          student: req.user.id,
-          course: courseId
-        })
-          .populate('student', 'firstName lastName studentId')
-          .populate('assignmentGrades.assignment', 'title maxPoints assignmentType');
-
-        if (!grade) {
-          return res.status(404).json({
-            success: false,
-            message: 'No grades found'
-          });
-        }
-
-        return res.status(200).json({
-          success: true,
-          data: grade
-        });
-      }
+      const course = await findGradableCourse(req, res, req.params.courseId);
+      if (!course) return;
 
-      // Instructors and admins can see all grades
-      const grades = await Grade.find({ course: courseId })
-        .populate('student', 'firstName lastName studentId email')
-        .populate('assignmentGrades.assignment', 'title maxPoints assignmentType dueDate')
-        .sort({ 'student.lastName': 1 })
-        .limit(limit * 1)
-        .skip((page - 1) * limit);
-
-      const total = await Grade.countDocuments({ course: courseId });
+      const gradebook = await gradebookService.getCourseGradebook(course.id);
 
       res.status(200).json({
         success: true,
         data: {
-          grades,
           course: {
-            name: course.courseName,
-            code: course.courseCode
+            id: course.id,
+            code: course.course_code,
+            title: course.title
           },
-          totalPages: Math.ceil(total / limit),
-          currentPage: page,
-          total
+          categories: gradebook.categories,
+          assignments: gradebook.assignments,
+          scale: gradebook.scale,
+          students: gradebook.students.map(serializeStudent)
         }
       });
     } catch (error) {
@@ -283,40 +158,23 @@ const gradeController = {
   // Get student gradebook
   getStudentGradebook: async (req, res) => {
     try {
-      const studentId = req.user.role === 'student' ? req.user.id : req.params.studentId;
+      const ownGrades = !req.params.studentId || parseInt(req.params.studentId) === req.user.id;
 
-      if (!studentId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Student ID is required'
-        });
-      }
-
-      // Check permissions
-      if (req.user.role === 'student' && studentId !== req.user.id) {
+      if (!ownGrades && !permissionService.can(req.user, 'academics.view')) {
         return res.status(403).json({
           success: false,
           message: 'Access denied'
         });
       }
 
-      const grades = await Grade.find({ student: studentId })
-        .populate('course', 'courseCode courseName credits instructor')
-        .populate('assignmentGrades.assignment', 'title maxPoints assignmentType dueDate')
-        .populate({
-          path: 'course',
-          populate: { path: 'instructor', select: 'firstName lastName' }
-        });
-
-      // Calculate overall GPA
-      const overallStats = calculateOverallStats(grades);
+      const studentId = ownGrades ? req.user.id : parseInt(req.params.studentId);
+      const courses = await gradebookService.getStudentGrades(studentId);
 
       res.status(200).json({
         success: true,
         data: {
-          grades,
-          overallStats,
-          student: grades[0]?.student || studentId
+          student: studentId,
+          courses
         }
       });
     } catch (error) {
@@ -336,76 +194,28 @@ const gradeController = {
       const { points, feedback } = req.body;
 
       const grade = await Grade.findById(gradeId);
-      if (!grade) {
+      if (!grade || grade.assignment_id !== parseInt(assignmentId) || !grade.submission_id) {
         return res.status(404).json({
           success: false,
           message: 'Grade record not found'
         });
       }
 
-      // Verify permissions
-      const course = await Course.findById(grade.course);
-      if (course.instructor.toString() !== req.user.id && req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          message: 'Access denied'
-        });
-      }
-
-      const assignmentGradeIndex = grade.assignmentGrades.findIndex(
-        ag => ag.assignment.toString() === assignmentId
-      );
-
-      if (assignmentGradeIndex === -1) {
-        return res.status(404).json({
-          success: false,
-          message: 'Assignment grade not found'
-        });
-      }
-
-      // Get assignment for max points validation
-      const assignment = await Assignment.findById(assignmentId);
-      if (points > assignment.maxPoints) {
-        return res.status(400).json({
-          success: false,
-          message: `Points cannot exceed maximum points (${assignment.maxPoints})`
-        });
-      }
-
-      grade.assignmentGrades[assignmentGradeIndex].points = points;
-      grade.assignmentGrades[assignmentGradeIndex].feedback = feedback;
-      grade.assignmentGrades[assignmentGradeIndex].updatedAt = new Date();
-
-      // Recalculate overall grade
-      await calculateOverallGrade(grade);
-
-      await grade.save();
-
-      // Update corresponding submission
-      await Submission.findOneAndUpdate(
-        {
-          student: grade.student,
-          assignment: assignmentId
-        },
-        {
-          points: points,
-          feedback: feedback,
-          gradedBy: req.user.id,
-          gradedAt: new Date()
-        }
-      );
+      const result = await Instructor.gradeSubmission(grade.submission_id, req.user.id, {
+        points_earned: Number(points),
+        feedback: feedback !== undefined ? feedback : grade.feedback
+      });
 
       res.status(200).json({
         success: true,
         message: 'Grade updated successfully',
-        data: grade
+        data: result
       });
     } catch (error) {
       console.error('Update grade error:', error);
-      res.status(500).json({
+      res.status(gradingErrorStatus(error)).json({
         success: false,
-        message: 'Internal server error',
-        error: error.message
+        message: error.message
       });
     }
   },
@@ -413,30 +223,40 @@ const gradeController = {
   // Get grade statistics for course
   getGradeStatistics: async (req, res) => {
     try {
-      const { courseId } = req.params;
+      const course = await findGradableCourse(req, res, req.params.courseId);
+      if (!course) return;
 
-      const course = await Course.findById(courseId);
-      if (!course) {
-        return res.status(404).json({
-          success: false,
-          message: 'Course not found'
-        });
-      }
+      const gradebook = await gradebookService.getCourseGradebook(course.id);
+      const graded = gradebook.students.filter(student => student.percentage !== null);
 
-      const grades = await Grade.find({ course: courseId });
-
-      if (grades.length === 0) {
+      if (graded.length === 0) {
         return res.status(404).json({
           success: false,
           message: 'No grades found for this course'
         });
       }
 
-      const statistics = calculateCourseStatistics(grades, course);
+      const percentages = graded.map(student => student.percentage);
+      const average = percentages.reduce((a, b) => a + b, 0) / percentages.length;
+
+      // Grade distribution over the course's own scale
+      const distribution = {};
+      gradebook.scale.bands.forEach(band => {
+        distribution[band.letter] = graded.filter(student => student.letter === band.letter).length;
+      });
 
       res.status(200).json({
         success: true,
-        data: statistics
+        data: {
+          course: course.title,
+          scale: gradebook.scale.name,
+          totalStudents: gradebook.students.length,
+          gradedStudents: graded.length,
+          averageGrade: Math.round(average * 100) / 100,
+          highestGrade: Math.max(...percentages),
+          lowestGrade: Math.min(...percentages),
+          gradeDistribution: distribution
+        }
       });
     } catch (error) {
       console.error('Get grade statistics error:', error);
@@ -451,34 +271,43 @@ const gradeController = {
   // Export grades
   exportGrades: async (req, res) => {
     try {
-      const { courseId, format = 'csv' } = req.params;
+      const { format = 'csv' } = req.params;
 
-      const course = await Course.findById(courseId);
-      if (!course) {
-        return res.status(404).json({
-          success: false,
-          message: 'Course not found'
-        });
-      }
+      const course = await findGradableCourse(req, res, req.params.courseId);
+      if (!course) return;
 
-      const grades = await Grade.find({ course: courseId })
-        .populate('student', 'firstName lastName studentId')
-        .populate('assignmentGrades.assignment', 'title maxPoints');
+      const gradebook = await gradebookService.getCourseGradebook(course.id);
 
       if (format === 'csv') {
-        const csvData = convertGradesToCSV(grades, course);
-        
+        const headers = [
+          'Student ID', 'Name',
+          ...gradebook.assignments.map(assignment => assignment.title),
+          ...gradebook.categories.map(category => `${category.name} % (${category.weight}%)`),
+          'Grade %', 'Letter', 'Grade Points', 'Final Grade'
+        ];
+
+        const rows = gradebook.students.map(student => [
+          student.student_number,
+          student.student_name,
+          ...gradebook.assignments.map(assignment => student.marks.has(assignment.id) ? student.marks.get(assignment.id) : ''),
+          ...student.categories.map(category => category.percentage),
+          student.percentage,
+          student.letter,
+          student.gradePoints,
+          student.final_grade
+        ]);
+
         res.set({
           'Content-Type': 'text/csv',
-          'Content-Disposition': `attachment; filename=grades-${course.courseCode}-${new Date().toISOString().split('T')[0]}.csv`
+          'Content-Disposition': `attachment; filename=grades-${course.course_code}-${new Date().toISOString().split('T')[0]}.csv`
         });
 
-        return res.send(csvData);
+        return res.send([headers, ...rows].map(row => row.map(csvCell).join(',')).join('\n'));
       }
 
       res.status(200).json({
         success: true,
-        data: grades
+        data: gradebook.students.map(serializeStudent)
       });
     } catch (error) {
       console.error('Export grades error:', error);
@@ -491,165 +320,4 @@ const gradeController = {
   }
 };
 
-// Helper functions
-async function calculateOverallGrade(grade) {
-  const assignments = await Assignment.find({
-    _id: { $in: grade.assignmentGrades.map(ag => ag.assignment) }
-  });
-
-  let totalWeightedPoints = 0;
-  let totalMaxPoints = 0;
-
-  grade.assignmentGrades.forEach(ag => {
-    const assignment = assignments.find(a => a._id.toString() === ag.assignment.toString());
-    if (assignment && ag.points !== null) {
-      totalWeightedPoints += ag.points;
-      totalMaxPoints += assignment.maxPoints;
-    }
-  });
-
-  grade.overallGrade = totalMaxPoints > 0 ? (totalWeightedPoints / totalMaxPoints) * 100 : 0;
-  grade.letterGrade = calculateLetterGrade(grade.overallGrade);
-  grade.updatedAt = new Date();
-}
-
-function calculateLetterGrade(percentage) {
-  if (percentage >= 90) return 'A';
-  if (percentage >= 80) return 'B';
-  if (percentage >= 70) return 'C';
-  if (percentage >= 60) return 'D';
-  return 'F';
-}
-
-function calculateOverallStats(grades) {
-  let totalCredits = 0;
-  let totalGradePoints = 0;
-
-  grades.forEach(grade => {
-    const course = grade.course;
-    if (grade.overallGrade !== null) {
-      const gradePoint = calculateGradePoint(grade.letterGrade);
-      totalGradePoints += gradePoint * course.credits;
-      totalCredits += course.credits;
-    }
-  });
-
-  return {
-    gpa: totalCredits > 0 ? totalGradePoints / totalCredits : 0,
-    totalCredits,
-    totalCourses: grades.length
-  };
-}
-
-function calculateGradePoint(letterGrade) {
-  const gradePoints = {
-    'A': 4.0,
-    'B': 3.0,
-    'C': 2.0,
-    'D': 1.0,
-    'F': 0.0
-  };
-  return gradePoints[letterGrade] || 0;
-}
-
-function calculateCourseStatistics(grades, course) {
-  const overallGrades = grades.map(g => g.overallGrade).filter(g => g !== null);
-  
-  if (overallGrades.length === 0) {
-    return {
-      course: course.courseName,
-      totalStudents: grades.length,
-      message: 'No graded students'
-    };
-  }
-
-  const average = overallGrades.reduce((a, b) => a + b, 0) / overallGrades.length;
-  const max = Math.max(...overallGrades);
-  const min = Math.min(...overallGrades);
-
-  // Grade distribution
-  const distribution = {
-    A: overallGrades.filter(g => g >= 90).length,
-    B: overallGrades.filter(g => g >= 80 && g < 90).length,
-    C: overallGrades.filter(g => g >= 70 && g < 80).length,
-    D: overallGrades.filter(g => g >= 60 && g < 70).length,
-    F: overallGrades.filter(g => g < 60).length
-  };
-
-  return {
-    course: course.courseName,
-    totalStudents: grades.length,
-    gradedStudents: overallGrades.length,
-    averageGrade: Math.round(average * 100) / 100,
-    highestGrade: Math.round(max * 100) / 100,
-    lowestGrade: Math.round(min * 100) / 100,
-    gradeDistribution: distribution
-  };
-}
-
-function convertGradesToCSV(grades, course) {
-  const headers = ['Student ID', 'Name', 'Overall Grade', 'Letter Grade'];
-  
-  // Get all assignment titles
-  const assignmentTitles = [];
-  if (grades.length > 0 && grades[0].assignmentGrades.length > 0) {
-    grades[0].assignmentGrades.forEach(ag => {
-      assignmentTitles.push(ag.assignment.title);
-    });
-  }
-
-  const allHeaders = [...headers, ...assignmentTitles];
-  const csvRows = [allHeaders];
-
-  grades.forEach(grade => {
-    const row = [
-      grade.student.studentId,
-      `${grade.student.firstName} ${grade.student.lastName}`,
-      grade.overallGrade ? Math.round(grade.overallGrade * 100) / 100 : '',
-      grade.letterGrade || ''
-    ];
-
-    // Add assignment grades
-    grade.assignmentGrades.forEach(ag => {
-      row.push(ag.points !== null ? ag.points : '');
-    });
-
-    csvRows.push(row);
-  });
-
-  return csvRows.map(row => row.join(',')).join('\n');
-}
-
-async function updateStudentGrade(studentId, courseId, assignmentId, points, maxPoints) {
-  let grade = await Grade.findOne({ student: studentId, course: courseId });
-
-  if (!grade) {
-    grade = new Grade({
-      student: studentId,
-      course: courseId,
-      assignmentGrades: []
-    });
-  }
-
-  const assignmentGradeIndex = grade.assignmentGrades.findIndex(
-    ag => ag.assignment.toString() === assignmentId.toString()
-  );
-
-  if (assignmentGradeIndex > -1) {
-    grade.assignmentGrades[assignmentGradeIndex].points = points;
-    grade.assignmentGrades[assignmentGradeIndex].maxPoints = maxPoints;
-    grade.assignmentGrades[assignmentGradeIndex].updatedAt = new Date();
-  } else {
-    grade.assignmentGrades.push({
-      assignment: assignmentId,
-      points: points,
-      maxPoints: maxPoints,
-      gradedAt: new Date()
-    });
-  }
-
-  await calculateOverallGrade(grade);
-  await grade.save();
-}
-
-module.exports = gradeController;
\ No newline at end of file
+module.exports = gradeController;
@@ -0,0 +1,341 @@
+const { pool } = require('../../../config/database');
+const Course = require('../../models/Course');
+const Student = require('../../models/Student');
+const permissionService = require('../../services/permissionService');
+const { ApiError, asyncHandler } = require('../../middleware/errorHandler');
+const { ASSIGNMENT_STATUS } = require('../../../config/constants');
+
+// Staff with academics.view see every course; courses.edit lets instructors manage the ones they teach
+const managesCourse = (user, course) =>
+  permissionService.can(user, 'academics.view') || permissionService.can(user, 'courses.edit', course);
+
+// Whether the user sees every course rather than only their own
+const seesAllCourses = (user) =>
+  permissionService.can(user, 'academics.view') || permissionService.can(user, 'courses.edit.any');
+
+// Course managers see the course, students only when they are enrolled in it
+const assertCourseAccess = async (user, courseId, { manage = false } = {}) => {
+  const course = await Course.findById(courseId);
+  if (!course) {
+    throw new ApiError(404, 'Course not found');
+  }
+
+  if (managesCourse(user, course)) {
+    return course;
+  }
+
+  if (!manage && permissionService.can(user, 'area.student') && await Course.isStudentEnrolled(course.id, user.id)) {
+    return course;
+  }
+
+  throw new ApiError(403, 'You do not have access to this course');
+};
+
+// Only course managers see unpublished work; students get what Course.getAssignments and Student.getAssignments return
+const findAssignment = async (user, assignmentId, { manage = false } = {}) => {
+  const [rows] = await pool.query('SELECT * FROM assignments WHERE id = ?', [assignmentId]);
+  if (rows.length === 0) {
+    throw new ApiError(404, 'Assignment not found');
+  }
+
+  const course = await assertCourseAccess(user, rows[0].course_id, { manage });
+  if (rows[0].status !== ASSIGNMENT_STATUS.PUBLISHED && !managesCourse(user, course)) {
+    throw new ApiError(404, 'Assignment not found');
+  }
+
+  return { assignment: rows[0], course };
+};
+
+const academicController = {
+  // Courses for the signed-in user
+  listCourses: asyncHandler(async (req, res) => {
+    let courses;
+
+    if (seesAllCourses(req.user)) {
+      [courses] = await pool.query(
+        `SELECT c.*, u.name as instructor_name
+         FROM courses c
+         LEFT JOIN users u ON c.teacher_id = u.id
+         ORDER BY c.title`
+      );
+    } else if (permissionService.can(req.user, 'courses.edit')) {
+      courses = await Course.findByInstructor(req.user.id);
+    } else {
+      courses = await Student.getEnrollments(req.user.id);
+    }
+
+    res.json({
+      success: true,
+      data: { courses }
+    });
+  }),
+
+  // One course with its published assignments
+  getCourse: asyncHandler(async (req, res) => {
+    const course = await assertCourseAccess(req.user, req.params.courseId);
+    const assignments = await Course.getAssignments(course.id);
+
+    res.json({
+      success: true,
+      data: { course, assignments }
+    });
+  }),
+
+  // Assignments for the signed-in user, or for one course with ?courseId=
+  listAssignments: asyncHandler(async (req, res) => {
+    const { courseId } = req.query;
+    let assignments;
+
+    if (courseId) {
+      await assertCourseAccess(req.user, courseId);
+      assignments = await Course.getAssignments(courseId);
+    } else if (seesAllCourses(req.user) || permissionService.can(req.user, 'courses.edit')) {
+      const teacherOnly = !seesAllCourses(req.user);
+      [assignments] = await pool.query(
+        `SELECT a.*, c.title as course_title, c.course_code
+         FROM assignments a
+         JOIN courses c ON a.course_id = c.id
+         ${teacherOnly ? 'WHERE c.teacher_id = ?' : ''}
+         ORDER BY a.due_date ASC`,
+        teacherOnly ? [req.user.id] : []
+      );
+    } else {
+      assignments = await Student.getAssignments(req.user.id);
+    }
+
+    res.json({
+      success: true,
+      data: { assignments }
+    });
+  }),
+
+  // One assignment; students also get their own submission and grade
+  getAssignment: asyncHandler(async (req, res) => {
+    const { assignment, course } = await findAssignment(req.user, req.params.assignmentId);
+    const data = {
+      assignment: { ...assignment, course_title: course.title, course_code: course.course_code }
+    };
+
+    if (!managesCourse(req.user, course)) {
+      const [[submissions], [grades]] = await Promise.all([
+        pool.query(
+          'SELECT * FROM submissions WHERE assignment_id = ? AND student_id = ? ORDER BY submitted_at DESC LIMIT 1',
+          [assignment.id, req.user.id]
+        ),
+        pool.query(
+          'SELECT points_earned, feedback, graded_at FROM grades WHERE assignment_id = ? AND student_id = ?',
+          [assignment.id, req.user.id]
+        )
+      ]);
+      data.submission = submissions[0] || null;
+      data.grade = grades[0] || null;
+    }
+
+    res.json({
+      success: true,
+      data
+    });
+  }),
+
+  // Hand in a text answer (files are still uploaded through the website)
+  submitAssignment: asyncHandler(async (req, res) => {
+    const { assignment } = await findAssignment(req.user, req.params.assignmentId);
+    const submissionText = (req.body.submission_text || '').trim();
+
+    // The same checks as Submission.create
+    if (assignment.status !== ASSIGNMENT_STATUS.PUBLISHED) {
+      throw new ApiError(400, 'Assignment is not available for submission');
+    }
+
+    if (assignment.submission_type === 'quiz') {
+      throw new ApiError(400, 'Quizzes are taken from the quiz page, not submitted');
+    }
+
+    if (assignment.submission_type === 'file') {
+      throw new ApiError(400, 'File upload is required for this assignment; submit it through the website');
+    }
+
+    if (!submissionText) {
+      throw new ApiError(400, 'submission_text is required');
+    }
+
+    const [existing] = await pool.query(
+      'SELECT id FROM submissions WHERE assignment_id = ? AND student_id = ?',
+      [assignment.id, req.user.id]
+    );
+    if (existing.length > 0) {
+      throw new ApiError(409, 'You have already submitted this assignment');
+    }
+
+    const isLate = assignment.due_date && new Date(assignment.due_date) < new Date();
+    const [result] = await pool.query(
+      `INSERT INTO submissions (assignment_id, student_id, submission_text, status)
+       VALUES (?, ?, ?, ?)`,
+      [assignment.id, req.user.id, submissionText, isLate ? 'late' : 'submitted']
+    );
+
+    const [rows] = await pool.query('SELECT * FROM submissions WHERE id = ?', [result.insertId]);
+
+    res.status(201).json({
+      success: true,
+      message: isLate ? 'Submitted after the due date' : 'Assignment submitted',
+      data: { submission: rows[0] }
+    });
+  }),
+
+  // The signed-in student's submissions
+  listMySubmissions: asyncHandler(async (req, res) => {
+    const submissions = await Student.getSubmissions(req.user.id);
+
+    res.json({
+      success: true,
+      data: { submissions }
+    });
+  }),
+
+  // Every submission for an assignment, with grades (course managers)
+  listAssignmentSubmissions: asyncHandler(async (req, res) => {
+    const { assignment } = await findAssignment(req.user, req.params.assignmentId, { manage: true });
+
+    const [submissions] = await pool.query(
+      `SELECT s.*, u.name as student_name, u.student_id as student_number,
+              g.points_earned, g.feedback, g.graded_at
+       FROM submissions s
+       JOIN users u ON s.student_id = u.id
+       LEFT JOIN grades g ON g.assignment_id = s.assignment_id AND g.student_id = s.student_id
+       WHERE s.assignment_id = ?
+       ORDER BY s.submitted_at DESC`,
+      [assignment.id]
+    );
+
+    res.json({
+      success: true,
+      data: { assignment, submissions }
+    });
+  }),
+
+  // The signed-in student's grades
+  listMyGrades: asyncHandler(async (req, res) => {
+    const grades = await Student.getGrades(req.user.id);
+
+    res.json({
+      success: true,
+      data: { grades }
+    });
+  }),
+
+  // All grades in a course (course managers)
+  listCourseGrades: asyncHandler(async (req, res) => {
+    const course = await assertCourseAccess(req.user, req.params.courseId, { manage: true });
+
+    const [grades] = await pool.query(
+      `SELECT g.*, a.title as assignment_title, a.max_points,
+              u.name as student_name, u.student_id as student_number
+       FROM grades g
+       JOIN assignments a ON g.assignment_id = a.id
+       JOIN users u ON g.student_id = u.id
+       WHERE a.course_id = ?
+       ORDER BY u.name, a.due_date`,
+      [course.id]
+    );
+
+    res.json({
+      success: true,
+      data: { course, grades }
+    });
+  }),
+
+  // Students enrolled in a course, including dropped and completed ones (course managers)
+  listEnrollments: asyncHandler(async (req, res) => {
+    const course = await assertCourseAccess(req.user, req.params.courseId, { manage: true });
+
+    const [enrollments] = await pool.query(
+      `SELECT e.id, e.student_id, e.status, e.enrolled_at, e.grade,
+              u.name as student_name, u.email as student_email, u.student_id as student_number
+       FROM enrollments e
+       JOIN users u ON e.student_id = u.id
+       WHERE e.course_id = ?
+       ORDER BY u.name`,
+      [course.id]
+    );
+
+    res.json({
+      success: true,
+      data: { course, enrollments }
+    });
+  }),
+
+  // Enroll a student, or bring back a dropped enrollment (course managers)
+  enrollStudent: asyncHandler(async (req, res) => {
+    const course = await assertCourseAccess(req.user, req.params.courseId, { manage: true });
+    const studentId = parseInt(req.body.studentId);
+
+    if (!studentId) {
+      throw new ApiError(400, 'studentId is required');
+    }
+
+    const student = await Student.findByUserId(studentId);
+    if (!student) {
+      throw new ApiError(404, 'Student not found');
+    }
+
+    const [existing] = await pool.query(
+      'SELECT id, status FROM enrollments WHERE course_id = ? AND student_id = ?',
+      [course.id, studentId]
+    );
+    if (existing.length > 0 && existing[0].status === 'active') {
+      throw new ApiError(409, 'The student is already enrolled in this course');
+    }
+
+    const [[{ activeCount }]] = await pool.query(
+      'SELECT COUNT(*) as activeCount FROM enrollments WHERE course_id = ? AND status = "active"',
+      [course.id]
+    );
+    if (course.max_students && activeCount >= course.max_students) {
+      throw new ApiError(409, 'The course is full');
+    }
+
+    if (existing.length > 0) {
+      await pool.query(
+        'UPDATE enrollments SET status = "active", enrolled_at = NOW() WHERE id = ?',
+        [existing[0].id]
+      );
+    } else {
+      await pool.query(
+        'INSERT INTO enrollments (student_id, course_id, status) VALUES (?, ?, "active")',
+        [studentId, course.id]
+      );
+    }
+
+    const [rows] = await pool.query(
+      'SELECT * FROM enrollments WHERE course_id = ? AND student_id = ?',
+      [course.id, studentId]
+    );
+
+    res.status(existing.length > 0 ? 200 : 201).json({
+      success: true,
+      message: existing.length > 0 ? 'Enrollment reactivated' : 'Student enrolled',
+      data: { enrollment: rows[0] }
+    });
+  }),
+
+  // Drop a student from a course; the enrollment row is kept for the record (course managers)
+  dropStudent: asyncHandler(async (req, res) => {
+    const course = await assertCourseAccess(req.user, req.params.courseId, { manage: true });
+
+    const [result] = await pool.query(
+      'UPDATE enrollments SET status = "dropped" WHERE course_id = ? AND student_id = ? AND status = "active"',
+      [course.id, req.params.studentId]
+    );
+    if (result.affectedRows === 0) {
+      throw new ApiError(404, 'The student is not enrolled in this course');
+    }
+
+    res.json({
+      success: true,
+      message: 'Student dropped from the course'
+    });
+  })
+};
+
+module.exports = academicController;
@@ -0,0 +1,56 @@
+const notificationService = require('../../services/notificationService');
+const { ApiError, asyncHandler } = require('../../middleware/errorHandler');
+
+const notificationController = {
+  // The signed-in user's notifications, newest first (?unread=1 for unread only)
+  listNotifications: asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await notificationService.getUserNotifications(req.user.id, {
+      page,
+      limit,
+      unreadOnly: req.query.unread === '1' || req.query.unread === 'true',
+      type: req.query.type || null
+    });
+    const unreadCount = await notificationService.updateUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: result.notifications,
+        unreadCount,
+        pagination: {
+          current: result.page,
+          pages: result.totalPages,
+          total: result.total
+        }
+      }
+    });
+  }),
+
+  // Mark one notification read
+  markRead: asyncHandler(async (req, res) => {
+    const updated = await notificationService.markAsRead(req.params.notificationId, req.user.id);
+    if (!updated) {
+      throw new ApiError(404, 'Notification not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Notification marked as read'
+    });
+  }),
+
+  // Mark everything read
+  markAllRead: asyncHandler(async (req, res) => {
+    const updated = await notificationService.markAllAsRead(req.user.id);
+
+    res.json({
+      success: true,
+      message: `${updated} notification(s) marked as read`
+    });
+  })
+};
+
+module.exports = notificationController;
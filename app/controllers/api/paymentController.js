@@ -0,0 +1,82 @@
+const { pool } = require('../../../config/database');
+const Student = require('../../models/Student');
+const financePaymentController = require('../finance/paymentController');
+const { formatPhoneNumber } = require('../../utils');
+const permissionService = require('../../services/permissionService');
+const { ApiError, asyncHandler } = require('../../middleware/errorHandler');
+
+const paymentController = {
+  // Payments and balance for the signed-in student; users with payments.view can pass ?studentId=
+  listPayments: asyncHandler(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const studentId = permissionService.can(req.user, 'payments.view')
+      ? (parseInt(req.query.studentId) || null)
+      : req.user.id;
+
+    const where = [];
+    const params = [];
+    if (studentId) {
+      where.push('p.student_id = ?');
+      params.push(studentId);
+    }
+    if (req.query.status) {
+      where.push('p.status = ?');
+      params.push(req.query.status);
+    }
+    const whereClause = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+
+    const [[payments], [countRows]] = await Promise.all([
+      pool.query(
+        `SELECT p.id, p.student_id, u.name as student_name, p.amount, p.payment_method, p.transaction_id,
+                p.status, p.failure_reason, p.payment_date, p.created_at
+         FROM payments p
+         LEFT JOIN users u ON p.student_id = u.id
+         ${whereClause}
+         ORDER BY p.created_at DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, (page - 1) * limit]
+      ),
+      pool.query(`SELECT COUNT(*) as total FROM payments p ${whereClause}`, params)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        balance: studentId ? await Student.getFeeBalance(studentId) : null,
+        pagination: {
+          current: page,
+          pages: Math.ceil(countRows[0].total / limit),
+          total: countRows[0].total
+        }
+      }
+    });
+  }),
+
+  // Start an M-Pesa STK push for the signed-in student's fees
+  payWithMpesa: asyncHandler(async (req, res) => {
+    const amount = Number(req.body.amount);
+    const phoneNumber = String(req.body.phoneNumber || req.user.phone || '');
+
+    if (!Number.isInteger(amount) || amount < 1) {
+      throw new ApiError(400, 'amount must be a whole number of shillings, at least 1');
+    }
+
+    if (!/^254[17]\d{8}$/.test(formatPhoneNumber(phoneNumber) || '')) {
+      throw new ApiError(400, 'A valid Safaricom phoneNumber is required');
+    }
+
+    // Students can only pay into their own account
+    req.body = {
+      studentId: req.user.id,
+      amount,
+      phoneNumber,
+      description: req.body.description || 'Fee payment'
+    };
+
+    return financePaymentController.processMpesaPayment(req, res);
+  })
+};
+
+module.exports = paymentController;
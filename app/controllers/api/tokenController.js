@@ -0,0 +1,128 @@
+const passport = require('passport');
+const { ApiError, asyncHandler } = require('../../middleware/errorHandler');
+const tokenService = require('../../services/tokenService');
+const twoFactorService = require('../../services/twoFactorService');
+const loginSecurityService = require('../../services/loginSecurityService');
+
+// The account fields API clients get back; never the password hash
+const toProfile = (user) => ({
+  id: user.id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role_name,
+  studentId: user.student_id,
+  teacherId: user.teacher_id,
+  employeeId: user.employee_id
+});
+
+const requestInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent') || 'Unknown'
+});
+
+// Run the same local strategy as the login form, without starting a session
+const authenticatePassword = (req, res) => new Promise((resolve, reject) => {
+  passport.authenticate('local', { session: false }, (err, user, info) => {
+    if (err) return reject(err);
+    resolve({ user, info });
+  })(req, res);
+});
+
+const tokenController = {
+  // Exchange email, password and (when enabled) a two-factor code for an access/refresh token pair
+  issueToken: asyncHandler(async (req, res) => {
+    const { email, password, otp } = req.body || {};
+    if (!email || !password) {
+      throw new ApiError(400, 'Email and password are required');
+    }
+
+    const { user, info } = await authenticatePassword(req, res);
+    if (!user) {
+      throw new ApiError(401, (info && info.message) || 'Invalid email or password');
+    }
+
+    // No SMS fallback here: an API client has nowhere to keep the pending challenge
+    const twoFactor = await twoFactorService.getStatus(user);
+    if (twoFactor.required && !twoFactor.enabled) {
+      throw new ApiError(403, 'Your role requires two-factor authentication. Set it up on the website before signing in here.');
+    }
+
+    if (twoFactor.enabled) {
+      if (!otp) {
+        throw new ApiError(401, 'Two-factor code required', { twoFactorRequired: true });
+      }
+
+      const passed = await twoFactorService.verifyTotp(user.id, otp) ||
+        await twoFactorService.verifyRecoveryCode(user.id, otp);
+
+      if (!passed) {
+        // Wrong codes count towards the lockout, which is what limits guessing without a session
+        const result = await loginSecurityService.recordFailure({
+          user,
+          email: user.email,
+          ...requestInfo(req),
+          reason: 'bad_two_factor'
+        });
+        throw new ApiError(401, result.accountLockout
+          ? 'Too many failed attempts. The account is locked; check your email to unlock it.'
+          : 'Incorrect two-factor code', { twoFactorRequired: true });
+      }
+    }
+
+    await loginSecurityService.recordLogin(user, requestInfo(req));
+
+    const tokens = await tokenService.issueTokens(user, requestInfo(req));
+
+    res.json({
+      success: true,
+      data: {
+        ...tokens,
+        user: toProfile(user)
+      }
+    });
+  }),
+
+  // Swap a refresh token for a new pair; the old refresh token stops working
+  refreshToken: asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      throw new ApiError(400, 'Refresh token is required');
+    }
+
+    const tokens = await tokenService.refreshTokens(refreshToken, requestInfo(req));
+    if (!tokens) {
+      throw new ApiError(401, 'Refresh token is invalid or expired. Please sign in again.');
+    }
+
+    res.json({
+      success: true,
+      data: tokens
+    });
+  }),
+
+  // Sign this device out
+  revokeToken: asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+      throw new ApiError(400, 'Refresh token is required');
+    }
+
+    await tokenService.revokeToken(refreshToken, requestInfo(req));
+
+    res.json({
+      success: true,
+      message: 'Signed out'
+    });
+  }),
+
+  // The signed-in user's profile
+  me: asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: toProfile(req.user)
+    });
+  })
+};
+
+module.exports = tokenController;
@@ -1,6 +1,12 @@
 const passport = require('passport');
 const bcrypt = require('bcryptjs'); // CHANGED: Use bcryptjs for consistency
 const User = require('../../models/User');
+const twoFactorService = require('../../services/twoFactorService');
+const loginSecurityService = require('../../services/loginSecurityService');
+const impersonationService = require('../../services/impersonationService');
+
+// How long a password-verified login may wait on its second factor
+const TWO_FACTOR_PENDING_MS = 10 * 60 * 1000;
 
 const authController = {
   // Show login page
@@ -85,7 +91,7 @@ const authController = {
   login: (req, res, next) => {
     console.log('🔐 Login attempt for:', req.body.email);
     
-    passport.authenticate('local', (err, user, info) => {
+    passport.authenticate('local', async (err, user, info) => {
       if (err) {
         console.error('❌ Passport authentication error:', err);
         req.flash('error_msg', 'Authentication error. Please try again.');
@@ -94,32 +100,94 @@ const authController = {
 
       if (!user) {
         console.log('❌ Authentication failed - no user returned');
-        const errorMessage = req.flash('error_msg')[0] || 'Invalid email or password';
+        const errorMessage = (info && info.message) || 'Invalid email or password';
         req.flash('error_msg', errorMessage);
         req.flash('oldInput', { email: req.body.email });
         return res.redirect('/auth/login');
       }
 
-      req.logIn(user, (err) => {
-        if (err) {
-          console.error('❌ Login session error:', err);
-          req.flash('error_msg', 'Login failed. Please try again.');
-          return res.redirect('/auth/login');
+      try {
+        // The session is only established once the second factor is checked;
+        // until then we just remember who got the password right
+        const twoFactor = await twoFactorService.getStatus(user);
+        if (twoFactor.enabled || twoFactor.required) {
+          req.session.twoFactor = {
+            userId: user.id,
+            mode: twoFactor.enabled ? 'challenge' : 'enroll',
+            expiresAt: Date.now() + TWO_FACTOR_PENDING_MS,
+            attempts: 0
+          };
+
+          console.log(`🔐 Second factor ${twoFactor.enabled ? 'required' : 'enrollment required'} for:`, user.email);
+          return res.redirect(twoFactor.enabled ? '/auth/two-factor' : '/auth/two-factor/setup');
         }
+      } catch (error) {
+        console.error('❌ Two-factor lookup error:', error);
+        req.flash('error_msg', 'Login failed. Please try again.');
+        return res.redirect('/auth/login');
+      }
 
-        console.log('✅ User logged in successfully:', user.email);
-        console.log('👤 User role:', user.role_name);
-        
-        // Redirect based on role
-        const redirectPath = getRedirectPath(user.role_id);
-        req.flash('success_msg', `Welcome back, ${user.name || user.email}!`);
-        return res.redirect(redirectPath);
-      });
+      authController.completeLogin(req, res, user);
     })(req, res, next);
   },
 
+  // Start the session for a fully authenticated user and send them to their dashboard
+  completeLogin: async (req, res, user, message = null) => {
+    try {
+      await loginSecurityService.recordLogin(user, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent') || 'Unknown'
+      });
+    } catch (error) {
+      console.error('❌ Recording login failed:', error);
+      req.flash('error_msg', 'Login failed. Please try again.');
+      return res.redirect('/auth/login');
+    }
+
+    req.logIn(user, (err) => {
+      if (err) {
+        console.error('❌ Login session error:', err);
+        req.flash('error_msg', 'Login failed. Please try again.');
+        return res.redirect('/auth/login');
+      }
+
+      console.log('✅ User logged in successfully:', user.email);
+      console.log('👤 User role:', user.role_name);
+      
+      // /dashboard sends the user on to the area their role's permissions open
+      req.flash('success_msg', message || `Welcome back, ${user.name || user.email}!`);
+      return res.redirect('/dashboard');
+    });
+  },
+
+  // Return an admin to their own account after impersonating someone
+  stopImpersonating: async (req, res) => {
+    try {
+      const impersonation = await impersonationService.stop(req.session, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      if (!impersonation) {
+        return res.redirect('/dashboard');
+      }
+
+      req.flash('success', `You are no longer impersonating ${impersonation.userName}.`);
+      res.redirect(`/admin/users/${impersonation.userId}`);
+    } catch (error) {
+      console.error('Stop impersonating error:', error);
+      req.flash('error_msg', 'Failed to stop impersonating. Please sign out.');
+      res.redirect('/dashboard');
+    }
+  },
+
   // Handle user logout
-  logout: (req, res) => {
+  logout: (req, res, next) => {
+    // Signing out while impersonating only ends the impersonation
+    if (req.session && req.session.impersonation) {
+      return authController.stopImpersonating(req, res);
+    }
+
     req.logout((err) => {
       if (err) {
         console.error('Logout error:', err);
@@ -130,6 +198,26 @@ const authController = {
     });
   },
 
+  // Lift a lockout from the link in the lockout email
+  unlockAccount: async (req, res) => {
+    try {
+      const lockout = await loginSecurityService.unlockWithToken(req.query.token, req.ip);
+
+      if (!lockout) {
+        req.flash('error_msg', 'This unlock link is invalid or the account is no longer locked.');
+        return res.redirect('/auth/login');
+      }
+
+      req.flash('success_msg', 'Your account has been unlocked. You can sign in again.');
+      res.redirect('/auth/login');
+
+    } catch (error) {
+      console.error('Unlock account error:', error);
+      req.flash('error_msg', 'Failed to unlock your account. Please try again.');
+      res.redirect('/auth/login');
+    }
+  },
+
   // Verify email (simplified - auto-verify for now)
   verifyEmail: async (req, res) => {
     try {
@@ -167,20 +255,4 @@ const authController = {
   }
 };
 
-// Helper function to determine redirect path based on role
-function getRedirectPath(roleId) {
-  switch (parseInt(roleId)) {
-    case 1: // Admin
-      return '/admin/dashboard';
-    case 2: // Instructor
-      return '/instructor/dashboard';
-    case 3: // Student
-      return '/student/dashboard';
-    case 4: // Finance
-      return '/finance/dashboard';
-    default:
-      return '/dashboard';
-  }
-}
-
 module.exports = authController;
\ No newline at end of file
@@ -1,8 +1,26 @@
 const User = require('../../models/User');
+const PasswordResetToken = require('../../models/PasswordResetToken');
+const Session = require('../../models/Session');
+const RefreshToken = require('../../models/RefreshToken');
+const AuditLog = require('../../models/AuditLog');
+const emailService = require('../../services/emailService');
+const { transaction } = require('../../../config/database');
 
-// Simple token generation
-const generateSimpleToken = () => {
-  return Math.random().toString(36).substring(2) + Date.now().toString(36);
+const INVALID_TOKEN_MESSAGE = 'This password reset link is invalid or has expired. Please request a new one.';
+
+const resetPasswordUrl = (token) => `/auth/reset-password?token=${encodeURIComponent(token || '')}`;
+
+// Record password reset activity against the account it concerns
+const logPasswordAudit = async (userId, action, description, req, connection = null) => {
+  await AuditLog.create({
+    userId,
+    action,
+    resourceType: 'user',
+    resourceId: userId,
+    description,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  }, connection);
 };
 
 const passwordController = {
@@ -15,38 +33,60 @@ const passwordController = {
     });
   },
 
-  // Show reset password page
-  showResetPassword: (req, res) => {
-    const { token } = req.params;
-    res.render('auth/reset-password', {
-      title: 'Reset Password - EduLMS',
-      token: token,
-      error_msg: req.flash('error_msg'),
-      success_msg: req.flash('success_msg')
-    });
+  // Show reset password page, turning away links that can no longer be used
+  showResetPassword: async (req, res) => {
+    try {
+      const { token } = req.query;
+
+      const resetToken = await PasswordResetToken.findValid(token);
+      if (!resetToken) {
+        req.flash('error_msg', INVALID_TOKEN_MESSAGE);
+        return res.redirect('/auth/forgot-password');
+      }
+
+      res.render('auth/reset-password', {
+        title: 'Reset Password - EduLMS',
+        token: token,
+        errors: {},
+        pageStyles: ['/css/auth.css'],
+        layout: 'layouts/layout'
+      });
+    } catch (error) {
+      console.error('Show reset password error:', error);
+      req.flash('error_msg', 'Failed to load the password reset page. Please try again.');
+      res.redirect('/auth/forgot-password');
+    }
   },
 
   // Handle forgot password request
   forgotPassword: async (req, res) => {
+    // Same answer whether or not the email exists, so accounts cannot be enumerated
+    const genericMessage = 'If an account with that email exists, a password reset link has been sent.';
+
     try {
       const { email } = req.body;
 
-      // Check if user exists
-      const user = await User.findByEmail(email);
+      const user = email ? await User.findByEmail(email) : null;
       if (!user) {
-        // Don't reveal if email exists or not
-        req.flash('success_msg', 'If an account with that email exists, a password reset link has been sent.');
+        req.flash('success_msg', genericMessage);
         return res.redirect('/auth/forgot-password');
       }
 
-      // Generate simple reset token (in production, use proper JWT)
-      const resetToken = generateSimpleToken();
-      
-      // Simulate sending email
-      console.log('📧 Password reset email would be sent to:', email);
-      console.log('🔗 Reset token:', resetToken);
+      const { token, expiresInMinutes } = await PasswordResetToken.create(user.id, req.ip);
+
+      const result = await emailService.sendPasswordResetEmail(user, token);
+      if (!result || !result.success) {
+        console.error('Password reset email failed for user', user.id, result && result.error);
+      }
+
+      await logPasswordAudit(
+        user.id,
+        'password_reset_request',
+        `Password reset requested; link valid for ${expiresInMinutes} minutes${result && result.success ? '' : ' (email delivery failed)'}`,
+        req
+      );
 
-      req.flash('success_msg', 'Password reset instructions have been sent to your email.');
+      req.flash('success_msg', genericMessage);
       res.redirect('/auth/forgot-password');
 
     } catch (error) {
@@ -58,24 +98,42 @@ const passwordController = {
 
   // Handle password reset
   resetPassword: async (req, res) => {
-    try {
-      const { token } = req.params;
-      const { password, confirm_password } = req.body;
+    const { token, password, confirmPassword } = req.body;
 
-      // Basic validation
-      if (password !== confirm_password) {
+    try {
+      if (!password || password !== confirmPassword) {
         req.flash('error_msg', 'Passwords do not match.');
-        return res.redirect(`/auth/reset-password/${token}`);
+        return res.redirect(resetPasswordUrl(token));
       }
 
       if (password.length < 8) {
         req.flash('error_msg', 'Password must be at least 8 characters long.');
-        return res.redirect(`/auth/reset-password/${token}`);
+        return res.redirect(resetPasswordUrl(token));
+      }
+
+      // Consuming the token and changing the password commit together,
+      // so a link can only ever be used once
+      const userId = await transaction(async (connection) => {
+        const resetToken = await PasswordResetToken.consume(token, connection);
+        if (!resetToken) {
+          return null;
+        }
+
+        await User.changePassword(resetToken.user_id, password, connection);
+        await RefreshToken.revokeForUser(resetToken.user_id, connection);
+        await logPasswordAudit(resetToken.user_id, 'password_reset_complete', 'Password reset using emailed link', req, connection);
+
+        return resetToken.user_id;
+      });
+
+      if (!userId) {
+        req.flash('error_msg', INVALID_TOKEN_MESSAGE);
+        return res.redirect('/auth/forgot-password');
       }
 
-      // In a real app, you would verify the token and get the user ID
-      // For now, we'll simulate successful reset
-      console.log('Password reset simulated for token:', token);
+      // Anyone still signed in with the old password is signed out
+      const signedOut = await Session.destroyForUser(userId);
+      console.log(`🔐 Password reset for user ${userId}; ${signedOut} session(s) ended`);
 
       req.flash('success_msg', 'Password reset successfully! You can now login with your new password.');
       res.redirect('/auth/login');
@@ -83,9 +141,9 @@ const passwordController = {
     } catch (error) {
       console.error('Reset password error:', error);
       req.flash('error_msg', 'Failed to reset password. Please try again.');
-      res.redirect(`/auth/reset-password/${token}`);
+      res.redirect(resetPasswordUrl(token));
     }
   }
 };
 
-module.exports = passwordController;
\ No newline at end of file
+module.exports = passwordController;
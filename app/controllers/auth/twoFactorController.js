@@ -0,0 +1,291 @@
+const User = require('../../models/User');
+const AuditLog = require('../../models/AuditLog');
+const twoFactorService = require('../../services/twoFactorService');
+const authController = require('./authController');
+const loginSecurityService = require('../../services/loginSecurityService');
+
+// Wrong codes allowed before the half-finished login is thrown away
+const MAX_ATTEMPTS = 5;
+
+const renderAuthView = (res, view, data) => {
+  res.render(view, {
+    pageStyles: ['/css/auth.css'],
+    layout: 'layouts/layout',
+    ...data
+  });
+};
+
+const logTwoFactorAudit = async (userId, action, description, req) => {
+  await AuditLog.create({
+    userId,
+    action,
+    resourceType: 'user',
+    resourceId: userId,
+    description,
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+};
+
+// User whose password was accepted but who has not passed the second step yet
+const getPendingUser = async (req) => {
+  const pending = req.session.twoFactor;
+  if (!pending) return null;
+
+  if (Date.now() > pending.expiresAt) {
+    delete req.session.twoFactor;
+    return null;
+  }
+
+  return User.findById(pending.userId);
+};
+
+// Enrollment is open to signed-in users and to logins held back because their role requires it
+const getEnrollingUser = async (req) => {
+  if (req.isAuthenticated()) {
+    return req.user;
+  }
+
+  const pending = req.session.twoFactor;
+  if (pending && pending.mode === 'enroll') {
+    return getPendingUser(req);
+  }
+
+  return null;
+};
+
+const twoFactorController = {
+  // Show the second login step
+  showChallenge: async (req, res) => {
+    try {
+      const user = await getPendingUser(req);
+      if (!user || req.session.twoFactor.mode !== 'challenge') {
+        req.flash('error_msg', 'Your sign-in session has expired. Please log in again.');
+        return res.redirect('/auth/login');
+      }
+
+      renderAuthView(res, 'auth/two-factor', {
+        title: 'Two-Factor Verification - EduLMS',
+        smsAvailable: !!user.phone,
+        smsSent: !!req.session.twoFactor.sms
+      });
+    } catch (error) {
+      console.error('Two-factor challenge error:', error);
+      req.flash('error_msg', 'Failed to load verification. Please log in again.');
+      res.redirect('/auth/login');
+    }
+  },
+
+  // Check the code from the authenticator app, the texted code or a recovery code
+  verifyChallenge: async (req, res) => {
+    try {
+      const user = await getPendingUser(req);
+      if (!user || req.session.twoFactor.mode !== 'challenge') {
+        req.flash('error_msg', 'Your sign-in session has expired. Please log in again.');
+        return res.redirect('/auth/login');
+      }
+
+      const pending = req.session.twoFactor;
+      const { code } = req.body;
+
+      let method = null;
+      if (await twoFactorService.verifyTotp(user.id, code)) {
+        method = 'authenticator app';
+      } else if (pending.sms && twoFactorService.verifySmsCode(pending.sms, code)) {
+        method = 'SMS code';
+      } else if (await twoFactorService.verifyRecoveryCode(user.id, code)) {
+        method = 'recovery code';
+      }
+
+      if (!method) {
+        pending.attempts += 1;
+
+        // Wrong codes count towards the lockout too, so logging in again does not buy more guesses
+        const result = await loginSecurityService.recordFailure({
+          user,
+          email: user.email,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent') || 'Unknown',
+          reason: 'bad_two_factor'
+        });
+
+        if (result.accountLockout || result.ipLockout) {
+          delete req.session.twoFactor;
+          req.flash('error_msg', result.accountLockout
+            ? 'Too many failed attempts. The account is locked; check your email to unlock it.'
+            : 'Too many failed sign-in attempts from your network. Please try again later.');
+          return res.redirect('/auth/login');
+        }
+
+        if (pending.attempts >= MAX_ATTEMPTS) {
+          delete req.session.twoFactor;
+          await logTwoFactorAudit(user.id, 'two_factor_failed', `Sign-in abandoned after ${MAX_ATTEMPTS} wrong codes`, req);
+          req.flash('error_msg', 'Too many incorrect codes. Please log in again.');
+          return res.redirect('/auth/login');
+        }
+
+        req.flash('error_msg', `Incorrect code. ${MAX_ATTEMPTS - pending.attempts} attempt(s) left.`);
+        return res.redirect('/auth/two-factor');
+      }
+
+      delete req.session.twoFactor;
+      await logTwoFactorAudit(user.id, 'two_factor_login', `Second factor passed with ${method}`, req);
+
+      let message = null;
+      if (method === 'recovery code') {
+        const status = await twoFactorService.getStatus(user);
+        message = `Signed in with a recovery code. You have ${status.recoveryCodesLeft} left.`;
+      }
+
+      authController.completeLogin(req, res, user, message);
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      req.flash('error_msg', 'Verification failed. Please try again.');
+      res.redirect('/auth/two-factor');
+    }
+  },
+
+  // Text a one-time code to the phone on the account
+  sendSmsCode: async (req, res) => {
+    try {
+      const user = await getPendingUser(req);
+      if (!user || req.session.twoFactor.mode !== 'challenge') {
+        req.flash('error_msg', 'Your sign-in session has expired. Please log in again.');
+        return res.redirect('/auth/login');
+      }
+
+      req.session.twoFactor.sms = await twoFactorService.sendSmsCode(user, req.session.twoFactor.sms);
+
+      req.flash('success_msg', 'A verification code has been sent to your phone.');
+      res.redirect('/auth/two-factor');
+    } catch (error) {
+      console.error('Two-factor SMS error:', error);
+      req.flash('error_msg', error.message);
+      res.redirect('/auth/two-factor');
+    }
+  },
+
+  // Show enrollment (or the current status when already enrolled)
+  showSetup: async (req, res) => {
+    try {
+      const user = await getEnrollingUser(req);
+      if (!user) {
+        req.flash('error_msg', 'Please log in to access this page');
+        return res.redirect('/auth/login');
+      }
+
+      const status = await twoFactorService.getStatus(user);
+      const enrollment = status.enabled ? null : await twoFactorService.beginEnrollment(user);
+
+      renderAuthView(res, 'auth/two-factor-setup', {
+        title: 'Two-Factor Authentication - EduLMS',
+        status,
+        enrollment,
+        duringLogin: !req.isAuthenticated()
+      });
+    } catch (error) {
+      console.error('Two-factor setup error:', error);
+      req.flash('error_msg', 'Failed to load two-factor setup.');
+      res.redirect(req.isAuthenticated() ? '/dashboard' : '/auth/login');
+    }
+  },
+
+  // Confirm the authenticator works and turn two-factor on
+  confirmSetup: async (req, res) => {
+    try {
+      const user = await getEnrollingUser(req);
+      if (!user) {
+        req.flash('error_msg', 'Please log in to access this page');
+        return res.redirect('/auth/login');
+      }
+
+      const recoveryCodes = await twoFactorService.confirmEnrollment(user, req.body.code);
+      if (!recoveryCodes) {
+        req.flash('error_msg', 'That code did not match. Check the time on your phone and try again.');
+        return res.redirect('/auth/two-factor/setup');
+      }
+
+      await logTwoFactorAudit(user.id, 'two_factor_enabled', 'Authenticator app enrolled', req);
+
+      const showCodes = () => renderAuthView(res, 'auth/two-factor-recovery-codes', {
+        title: 'Recovery Codes - EduLMS',
+        recoveryCodes,
+        continueUrl: '/dashboard'
+      });
+
+      // A login that was waiting on enrollment can now finish
+      if (!req.isAuthenticated()) {
+        delete req.session.twoFactor;
+        await loginSecurityService.recordLogin(user, {
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent') || 'Unknown'
+        });
+        return req.logIn(user, (err) => {
+          if (err) {
+            console.error('❌ Login session error:', err);
+            req.flash('error_msg', 'Two-factor is set up, but login failed. Please log in again.');
+            return res.redirect('/auth/login');
+          }
+          showCodes();
+        });
+      }
+
+      showCodes();
+    } catch (error) {
+      console.error('Two-factor confirm error:', error);
+      req.flash('error_msg', 'Failed to enable two-factor authentication.');
+      res.redirect('/auth/two-factor/setup');
+    }
+  },
+
+  // Replace the recovery codes after checking a current authenticator code
+  regenerateRecoveryCodes: async (req, res) => {
+    try {
+      if (!await twoFactorService.verifyTotp(req.user.id, req.body.code)) {
+        req.flash('error_msg', 'Enter a current code from your authenticator app to continue.');
+        return res.redirect('/auth/two-factor/setup');
+      }
+
+      const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id);
+      await logTwoFactorAudit(req.user.id, 'two_factor_recovery_codes', 'Recovery codes regenerated', req);
+
+      renderAuthView(res, 'auth/two-factor-recovery-codes', {
+        title: 'Recovery Codes - EduLMS',
+        recoveryCodes,
+        continueUrl: '/auth/two-factor/setup'
+      });
+    } catch (error) {
+      console.error('Recovery code regeneration error:', error);
+      req.flash('error_msg', 'Failed to generate new recovery codes.');
+      res.redirect('/auth/two-factor/setup');
+    }
+  },
+
+  // Turn two-factor off, unless the user's role requires it
+  disable: async (req, res) => {
+    try {
+      const status = await twoFactorService.getStatus(req.user);
+      if (status.required) {
+        req.flash('error_msg', 'Two-factor authentication is required for your role and cannot be turned off.');
+        return res.redirect('/auth/two-factor/setup');
+      }
+
+      if (!await twoFactorService.verifyTotp(req.user.id, req.body.code)) {
+        req.flash('error_msg', 'Enter a current code from your authenticator app to continue.');
+        return res.redirect('/auth/two-factor/setup');
+      }
+
+      await twoFactorService.disable(req.user.id);
+      await logTwoFactorAudit(req.user.id, 'two_factor_disabled', 'Two-factor authentication turned off by the user', req);
+
+      req.flash('success_msg', 'Two-factor authentication has been turned off.');
+      res.redirect('/auth/two-factor/setup');
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      req.flash('error_msg', 'Failed to turn off two-factor authentication.');
+      res.redirect('/auth/two-factor/setup');
+    }
+  }
+};
+
+module.exports = twoFactorController;
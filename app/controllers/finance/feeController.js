@@ -1,5 +1,7 @@
 const FeeStructure = require('../../models/FeeStructure');
 const Student = require('../../models/Student');
+const StudentLedger = require('../../models/StudentLedger');
+const FeeSchedule = require('../../models/FeeSchedule');
 const { validationResult } = require('express-validator');
 
 const feeController = {
@@ -209,10 +211,72 @@ const feeController = {
     }
   },
 
-  // Assign fee structure to students
+  // Get a fee structure's installments
+  getInstallments: async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const feeStructure = await FeeStructure.findById(id);
+      if (!feeStructure) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fee structure not found'
+        });
+      }
+
+      const installments = await FeeStructure.getInstallments(id);
+
+      res.status(200).json({
+        success: true,
+        data: {
+          feeStructure,
+          installments
+        }
+      });
+    } catch (error) {
+      console.error('Get installments error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  },
+
+  // Split a fee structure into installments with due dates
+  setInstallments: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { installments } = req.body;
+
+      const saved = await FeeStructure.setInstallments(id, installments);
+
+      res.status(200).json({
+        success: true,
+        message: `Fee structure split into ${saved.length} installment(s)`,
+        data: saved
+      });
+    } catch (error) {
+      console.error('Set installments error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  },
+
+  // Assign fee structure to students, giving each one an installment schedule
   assignFeeStructure: async (req, res) => {
     try {
-      const { feeStructureId, studentIds, academicYear, semester } = req.body;
+      const { feeStructureId, studentIds } = req.body;
+      const ids = [].concat(studentIds || []).map(Number).filter(Boolean);
+
+      if (ids.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Select at least one student'
+        });
+      }
 
       const feeStructure = await FeeStructure.findById(feeStructureId);
       if (!feeStructure) {
@@ -222,24 +286,15 @@ const feeController = {
         });
       }
 
-      const updateResult = await Student.updateMany(
-        { _id: { $in: studentIds } },
-        {
-          $set: {
-            feeStructure: feeStructureId,
-            academicYear,
-            semester,
-            feeBalance: feeStructure.amount,
-            totalFees: feeStructure.amount
-          }
-        }
-      );
+      const result = await FeeSchedule.assign(feeStructure.id, ids, req.user.id);
 
       res.status(200).json({
         success: true,
-        message: `Fee structure assigned to ${updateResult.modifiedCount} students`,
+        message: `Fee structure assigned to ${result.assigned.length} students`,
         data: {
-          modifiedCount: updateResult.modifiedCount
+          modifiedCount: result.assigned.length,
+          alreadyAssigned: result.skipped,
+          notStudents: result.notStudents
         }
       });
     } catch (error) {
@@ -257,10 +312,7 @@ const feeController = {
     try {
       const { studentId } = req.params;
 
-      const student = await Student.findById(studentId)
-        .populate('user', 'firstName lastName email')
-        .populate('feeStructure')
-        .populate('paymentHistory');
+      const student = await Student.findByUserId(studentId);
 
       if (!student) {
         return res.status(404).json({
@@ -269,21 +321,25 @@ const feeController = {
         });
       }
 
+      const [statement, reconciliation, installments] = await Promise.all([
+        StudentLedger.getStatement(student.id),
+        StudentLedger.reconcile(student.id),
+        FeeSchedule.getForStudent(student.id)
+      ]);
+
       const feeStatement = {
         student: {
-          id: student._id,
-          studentId: student.studentId,
-          name: `${student.user.firstName} ${student.user.lastName}`,
-          program: student.program,
-          academicYear: student.academicYear,
-          semester: student.semester
+          id: student.id,
+          studentId: student.student_id,
+          name: student.name
         },
-        feeStructure: student.feeStructure,
-        totalFees: student.totalFees,
-        feeBalance: student.feeBalance,
-        amountPaid: student.totalFees - student.feeBalance,
-        paymentHistory: student.paymentHistory,
-        outstandingAmount: student.feeBalance
+        totalFees: statement.totalDebits,
+        amountPaid: statement.totalCredits,
+        feeBalance: statement.closingBalance,
+        outstandingAmount: Math.max(0, statement.closingBalance),
+        entries: statement.entries,
+        installments,
+        reconciled: reconciliation.reconciled
       };
 
       res.status(200).json({
@@ -1,332 +1,379 @@
 const Invoice = require('../../models/Invoice');
 const Student = require('../../models/Student');
 const FeeStructure = require('../../models/FeeStructure');
-const { pdfService } = require('../../services/pdfService');
-const { emailService } = require('../../services/emailService');
-const { validationResult } = require('express-validator');
+const pdfService = require('../../services/pdfService');
+const emailService = require('../../services/emailService');
+const { INVOICE_STATUS } = require('../../../config/constants');
+
+// Render a finance view with the locals the finance layout expects
+const renderFinanceView = (res, view, locals) => {
+  res.render(view, {
+    layout: 'layouts/finance-layout',
+    pageTitle: null,
+    breadcrumbs: null,
+    headerActions: null,
+    pageStyles: null,
+    pageScripts: null,
+    ...locals
+  });
+};
+
+// Build the invoice PDF from a row returned by Invoice.findById
+const buildInvoicePdf = async (invoice) => {
+  const items = await Invoice.getItems(invoice.id);
+  const student = {
+    name: invoice.student_name,
+    email: invoice.student_email,
+    student_id: invoice.student_number
+  };
+
+  return pdfService.generateInvoice(invoice, student, items);
+};
+
+// Email an invoice to its student and record when it went out
+const emailInvoice = async (invoice, sentBy) => {
+  const pdfBuffer = await buildInvoicePdf(invoice);
+  const result = await emailService.sendInvoiceEmail(
+    { name: invoice.student_name, email: invoice.student_email },
+    invoice,
+    pdfBuffer
+  );
+
+  if (result.success) {
+    await Invoice.markSent(invoice.id, sentBy);
+  }
+
+  return result;
+};
 
 const invoiceController = {
-  // Generate invoice
+  // Show generate invoice form
+  showGenerateInvoice: async (req, res) => {
+    try {
+      const [students, feeStructures] = await Promise.all([
+        Student.findAllActive(),
+        FeeStructure.findActive()
+      ]);
+
+      renderFinanceView(res, 'finance/invoices/generate', {
+        title: 'Generate Invoice - EduLMS',
+        pageTitle: 'Generate Invoice',
+        breadcrumbs: [
+          { title: 'Finance', url: '/finance/dashboard' },
+          { title: 'Invoices', url: '/finance/invoices/history' },
+          { title: 'Generate Invoice', url: '/finance/invoices/generate', active: true }
+        ],
+        headerActions: [
+          { url: '/finance/invoices/history', text: 'Invoice History', icon: 'fas fa-history', class: 'btn-outline-primary' }
+        ],
+        students,
+        feeStructures,
+        currentPage: 'generate-invoice'
+      });
+    } catch (error) {
+      console.error('Show generate invoice error:', error);
+      req.flash('error_msg', 'Error loading invoice form');
+      res.redirect('/finance/dashboard');
+    }
+  },
+
+  // Generate invoice from a fee structure plus additional charges
   generateInvoice: async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Validation errors',
-          errors: errors.array()
-        });
-      }
+      const { studentId, feeStructureId, dueDate, notes, action } = req.body;
 
-      const { studentId, feeStructureId, dueDate, additionalCharges = [] } = req.body;
+      if (!studentId || !feeStructureId || !dueDate) {
+        req.flash('error_msg', 'Please select a student, fee structure and due date');
+        return res.redirect('/finance/invoices/generate');
+      }
 
-      const student = await Student.findById(studentId)
-        .populate('user', 'firstName lastName email phone')
-        .populate('feeStructure');
+      const [student, feeStructure] = await Promise.all([
+        Student.findByUserId(studentId),
+        FeeStructure.findById(feeStructureId)
+      ]);
 
       if (!student) {
-        return res.status(404).json({
-          success: false,
-          message: 'Student not found'
-        });
+        req.flash('error_msg', 'Student not found');
+        return res.redirect('/finance/invoices/generate');
       }
 
-      const feeStructure = await FeeStructure.findById(feeStructureId || student.feeStructure);
       if (!feeStructure) {
-        return res.status(404).json({
-          success: false,
-          message: 'Fee structure not found'
-        });
+        req.flash('error_msg', 'Fee structure not found');
+        return res.redirect('/finance/invoices/generate');
       }
 
-      // Calculate total amount
-      const additionalAmount = additionalCharges.reduce((sum, charge) => sum + charge.amount, 0);
-      const totalAmount = feeStructure.amount + additionalAmount;
-
-      // Generate invoice number
-      const invoiceCount = await Invoice.countDocuments();
-      const invoiceNumber = `INV-${new Date().getFullYear()}-${(invoiceCount + 1).toString().padStart(5, '0')}`;
-
-      const invoice = new Invoice({
-        invoiceNumber,
-        student: studentId,
-        feeStructure: feeStructure._id,
-        academicYear: student.academicYear,
-        semester: student.semester,
-        dueDate: dueDate || feeStructure.dueDate,
-        items: [
-          {
-            description: feeStructure.name,
-            amount: feeStructure.amount,
-            quantity: 1
-          },
-          ...additionalCharges
-        ],
-        totalAmount,
-        status: 'pending',
-        generatedBy: req.user.id
-      });
-
-      await invoice.save();
-
-      // Update student's fee balance
-      student.totalFees = (student.totalFees || 0) + totalAmount;
-      student.feeBalance = (student.feeBalance || 0) + totalAmount;
-      await student.save();
+      // Blank rows from the form are skipped; qs may hand back an object for sparse indexes
+      const additionalCharges = Object.values(req.body.additionalCharges || {})
+        .filter(charge => charge.description && parseFloat(charge.amount) > 0)
+        .map(charge => ({
+          description: charge.description.trim(),
+          quantity: parseInt(charge.quantity) || 1,
+          unit_price: parseFloat(charge.amount)
+        }));
+
+      const items = [
+        { description: feeStructure.name, quantity: 1, unit_price: parseFloat(feeStructure.amount) },
+        ...additionalCharges
+      ];
+
+      const { id } = await Invoice.create({
+        student_id: student.id,
+        fee_structure_id: feeStructure.id,
+        academic_year: feeStructure.academic_year,
+        semester: feeStructure.semester,
+        due_date: dueDate,
+        notes: notes || null,
+        generated_by: req.user.id
+      }, items);
+
+      if (action === 'save_send') {
+        const invoice = await Invoice.findById(id);
+        const result = await emailInvoice(invoice, req.user.id);
+
+        if (result.success) {
+          req.flash('success_msg', `Invoice ${invoice.invoice_number} generated and sent to ${invoice.student_email}`);
+        } else {
+          req.flash('error_msg', `Invoice ${invoice.invoice_number} generated but could not be emailed: ${result.error}`);
+        }
+      } else {
+        req.flash('success_msg', 'Invoice generated successfully');
+      }
 
-      res.status(201).json({
-        success: true,
-        message: 'Invoice generated successfully',
-        data: invoice
-      });
+      res.redirect(`/finance/invoices/${id}`);
     } catch (error) {
       console.error('Generate invoice error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
-      });
+      req.flash('error_msg', 'Error generating invoice');
+      res.redirect('/finance/invoices/generate');
     }
   },
 
-  // Get all invoices
+  // Invoice history
   getInvoices: async (req, res) => {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const filters = {
+      status: req.query.status || '',
+      academic_year: req.query.academic_year || '',
+      semester: req.query.semester || '',
+      search: req.query.search || ''
+    };
+
     try {
-      const { studentId, status, academicYear, semester, page = 1, limit = 10 } = req.query;
-      const filter = {};
-
-      if (studentId) filter.student = studentId;
-      if (status) filter.status = status;
-      if (academicYear) filter.academicYear = academicYear;
-      if (semester) filter.semester = semester;
-
-      const invoices = await Invoice.find(filter)
-        .populate('student', 'studentId user')
-        .populate({
-          path: 'student',
-          populate: { path: 'user', select: 'firstName lastName email' }
-        })
-        .populate('feeStructure')
-        .populate('generatedBy', 'firstName lastName')
-        .sort({ createdAt: -1 })
-        .limit(limit * 1)
-        .skip((page - 1) * limit);
-
-      const total = await Invoice.countDocuments(filter);
+      const [invoicesData, stats] = await Promise.all([
+        Invoice.findAll(filters, page, limit),
+        Invoice.getStatistics()
+      ]);
 
-      res.status(200).json({
-        success: true,
-        data: {
-          invoices,
-          totalPages: Math.ceil(total / limit),
-          currentPage: page,
-          total
-        }
+      renderFinanceView(res, 'finance/invoices/history', {
+        title: 'Invoice History - EduLMS',
+        pageTitle: 'Invoice History',
+        headerActions: [
+          { url: '/finance/invoices/generate', text: 'Generate Invoice', icon: 'fas fa-plus' }
+        ],
+        invoices: invoicesData.invoices,
+        pagination: {
+          current: page,
+          pages: invoicesData.totalPages,
+          total: invoicesData.total
+        },
+        filters,
+        stats,
+        statuses: Object.values(INVOICE_STATUS),
+        currentPage: 'invoice-history'
       });
     } catch (error) {
       console.error('Get invoices error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
+      req.flash('error_msg', 'Error loading invoices');
+      renderFinanceView(res, 'finance/invoices/history', {
+        title: 'Invoice History - EduLMS',
+        invoices: [],
+        pagination: { current: 1, pages: 0, total: 0 },
+        filters,
+        stats: { statusBreakdown: [], overview: {} },
+        statuses: Object.values(INVOICE_STATUS),
+        currentPage: 'invoice-history'
       });
     }
   },
 
-  // Get invoice by ID
+  // View a single invoice
   getInvoice: async (req, res) => {
     try {
-      const { id } = req.params;
-
-      const invoice = await Invoice.findById(id)
-        .populate('student', 'studentId user')
-        .populate({
-          path: 'student',
-          populate: { path: 'user', select: 'firstName lastName email phone address' }
-        })
-        .populate('feeStructure')
-        .populate('generatedBy', 'firstName lastName');
+      const invoice = await Invoice.findById(req.params.id);
 
       if (!invoice) {
-        return res.status(404).json({
-          success: false,
-          message: 'Invoice not found'
-        });
+        req.flash('error_msg', 'Invoice not found');
+        return res.redirect('/finance/invoices/history');
       }
 
-      res.status(200).json({
-        success: true,
-        data: invoice
+      const items = await Invoice.getItems(invoice.id);
+
+      renderFinanceView(res, 'finance/invoices/view', {
+        title: `Invoice ${invoice.invoice_number} - EduLMS`,
+        pageTitle: `Invoice ${invoice.invoice_number}`,
+        breadcrumbs: [
+          { title: 'Finance', url: '/finance/dashboard' },
+          { title: 'Invoices', url: '/finance/invoices/history' },
+          { title: invoice.invoice_number, url: `/finance/invoices/${invoice.id}`, active: true }
+        ],
+        headerActions: [
+          { url: `/finance/invoices/${invoice.id}/download`, text: 'Download PDF', icon: 'fas fa-file-pdf', class: 'btn-outline-danger' }
+        ],
+        invoice,
+        items,
+        statuses: Object.values(INVOICE_STATUS),
+        currentPage: 'invoice-history'
       });
     } catch (error) {
       console.error('Get invoice error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
+      req.flash('error_msg', 'Error loading invoice');
+      res.redirect('/finance/invoices/history');
+    }
+  },
+
+  // List pending invoices that have not been emailed yet
+  showSendInvoices: async (req, res) => {
+    try {
+      const invoicesData = await Invoice.findAll({ status: INVOICE_STATUS.PENDING, unsent: true }, 1, 200);
+
+      renderFinanceView(res, 'finance/invoices/send', {
+        title: 'Send Invoices - EduLMS',
+        pageTitle: 'Send Invoices',
+        invoices: invoicesData.invoices,
+        currentPage: 'send-invoice'
       });
+    } catch (error) {
+      console.error('Show send invoices error:', error);
+      req.flash('error_msg', 'Error loading unsent invoices');
+      res.redirect('/finance/invoices/history');
+    }
+  },
+
+  // Email a batch of selected invoices
+  sendInvoices: async (req, res) => {
+    try {
+      const invoiceIds = [].concat(req.body.invoice_ids || []);
+
+      if (invoiceIds.length === 0) {
+        req.flash('error_msg', 'Please select at least one invoice to send');
+        return res.redirect('/finance/invoices/send');
+      }
+
+      let sent = 0;
+      const failed = [];
+
+      for (const invoiceId of invoiceIds) {
+        const invoice = await Invoice.findById(invoiceId);
+        if (!invoice) continue;
+
+        const result = await emailInvoice(invoice, req.user.id);
+        if (result.success) {
+          sent++;
+        } else {
+          failed.push(invoice.invoice_number);
+        }
+      }
+
+      if (sent > 0) {
+        req.flash('success_msg', `${sent} invoice(s) sent successfully`);
+      }
+      if (failed.length > 0) {
+        req.flash('error_msg', `Could not send: ${failed.join(', ')}`);
+      }
+
+      res.redirect('/finance/invoices/send');
+    } catch (error) {
+      console.error('Send invoices error:', error);
+      req.flash('error_msg', 'Error sending invoices');
+      res.redirect('/finance/invoices/send');
     }
   },
 
   // Send invoice via email
   sendInvoice: async (req, res) => {
     try {
-      const { id } = req.params;
-
-      const invoice = await Invoice.findById(id)
-        .populate('student')
-        .populate({
-          path: 'student',
-          populate: { path: 'user', select: 'firstName lastName email' }
-        })
-        .populate('feeStructure');
+      const invoice = await Invoice.findById(req.params.id);
 
       if (!invoice) {
-        return res.status(404).json({
-          success: false,
-          message: 'Invoice not found'
-        });
+        req.flash('error_msg', 'Invoice not found');
+        return res.redirect('/finance/invoices/history');
       }
 
-      // Generate PDF invoice
-      const pdfBuffer = await pdfService.generateInvoice(invoice);
-
-      // Send email with PDF attachment
-      await emailService.sendInvoice(
-        invoice.student.user.email,
-        invoice.student.user.firstName,
-        invoice,
-        pdfBuffer
-      );
+      const result = await emailInvoice(invoice, req.user.id);
 
-      invoice.sentAt = new Date();
-      invoice.sentBy = req.user.id;
-      await invoice.save();
+      if (result.success) {
+        req.flash('success_msg', `Invoice sent to ${invoice.student_email}`);
+      } else {
+        req.flash('error_msg', `Could not send invoice: ${result.error}`);
+      }
 
-      res.status(200).json({
-        success: true,
-        message: 'Invoice sent successfully'
-      });
+      res.redirect(`/finance/invoices/${invoice.id}`);
     } catch (error) {
       console.error('Send invoice error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
-      });
+      req.flash('error_msg', 'Error sending invoice');
+      res.redirect(`/finance/invoices/${req.params.id}`);
     }
   },
 
   // Download invoice as PDF
   downloadInvoice: async (req, res) => {
     try {
-      const { id } = req.params;
-
-      const invoice = await Invoice.findById(id)
-        .populate('student')
-        .populate({
-          path: 'student',
-          populate: { path: 'user', select: 'firstName lastName email phone address' }
-        })
-        .populate('feeStructure');
+      const invoice = await Invoice.findById(req.params.id);
 
       if (!invoice) {
-        return res.status(404).json({
-          success: false,
-          message: 'Invoice not found'
-        });
+        req.flash('error_msg', 'Invoice not found');
+        return res.redirect('/finance/invoices/history');
       }
 
-      const pdfBuffer = await pdfService.generateInvoice(invoice);
+      const pdfBuffer = await buildInvoicePdf(invoice);
 
       res.set({
         'Content-Type': 'application/pdf',
-        'Content-Disposition': `attachment; filename=invoice-${invoice.invoiceNumber}.pdf`
+        'Content-Disposition': `attachment; filename=invoice-${invoice.invoice_number}.pdf`
       });
 
       res.send(pdfBuffer);
     } catch (error) {
       console.error('Download invoice error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
-      });
+      req.flash('error_msg', 'Error generating invoice PDF');
+      res.redirect(`/finance/invoices/${req.params.id}`);
     }
   },
 
   // Update invoice status
   updateInvoiceStatus: async (req, res) => {
     try {
-      const { id } = req.params;
       const { status } = req.body;
 
-      const validStatuses = ['pending', 'paid', 'overdue', 'cancelled'];
-      if (!validStatuses.includes(status)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid status'
-        });
+      if (!Object.values(INVOICE_STATUS).includes(status)) {
+        req.flash('error_msg', 'Invalid status');
+        return res.redirect(`/finance/invoices/${req.params.id}`);
       }
 
-      const invoice = await Invoice.findByIdAndUpdate(
-        id,
-        { status, updatedBy: req.user.id },
-        { new: true }
-      );
+      const updated = await Invoice.updateStatus(req.params.id, status, req.user.id);
 
-      if (!invoice) {
-        return res.status(404).json({
-          success: false,
-          message: 'Invoice not found'
-        });
+      if (!updated) {
+        req.flash('error_msg', 'Invoice not found');
+        return res.redirect('/finance/invoices/history');
       }
 
-      res.status(200).json({
-        success: true,
-        message: 'Invoice status updated successfully',
-        data: invoice
-      });
+      req.flash('success_msg', 'Invoice status updated successfully');
+      res.redirect(`/finance/invoices/${req.params.id}`);
     } catch (error) {
       console.error('Update invoice status error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Internal server error',
-        error: error.message
-      });
+      req.flash('error_msg', 'Error updating invoice status');
+      res.redirect(`/finance/invoices/${req.params.id}`);
     }
   },
 
   // Get invoice statistics
   getInvoiceStats: async (req, res) => {
     try {
-      const stats = await Invoice.aggregate([
-        {
-          $group: {
-            _id: '$status',
-            count: { $sum: 1 },
-            totalAmount: { $sum: '$totalAmount' }
-          }
-        }
-      ]);
-
-      const totalStats = await Invoice.aggregate([
-        {
-          $group: {
-            _id: null,
-            totalInvoices: { $sum: 1 },
-            totalAmount: { $sum: '$totalAmount' },
-            averageAmount: { $avg: '$totalAmount' }
-          }
-        }
-      ]);
+      const stats = await Invoice.getStatistics();
 
       res.status(200).json({
         success: true,
-        data: {
-          statusBreakdown: stats,
-          overview: totalStats[0] || { totalInvoices: 0, totalAmount: 0, averageAmount: 0 }
-        }
+        data: stats
       });
     } catch (error) {
       console.error('Get invoice stats error:', error);
@@ -339,4 +386,4 @@ const invoiceController = {
   }
 };
 
-module.exports = invoiceController;
\ No newline at end of file
+module.exports = invoiceController;
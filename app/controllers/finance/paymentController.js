@@ -1,9 +1,11 @@
+const { pool } = require('../../../config/database');
 const Payment = require('../../models/Payment');
 const Student = require('../../models/Student');
 const FeeStructure = require('../../models/FeeStructure');
-const { mpesaService } = require('../../services/mpesaService');
+const mpesaService = require('../../services/mpesaService');
 const { pdfService } = require('../../services/pdfService');
 const { emailService } = require('../../services/emailService');
+const { normalizeIp } = require('../../middleware/mpesaCallback');
 const { validationResult } = require('express-validator');
 
 const paymentController = {
@@ -22,8 +24,16 @@ const paymentController = {
 
       const { studentId, amount, phoneNumber, description } = req.body;
       
+      // M-Pesa only takes whole shillings, so refuse cents before a pending payment is recorded
+      if (!Number.isInteger(Number(amount)) || Number(amount) < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Amount must be a whole number of shillings'
+        });
+      }
+
       // Find student
-      const student = await Student.findById(studentId).populate('user');
+      const student = await Student.findByUserId(studentId);
       if (!student) {
         return res.status(404).json({
           success: false,
@@ -31,38 +41,43 @@ const paymentController = {
         });
       }
 
+      // Record the pending payment first so the callback always has a row to settle
+      const callbackToken = mpesaService.generateCallbackToken();
+      const [result] = await pool.query(
+        `INSERT INTO payments (student_id, amount, payment_method, phone_number, status, callback_token)
+         VALUES (?, ?, 'mpesa', ?, 'pending', ?)`,
+        [student.id, amount, phoneNumber, callbackToken]
+      );
+
       // Initiate M-Pesa payment
       const mpesaResponse = await mpesaService.initiateSTKPush(
         phoneNumber,
         amount,
-        student.studentId,
-        description
+        student.student_id,
+        description,
+        callbackToken
       );
 
       if (mpesaResponse.success) {
-        // Create pending payment record
-        const payment = new Payment({
-          student: studentId,
-          amount,
-          paymentMethod: 'mpesa',
-          phoneNumber,
-          description,
-          reference: mpesaResponse.reference,
-          status: 'pending',
-          mpesaCheckoutId: mpesaResponse.checkoutRequestID
-        });
-
-        await payment.save();
+        await pool.query(
+          'UPDATE payments SET checkout_request_id = ? WHERE id = ?',
+          [mpesaResponse.checkoutRequestID, result.insertId]
+        );
 
         res.status(200).json({
           success: true,
           message: 'Payment initiated successfully',
           data: {
-            paymentId: payment._id,
+            paymentId: result.insertId,
             checkoutRequestID: mpesaResponse.checkoutRequestID
           }
         });
       } else {
+        await pool.query(
+          "UPDATE payments SET status = 'failed', failure_reason = ? WHERE id = ?",
+          [mpesaResponse.error, result.insertId]
+        );
+
         res.status(400).json({
           success: false,
           message: 'Failed to initiate payment',
@@ -79,53 +94,83 @@ const paymentController = {
     }
   },
 
-  // Handle M-Pesa callback
+  // Handle M-Pesa STK callback (the URL carries the token issued with the payment request)
   handleMpesaCallback: async (req, res) => {
     try {
-      const callbackData = req.body;
-      
-      // Process M-Pesa callback
-      const result = await mpesaService.processCallback(callbackData);
-      
-      if (result.success) {
-        const payment = await Payment.findOne({
-          mpesaCheckoutId: result.checkoutRequestID
-        });
+      const result = await mpesaService.receiveSTKCallback(req.body, {
+        token: req.params.token,
+        sourceIp: normalizeIp(req.ip)
+      });
 
-        if (payment) {
-          payment.status = result.status;
-          payment.transactionId = result.transactionId;
-          payment.paidAt = new Date();
-          await payment.save();
-
-          // Update student's fee balance
-          await Student.findByIdAndUpdate(
-            payment.student,
-            { 
-              $inc: { feeBalance: -payment.amount },
-              $push: { paymentHistory: payment._id }
-            }
-          );
-
-          // Send confirmation email
-          const student = await Student.findById(payment.student).populate('user');
-          if (student && student.user.email) {
-            await emailService.sendPaymentConfirmation(
-              student.user.email,
-              student.user.firstName,
-              payment
-            );
-          }
-        }
+      if (!result.accepted) {
+        return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
       }
 
-      res.status(200).json({ success: true });
+      // Failed processing stays in the callback inbox for an admin to retry
+      res.status(200).json({ ResultCode: 0, ResultDesc: 'Accepted' });
     } catch (error) {
       console.error('Callback processing error:', error);
-      res.status(500).json({ success: false, error: error.message });
+      res.status(500).json({ ResultCode: 1, ResultDesc: 'Failed' });
     }
   },
 
+  // Register C2B paybill URLs with M-Pesa
+  registerC2BUrls: async (req, res) => {
+    try {
+      const result = await mpesaService.registerC2BUrls();
+
+      res.status(result.success ? 200 : 502).json({
+        success: result.success,
+        message: result.success ? 'C2B URLs registered successfully' : 'Failed to register C2B URLs',
+        data: result.response,
+        error: result.error
+      });
+    } catch (error) {
+      console.error('C2B URL registration error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message
+      });
+    }
+  },
+
+  // Handle M-Pesa C2B validation (M-Pesa expects a ResultCode/ResultDesc body)
+  handleC2BValidation: async (req, res) => {
+    const result = await mpesaService.validateC2BPayment(req.body);
+    res.status(200).json(result);
+  },
+
+  // Handle M-Pesa C2B confirmation
+  handleC2BConfirmation: async (req, res) => {
+    const result = await mpesaService.handleC2BConfirmation(req.body);
+    res.status(200).json(result);
+  },
+
+  // Handle M-Pesa B2C refund results
+  handleB2CResult: async (req, res) => {
+    const result = await mpesaService.handleB2CResult(req.body);
+    res.status(200).json(result);
+  },
+
+  // Handle M-Pesa B2C refund queue timeouts
+  handleB2CTimeout: async (req, res) => {
+    const result = await mpesaService.handleB2CTimeout(req.body);
+    res.status(200).json(result);
+  },
+
+  // Handle M-Pesa Transaction Status results for refunds with an unknown outcome
+  handleTransactionStatusResult: async (req, res) => {
+    const result = await mpesaService.handleTransactionStatusResult(req.body);
+    res.status(200).json(result);
+  },
+
+  // Handle M-Pesa Transaction Status queue timeouts
+  handleTransactionStatusTimeout: async (req, res) => {
+    const result = await mpesaService.handleTransactionStatusTimeout(req.body);
+    res.status(200).json(result);
+  },
+
   // Get payment history
   getPaymentHistory: async (req, res) => {
     try {
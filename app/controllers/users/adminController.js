@@ -1,6 +1,26 @@
 // app/controllers/users/adminController.js - UPDATED WITH ALL MISSING METHODS
 const { pool } = require('../../../config/database');
 const bcrypt = require('bcryptjs');
+const MpesaCallback = require('../../models/MpesaCallback');
+const User = require('../../models/User');
+const Session = require('../../models/Session');
+const Role = require('../../models/Role');
+const mpesaService = require('../../services/mpesaService');
+const twoFactorService = require('../../services/twoFactorService');
+const tokenService = require('../../services/tokenService');
+const apiKeyService = require('../../services/apiKeyService');
+const permissionService = require('../../services/permissionService');
+const impersonationService = require('../../services/impersonationService');
+const userImportService = require('../../services/userImportService');
+const loginSecurityService = require('../../services/loginSecurityService');
+const sessionService = require('../../services/sessionService');
+const gradebookService = require('../../services/gradebookService');
+const academicStandingService = require('../../services/academicStandingService');
+const GradingScale = require('../../models/GradingScale');
+const AcademicTerm = require('../../models/AcademicTerm');
+const StudentStanding = require('../../models/StudentStanding');
+const AuditLog = require('../../models/AuditLog');
+const { CALLBACK_STATUS, ROLES: ACCOUNT_ROLES } = require('../../../config/constants');
 
 // Simple utility functions
 const Generators = {
@@ -64,6 +84,23 @@ const getUserWithInitials = (user) => {
   };
 };
 
+// API keys page. A newly created key is passed in once and never stored.
+const renderApiKeys = async (req, res, newKey = null) => {
+  const { serviceAccounts, apiKeys } = await apiKeyService.getOverview();
+
+  res.render('admin/system/api-keys', {
+    title: 'API Keys - EduLMS',
+    layout: 'layouts/admin-layout',
+    currentUser: getUserWithInitials(req.user || {}),
+    currentPage: 'system',
+    serviceAccounts,
+    apiKeys,
+    scopes: apiKeyService.scopes,
+    serviceAccountRoles: apiKeyService.serviceAccountRoles,
+    newKey
+  });
+};
+
 const AdminController = {
   // Admin Dashboard
   async dashboard(req, res) {
@@ -174,7 +211,7 @@ const AdminController = {
         layout: 'layouts/admin-layout',
         currentUser: getUserWithInitials(req.user || {}),
         currentPage: 'users',
-        roles: Object.values(ROLES),
+        roles: await Role.findAll(),
         formData: {}
       });
     } catch (error) {
@@ -198,13 +235,22 @@ const AdminController = {
 
       const user = users[0];
       const userWithData = getUserWithInitials(user);
+      const account = await User.findById(userId);
+      const twoFactor = await twoFactorService.getStatus(account);
+      const impersonationBlockedBy = permissionService.can(req.user, 'users.impersonate')
+        ? await impersonationService.getBlockReason(req.user, account)
+        : 'You do not have permission to impersonate users';
+      const sessions = await sessionService.listForUser(account.id);
 
       res.render('admin/users/view', {
         title: 'User Details - EduLMS',
         layout: 'layouts/admin-layout',
         currentUser: getUserWithInitials(req.user || {}),
         currentPage: 'users',
-        viewUser: userWithData
+        viewUser: userWithData,
+        twoFactor,
+        impersonationBlockedBy,
+        sessions
       });
     } catch (error) {
       console.error('Show user error:', error);
@@ -280,21 +326,24 @@ const AdminController = {
       const tempPassword = Generators.generatePassword();
       const hashedPassword = await bcrypt.hash(tempPassword, 12);
 
-      // Determine role_id based on role
-      let roleId = 1; // default to admin
+      // Any role in the roles table can be given, including custom ones
+      const roleRecord = await Role.findByName(role);
+      if (!roleRecord) {
+        req.flash('error', 'Unknown role');
+        return res.redirect('/admin/users/create');
+      }
+
+      const roleId = roleRecord.id;
       let studentId = null;
       let teacherId = null;
       let employeeId = null;
 
-      if (role === 'student') {
-        roleId = 2;
+      if (role === ACCOUNT_ROLES.STUDENT) {
         studentId = Generators.generateStudentId();
-      } else if (role === 'instructor') {
-        roleId = 3;
+      } else if (role === ACCOUNT_ROLES.INSTRUCTOR) {
         teacherId = Generators.generateInstructorId();
         employeeId = `EMP${Date.now().toString().slice(-6)}`;
-      } else if (role === 'finance') {
-        roleId = 4;
+      } else if (role !== ACCOUNT_ROLES.ADMIN) {
         employeeId = `EMP${Date.now().toString().slice(-6)}`;
       }
 
@@ -321,6 +370,107 @@ const AdminController = {
     }
   },
 
+  // Bulk user import: upload form
+  async showUserImport(req, res) {
+    try {
+      res.render('admin/users/import', {
+        title: 'Import Users - EduLMS',
+        layout: 'layouts/admin-layout',
+        currentUser: getUserWithInitials(req.user || {}),
+        currentPage: 'users',
+        roles: await userImportService.getImportableRoles(),
+        maxRows: userImportService.maxRows,
+        preview: null
+      });
+    } catch (error) {
+      console.error('Show user import error:', error);
+      req.flash('error', 'Error loading the import page');
+      res.redirect('/admin/users');
+    }
+  },
+
+  // Bulk user import, step 1: a dry run showing what would happen to each row
+  async previewUserImport(req, res) {
+    try {
+      if (!req.file) {
+        req.flash('error', 'Please choose a CSV or XLSX file to import');
+        return res.redirect('/admin/users/import');
+      }
+
+      const preview = await userImportService.preview(req.file, req.body.defaultRole);
+
+      // Only the rows that would be created are kept for the confirm step
+      req.session.userImport = {
+        fileName: req.file.originalname,
+        rows: preview.rows
+          .filter(row => row.status === userImportService.rowStatus.NEW)
+          .map(({ rowNumber, name, email, phone, role }) => ({ rowNumber, name, email, phone, role }))
+      };
+
+      res.render('admin/users/import', {
+        title: 'Import Users - EduLMS',
+        layout: 'layouts/admin-layout',
+        currentUser: getUserWithInitials(req.user || {}),
+        currentPage: 'users',
+        roles: await userImportService.getImportableRoles(),
+        maxRows: userImportService.maxRows,
+        fileName: req.file.originalname,
+        preview
+      });
+    } catch (error) {
+      console.error('Preview user import error:', error);
+      req.flash('error', 'Error reading the file: ' + error.message);
+      res.redirect('/admin/users/import');
+    }
+  },
+
+  // Bulk user import, step 2: create the previewed accounts
+  async confirmUserImport(req, res) {
+    const pending = req.session.userImport;
+
+    try {
+      if (!pending || pending.rows.length === 0) {
+        req.flash('error', 'Nothing to import. Upload the file again to preview it.');
+        return res.redirect('/admin/users/import');
+      }
+
+      delete req.session.userImport;
+
+      const { created, skipped } = await userImportService.importUsers(pending.rows, {
+        fileName: pending.fileName,
+        importedBy: req.user.id,
+        ipAddress: req.ip
+      });
+
+      let message = `${created.length} account(s) created from ${pending.fileName}`;
+      if (skipped > 0) {
+        message += `; ${skipped} row(s) skipped because the email was taken after the preview`;
+      }
+
+      if (req.body.sendWelcomeEmails && created.length > 0) {
+        // A large intake would hold up the page, so the emails go out after the response
+        userImportService.sendWelcomeEmails(created, { importedBy: req.user.id, ipAddress: req.ip })
+          .catch(error => console.error('Welcome emails error:', error));
+        message += '. Welcome emails with a link to choose a password are on their way.';
+      } else {
+        message += '. The new users can set a password with "Forgot password".';
+      }
+
+      req.flash('success', message);
+      res.redirect('/admin/users');
+    } catch (error) {
+      console.error('Confirm user import error:', error);
+      req.flash('error', 'No accounts were created: ' + error.message);
+      res.redirect('/admin/users/import');
+    }
+  },
+
+  // CSV with the columns the import expects
+  async downloadUserImportTemplate(req, res) {
+    res.attachment('user-import-template.csv');
+    res.type('text/csv').send(userImportService.getTemplate());
+  },
+
   // View User Details
   async viewUser(req, res) {
     try {
@@ -335,13 +485,22 @@ const AdminController = {
 
       const user = users[0];
       const userWithData = getUserWithInitials(user);
+      const account = await User.findById(userId);
+      const twoFactor = await twoFactorService.getStatus(account);
+      const impersonationBlockedBy = permissionService.can(req.user, 'users.impersonate')
+        ? await impersonationService.getBlockReason(req.user, account)
+        : 'You do not have permission to impersonate users';
+      const sessions = await sessionService.listForUser(account.id);
 
       res.render('admin/users/view', {
         title: 'User Details - EduLMS',
         layout: 'layouts/admin-layout',
         currentUser: getUserWithInitials(req.user || {}),
         currentPage: 'users',
-        viewUser: userWithData
+        viewUser: userWithData,
+        twoFactor,
+        impersonationBlockedBy,
+        sessions
       });
 
     } catch (error) {
@@ -394,11 +553,23 @@ const AdminController = {
         return res.redirect(`/admin/users/edit/${userId}`);
       }
 
+      const previous = await User.findById(userId);
+
       await pool.execute(
         'UPDATE users SET name = ?, email = ?, phone = ?, is_active = ? WHERE id = ?',
         [name, email, phone, is_active ? 1 : 0, userId]
       );
 
+      // A deactivated user must not keep using a session they already hold
+      if (previous && previous.is_active && !is_active) {
+        await sessionService.forceLogout(previous.id, {
+          actorId: req.user.id,
+          reason: 'account deactivated',
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+      }
+
       req.flash('success', 'User updated successfully');
       res.redirect('/admin/users');
 
@@ -440,6 +611,84 @@ const AdminController = {
     }
   },
 
+  // Clear a user's two-factor setup (lost phone and recovery codes) and sign them out
+  async resetTwoFactor(req, res) {
+    const userId = req.params.id;
+
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        req.flash('error', 'User not found');
+        return res.redirect('/admin/users');
+      }
+
+      await twoFactorService.disable(user.id);
+      const signedOut = await Session.destroyForUser(user.id);
+      await tokenService.revokeAllForUser(user.id);
+
+      await AuditLog.record({
+        userId: req.user.id,
+        action: 'two_factor_reset',
+        resourceType: 'user',
+        resourceId: user.id,
+        description: `Reset two-factor authentication for ${user.email}; ${signedOut} session(s) ended`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      req.flash('success', `Two-factor authentication reset for ${user.name}. They will be asked to set it up again if their role requires it.`);
+      res.redirect(`/admin/users/${user.id}`);
+    } catch (error) {
+      console.error('Reset two-factor error:', error);
+      req.flash('error', 'Error resetting two-factor authentication: ' + error.message);
+      res.redirect(`/admin/users/${userId}`);
+    }
+  },
+
+  // See the site as this user. Changes they make are audited under the admin's id.
+  async impersonateUser(req, res) {
+    try {
+      const target = await impersonationService.start(req.user, req.params.id, req.session, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      req.flash('success', `You are now seeing EduLMS as ${target.name}. Use the banner at the top of the page to stop.`);
+      res.redirect('/dashboard');
+    } catch (error) {
+      console.error('Impersonate user error:', error);
+      req.flash('error', 'Cannot impersonate this user: ' + error.message);
+      res.redirect(`/admin/users/${req.params.id}`);
+    }
+  },
+
+  // Sign a user out on every device, e.g. after a lost laptop or a suspected compromise
+  async forceLogoutUser(req, res) {
+    const userId = req.params.id;
+
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        req.flash('error', 'User not found');
+        return res.redirect('/admin/users');
+      }
+
+      const signedOut = await sessionService.forceLogout(user.id, {
+        actorId: req.user.id,
+        reason: `signed out by ${req.user.email}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      req.flash('success', `${user.name} was signed out everywhere; ${signedOut} session(s) ended`);
+    } catch (error) {
+      console.error('Force logout error:', error);
+      req.flash('error', 'Error signing the user out: ' + error.message);
+    }
+
+    res.redirect(`/admin/users/${userId}`);
+  },
+
   // System Settings - ADDED MISSING METHOD
   async systemSettings(req, res) {
     try {
@@ -448,7 +697,10 @@ const AdminController = {
         layout: 'layouts/admin-layout',
         currentUser: getUserWithInitials(req.user || {}),
         currentPage: 'system',
-        settings: {}
+        settings: {},
+        roles: Object.values(ACCOUNT_ROLES),
+        twoFactorRoles: await twoFactorService.getRequiredRoles(),
+        sessionLocations: sessionService.formatIpLocations(await sessionService.getIpLocations())
       });
     } catch (error) {
       console.error('System settings error:', error);
@@ -474,6 +726,55 @@ const AdminController = {
     }
   },
 
+  // Choose which roles must sign in with two-factor authentication
+  async updateTwoFactorPolicy(req, res) {
+    try {
+      const roles = [].concat(req.body.required_roles || [])
+        .filter(role => Object.values(ACCOUNT_ROLES).includes(role));
+
+      await twoFactorService.setRequiredRoles(roles, req.user.id);
+
+      await AuditLog.record({
+        userId: req.user.id,
+        action: 'two_factor_policy_update',
+        resourceType: 'system_setting',
+        description: `Two-factor required for: ${roles.join(', ') || 'no roles'}`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      req.flash('success', 'Two-factor policy updated. It applies from each user\'s next sign in.');
+      res.redirect('/admin/system/settings');
+    } catch (error) {
+      console.error('Update two-factor policy error:', error);
+      req.flash('error', 'Error updating two-factor policy: ' + error.message);
+      res.redirect('/admin/system/settings');
+    }
+  },
+
+  // Name IP ranges so the sessions pages can show where each device signed in from
+  async updateSessionLocations(req, res) {
+    try {
+      const locations = await sessionService.setIpLocations(req.body.session_locations, req.user.id);
+
+      await AuditLog.record({
+        userId: req.user.id,
+        action: 'session_locations_update',
+        resourceType: 'system_setting',
+        description: `Session locations set to ${locations.length} IP range(s)`,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      req.flash('success', 'Session locations updated');
+    } catch (error) {
+      console.error('Update session locations error:', error.message);
+      req.flash('error', 'Error updating session locations: ' + error.message);
+    }
+
+    res.redirect('/admin/system/settings');
+  },
+
   // Finance Overview
   async financeOverview(req, res) {
     try {
@@ -905,6 +1206,58 @@ const AdminController = {
     }
   },
 
+  // M-Pesa callback inbox
+  async listMpesaCallbacks(req, res) {
+    try {
+      const status = req.query.status || '';
+      const page = parseInt(req.query.page) || 1;
+      const result = await MpesaCallback.findAll({ status }, page, 25);
+
+      res.render('admin/finance/mpesa-callbacks', {
+        title: 'M-Pesa Callbacks - EduLMS',
+        layout: 'layouts/admin-layout',
+        currentUser: getUserWithInitials(req.user || {}),
+        currentPage: 'mpesa-callbacks',
+        callbacks: result.callbacks,
+        pagination: { current: result.page, pages: result.totalPages, total: result.total },
+        statuses: Object.values(CALLBACK_STATUS),
+        filters: { status }
+      });
+    } catch (error) {
+      console.error('List M-Pesa callbacks error:', error);
+      req.flash('error', 'Error loading M-Pesa callbacks');
+      res.redirect('/admin/finance/overview');
+    }
+  },
+
+  // Re-run processing for a failed M-Pesa callback
+  async retryMpesaCallback(req, res) {
+    try {
+      const result = await mpesaService.retryCallback(req.params.id);
+
+      if (result.success) {
+        await AuditLog.record({
+          userId: req.user.id,
+          action: 'mpesa_callback_retry',
+          resourceType: 'mpesa_callback',
+          resourceId: req.params.id,
+          description: `Reprocessed M-Pesa callback ${req.params.id}`,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        });
+        req.flash('success', 'Callback processed successfully');
+      } else {
+        req.flash('error', `Callback failed again: ${result.error}`);
+      }
+
+      res.redirect('/admin/finance/mpesa-callbacks?status=failed');
+    } catch (error) {
+      console.error('Retry M-Pesa callback error:', error);
+      req.flash('error', 'Error retrying callback: ' + error.message);
+      res.redirect('/admin/finance/mpesa-callbacks');
+    }
+  },
+
   async listFeeStructures(req, res) {
     try {
       const [feeStructures] = await pool.execute(`
@@ -1014,20 +1367,28 @@ const AdminController = {
 
   async listAuditLogs(req, res) {
     try {
-      const [auditLogs] = await pool.execute(`
+      const filters = { action: req.query.action || '' };
+
+      const [auditLogs] = await pool.query(`
         SELECT a.*, u.name as user_name
         FROM audit_logs a
         LEFT JOIN users u ON a.user_id = u.id
+        ${filters.action ? 'WHERE a.action = ?' : ''}
         ORDER BY a.created_at DESC
         LIMIT 100
-      `);
+      `, filters.action ? [filters.action] : []);
+
+      const [actions] = await pool.query('SELECT DISTINCT action FROM audit_logs ORDER BY action');
 
       res.render('admin/system/audit-logs', {
         title: 'Audit Logs - EduLMS',
         layout: 'layouts/admin-layout',
         currentUser: getUserWithInitials(req.user || {}),
         currentPage: 'system',
-        auditLogs: auditLogs || []
+        auditLogs: auditLogs || [],
+        actions: actions.map(row => row.action),
+        filters,
+        security: await loginSecurityService.getSecurityOverview()
       });
     } catch (error) {
       console.error('List audit logs error:', error);
@@ -1036,6 +1397,286 @@ const AdminController = {
     }
   },
 
+  // Lift an account or IP lockout from the security review
+  async unlockLockout(req, res) {
+    try {
+      const unlocked = await loginSecurityService.unlockByAdmin(req.params.id, req.user, req.ip);
+
+      if (unlocked) {
+        req.flash('success', 'Lockout lifted');
+      } else {
+        req.flash('error', 'That lockout has already expired or been lifted');
+      }
+
+      res.redirect('/admin/system/audit-logs');
+    } catch (error) {
+      console.error('Unlock lockout error:', error);
+      req.flash('error', 'Error lifting lockout: ' + error.message);
+      res.redirect('/admin/system/audit-logs');
+    }
+  },
+
+  // Roles and what each one is allowed to do
+  async listRoles(req, res) {
+    try {
+      res.render('admin/system/roles', {
+        title: 'Roles & Permissions - EduLMS',
+        layout: 'layouts/admin-layout',
+        currentUser: getUserWithInitials(req.user || {}),
+        currentPage: 'system',
+        roles: await permissionService.getOverview(),
+        permissionGroups: permissionService.getGroupedPermissions()
+      });
+    } catch (error) {
+      console.error('List roles error:', error);
+      req.flash('error', 'Error loading roles');
+      res.redirect('/admin/dashboard');
+    }
+  },
+
+  async createRole(req, res) {
+    try {
+      const role = await permissionService.createRole({
+        name: req.body.name,
+        displayName: req.body.displayName,
+        description: req.body.description,
+        permissions: req.body.permissions
+      }, req.user, req.ip);
+
+      req.flash('success', `Role ${role.displayName} created. Assign it to users when creating their accounts.`);
+      res.redirect('/admin/system/roles');
+    } catch (error) {
+      console.error('Create role error:', error);
+      req.flash('error', 'Error creating role: ' + error.message);
+      res.redirect('/admin/system/roles');
+    }
+  },
+
+  async updateRolePermissions(req, res) {
+    try {
+      const { role, added, removed } = await permissionService.updateRolePermissions(
+        req.params.id, req.body.permissions, req.user, req.ip
+      );
+
+      req.flash('success', added.length || removed.length
+        ? `${role.display_name || role.name}: ${added.length} permission(s) added, ${removed.length} removed`
+        : `No changes to ${role.display_name || role.name}`);
+      res.redirect('/admin/system/roles');
+    } catch (error) {
+      console.error('Update role permissions error:', error);
+      req.flash('error', 'Error updating permissions: ' + error.message);
+      res.redirect('/admin/system/roles');
+    }
+  },
+
+  async deleteRole(req, res) {
+    try {
+      const role = await permissionService.deleteRole(req.params.id, req.user, req.ip);
+      req.flash('success', `Role ${role.display_name || role.name} deleted`);
+      res.redirect('/admin/system/roles');
+    } catch (error) {
+      console.error('Delete role error:', error);
+      req.flash('error', 'Error deleting role: ' + error.message);
+      res.redirect('/admin/system/roles');
+    }
+  },
+
+  // Institution grading scales; courses use the default unless they pick another or define their own
+  async listGradingScales(req, res) {
+    try {
+      const scales = await GradingScale.findAll();
+
+      res.render('admin/system/grading-scales', {
+        title: 'Grading Scales - EduLMS',
+        layout: 'layouts/admin-layout',
+        currentUser: getUserWithInitials(req.user || {}),
+        currentPage: 'grading-scales',
+        scales: scales.map(scale => ({ ...scale, bandsText: gradebookService.formatBands(scale.bands) }))
+      });
+    } catch (error) {
+      console.error('List grading scales error:', error);
+      req.flash('error', 'Error loading grading scales');
+      res.redirect('/admin/dashboard');
+    }
+  },
+
+  async saveGradingScale(req, res) {
+    try {
+      const scale = await gradebookService.saveScale({
+        id: req.body.id ? parseInt(req.body.id) : null,
+        name: req.body.name,
+        bands: req.body.bands
+      }, req.user, req.ip);
+
+      req.flash('success', `Grading scale ${scale.name} saved`);
+      res.redirect('/admin/system/grading-scales');
+    } catch (error) {
+      console.error('Save grading scale error:', error);
+      req.flash('error', 'Error saving grading scale: ' + error.message);
+      res.redirect('/admin/system/grading-scales');
+    }
+  },
+
+  async setDefaultGradingScale(req, res) {
+    try {
+      const scale = await gradebookService.setDefaultScale(req.params.id, req.user, req.ip);
+      req.flash('success', `${scale.name} is now the default grading scale`);
+      res.redirect('/admin/system/grading-scales');
+    } catch (error) {
+      console.error('Set default grading scale error:', error);
+      req.flash('error', 'Error changing the default scale: ' + error.message);
+      res.redirect('/admin/system/grading-scales');
+    }
+  },
+
+  async deleteGradingScale(req, res) {
+    try {
+      const scale = await gradebookService.deleteScale(req.params.id, req.user, req.ip);
+      req.flash('success', `Grading scale ${scale.name} deleted`);
+      res.redirect('/admin/system/grading-scales');
+    } catch (error) {
+      console.error('Delete grading scale error:', error);
+      req.flash('error', 'Error deleting grading scale: ' + error.message);
+      res.redirect('/admin/system/grading-scales');
+    }
+  },
+
+  // Standing rules, terms and who each closed term put on probation, discontinued or on the dean's list
+  async academicStanding(req, res) {
+    try {
+      await AcademicTerm.syncFromCourses();
+
+      const [settings, allTerms] = await Promise.all([
+        academicStandingService.getSettings(),
+        AcademicTerm.findAll()
+      ]);
+      const terms = allTerms.map(term => ({ ...term, label: academicStandingService.describeTerm(term) }));
+
+      const selectedTerm = terms.find(term => term.id === parseInt(req.query.term)) ||
+        terms.find(term => term.closed_at) || null;
+      const notable = selectedTerm && selectedTerm.closed_at
+        ? await StudentStanding.findNotableByTerm(selectedTerm.id)
+        : [];
+
+      res.render('admin/academic/standing', {
+        title: 'Academic Standing - EduLMS',
+        layout: 'layouts/admin-layout',
+        currentUser: getUserWithInitials(req.user || {}),
+        currentPage: 'academic-standing',
+        settings,
+        terms,
+        selectedTerm,
+        notable
+      });
+    } catch (error) {
+      console.error('Academic standing error:', error);
+      req.flash('error', 'Error loading academic standing');
+      res.redirect('/admin/dashboard');
+    }
+  },
+
+  async saveStandingRules(req, res) {
+    try {
+      await academicStandingService.saveSettings(req.body, req.user, req.ip);
+      req.flash('success', 'Standing rules saved. They apply from the next time standing is computed.');
+      res.redirect('/admin/academic/standing');
+    } catch (error) {
+      console.error('Save standing rules error:', error);
+      req.flash('error', 'Error saving standing rules: ' + error.message);
+      res.redirect('/admin/academic/standing');
+    }
+  },
+
+  async closeAcademicTerm(req, res) {
+    try {
+      const result = await academicStandingService.closeTerm(req.params.id, req.user, req.ip);
+      req.flash('success', `${result.term.label}: standing computed for ${result.students} student(s). ` +
+        `${result.probation} on probation, ${result.discontinued} discontinued, ${result.deansList} on the dean's list.`);
+      res.redirect(`/admin/academic/standing?term=${result.term.id}`);
+    } catch (error) {
+      console.error('Close academic term error:', error);
+      req.flash('error', 'Error closing term: ' + error.message);
+      res.redirect('/admin/academic/standing');
+    }
+  },
+
+  // Service accounts and their API keys
+  async listApiKeys(req, res) {
+    try {
+      await renderApiKeys(req, res);
+    } catch (error) {
+      console.error('List API keys error:', error);
+      req.flash('error', 'Error loading API keys');
+      res.redirect('/admin/dashboard');
+    }
+  },
+
+  async createServiceAccount(req, res) {
+    try {
+      const account = await apiKeyService.createServiceAccount(req.body, req.user, req.ip);
+      req.flash('success', `Service account ${account.name} created. Create a key for it below.`);
+      res.redirect('/admin/system/api-keys');
+    } catch (error) {
+      console.error('Create service account error:', error);
+      req.flash('error', 'Error creating service account: ' + error.message);
+      res.redirect('/admin/system/api-keys');
+    }
+  },
+
+  async deactivateServiceAccount(req, res) {
+    try {
+      const result = await apiKeyService.deactivateServiceAccount(req.params.id, req.user, req.ip);
+
+      if (result) {
+        req.flash('success', `${result.account.name} deactivated and ${result.revokedKeys} key(s) revoked`);
+      } else {
+        req.flash('error', 'Service account not found');
+      }
+
+      res.redirect('/admin/system/api-keys');
+    } catch (error) {
+      console.error('Deactivate service account error:', error);
+      req.flash('error', 'Error deactivating service account: ' + error.message);
+      res.redirect('/admin/system/api-keys');
+    }
+  },
+
+  // Rendered rather than redirected so the key is shown once and never goes into the session
+  async createApiKey(req, res) {
+    try {
+      const created = await apiKeyService.createKey({
+        userId: req.body.userId,
+        name: req.body.name,
+        scopes: req.body.scopes,
+        expiresInDays: req.body.expiresInDays
+      }, req.user, req.ip);
+
+      await renderApiKeys(req, res, created);
+    } catch (error) {
+      console.error('Create API key error:', error);
+      req.flash('error', 'Error creating API key: ' + error.message);
+      res.redirect('/admin/system/api-keys');
+    }
+  },
+
+  async revokeApiKey(req, res) {
+    try {
+      const revoked = await apiKeyService.revokeKey(req.params.id, req.user, req.ip);
+
+      if (revoked) {
+        req.flash('success', `Key ${revoked.key_prefix} revoked`);
+      } else {
+        req.flash('error', 'That key has already been revoked');
+      }
+
+      res.redirect('/admin/system/api-keys');
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      req.flash('error', 'Error revoking API key: ' + error.message);
+      res.redirect('/admin/system/api-keys');
+    }
+  },
+
   async backupManagement(req, res) {
     try {
       res.render('admin/system/backup', {
@@ -1,7 +1,50 @@
 const db = require('../../../config/database');
+const { pool, transaction } = require('../../../config/database');
 const FinanceOfficer = require('../../models/FinanceOfficer');
-const User = require('../../models/User');
-const { ROLES, FEE_TYPES } = require('../../../config/constants');
+const Student = require('../../models/Student');
+const StudentLedger = require('../../models/StudentLedger');
+const StatementImport = require('../../models/StatementImport');
+const FeeStructure = require('../../models/FeeStructure');
+const FeeSchedule = require('../../models/FeeSchedule');
+const AuditLog = require('../../models/AuditLog');
+const mpesaService = require('../../services/mpesaService');
+const paymentReconciliationService = require('../../services/paymentReconciliationService');
+const statementImportService = require('../../services/statementImportService');
+const feeReminderService = require('../../services/feeReminderService');
+const {
+  ROLES,
+  FEE_TYPES,
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  LEDGER_ENTRY_TYPES,
+  LEDGER_DIRECTIONS,
+  STATEMENT_SOURCES,
+  LATE_FEE_TYPES
+} = require('../../../config/constants');
+
+// Entry types finance officers may post by hand, with the direction each one takes
+const MANUAL_LEDGER_ENTRIES = {
+  [LEDGER_ENTRY_TYPES.FEE]: LEDGER_DIRECTIONS.DEBIT,
+  [LEDGER_ENTRY_TYPES.PENALTY]: LEDGER_DIRECTIONS.DEBIT,
+  [LEDGER_ENTRY_TYPES.SCHOLARSHIP]: LEDGER_DIRECTIONS.CREDIT,
+  [LEDGER_ENTRY_TYPES.WAIVER]: LEDGER_DIRECTIONS.CREDIT
+};
+
+// Methods a finance officer can record a payment under by hand
+const MANUAL_PAYMENT_METHODS = ['cash', 'bank_transfer', 'mpesa', 'card'];
+
+// Render a finance view with the locals the finance layout expects
+const renderFinanceView = (res, view, locals) => {
+  res.render(view, {
+    layout: 'layouts/finance-layout',
+    pageTitle: null,
+    breadcrumbs: null,
+    headerActions: null,
+    pageStyles: null,
+    pageScripts: null,
+    ...locals
+  });
+};
 
 const financeController = {
   // Finance dashboard
@@ -68,123 +111,142 @@ const financeController = {
 
   // Payment records
   paymentRecords: async (req, res) => {
-    try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
-      const status = req.query.status || '';
-      const payment_method = req.query.payment_method || '';
-      const fee_type = req.query.fee_type || '';
-      const start_date = req.query.start_date || '';
-      const end_date = req.query.end_date || '';
-      const search = req.query.search || '';
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {
+      status: req.query.status || '',
+      payment_method: req.query.payment_method || '',
+      start_date: req.query.start_date || '',
+      end_date: req.query.end_date || '',
+      search: req.query.search || ''
+    };
 
-      let query = `
-        SELECT 
-          p.*,
-          u.name as student_name,
-          u.student_id,
-          u.email as student_email,
-          fs.name as fee_name,
-          fs.fee_type,
-          verifier.name as verified_by_name,
-          CASE 
-            WHEN p.status = 'completed' THEN 'success'
-            WHEN p.status = 'pending' THEN 'warning'
-            WHEN p.status = 'failed' THEN 'danger'
-            ELSE 'secondary'
-          END as status_class
-        FROM payments p
-        JOIN users u ON p.student_id = u.id
-        LEFT JOIN fee_structures fs ON p.fee_structure_id = fs.id
-        LEFT JOIN users verifier ON p.verified_by = verifier.id
-      `;
-
-      let countQuery = `SELECT COUNT(*) as total FROM payments p JOIN users u ON p.student_id = u.id`;
-      const params = [];
+    try {
       const whereConditions = [];
+      const params = [];
 
-      // Apply filters
-      if (status) {
+      if (filters.status) {
         whereConditions.push('p.status = ?');
-        params.push(status);
+        params.push(filters.status);
       }
 
-      if (payment_method) {
+      if (filters.payment_method) {
         whereConditions.push('p.payment_method = ?');
-        params.push(payment_method);
+        params.push(filters.payment_method);
       }
 
-      if (fee_type) {
-        whereConditions.push('fs.fee_type = ?');
-        params.push(fee_type);
-      }
-
-      if (start_date) {
+      if (filters.start_date) {
         whereConditions.push('DATE(p.created_at) >= ?');
-        params.push(start_date);
+        params.push(filters.start_date);
       }
 
-      if (end_date) {
+      if (filters.end_date) {
         whereConditions.push('DATE(p.created_at) <= ?');
-        params.push(end_date);
-      }
-
-      if (search) {
-        whereConditions.push('(u.name LIKE ? OR u.student_id LIKE ? OR u.email LIKE ? OR p.mpesa_receipt_number LIKE ?)');
-        params.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+        params.push(filters.end_date);
       }
 
-      // Build WHERE clause
-      if (whereConditions.length > 0) {
-        const whereClause = ' WHERE ' + whereConditions.join(' AND ');
-        query += whereClause;
-        countQuery += whereClause;
+      if (filters.search) {
+        whereConditions.push('(u.name LIKE ? OR u.student_id LIKE ? OR u.email LIKE ? OR p.transaction_id LIKE ?)');
+        params.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
       }
 
-      query += ` ORDER BY p.created_at DESC LIMIT ? OFFSET ?`;
-      params.push(limit, (page - 1) * limit);
+      const whereClause = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
 
-      const [payments, countResult] = await Promise.all([
-        db.query(query, params),
-        db.query(countQuery, params.slice(0, -2))
+      // Unallocated paybill payments have no student, so users is outer-joined
+      const [[payments], [countResult], [summary]] = await Promise.all([
+        pool.query(`
+          SELECT
+            p.*,
+            u.name as student_name,
+            u.student_id as student_code,
+            u.email as student_email,
+            u.phone as student_phone,
+            fs.name as fee_name,
+            r.status as refund_status,
+            r.result_desc as refund_result
+          FROM payments p
+          LEFT JOIN users u ON p.student_id = u.id
+          LEFT JOIN fee_structures fs ON p.fee_structure_id = fs.id
+          LEFT JOIN payment_refunds r ON r.id = (
+            SELECT MAX(id) FROM payment_refunds WHERE payment_id = p.id
+          )
+          ${whereClause}
+          ORDER BY p.created_at DESC
+          LIMIT ? OFFSET ?
+        `, [...params, limit, (page - 1) * limit]),
+        pool.query(`
+          SELECT COUNT(*) as total
+          FROM payments p
+          LEFT JOIN users u ON p.student_id = u.id
+          ${whereClause}
+        `, params),
+        pool.query(`
+          SELECT p.status, COUNT(*) as count, SUM(p.amount) as total_amount
+          FROM payments p
+          LEFT JOIN users u ON p.student_id = u.id
+          ${whereClause}
+          GROUP BY p.status
+        `, params)
       ]);
 
-      // Get payment summary
-      const summary = await db.query(`
-        SELECT 
-          status,
-          COUNT(*) as count,
-          SUM(amount) as total_amount
-        FROM payments
-        ${whereConditions.length > 0 ? 'WHERE ' + whereConditions.join(' AND ') : ''}
-        GROUP BY status
-      `, params.slice(0, -2));
-
-      res.render('finance/payments/records', {
+      renderFinanceView(res, 'finance/payments/records', {
         title: 'Payment Records - EduLMS',
-        layout: 'layouts/finance-layout',
+        pageTitle: 'Payment Records',
+        breadcrumbs: [
+          { title: 'Finance', url: '/finance/dashboard' },
+          { title: 'Payment Records', url: '/finance/payments/records', active: true }
+        ],
         payments,
         pagination: {
           current: page,
           pages: Math.ceil(countResult[0].total / limit),
           total: countResult[0].total
         },
-        filters: { status, payment_method, fee_type, start_date, end_date, search },
+        filters,
         summary,
-        currentPage: 'payments'
+        statuses: Object.values(PAYMENT_STATUS).filter(status => status !== PAYMENT_STATUS.CANCELLED),
+        currentPage: 'payment-records'
       });
     } catch (error) {
       console.error('Payment records error:', error);
       req.flash('error_msg', 'Error loading payment records');
-      res.render('finance/payments/records', {
-        title: 'Payment Records - EduLMS',
-        layout: 'layouts/finance-layout',
-        payments: [],
-        pagination: { current: 1, pages: 0, total: 0 },
-        filters: {},
-        summary: [],
-        currentPage: 'payments'
+      res.redirect('/finance/dashboard');
+    }
+  },
+
+  // Refund a completed payment to the payer through M-Pesa B2C
+  refundPayment: async (req, res) => {
+    try {
+      const { phone, reason } = req.body;
+
+      if (!reason || !reason.trim()) {
+        req.flash('error_msg', 'Please give a reason for the refund');
+        return res.redirect('/finance/payments/records');
+      }
+
+      if (!phone || !/^(?:254|\+254|0)?[17]\d{8}$/.test(phone.replace(/\s/g, ''))) {
+        req.flash('error_msg', 'Please enter a valid M-Pesa phone number');
+        return res.redirect('/finance/payments/records');
+      }
+
+      const refund = await mpesaService.refundPayment(req.params.id, {
+        phone,
+        reason: reason.trim(),
+        requestedBy: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
       });
+
+      if (refund.status === REFUND_STATUS.UNKNOWN) {
+        req.flash('error_msg', `M-Pesa did not confirm whether it received the refund of KES ${refund.amount.toFixed(2)}. The payment stays on hold while its status is checked with M-Pesa; do not refund it again.`);
+      } else {
+        req.flash('success_msg', `Refund of KES ${refund.amount.toFixed(2)} submitted to M-Pesa. The payment will be marked refunded once M-Pesa confirms.`);
+      }
+      res.redirect('/finance/payments/records');
+    } catch (error) {
+      console.error('Refund payment error:', error);
+      req.flash('error_msg', `Refund failed: ${error.message}`);
+      res.redirect('/finance/payments/records');
     }
   },
 
@@ -593,109 +655,290 @@ const financeController = {
     }
   },
 
-  // Student fee statements
-  studentFeeStatements: async (req, res) => {
+  // Late fee rules, reminder cadence and what the daily jobs have done recently
+  feeReminders: async (req, res) => {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
-      const outstanding_only = req.query.outstanding_only === '1';
-      const search = req.query.search || '';
+      const [settings, activity] = await Promise.all([
+        feeReminderService.getSettings(),
+        feeReminderService.getActivity(parseInt(req.query.days) || 7)
+      ]);
 
-      const filters = {};
-      if (outstanding_only) filters.outstanding_only = true;
-      if (search) filters.student_search = search;
+      renderFinanceView(res, 'finance/fees/reminders', {
+        title: 'Late Fees & Reminders - EduLMS',
+        pageTitle: 'Late Fees & Reminders',
+        breadcrumbs: [
+          { title: 'Finance', url: '/finance/dashboard' },
+          { title: 'Late Fees & Reminders', url: '/finance/fees/reminders', active: true }
+        ],
+        settings,
+        activity,
+        lateFeeTypes: Object.values(LATE_FEE_TYPES),
+        channels: feeReminderService.channels,
+        currentPage: 'fee-reminders'
+      });
+    } catch (error) {
+      console.error('Fee reminders error:', error);
+      req.flash('error_msg', 'Error loading late fee and reminder settings');
+      res.redirect('/finance/dashboard');
+    }
+  },
+
+  // Save late fee rules and the reminder cadence
+  updateFeeReminderSettings: async (req, res) => {
+    try {
+      const settings = await feeReminderService.saveSettings({
+        late_fee_enabled: req.body.late_fee_enabled === '1',
+        late_fee_type: req.body.late_fee_type,
+        late_fee_amount: req.body.late_fee_amount,
+        late_fee_grace_days: req.body.late_fee_grace_days,
+        reminders_enabled: req.body.reminders_enabled === '1',
+        reminder_offsets: String(req.body.reminder_offsets || '').split(','),
+        reminder_channels: [].concat(req.body.reminder_channels || [])
+      }, req.user.id);
+
+      await AuditLog.record({
+        userId: req.user.id,
+        action: 'fee_reminder_settings_update',
+        resourceType: 'system_settings',
+        description: JSON.stringify(settings),
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      req.flash('success_msg', 'Late fee and reminder settings saved');
+      res.redirect('/finance/fees/reminders');
+    } catch (error) {
+      console.error('Update fee reminder settings error:', error);
+      req.flash('error_msg', `Error saving settings: ${error.message}`);
+      res.redirect('/finance/fees/reminders');
+    }
+  },
+
+  // Apply late fees and send today's reminders now instead of waiting for the schedule
+  runFeeReminders: async (req, res) => {
+    try {
+      const penalties = await feeReminderService.applyLatePenalties();
+      const reminders = await feeReminderService.sendReminders();
+
+      req.flash('success_msg', `Applied ${penalties.applied} late fee(s); sent ${reminders.sent} reminder(s), ${reminders.failed} failed, ${reminders.skipped} opted out`);
+      res.redirect('/finance/fees/reminders');
+    } catch (error) {
+      console.error('Run fee reminders error:', error);
+      req.flash('error_msg', 'Error running late fees and reminders');
+      res.redirect('/finance/fees/reminders');
+    }
+  },
 
-      const statementsData = await FinanceOfficer.getStudentFeeStatements(filters, page, limit);
+  // Student fee statements
+  studentFeeStatements: async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const filters = {
+      outstanding_only: req.query.outstanding_only === '1',
+      search: req.query.search || ''
+    };
+
+    try {
+      const balancesData = await StudentLedger.getBalances(filters, page, limit);
 
-      res.render('finance/students/fee-statements', {
+      renderFinanceView(res, 'finance/students/fee-statements', {
         title: 'Student Fee Statements - EduLMS',
-        layout: 'layouts/finance-layout',
-        statements: statementsData.statements,
+        pageTitle: 'Student Fee Statements',
+        statements: balancesData.balances,
         pagination: {
           current: page,
-          pages: statementsData.totalPages,
-          total: statementsData.total
+          pages: balancesData.totalPages,
+          total: balancesData.total
         },
-        filters: { outstanding_only, search },
+        filters,
         currentPage: 'students'
       });
     } catch (error) {
       console.error('Student fee statements error:', error);
       req.flash('error_msg', 'Error loading student fee statements');
-      res.render('finance/students/fee-statements', {
+      renderFinanceView(res, 'finance/students/fee-statements', {
         title: 'Student Fee Statements - EduLMS',
-        layout: 'layouts/finance-layout',
+        pageTitle: 'Student Fee Statements',
         statements: [],
         pagination: { current: 1, pages: 0, total: 0 },
-        filters: {},
+        filters,
         currentPage: 'students'
       });
     }
   },
 
-  // View student payment history
+  // View student ledger statement
   viewStudentPayments: async (req, res) => {
     try {
       const studentId = req.params.id;
+      const { start_date, end_date } = req.query;
 
-      const paymentHistory = await FinanceOfficer.getStudentPaymentHistory(studentId);
+      const student = await Student.findByUserId(studentId);
 
-      res.render('finance/students/payment-history', {
-        title: `Payment History - ${paymentHistory.student.name}`,
-        layout: 'layouts/finance-layout',
-        ...paymentHistory,
+      if (!student) {
+        req.flash('error_msg', 'Student not found');
+        return res.redirect('/finance/students/fee-statements');
+      }
+
+      const [statement, reconciliation, installments] = await Promise.all([
+        StudentLedger.getStatement(studentId, start_date || null, end_date || null),
+        StudentLedger.reconcile(studentId),
+        FeeSchedule.getForStudent(studentId)
+      ]);
+
+      renderFinanceView(res, 'finance/students/payment-history', {
+        title: `Statement - ${student.name}`,
+        pageTitle: `Statement - ${student.name}`,
+        breadcrumbs: [
+          { title: 'Finance', url: '/finance/dashboard' },
+          { title: 'Fee Statements', url: '/finance/students/fee-statements' },
+          { title: student.name, url: `/finance/students/payment-history/${student.id}`, active: true }
+        ],
+        student,
+        statement,
+        reconciliation,
+        installments,
+        filters: { start_date: start_date || '', end_date: end_date || '' },
+        manualEntryTypes: Object.keys(MANUAL_LEDGER_ENTRIES),
         currentPage: 'students'
       });
     } catch (error) {
       console.error('View student payments error:', error);
-      req.flash('error_msg', 'Error loading student payment history');
+      req.flash('error_msg', 'Error loading student statement');
       res.redirect('/finance/students/fee-statements');
     }
   },
 
-  // Outstanding fees
+  // Post a manual fee, penalty, scholarship or waiver to a student's ledger
+  postLedgerEntry: async (req, res) => {
+    const studentId = req.params.id;
+
+    try {
+      const { entry_type, amount, description } = req.body;
+      const direction = MANUAL_LEDGER_ENTRIES[entry_type];
+
+      if (!direction) {
+        req.flash('error_msg', 'Invalid entry type');
+        return res.redirect(`/finance/students/payment-history/${studentId}`);
+      }
+
+      if (isNaN(amount) || parseFloat(amount) <= 0) {
+        req.flash('error_msg', 'Amount must be a positive number');
+        return res.redirect(`/finance/students/payment-history/${studentId}`);
+      }
+
+      if (!description || !description.trim()) {
+        req.flash('error_msg', 'Please describe the entry');
+        return res.redirect(`/finance/students/payment-history/${studentId}`);
+      }
+
+      const student = await Student.findByUserId(studentId);
+
+      if (!student) {
+        req.flash('error_msg', 'Student not found');
+        return res.redirect('/finance/students/fee-statements');
+      }
+
+      const entry = await transaction(async (connection) => {
+        const posted = await StudentLedger.postEntry({
+          student_id: student.id,
+          entry_type,
+          direction,
+          amount: parseFloat(amount),
+          description: description.trim(),
+          created_by: req.user.id
+        }, connection);
+
+        // Scholarships and waivers pay installments off just like payments do
+        await FeeSchedule.allocatePayments(student.id, connection);
+
+        await AuditLog.create({
+          userId: req.user.id,
+          action: 'ledger_entry_create',
+          resourceType: 'student_ledger',
+          resourceId: posted.id,
+          description: `${entry_type} ${direction} of ${amount} for student ${student.id}`,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }, connection);
+
+        return posted;
+      });
+
+      req.flash('success_msg', `Entry posted. New balance: ${entry.balance_after.toFixed(2)}`);
+      res.redirect(`/finance/students/payment-history/${studentId}`);
+    } catch (error) {
+      console.error('Post ledger entry error:', error);
+      req.flash('error_msg', 'Error posting ledger entry');
+      res.redirect(`/finance/students/payment-history/${studentId}`);
+    }
+  },
+
+  // Outstanding fees: students with installments past their due date
   outstandingFees: async (req, res) => {
+    const filters = {
+      search: req.query.search || '',
+      min_days: parseInt(req.query.min_days) || '',
+      min_balance: parseFloat(req.query.min_balance) || '',
+      fee_structure_id: req.query.fee_structure_id || ''
+    };
+
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
-      const department = req.query.department || '';
-      const min_balance = req.query.min_balance || '';
+      const [installments, feeStructures] = await Promise.all([
+        FeeSchedule.getOverdue(filters),
+        FeeStructure.findActive()
+      ]);
 
-      const filters = {};
-      if (department) filters.department = department;
-      if (min_balance) filters.min_balance = parseFloat(min_balance);
+      // One row per student, oldest overdue installment first
+      const students = new Map();
+      installments.forEach(installment => {
+        if (!students.has(installment.student_id)) {
+          students.set(installment.student_id, {
+            id: installment.student_id,
+            name: installment.student_name,
+            student_code: installment.student_code,
+            email: installment.email,
+            phone: installment.phone,
+            overdue_amount: 0,
+            max_days_overdue: 0,
+            installments: []
+          });
+        }
+
+        const student = students.get(installment.student_id);
+        student.overdue_amount += parseFloat(installment.balance);
+        student.max_days_overdue = Math.max(student.max_days_overdue, installment.days_overdue);
+        student.installments.push(installment);
+      });
 
-      const outstandingData = await FinanceOfficer.generateOutstandingFeesReport(filters);
+      const outstandingFees = [...students.values()]
+        .filter(student => !filters.min_balance || student.overdue_amount >= filters.min_balance)
+        .sort((a, b) => b.max_days_overdue - a.max_days_overdue || b.overdue_amount - a.overdue_amount);
 
-      // Get unique departments for filter
-      const departments = await db.query(`
-        SELECT DISTINCT c.department 
-        FROM courses c 
-        WHERE c.department IS NOT NULL 
-        ORDER BY c.department
-      `);
+      const totalOverdue = outstandingFees.reduce((sum, student) => sum + student.overdue_amount, 0);
 
-      res.render('finance/students/outstanding', {
+      renderFinanceView(res, 'finance/students/outstanding', {
         title: 'Outstanding Fees - EduLMS',
-        layout: 'layouts/finance-layout',
-        outstandingFees: outstandingData.outstandingFees,
-        summary: outstandingData.summary,
+        pageTitle: 'Overdue Installments',
+        breadcrumbs: [
+          { title: 'Finance', url: '/finance/dashboard' },
+          { title: 'Outstanding Fees', url: '/finance/students/outstanding', active: true }
+        ],
+        outstandingFees,
+        summary: {
+          total_students: outstandingFees.length,
+          total_overdue: totalOverdue,
+          overdue_installments: outstandingFees.reduce((sum, student) => sum + student.installments.length, 0),
+          average_balance: outstandingFees.length > 0 ? totalOverdue / outstandingFees.length : 0
+        },
         filters,
-        departments: departments.map(row => row.department),
-        currentPage: 'students'
+        feeStructures,
+        currentPage: 'outstanding-fees'
       });
     } catch (error) {
       console.error('Outstanding fees error:', error);
       req.flash('error_msg', 'Error loading outstanding fees');
-      res.render('finance/students/outstanding', {
-        title: 'Outstanding Fees - EduLMS',
-        layout: 'layouts/finance-layout',
-        outstandingFees: [],
-        summary: {},
-        filters: {},
-        departments: [],
-        currentPage: 'students'
-      });
+      res.redirect('/finance/dashboard');
     }
   },
 
@@ -773,90 +1016,161 @@ const financeController = {
   // Payment reconciliation
   paymentReconciliation: async (req, res) => {
     try {
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 20;
-
-      // Get payments that need reconciliation (MPesa payments without receipt numbers)
-      const [unreconciledPayments, countResult] = await Promise.all([
-        db.query(`
-          SELECT 
-            p.*,
-            u.name as student_name,
-            u.student_id,
-            fs.name as fee_name,
-            TIMESTAMPDIFF(HOUR, p.created_at, NOW()) as hours_pending
-          FROM payments p
-          JOIN users u ON p.student_id = u.id
-          LEFT JOIN fee_structures fs ON p.fee_structure_id = fs.id
-          WHERE p.payment_method = 'mpesa' 
-            AND p.status = 'pending'
-            AND p.mpesa_receipt_number IS NULL
-            AND p.created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
-          ORDER BY p.created_at DESC
-          LIMIT ? OFFSET ?
-        `, [limit, (page - 1) * limit]),
-        
-        db.query(`
-          SELECT COUNT(*) as total 
-          FROM payments 
-          WHERE payment_method = 'mpesa' 
-            AND status = 'pending'
-            AND mpesa_receipt_number IS NULL
-            AND created_at >= DATE_SUB(NOW(), INTERVAL 24 HOUR)
-        `)
+      const hours = parseInt(req.query.hours) || 24;
+      const [summary, statementImports] = await Promise.all([
+        paymentReconciliationService.getSummary(hours),
+        StatementImport.findRecent()
       ]);
 
-      res.render('finance/payments/reconciliation', {
+      renderFinanceView(res, 'finance/payments/reconciliation', {
         title: 'Payment Reconciliation - EduLMS',
-        layout: 'layouts/finance-layout',
-        payments: unreconciledPayments,
-        pagination: {
-          current: page,
-          pages: Math.ceil(countResult[0].total / limit),
-          total: countResult[0].total
-        },
-        currentPage: 'payments'
+        pageTitle: 'Payment Reconciliation',
+        breadcrumbs: [
+          { title: 'Finance', url: '/finance/dashboard' },
+          { title: 'Reconciliation', url: '/finance/payments/reconciliation', active: true }
+        ],
+        summary,
+        statementImports,
+        statementSources: Object.values(STATEMENT_SOURCES),
+        currentPage: 'reconciliation'
       });
     } catch (error) {
       console.error('Payment reconciliation error:', error);
       req.flash('error_msg', 'Error loading payment reconciliation');
-      res.render('finance/payments/reconciliation', {
-        title: 'Payment Reconciliation - EduLMS',
-        layout: 'layouts/finance-layout',
-        payments: [],
-        pagination: { current: 1, pages: 0, total: 0 },
-        currentPage: 'payments'
+      res.redirect('/finance/dashboard');
+    }
+  },
+
+  // Query M-Pesa for due pending payments now instead of waiting for the schedule
+  runPaymentReconciliation: async (req, res) => {
+    try {
+      const result = await paymentReconciliationService.reconcilePendingPayments();
+
+      if (!result) {
+        req.flash('error_msg', 'Reconciliation is already running, please try again shortly');
+      } else {
+        req.flash('success_msg', `Checked ${result.checked} payment(s): ${result.completed} completed, ${result.failed} failed, ${result.pending} still pending`);
+      }
+
+      res.redirect('/finance/payments/reconciliation');
+    } catch (error) {
+      console.error('Run payment reconciliation error:', error);
+      req.flash('error_msg', 'Error running payment reconciliation');
+      res.redirect('/finance/payments/reconciliation');
+    }
+  },
+
+  // Complete a failed payment that M-Pesa later reported as paid, once finance has checked it
+  acceptLateSuccess: async (req, res) => {
+    try {
+      const payment = await mpesaService.acceptLateSuccess(req.params.id, {
+        reviewedBy: req.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
       });
+
+      req.flash('success_msg', `Payment of KES ${parseFloat(payment.amount).toFixed(2)} marked completed and credited to the student`);
+      res.redirect('/finance/payments/reconciliation');
+    } catch (error) {
+      console.error('Accept late payment error:', error);
+      req.flash('error_msg', `Could not complete the payment: ${error.message}`);
+      res.redirect('/finance/payments/reconciliation');
+    }
+  },
+
+  // Import a bank or M-Pesa statement and match it against recorded payments
+  importStatement: async (req, res) => {
+    try {
+      if (!req.file) {
+        req.flash('error_msg', 'Please choose a statement file to import');
+        return res.redirect('/finance/payments/reconciliation');
+      }
+
+      const statementImport = await statementImportService.importStatement({
+        source: req.body.source,
+        file: req.file,
+        importedBy: req.user.id
+      });
+
+      req.flash('success_msg', `Imported ${statementImport.line_count} statement line(s), ${statementImport.matched_count} matched automatically`);
+      res.redirect(`/finance/payments/reconciliation/statements/${statementImport.id}`);
+    } catch (error) {
+      console.error('Import statement error:', error);
+      req.flash('error_msg', `Error importing statement: ${error.message}`);
+      res.redirect('/finance/payments/reconciliation');
+    }
+  },
+
+  // Three-way view of an imported statement against recorded payments
+  viewStatementImport: async (req, res) => {
+    try {
+      const statementImport = await StatementImport.findById(req.params.id);
+
+      if (!statementImport) {
+        req.flash('error_msg', 'Statement import not found');
+        return res.redirect('/finance/payments/reconciliation');
+      }
+
+      const [lines, missingInStatement] = await Promise.all([
+        StatementImport.getLines(statementImport.id),
+        StatementImport.getMissingInStatement(statementImport)
+      ]);
+
+      renderFinanceView(res, 'finance/payments/statement-import', {
+        title: 'Statement Reconciliation - EduLMS',
+        pageTitle: `Statement: ${statementImport.file_name}`,
+        breadcrumbs: [
+          { title: 'Finance', url: '/finance/dashboard' },
+          { title: 'Reconciliation', url: '/finance/payments/reconciliation' },
+          { title: 'Statement', url: `/finance/payments/reconciliation/statements/${statementImport.id}`, active: true }
+        ],
+        statementImport,
+        lines,
+        missingInStatement,
+        currentPage: 'reconciliation'
+      });
+    } catch (error) {
+      console.error('View statement import error:', error);
+      req.flash('error_msg', 'Error loading statement import');
+      res.redirect('/finance/payments/reconciliation');
     }
   },
 
   // Manual payment entry
   showManualPayment: async (req, res) => {
     try {
-      const studentId = req.query.student_id || '';
-
       const [feeStructures, students] = await Promise.all([
-        db.query('SELECT * FROM fee_structures WHERE is_active = 1 ORDER BY fee_type, name'),
-        studentId ? db.query('SELECT id, name, student_id FROM users WHERE id = ? AND role_id = (SELECT id FROM roles WHERE name = "student")', [studentId]) : []
+        FeeStructure.findActive(),
+        Student.findAllActive()
       ]);
 
-      res.render('finance/payments/manual-entry', {
+      renderFinanceView(res, 'finance/payments/manual-entry', {
         title: 'Manual Payment Entry - EduLMS',
-        layout: 'layouts/finance-layout',
+        pageTitle: 'Manual Payment Entry',
+        breadcrumbs: [
+          { title: 'Finance', url: '/finance/dashboard' },
+          { title: 'Payments', url: '/finance/payments/records' },
+          { title: 'Manual Entry', url: '/finance/payments/manual-entry', active: true }
+        ],
+        errors: [],
+        // Statement reconciliation links here with the line's details filled in
+        formData: req.query,
         feeStructures,
-        student: students[0] || null,
-        paymentMethods: ['cash', 'bank_transfer', 'card'],
-        currentPage: 'payments'
+        students,
+        paymentMethods: MANUAL_PAYMENT_METHODS,
+        currentPage: 'payment-records'
       });
     } catch (error) {
       console.error('Show manual payment error:', error);
       req.flash('error_msg', 'Error loading manual payment form');
-      res.redirect('/finance/payments');
+      res.redirect('/finance/payments/records');
     }
   },
 
   // Process manual payment
   processManualPayment: async (req, res) => {
+    const { statement_line_id } = req.body;
+
     try {
       const financeOfficerId = req.user.id;
       const { student_id, fee_structure_id, amount, payment_method, receipt_number, notes } = req.body;
@@ -864,7 +1178,8 @@ const financeController = {
       // Validation
       const errors = [];
 
-      if (!student_id || !fee_structure_id || !amount || !payment_method) {
+      // Money found on a statement is not always for a particular fee
+      if (!student_id || !amount || !payment_method || (!fee_structure_id && !statement_line_id)) {
         errors.push({ msg: 'Please fill in all required fields' });
       }
 
@@ -872,75 +1187,90 @@ const financeController = {
         errors.push({ msg: 'Amount must be a positive number' });
       }
 
+      if (payment_method && !MANUAL_PAYMENT_METHODS.includes(payment_method)) {
+        errors.push({ msg: 'Invalid payment method' });
+      }
+
       if (errors.length > 0) {
-        const feeStructures = await db.query('SELECT * FROM fee_structures WHERE is_active = 1 ORDER BY fee_type, name');
-        
-        return res.render('finance/payments/manual-entry', {
+        const [feeStructures, students] = await Promise.all([
+          FeeStructure.findActive(),
+          Student.findAllActive()
+        ]);
+
+        return renderFinanceView(res, 'finance/payments/manual-entry', {
           title: 'Manual Payment Entry - EduLMS',
-          layout: 'layouts/finance-layout',
+          pageTitle: 'Manual Payment Entry',
           errors,
           formData: req.body,
           feeStructures,
-          paymentMethods: ['cash', 'bank_transfer', 'card'],
-          currentPage: 'payments'
+          students,
+          paymentMethods: MANUAL_PAYMENT_METHODS,
+          currentPage: 'payment-records'
         });
       }
 
-      // Create payment record
-      const result = await db.query(`
-        INSERT INTO payments (student_id, fee_structure_id, amount, payment_method, status, description, verified_by, verified_at, payment_date)
-        VALUES (?, ?, ?, ?, 'completed', ?, ?, NOW(), NOW())
-      `, [student_id, fee_structure_id, amount, payment_method, notes || 'Manual entry', financeOfficerId]);
+      // Record the payment and credit the ledger together so the two never drift apart
+      const statementLine = await transaction(async (connection) => {
+        if (receipt_number) {
+          const [existing] = await connection.query(
+            'SELECT id FROM payments WHERE transaction_id = ? LIMIT 1',
+            [receipt_number]
+          );
+          if (existing.length > 0) {
+            throw new Error(`Receipt ${receipt_number} is already recorded`);
+          }
+        }
 
-      // Log the manual payment
-      await db.query(`
-        INSERT INTO audit_logs (user_id, action, table_name, record_id, details)
-        VALUES (?, 'manual_payment_entry', 'payments', ?, ?)
-      `, [financeOfficerId, result.insertId, JSON.stringify(req.body)]);
+        const [result] = await connection.query(`
+          INSERT INTO payments (student_id, fee_structure_id, amount, payment_method, transaction_id, status, payment_date)
+          VALUES (?, ?, ?, ?, ?, 'completed', NOW())
+        `, [student_id, fee_structure_id || null, amount, payment_method, receipt_number || null]);
+
+        await StudentLedger.postEntry({
+          student_id,
+          entry_type: LEDGER_ENTRY_TYPES.PAYMENT,
+          direction: LEDGER_DIRECTIONS.CREDIT,
+          amount: parseFloat(amount),
+          description: notes || `Manual ${payment_method} payment${receipt_number ? ` ${receipt_number}` : ''}`,
+          reference_type: 'payment',
+          reference_id: result.insertId,
+          created_by: financeOfficerId
+        }, connection);
+
+        await FeeSchedule.allocatePayments(student_id, connection);
+
+        // Log the manual payment
+        await AuditLog.create({
+          userId: financeOfficerId,
+          action: 'manual_payment_entry',
+          resourceType: 'payments',
+          resourceId: result.insertId,
+          description: JSON.stringify(req.body),
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent')
+        }, connection);
+
+        return statement_line_id
+          ? StatementImport.resolveLine(statement_line_id, result.insertId, connection)
+          : null;
+      });
 
       req.flash('success_msg', 'Manual payment recorded successfully');
-      res.redirect('/finance/payments/records');
+      res.redirect(statementLine
+        ? `/finance/payments/reconciliation/statements/${statementLine.import_id}`
+        : '/finance/payments/records');
 
     } catch (error) {
       console.error('Process manual payment error:', error);
-      req.flash('error_msg', 'Error recording manual payment');
-      res.redirect('/finance/payments/manual-entry');
-    }
-  },
-
-  // View finance profile
-  profile: async (req, res) => {
-    try {
-      const financeOfficerId = req.user.id;
-      const user = await User.findById(financeOfficerId);
+      req.flash('error_msg', `Error recording manual payment: ${error.message}`);
 
-      // Get finance officer statistics
-      const stats = await db.query(`
-        SELECT 
-          COUNT(*) as total_payments_processed,
-          SUM(amount) as total_amount_processed,
-          COUNT(CASE WHEN verified_by = ? THEN 1 END) as payments_verified_by_me
-        FROM payments 
-        WHERE status = 'completed'
-      `, [financeOfficerId]);
-
-      res.render('finance/profile/view', {
-        title: 'My Profile - EduLMS',
-        layout: 'layouts/finance-layout',
-        user,
-        stats: stats[0] || {},
-        currentPage: 'profile'
-      });
-    } catch (error) {
-      console.error('Finance profile error:', error);
-      req.flash('error_msg', 'Error loading profile');
-      res.render('finance/profile/view', {
-        title: 'My Profile - EduLMS',
-        layout: 'layouts/finance-layout',
-        user: {},
-        stats: {},
-        currentPage: 'profile'
-      });
+      if (statement_line_id) {
+        const line = await StatementImport.findLineById(statement_line_id).catch(() => null);
+        if (line) {
+          return res.redirect(`/finance/payments/reconciliation/statements/${line.import_id}`);
+        }
+      }
+      res.redirect('/finance/payments/manual-entry');
     }
   }
 };
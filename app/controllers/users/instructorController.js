@@ -1,4 +1,114 @@
 const { asyncHandler } = require('../../middleware/errorHandler');
+const Course = require('../../models/Course');
+const Assignment = require('../../models/Assignment');
+const Attendance = require('../../models/Attendance');
+const GradeCategory = require('../../models/GradeCategory');
+const GradingScale = require('../../models/GradingScale');
+const QuizQuestion = require('../../models/QuizQuestion');
+const QuizAttempt = require('../../models/QuizAttempt');
+const Submission = require('../../models/Submission');
+const Rubric = require('../../models/Rubric');
+const reportService = require('../../services/reportService');
+const gradebookService = require('../../services/gradebookService');
+const quizService = require('../../services/quizService');
+const rubricService = require('../../services/rubricService');
+const pdfService = require('../../services/pdfService');
+const { ATTENDANCE_STATUS, QUESTION_TYPES } = require('../../../config/constants');
+
+// Locals the instructor layout and sidebar expect on every page
+const renderInstructorView = (res, view, locals) => {
+  res.render(view, {
+    layout: 'layouts/instructor-layout',
+    pageTitle: null,
+    breadcrumbs: null,
+    headerActions: null,
+    pageStyles: null,
+    pageScripts: null,
+    activeCourses: 0,
+    totalStudents: 0,
+    pendingGrading: 0,
+    ...locals
+  });
+};
+
+// Resolve the selected course, making sure the instructor teaches it
+const findOwnCourse = (courses, courseId) => {
+  if (!courseId) return null;
+  return courses.find(course => course.id === parseInt(courseId)) || null;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// YYYY-MM-DD in server time; toISOString would give the UTC day, a day behind before 03:00 in EAT
+const toDateString = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Value for a datetime-local input, in server time
+const toDateTimeString = (date) => {
+  const d = new Date(date);
+  return `${toDateString(d)}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
+
+// Load an assignment and the instructor's course it belongs to; course is null if it is not theirs
+const findOwnAssignment = async (req) => {
+  const [assignment, courses] = await Promise.all([
+    Assignment.findById(req.params.assignmentId),
+    Course.findByInstructor(req.user.id)
+  ]);
+  const course = assignment ? findOwnCourse(courses, assignment.course_id) : null;
+  return { assignment, course, courses };
+};
+
+// Load a submission the instructor may grade; course is null if it is not in their course
+const findOwnSubmission = async (req) => {
+  const [submission, courses] = await Promise.all([
+    Submission.findById(req.params.submissionId),
+    Course.findByInstructor(req.user.id)
+  ]);
+  const course = submission ? findOwnCourse(courses, submission.course_id) : null;
+  return { submission, course, courses };
+};
+
+// Load a quiz and the instructor's course it belongs to; course is null if it is not theirs
+const findOwnQuiz = async (req) => {
+  const [quiz, courses] = await Promise.all([
+    quizService.findQuiz(req.params.assignmentId),
+    Course.findByInstructor(req.user.id)
+  ]);
+  const course = quiz ? findOwnCourse(courses, quiz.course_id) : null;
+  return { quiz, course, courses };
+};
+
+// The quiz settings form; questions already on the quiz come first, in their order
+const renderQuizForm = async (res, { courses, course, quiz }) => {
+  const [bank, selected] = await Promise.all([
+    QuizQuestion.findByCourse(course.id),
+    quiz ? QuizQuestion.findForAssignment(quiz.id) : []
+  ]);
+  const selectedIds = selected.map(question => question.id);
+  const questions = [
+    ...selectedIds.map(id => bank.find(question => question.id === id)).filter(Boolean),
+    ...bank.filter(question => !selectedIds.includes(question.id))
+  ];
+
+  renderInstructorView(res, 'instructor/quizzes/form', {
+    title: `${quiz ? 'Edit' : 'New'} Quiz - EduLMS`,
+    pageTitle: quiz ? `Edit ${quiz.title}` : `New ${course.course_code} Quiz`,
+    currentPage: 'quizzes',
+    breadcrumbs: [
+      { title: 'Quizzes', url: `/instructor/quizzes?course_id=${course.id}` },
+      { title: quiz ? 'Edit' : 'New Quiz', active: true }
+    ],
+    course,
+    quiz,
+    dueDate: quiz && quiz.due_date ? toDateTimeString(quiz.due_date) : '',
+    questions,
+    selectedIds,
+    activeCourses: courses.length
+  });
+};
 
 module.exports = {
   // Instructor Dashboard
@@ -94,7 +204,34 @@ module.exports = {
   }),
 
   assignmentSubmissions: asyncHandler(async (req, res) => {
-    res.json({ message: 'Assignment submissions - Under construction' });
+    const { assignment, course, courses } = await findOwnAssignment(req);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only view submissions for your own assignments');
+      return res.redirect('/instructor/grades/gradebook');
+    }
+
+    const [{ submissions }, rubrics, rubric] = await Promise.all([
+      Submission.findAll({ assignment_id: assignment.id }, 1, 1000),
+      Rubric.findByTeacher(req.user.id),
+      assignment.rubric_id ? Rubric.findById(assignment.rubric_id) : null
+    ]);
+
+    renderInstructorView(res, 'instructor/assignments/submissions', {
+      title: 'Submissions - EduLMS',
+      pageTitle: `${assignment.title} Submissions`,
+      currentPage: 'submissions',
+      breadcrumbs: [
+        { title: 'Gradebook', url: `/instructor/grades/gradebook/${course.id}` },
+        { title: 'Submissions', active: true }
+      ],
+      course,
+      assignment,
+      submissions,
+      rubrics,
+      rubric,
+      activeCourses: courses.length
+    });
   }),
 
   viewSubmission: asyncHandler(async (req, res) => {
@@ -102,11 +239,51 @@ module.exports = {
   }),
 
   showGradeSubmission: asyncHandler(async (req, res) => {
-    res.json({ message: 'Show grade submission form - Under construction' });
+    const { submission, course, courses } = await findOwnSubmission(req);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only grade submissions in your own courses');
+      return res.redirect('/instructor/grades/gradebook');
+    }
+
+    const [rubric, scores] = await Promise.all([
+      submission.rubric_id ? Rubric.findById(submission.rubric_id) : null,
+      submission.grade_id ? Rubric.getScores(submission.grade_id) : []
+    ]);
+
+    renderInstructorView(res, 'instructor/assignments/grade', {
+      title: 'Grade Submission - EduLMS',
+      pageTitle: `Grade ${submission.student_name}`,
+      currentPage: 'submissions',
+      breadcrumbs: [
+        { title: 'Submissions', url: `/instructor/submissions/assignment/${submission.assignment_id}` },
+        { title: submission.student_name, active: true }
+      ],
+      course,
+      submission,
+      rubric,
+      scores,
+      activeCourses: courses.length
+    });
   }),
 
   gradeSubmission: asyncHandler(async (req, res) => {
-    res.json({ message: 'Grade submission - Under construction' });
+    const { submission, course } = await findOwnSubmission(req);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only grade submissions in your own courses');
+      return res.redirect('/instructor/grades/gradebook');
+    }
+
+    try {
+      const result = await rubricService.gradeSubmission(submission.id, req.user, req.body);
+      req.flash('success_msg', `Graded ${submission.student_name}: ${result.points_earned} / ${submission.max_points} (${result.grade})`);
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error grading submission');
+      return res.redirect(`/instructor/submissions/${submission.id}/grade`);
+    }
+
+    res.redirect(`/instructor/submissions/assignment/${submission.assignment_id}`);
   }),
 
   bulkGradeSubmissions: asyncHandler(async (req, res) => {
@@ -138,35 +315,617 @@ module.exports = {
   }),
 
   gradebook: asyncHandler(async (req, res) => {
-    res.json({ message: 'Gradebook - Under construction' });
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.params.courseId || req.query.course_id);
+    const gradebook = course ? await gradebookService.getCourseGradebook(course.id) : null;
+
+    renderInstructorView(res, 'instructor/grades/gradebook', {
+      title: 'Gradebook - EduLMS',
+      pageTitle: 'Gradebook',
+      currentPage: 'gradebook',
+      breadcrumbs: [{ title: 'Gradebook', active: true }],
+      courses,
+      course,
+      gradebook,
+      activeCourses: courses.length
+    });
+  }),
+
+  gradebookSettings: asyncHandler(async (req, res) => {
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.params.courseId);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only change the gradebook of your own courses');
+      return res.redirect('/instructor/grades/gradebook');
+    }
+
+    const [gradebook, scales] = await Promise.all([
+      gradebookService.getCourseGradebook(course.id),
+      GradingScale.findAll()
+    ]);
+    const ownScale = gradebook.scale.course_id === course.id ? gradebook.scale : null;
+
+    renderInstructorView(res, 'instructor/grades/settings', {
+      title: 'Gradebook Settings - EduLMS',
+      pageTitle: 'Gradebook Settings',
+      currentPage: 'gradebook',
+      breadcrumbs: [
+        { title: 'Gradebook', url: `/instructor/grades/gradebook/${course.id}` },
+        { title: 'Settings', active: true }
+      ],
+      course,
+      categories: gradebook.categories,
+      assignments: gradebook.assignments,
+      scales,
+      scaleChoice: ownScale ? 'custom' : (course.grading_scale_id || ''),
+      customBands: gradebookService.formatBands(ownScale ? ownScale.bands : gradebook.scale.bands),
+      activeCourses: courses.length
+    });
+  }),
+
+  updateGradebookSettings: asyncHandler(async (req, res) => {
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.params.courseId);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only change the gradebook of your own courses');
+      return res.redirect('/instructor/grades/gradebook');
+    }
+
+    const settingsUrl = `/instructor/grades/gradebook/${course.id}/settings`;
+
+    try {
+      if (req.body.section === 'categories') {
+        const categories = await gradebookService.saveCategories(
+          course.id, Object.values(req.body.categories || {}), req.user, req.ip
+        );
+        req.flash('success_msg', categories.length > 0
+          ? `Saved ${categories.length} grade categories`
+          : 'Categories removed; grades are now worked out from points');
+      } else if (req.body.section === 'assignments') {
+        const assignments = {};
+        Object.entries(req.body.assignment_category || {}).forEach(([assignmentId, categoryId]) => {
+          assignments[assignmentId] = categoryId ? parseInt(categoryId) : null;
+        });
+        await GradeCategory.assignCategories(course.id, assignments);
+        req.flash('success_msg', 'Assignment categories saved');
+      } else if (req.body.section === 'scale') {
+        await gradebookService.setCourseScale(
+          course.id, req.body.grading_scale_id || '', req.body.bands, req.user, req.ip
+        );
+        req.flash('success_msg', 'Grading scale saved');
+      }
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error saving gradebook settings');
+    }
+
+    res.redirect(settingsUrl);
+  }),
+
+  finalizeGrades: asyncHandler(async (req, res) => {
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.params.courseId);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only record final grades for your own courses');
+      return res.redirect('/instructor/grades/gradebook');
+    }
+
+    const { finalized, skipped } = await gradebookService.finalizeCourse(course.id, req.user, req.ip);
+
+    req.flash('success_msg', skipped > 0
+      ? `Final grades recorded for ${finalized} students; ${skipped} with no marked work were skipped`
+      : `Final grades recorded for ${finalized} students`);
+    res.redirect(`/instructor/grades/gradebook/${course.id}`);
+  }),
+
+  setAssignmentRubric: asyncHandler(async (req, res) => {
+    const { assignment, course } = await findOwnAssignment(req);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only change your own assignments');
+      return res.redirect('/instructor/grades/gradebook');
+    }
+
+    try {
+      const rubric = await rubricService.attachRubric(assignment, req.body.rubric_id, req.user, req.ip);
+      req.flash('success_msg', rubric ? `Submissions are now graded with "${rubric.title}"` : 'Submissions are now graded with plain points');
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error setting rubric');
+    }
+
+    res.redirect(`/instructor/submissions/assignment/${assignment.id}`);
+  }),
+
+  // Assignment report PDF, with each graded submission's rubric breakdown
+  assignmentReport: asyncHandler(async (req, res) => {
+    const { assignment, course } = await findOwnAssignment(req);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only download reports for your own assignments');
+      return res.redirect('/instructor/grades/gradebook');
+    }
+
+    const [{ submissions }, rubric, scores] = await Promise.all([
+      Submission.findAll({ assignment_id: assignment.id }, 1, 1000),
+      assignment.rubric_id ? Rubric.findById(assignment.rubric_id) : null,
+      Rubric.getScoresForAssignment(assignment.id)
+    ]);
+
+    const pdf = await pdfService.generateAssignmentReport(
+      assignment,
+      submissions.map(submission => ({
+        ...submission,
+        rubric_scores: scores.filter(score => score.submission_id === submission.id)
+      })),
+      { rubric, criterionAverages: rubricService.summarizeScores(scores) }
+    );
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename=assignment-${assignment.id}-report.pdf`
+    });
+    res.send(pdf);
+  }),
+
+  // Rubrics
+  listRubrics: asyncHandler(async (req, res) => {
+    const rubrics = await Rubric.findByTeacher(req.user.id);
+
+    renderInstructorView(res, 'instructor/rubrics/index', {
+      title: 'Rubrics - EduLMS',
+      pageTitle: 'Rubrics',
+      currentPage: 'rubrics',
+      breadcrumbs: [{ title: 'Rubrics', active: true }],
+      headerActions: [{ url: '/instructor/rubrics/create', icon: 'fas fa-plus', text: 'New Rubric' }],
+      rubrics
+    });
+  }),
+
+  showCreateRubric: asyncHandler(async (req, res) => {
+    renderInstructorView(res, 'instructor/rubrics/form', {
+      title: 'New Rubric - EduLMS',
+      pageTitle: 'New Rubric',
+      currentPage: 'rubrics',
+      breadcrumbs: [
+        { title: 'Rubrics', url: '/instructor/rubrics' },
+        { title: 'New Rubric', active: true }
+      ],
+      rubric: null,
+      assignments: []
+    });
+  }),
+
+  createRubric: asyncHandler(async (req, res) => {
+    try {
+      await rubricService.saveRubric(req.body, req.user, req.ip);
+      req.flash('success_msg', `Rubric "${req.body.title}" created`);
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error creating rubric');
+      return res.redirect('/instructor/rubrics/create');
+    }
+
+    res.redirect('/instructor/rubrics');
+  }),
+
+  showEditRubric: asyncHandler(async (req, res) => {
+    const rubric = await rubricService.findOwnRubric(req.params.rubricId, req.user);
+
+    if (!rubric) {
+      req.flash('error_msg', 'Rubric not found');
+      return res.redirect('/instructor/rubrics');
+    }
+
+    renderInstructorView(res, 'instructor/rubrics/form', {
+      title: 'Edit Rubric - EduLMS',
+      pageTitle: `Edit ${rubric.title}`,
+      currentPage: 'rubrics',
+      breadcrumbs: [
+        { title: 'Rubrics', url: '/instructor/rubrics' },
+        { title: 'Edit', active: true }
+      ],
+      rubric,
+      assignments: await Rubric.findAssignments(rubric.id)
+    });
+  }),
+
+  updateRubric: asyncHandler(async (req, res) => {
+    const rubric = await rubricService.findOwnRubric(req.params.rubricId, req.user);
+
+    if (!rubric) {
+      req.flash('error_msg', 'Rubric not found');
+      return res.redirect('/instructor/rubrics');
+    }
+
+    try {
+      await rubricService.saveRubric(req.body, req.user, req.ip, rubric);
+      req.flash('success_msg', 'Rubric updated');
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error updating rubric');
+      return res.redirect(`/instructor/rubrics/${rubric.id}/edit`);
+    }
+
+    res.redirect('/instructor/rubrics');
+  }),
+
+  copyRubric: asyncHandler(async (req, res) => {
+    const rubric = await rubricService.findOwnRubric(req.params.rubricId, req.user);
+
+    if (!rubric) {
+      req.flash('error_msg', 'Rubric not found');
+      return res.redirect('/instructor/rubrics');
+    }
+
+    const copyId = await rubricService.copyRubric(rubric, req.user, req.ip);
+    req.flash('success_msg', `Copied "${rubric.title}"`);
+    res.redirect(`/instructor/rubrics/${copyId}/edit`);
+  }),
+
+  deleteRubric: asyncHandler(async (req, res) => {
+    try {
+      await rubricService.deleteRubric(req.params.rubricId, req.user, req.ip);
+      req.flash('success_msg', 'Rubric deleted');
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error deleting rubric');
+    }
+
+    res.redirect('/instructor/rubrics');
+  }),
+
+  // Quizzes
+  listQuizzes: asyncHandler(async (req, res) => {
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.query.course_id);
+    const [quizzes, questions] = course
+      ? await Promise.all([Assignment.findQuizzesByCourse(course.id), QuizQuestion.findByCourse(course.id)])
+      : [[], []];
+
+    renderInstructorView(res, 'instructor/quizzes/index', {
+      title: 'Quizzes - EduLMS',
+      pageTitle: 'Quizzes',
+      currentPage: 'quizzes',
+      breadcrumbs: [{ title: 'Quizzes', active: true }],
+      courses,
+      course,
+      quizzes,
+      questionCount: questions.length,
+      activeCourses: courses.length
+    });
+  }),
+
+  questionBank: asyncHandler(async (req, res) => {
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.params.courseId);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only manage question banks for your own courses');
+      return res.redirect('/instructor/quizzes');
+    }
+
+    const questions = await QuizQuestion.findByCourse(course.id);
+    const editing = req.query.edit ? questions.find(question => question.id === parseInt(req.query.edit)) || null : null;
+
+    renderInstructorView(res, 'instructor/quizzes/bank', {
+      title: 'Question Bank - EduLMS',
+      pageTitle: `${course.course_code} Question Bank`,
+      currentPage: 'quizzes',
+      breadcrumbs: [
+        { title: 'Quizzes', url: `/instructor/quizzes?course_id=${course.id}` },
+        { title: 'Question Bank', active: true }
+      ],
+      course,
+      questions,
+      editing,
+      questionTypes: QUESTION_TYPES,
+      activeCourses: courses.length
+    });
+  }),
+
+  saveQuestion: asyncHandler(async (req, res) => {
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.params.courseId);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only manage question banks for your own courses');
+      return res.redirect('/instructor/quizzes');
+    }
+
+    const bankUrl = `/instructor/quizzes/courses/${course.id}/bank`;
+
+    try {
+      await quizService.saveQuestion(course, req.body, req.user);
+      req.flash('success_msg', req.body.id ? 'Question updated' : 'Question added to the bank');
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error saving question');
+      return res.redirect(req.body.id ? `${bankUrl}?edit=${parseInt(req.body.id)}` : bankUrl);
+    }
+
+    res.redirect(bankUrl);
+  }),
+
+  archiveQuestion: asyncHandler(async (req, res) => {
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.params.courseId);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only manage question banks for your own courses');
+      return res.redirect('/instructor/quizzes');
+    }
+
+    try {
+      await quizService.archiveQuestion(course, req.params.questionId);
+      req.flash('success_msg', 'Question archived; quizzes will no longer deal it');
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error archiving question');
+    }
+
+    res.redirect(`/instructor/quizzes/courses/${course.id}/bank`);
+  }),
+
+  showCreateQuiz: asyncHandler(async (req, res) => {
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.params.courseId);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only add quizzes to your own courses');
+      return res.redirect('/instructor/quizzes');
+    }
+
+    await renderQuizForm(res, { courses, course, quiz: null });
+  }),
+
+  createQuiz: asyncHandler(async (req, res) => {
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.params.courseId);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only add quizzes to your own courses');
+      return res.redirect('/instructor/quizzes');
+    }
+
+    try {
+      await quizService.saveQuiz(course, req.body, req.user, req.ip);
+      req.flash('success_msg', `Quiz "${req.body.title}" created`);
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error creating quiz');
+      return res.redirect(`/instructor/quizzes/courses/${course.id}/create`);
+    }
+
+    res.redirect(`/instructor/quizzes?course_id=${course.id}`);
+  }),
+
+  showEditQuiz: asyncHandler(async (req, res) => {
+    const { quiz, course, courses } = await findOwnQuiz(req);
+
+    if (!course) {
+      req.flash('error_msg', 'Quiz not found');
+      return res.redirect('/instructor/quizzes');
+    }
+
+    await renderQuizForm(res, { courses, course, quiz });
+  }),
+
+  updateQuiz: asyncHandler(async (req, res) => {
+    const { quiz, course } = await findOwnQuiz(req);
+
+    if (!course) {
+      req.flash('error_msg', 'Quiz not found');
+      return res.redirect('/instructor/quizzes');
+    }
+
+    try {
+      await quizService.saveQuiz(course, req.body, req.user, req.ip, quiz);
+      req.flash('success_msg', 'Quiz updated');
+    } catch (error) {
+      req.flash('error_msg', error.message || 'Error updating quiz');
+      return res.redirect(`/instructor/quizzes/${quiz.id}/edit`);
+    }
+
+    res.redirect(`/instructor/quizzes?course_id=${course.id}`);
+  }),
+
+  quizResults: asyncHandler(async (req, res) => {
+    const { quiz, course, courses } = await findOwnQuiz(req);
+
+    if (!course) {
+      req.flash('error_msg', 'Quiz not found');
+      return res.redirect('/instructor/quizzes');
+    }
+
+    const [attempts, items] = await Promise.all([
+      QuizAttempt.findByAssignment(quiz.id),
+      quizService.getItemAnalysis(quiz.id)
+    ]);
+
+    renderInstructorView(res, 'instructor/quizzes/results', {
+      title: 'Quiz Results - EduLMS',
+      pageTitle: `${quiz.title} Results`,
+      currentPage: 'quizzes',
+      breadcrumbs: [
+        { title: 'Quizzes', url: `/instructor/quizzes?course_id=${course.id}` },
+        { title: 'Results', active: true }
+      ],
+      course,
+      quiz,
+      attempts,
+      items,
+      activeCourses: courses.length
+    });
   }),
 
   showTakeAttendance: asyncHandler(async (req, res) => {
-    res.json({ message: 'Show take attendance form - Under construction' });
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.query.course_id);
+    const sessionDate = req.query.date || toDateString(new Date());
+
+    let students = [];
+    let session = null;
+    let existingRecords = {};
+
+    if (course) {
+      students = await Course.getStudents(course.id);
+      session = await Attendance.findSessionByDate(course.id, sessionDate);
+
+      if (session) {
+        const records = await Attendance.getSessionRecords(session.id);
+        records.forEach(record => {
+          existingRecords[record.student_id] = record;
+        });
+      }
+    }
+
+    renderInstructorView(res, 'instructor/attendance/take', {
+      title: 'Take Attendance - EduLMS',
+      pageTitle: 'Take Attendance',
+      currentPage: 'attendance',
+      breadcrumbs: [{ title: 'Take Attendance', active: true }],
+      courses,
+      course,
+      sessionDate,
+      session,
+      students,
+      existingRecords,
+      statuses: Object.values(ATTENDANCE_STATUS),
+      activeCourses: courses.length
+    });
   }),
 
   takeAttendance: asyncHandler(async (req, res) => {
-    res.json({ message: 'Take attendance - Under construction' });
+    const { course_id, session_date, topic, notes } = req.body;
+    const statuses = req.body.status || {};
+    const remarks = req.body.remarks || {};
+
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, course_id);
+
+    if (!course) {
+      req.flash('error_msg', 'You can only take attendance for your own courses');
+      return res.redirect('/instructor/attendance/take');
+    }
+
+    if (!session_date || isNaN(Date.parse(session_date))) {
+      req.flash('error_msg', 'Please provide a valid session date');
+      return res.redirect(`/instructor/attendance/take?course_id=${course.id}`);
+    }
+
+    // Only students actively enrolled in the course can be marked
+    const students = await Course.getStudents(course.id);
+    const records = students.map(student => ({
+      student_id: student.id,
+      status: statuses[student.id] || ATTENDANCE_STATUS.ABSENT,
+      remarks: remarks[student.id] ? String(remarks[student.id]).trim() : null
+    }));
+
+    if (records.length === 0) {
+      req.flash('error_msg', 'This course has no enrolled students');
+      return res.redirect(`/instructor/attendance/take?course_id=${course.id}`);
+    }
+
+    try {
+      const sessionId = await Attendance.recordSession({
+        course_id: course.id,
+        instructor_id: req.user.id,
+        session_date,
+        topic: topic || null,
+        notes: notes || null
+      }, records);
+
+      req.flash('success_msg', `Attendance recorded for ${records.length} students`);
+      res.redirect(`/instructor/attendance/view?course_id=${course.id}&session_id=${sessionId}`);
+    } catch (error) {
+      console.error('Take attendance error:', error);
+      req.flash('error_msg', error.message || 'Error recording attendance');
+      res.redirect(`/instructor/attendance/take?course_id=${course.id}&date=${session_date}`);
+    }
   }),
 
   viewAttendance: asyncHandler(async (req, res) => {
-    res.json({ message: 'View attendance - Under construction' });
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.query.course_id);
+
+    let sessions = [];
+    let session = null;
+    let records = [];
+
+    if (course) {
+      sessions = await Attendance.getCourseSessions(course.id);
+
+      if (req.query.session_id) {
+        session = sessions.find(s => s.id === parseInt(req.query.session_id)) || null;
+        if (session) {
+          records = await Attendance.getSessionRecords(session.id);
+        }
+      }
+    }
+
+    renderInstructorView(res, 'instructor/attendance/view', {
+      title: 'View Attendance - EduLMS',
+      pageTitle: 'View Attendance',
+      currentPage: 'attendance-view',
+      breadcrumbs: [{ title: 'View Attendance', active: true }],
+      courses,
+      course,
+      sessions,
+      session,
+      records,
+      activeCourses: courses.length
+    });
   }),
 
   attendanceReports: asyncHandler(async (req, res) => {
-    res.json({ message: 'Attendance reports - Under construction' });
-  }),
+    const courses = await Course.findByInstructor(req.user.id);
+    const course = findOwnCourse(courses, req.query.course_id);
+
+    const endDate = req.query.end_date || toDateString(new Date());
+    // Read the end date as local midnight so stepping back 30 days stays on server-time days
+    const end = new Date(`${endDate}T00:00:00`);
+    const startDate = req.query.start_date || toDateString(end.setDate(end.getDate() - 30));
+    const format = req.query.format;
+
+    if (format && ['csv', 'excel', 'json'].includes(format)) {
+      const report = await reportService.generateAttendanceReport({
+        courseId: course ? course.id : null,
+        instructorId: req.user.id,
+        startDate,
+        endDate,
+        format
+      });
 
-  viewProfile: asyncHandler(async (req, res) => {
-    res.json({ message: 'View profile - Under construction' });
-  }),
+      const extensions = { csv: 'csv', excel: 'xlsx', json: 'json' };
+      const contentTypes = {
+        csv: 'text/csv',
+        excel: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        json: 'application/json'
+      };
+
+      res.setHeader('Content-Type', contentTypes[format]);
+      res.setHeader('Content-Disposition',
+        `attachment; filename=attendance-${course ? course.course_code : 'all'}-${startDate}-to-${endDate}.${extensions[format]}`);
+      return res.send(report);
+    }
 
-  showEditProfile: asyncHandler(async (req, res) => {
-    res.json({ message: 'Show edit profile form - Under construction' });
-  }),
+    let summary = [];
+    let statistics = null;
+
+    if (course) {
+      summary = await Attendance.getCourseSummary(course.id, startDate, endDate);
+      const rows = await Attendance.getReportRows({ courseId: course.id, startDate, endDate });
+      statistics = reportService.calculateAttendanceStatistics(rows);
+    }
 
-  updateProfile: asyncHandler(async (req, res) => {
-    res.json({ message: 'Update profile - Under construction' });
+    renderInstructorView(res, 'instructor/attendance/reports', {
+      title: 'Attendance Reports - EduLMS',
+      pageTitle: 'Attendance Reports',
+      currentPage: 'attendance-reports',
+      breadcrumbs: [{ title: 'Attendance Reports', active: true }],
+      courses,
+      course,
+      summary,
+      statistics,
+      filters: { start_date: startDate, end_date: endDate },
+      activeCourses: courses.length
+    });
   }),
 
   listNotifications: asyncHandler(async (req, res) => {
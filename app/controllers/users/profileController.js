@@ -0,0 +1,241 @@
+const { validationResult } = require('express-validator');
+const profileService = require('../../services/profileService');
+const sessionService = require('../../services/sessionService');
+const permissionService = require('../../services/permissionService');
+
+// Each area's layout, so the profile page keeps the sidebar the user is used to
+const AREA_LAYOUTS = {
+  '/admin/dashboard': 'layouts/admin-layout',
+  '/instructor/dashboard': 'layouts/instructor-layout',
+  '/finance/dashboard': 'layouts/finance-layout',
+  '/student/dashboard': 'layouts/student-layout'
+};
+
+const initialsOf = (name) => (name || 'U')
+  .split(' ')
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(part => part.charAt(0).toUpperCase())
+  .join('');
+
+// Render a profile view inside the layout of the user's own area, with the locals those layouts expect
+const renderProfileView = (req, res, view, locals) => {
+  res.render(view, {
+    title: 'My Profile - EduLMS',
+    layout: AREA_LAYOUTS[permissionService.homePath(req.user)] || 'layouts/layout',
+    currentUser: { ...req.user, initials: initialsOf(req.user.name) },
+    currentPage: 'profile',
+    pageTitle: 'My Profile',
+    breadcrumbs: null,
+    headerActions: null,
+    pageStyles: null,
+    pageScripts: null,
+    // Sidebar figures the area layouts show when a page provides them
+    currentGPA: null,
+    enrolledCourses: null,
+    activeCourses: null,
+    totalStudents: null,
+    pendingGrading: null,
+    todaysCollection: null,
+    pendingVerification: null,
+    ...locals
+  });
+};
+
+const auditMeta = (req) => ({ ipAddress: req.ip, userAgent: req.get('User-Agent') });
+
+const firstValidationError = (req) => {
+  const errors = validationResult(req);
+  return errors.isEmpty() ? null : errors.array()[0].msg;
+};
+
+const profileController = {
+  // Profile page: contact details, picture, phone verification, password and notifications
+  show: async (req, res) => {
+    try {
+      const [profile, preferences] = await Promise.all([
+        profileService.getProfile(req.user.id),
+        profileService.getNotificationPreferences(req.user.id)
+      ]);
+
+      const challenge = req.session.phoneVerification;
+
+      renderProfileView(req, res, 'profile/index', {
+        profile,
+        preferences,
+        codeSent: !!(challenge && challenge.phone === profile.phone && Date.now() < challenge.expiresAt),
+        avatarMimeTypes: profileService.avatarMimeTypes
+      });
+    } catch (error) {
+      console.error('Profile page error:', error);
+      req.flash('error_msg', 'Error loading your profile');
+      res.redirect('/dashboard');
+    }
+  },
+
+  // Save name, phone number, address and emergency contact
+  updateContact: async (req, res) => {
+    const validationError = firstValidationError(req);
+    if (validationError) {
+      req.flash('error_msg', validationError);
+      return res.redirect('/profile');
+    }
+
+    try {
+      const { phoneChanged } = await profileService.updateContactDetails(req.user, req.body, auditMeta(req));
+
+      if (phoneChanged) {
+        delete req.session.phoneVerification;
+      }
+
+      req.flash('success_msg', phoneChanged && req.body.phone
+        ? 'Contact details saved. Verify your new phone number to receive text messages.'
+        : 'Contact details saved');
+    } catch (error) {
+      console.error('Update contact details error:', error);
+      req.flash('error_msg', 'Error saving your contact details');
+    }
+
+    res.redirect('/profile');
+  },
+
+  // Text a verification code to the phone number on the profile
+  sendPhoneCode: async (req, res) => {
+    try {
+      req.session.phoneVerification = await profileService.sendPhoneCode(req.user, req.session.phoneVerification);
+      req.flash('success_msg', `A verification code was sent to ${req.user.phone}`);
+    } catch (error) {
+      console.error('Send phone code error:', error.message);
+      req.flash('error_msg', error.message);
+    }
+
+    res.redirect('/profile#phone');
+  },
+
+  // Check the texted code
+  verifyPhone: async (req, res) => {
+    try {
+      await profileService.verifyPhone(req.user, req.session.phoneVerification, req.body.code, auditMeta(req));
+      delete req.session.phoneVerification;
+      req.flash('success_msg', 'Phone number verified');
+    } catch (error) {
+      console.error('Verify phone error:', error.message);
+      req.flash('error_msg', error.message);
+    }
+
+    res.redirect('/profile#phone');
+  },
+
+  // Replace the profile picture
+  uploadAvatar: async (req, res) => {
+    try {
+      await profileService.uploadAvatar(req.user, req.file);
+      req.flash('success_msg', 'Profile picture updated');
+    } catch (error) {
+      console.error('Avatar upload error:', error.message);
+      req.flash('error_msg', error.message);
+    }
+
+    res.redirect('/profile');
+  },
+
+  // Go back to the default picture
+  removeAvatar: async (req, res) => {
+    try {
+      await profileService.removeAvatar(req.user);
+      req.flash('success_msg', 'Profile picture removed');
+    } catch (error) {
+      console.error('Avatar removal error:', error);
+      req.flash('error_msg', 'Error removing your profile picture');
+    }
+
+    res.redirect('/profile');
+  },
+
+  // Change password; other sessions are signed out
+  changePassword: async (req, res) => {
+    const validationError = firstValidationError(req);
+    if (validationError) {
+      req.flash('error_msg', validationError);
+      return res.redirect('/profile#password');
+    }
+
+    try {
+      const { signedOut } = await profileService.changePassword(
+        req.user,
+        req.body.current_password,
+        req.body.new_password,
+        { sessionId: req.sessionID, ...auditMeta(req) }
+      );
+
+      req.flash('success_msg', signedOut > 0
+        ? `Password changed. You were signed out on ${signedOut} other device(s).`
+        : 'Password changed');
+    } catch (error) {
+      console.error('Change password error:', error.message);
+      req.flash('error_msg', error.message);
+    }
+
+    res.redirect('/profile#password');
+  },
+
+  // Save which channels each kind of notification is sent on
+  updateNotifications: async (req, res) => {
+    try {
+      await profileService.saveNotificationPreferences(req.user.id, req.body.preferences || {});
+      req.flash('success_msg', 'Notification preferences saved');
+    } catch (error) {
+      console.error('Update notification preferences error:', error);
+      req.flash('error_msg', 'Error saving your notification preferences');
+    }
+
+    res.redirect('/profile#notifications');
+  },
+
+  // Devices the user is signed in on
+  sessions: async (req, res) => {
+    try {
+      const sessions = await sessionService.listForUser(req.user.id, req.sessionID);
+
+      renderProfileView(req, res, 'profile/sessions', {
+        title: 'Active Sessions - EduLMS',
+        pageTitle: 'Active Sessions',
+        sessions
+      });
+    } catch (error) {
+      console.error('Sessions page error:', error);
+      req.flash('error_msg', 'Error loading your sessions');
+      res.redirect('/profile');
+    }
+  },
+
+  // Sign out one other device
+  revokeSession: async (req, res) => {
+    try {
+      await sessionService.revoke(req.user, req.params.key, req.sessionID, auditMeta(req));
+      req.flash('success_msg', 'That device has been signed out');
+    } catch (error) {
+      console.error('Revoke session error:', error.message);
+      req.flash('error_msg', error.message);
+    }
+
+    res.redirect('/profile/sessions');
+  },
+
+  // Sign out every device except this one
+  revokeOtherSessions: async (req, res) => {
+    try {
+      const signedOut = await sessionService.signOutOthers(req.user, req.sessionID, auditMeta(req));
+      req.flash('success_msg', signedOut > 0
+        ? `Signed out on ${signedOut} other device(s)`
+        : 'You are not signed in anywhere else');
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      req.flash('error_msg', 'Error signing out your other devices');
+    }
+
+    res.redirect('/profile/sessions');
+  }
+};
+
+module.exports = profileController;
@@ -1,4 +1,5 @@
 const { ROLES } = require('../../config/constants');
+const { sendJsonError } = require('./errorHandler');
 
 // Check if user is authenticated
 const isAuthenticated = (req, res, next) => {
@@ -16,21 +17,11 @@ const isNotAuthenticated = (req, res, next) => {
     return next();
   }
   
-  // Redirect to appropriate dashboard based on role
-  let redirectUrl = '/dashboard';
-  switch (req.user.role_name) {
-    case ROLES.ADMIN:
-      redirectUrl = '/admin/dashboard';
-      break;
-    case ROLES.INSTRUCTOR:
-      redirectUrl = '/instructor/dashboard';
-      break;
-    case ROLES.STUDENT:
-      redirectUrl = '/student/dashboard';
-      break;
-    case ROLES.FINANCE_OFFICER:
-      redirectUrl = '/finance/dashboard';
-      break;
+  // Redirect to the dashboard the user's permissions open; a role with no area sees the page
+  const permissionService = require('../services/permissionService');
+  const redirectUrl = permissionService.homePath(req.user);
+  if (!redirectUrl) {
+    return next();
   }
   
   res.redirect(redirectUrl);
@@ -88,57 +79,59 @@ const isAdminOrInstructor = hasAnyRole([ROLES.ADMIN, ROLES.INSTRUCTOR]);
 // Admin or Finance role check
 const isAdminOrFinance = hasAnyRole([ROLES.ADMIN, ROLES.FINANCE_OFFICER]);
 
-// Check if user can access student-specific resources
+// Check if user can access student-specific resources (academics.view or submissions.grade
+// open every student's, area.student only the user's own)
 const canAccessStudentResources = (req, res, next) => {
   if (!req.isAuthenticated()) {
     req.flash('error_msg', 'Please log in to access this page');
     return res.redirect('/auth/login');
   }
 
-  // Admin and instructors can access student resources
-  if ([ROLES.ADMIN, ROLES.INSTRUCTOR].includes(req.user.role_name)) {
+  const permissionService = require('../services/permissionService');
+
+  if (permissionService.can(req.user, 'academics.view') || permissionService.can(req.user, 'submissions.grade')) {
     return next();
   }
 
-  // Students can only access their own resources
-  if (req.user.role_name === ROLES.STUDENT) {
+  if (permissionService.can(req.user, 'area.student')) {
     if (req.params.studentId && parseInt(req.params.studentId) !== req.user.id) {
       req.flash('error_msg', 'You can only access your own student resources');
-      return res.redirect('/student/dashboard');
+      return res.redirect(permissionService.homePath(req.user));
     }
     return next();
   }
 
   req.flash('error_msg', 'You do not have permission to access student resources');
-  res.redirect('/dashboard');
+  res.redirect(permissionService.homePath(req.user) || '/auth/login');
 };
 
-// Check if user can access instructor-specific resources
+// Check if user can access instructor-specific resources (academics.view opens every instructor's,
+// area.instructor only the user's own)
 const canAccessInstructorResources = (req, res, next) => {
   if (!req.isAuthenticated()) {
     req.flash('error_msg', 'Please log in to access this page');
     return res.redirect('/auth/login');
   }
 
-  // Admin can access all instructor resources
-  if (req.user.role_name === ROLES.ADMIN) {
+  const permissionService = require('../services/permissionService');
+
+  if (permissionService.can(req.user, 'academics.view')) {
     return next();
   }
 
-  // Instructors can only access their own resources
-  if (req.user.role_name === ROLES.INSTRUCTOR) {
+  if (permissionService.can(req.user, 'area.instructor')) {
     if (req.params.instructorId && parseInt(req.params.instructorId) !== req.user.id) {
       req.flash('error_msg', 'You can only access your own instructor resources');
-      return res.redirect('/instructor/dashboard');
+      return res.redirect(permissionService.homePath(req.user));
     }
     return next();
   }
 
   req.flash('error_msg', 'You do not have permission to access instructor resources');
-  res.redirect('/dashboard');
+  res.redirect(permissionService.homePath(req.user) || '/auth/login');
 };
 
-// Check if user can manage courses
+// Check if user can manage courses (courses.edit.any, or courses.edit.own for courses they teach)
 const canManageCourse = async (req, res, next) => {
   try {
     if (!req.isAuthenticated()) {
@@ -146,35 +139,21 @@ const canManageCourse = async (req, res, next) => {
       return res.redirect('/auth/login');
     }
 
-    const db = require('../../config/database');
+    const permissionService = require('../services/permissionService');
+    const Course = require('../models/Course');
     const courseId = req.params.courseId || req.body.course_id;
 
     if (!courseId) {
-      return next(); // No specific course ID, rely on role checks
+      return next(); // No specific course ID, rely on permission checks
     }
 
-    // Admin can manage all courses
-    if (req.user.role_name === ROLES.ADMIN) {
+    const course = await Course.findById(courseId);
+    if (course && permissionService.can(req.user, 'courses.edit', course)) {
       return next();
     }
 
-    // Check if instructor owns the course
-    if (req.user.role_name === ROLES.INSTRUCTOR) {
-      const courses = await db.query(
-        'SELECT id FROM courses WHERE id = ? AND instructor_id = ?',
-        [courseId, req.user.id]
-      );
-      
-      if (courses.length > 0) {
-        return next();
-      }
-      
-      req.flash('error_msg', 'You can only manage your own courses');
-      return res.redirect('/instructor/dashboard');
-    }
-
-    req.flash('error_msg', 'You do not have permission to manage courses');
-    res.redirect('/dashboard');
+    req.flash('error_msg', course ? 'You can only manage your own courses' : 'Course not found');
+    res.redirect(permissionService.homePath(req.user) || '/auth/login');
   } catch (error) {
     console.error('Course management permission check error:', error);
     req.flash('error_msg', 'Error checking permissions');
@@ -182,7 +161,7 @@ const canManageCourse = async (req, res, next) => {
   }
 };
 
-// Check if user is enrolled in course (for students)
+// Check if user is enrolled in course (course managers pass without an enrollment)
 const isEnrolledInCourse = async (req, res, next) => {
   try {
     if (!req.isAuthenticated()) {
@@ -190,36 +169,31 @@ const isEnrolledInCourse = async (req, res, next) => {
       return res.redirect('/auth/login');
     }
 
-    const db = require('../../config/database');
+    const permissionService = require('../services/permissionService');
+    const Course = require('../models/Course');
     const courseId = req.params.courseId || req.body.course_id;
 
     if (!courseId) {
       req.flash('error_msg', 'Course not specified');
-      return res.redirect('/dashboard');
+      return res.redirect(permissionService.homePath(req.user) || '/auth/login');
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+      req.flash('error_msg', 'Course not found');
+      return res.redirect(permissionService.homePath(req.user) || '/auth/login');
     }
 
-    // Admin and instructors have access to all courses
-    if ([ROLES.ADMIN, ROLES.INSTRUCTOR].includes(req.user.role_name)) {
+    if (permissionService.can(req.user, 'academics.view') || permissionService.can(req.user, 'courses.edit', course)) {
       return next();
     }
 
-    // Check if student is enrolled
-    if (req.user.role_name === ROLES.STUDENT) {
-      const enrollments = await db.query(
-        'SELECT id FROM enrollments WHERE course_id = ? AND student_id = ? AND status = "active"',
-        [courseId, req.user.id]
-      );
-      
-      if (enrollments.length > 0) {
-        return next();
-      }
-      
-      req.flash('error_msg', 'You are not enrolled in this course');
-      return res.redirect('/student/dashboard');
+    if (permissionService.can(req.user, 'area.student') && await Course.isStudentEnrolled(course.id, req.user.id)) {
+      return next();
     }
 
-    req.flash('error_msg', 'You do not have permission to access this course');
-    res.redirect('/dashboard');
+    req.flash('error_msg', 'You are not enrolled in this course');
+    res.redirect(permissionService.homePath(req.user) || '/auth/login');
   } catch (error) {
     console.error('Course enrollment check error:', error);
     req.flash('error_msg', 'Error checking course enrollment');
@@ -260,31 +234,88 @@ const apiHasRole = (role) => {
   };
 };
 
+// API authentication with a service account key. Every request made with a key
+// is written to the audit log once the response has gone out.
+const apiKeyAuth = async (key, req, res, next) => {
+  try {
+    const apiKeyService = require('../services/apiKeyService');
+    const result = await apiKeyService.authenticate(key);
+
+    if (!result) {
+      return sendJsonError(res, 401, 'Invalid, expired or revoked API key');
+    }
+
+    req.user = result.user;
+    req.apiKey = result.apiKey;
+
+    res.on('finish', () => {
+      apiKeyService.recordUse(result.apiKey, req, res.statusCode)
+        .catch(error => console.error('API key audit error:', error));
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// API authentication with a bearer access token (mobile and third-party clients)
+// or a service account API key (X-API-Key header, or as the bearer token).
+// Cookies are ignored here so another site cannot ride on a browser session.
+const apiTokenAuth = async (req, res, next) => {
+  const apiKeyService = require('../services/apiKeyService');
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  const apiKey = req.get('X-API-Key') || (scheme === 'Bearer' && apiKeyService.isApiKey(token) ? token : null);
+
+  if (apiKey) {
+    return apiKeyAuth(apiKey, req, res, next);
+  }
+
+  if (scheme !== 'Bearer' || !token) {
+    return sendJsonError(res, 401, 'Access token required');
+  }
+
+  try {
+    const tokenService = require('../services/tokenService');
+    const User = require('../models/User');
+
+    const payload = tokenService.verifyAccessToken(token);
+    const user = await User.findById(payload.sub);
+
+    // Deactivated accounts lose access straight away, not when the token expires
+    if (!user || !user.is_active) {
+      return sendJsonError(res, 401, 'Account is not active');
+    }
+
+    const { password, ...userWithoutPassword } = user;
+    req.user = userWithoutPassword;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Activity logging middleware
 const logActivity = (action, tableName) => {
   return async (req, res, next) => {
     try {
       if (req.user && req.method !== 'GET') {
-        const db = require('../../config/database');
+        const AuditLog = require('../models/AuditLog');
         const recordId = req.params.id || req.body.id || null;
         
-        await db.query(
-          `INSERT INTO audit_logs (user_id, action, table_name, record_id, ip_address, user_agent, details) 
-           VALUES (?, ?, ?, ?, ?, ?, ?)`,
-          [
-            req.user.id,
-            action,
-            tableName,
-            recordId,
-            req.ip,
-            req.get('User-Agent'),
-            JSON.stringify({
-              method: req.method,
-              url: req.originalUrl,
-              body: req.method !== 'GET' ? { ...req.body } : null
-            })
-          ]
-        );
+        await AuditLog.create({
+          userId: req.user.id,
+          action,
+          resourceType: tableName,
+          resourceId: recordId,
+          ipAddress: req.ip,
+          userAgent: req.get('User-Agent'),
+          description: JSON.stringify({
+            method: req.method,
+            url: req.originalUrl,
+            body: req.method !== 'GET' ? { ...req.body } : null
+          })
+        });
       }
       next();
     } catch (error) {
@@ -294,6 +325,33 @@ const logActivity = (action, tableName) => {
   };
 };
 
+// How often a session's last activity is written back; every request would mean a write per click
+const SESSION_ACTIVITY_INTERVAL_MS = 60 * 1000;
+
+// Remember which device and IP address a signed-in session belongs to, for the sessions page
+const trackSessionActivity = (req, res, next) => {
+  if (!req.user || !req.session) {
+    return next();
+  }
+
+  const now = Date.now();
+  const device = req.session.device;
+
+  if (!device) {
+    req.session.device = {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent') || '',
+      startedAt: now,
+      lastActiveAt: now
+    };
+  } else if (now - device.lastActiveAt > SESSION_ACTIVITY_INTERVAL_MS || device.ipAddress !== req.ip) {
+    device.lastActiveAt = now;
+    device.ipAddress = req.ip;
+  }
+
+  next();
+};
+
 module.exports = {
   isAuthenticated,
   isNotAuthenticated,
@@ -311,5 +369,7 @@ module.exports = {
   isEnrolledInCourse,
   apiAuth,
   apiHasRole,
-  logActivity
+  apiTokenAuth,
+  logActivity,
+  trackSessionActivity
 };
\ No newline at end of file
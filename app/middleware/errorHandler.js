@@ -1,24 +1,65 @@
+// Error with an HTTP status whose message is safe to show the client
+class ApiError extends Error {
+  constructor(statusCode, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+// JSON callers: the /api routes, AJAX requests and anything asking for JSON
+const isApiRequest = (req) => {
+  return req.originalUrl.startsWith('/api/') ||
+    req.xhr ||
+    (req.headers.accept || '').indexOf('json') > -1;
+};
+
+// The one JSON error shape every API response uses
+const sendJsonError = (res, statusCode, message, details = null) => {
+  return res.status(statusCode).json({
+    success: false,
+    error: message,
+    ...(details && { details })
+  });
+};
+
 // Global error handling middleware
 const errorHandler = (err, req, res, next) => {
-  console.error('Error occurred:', err);
+  // Expected client errors (bad input, expired token) are not worth a stack trace
+  if (!(err instanceof ApiError) || err.statusCode >= 500) {
+    console.error('Error occurred:', err);
+  }
 
   // Set default error message and status code
   let errorMessage = 'An unexpected error occurred';
   let statusCode = 500;
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
+  if (err instanceof ApiError) {
+    statusCode = err.statusCode;
+    errorMessage = err.message;
+  } else if (err.name === 'ValidationError') {
     statusCode = 400;
     errorMessage = err.message;
   } else if (err.name === 'UnauthorizedError') {
     statusCode = 401;
     errorMessage = 'Unauthorized access';
+  } else if (err.name === 'TokenExpiredError') {
+    statusCode = 401;
+    errorMessage = 'Access token has expired';
+  } else if (err.name === 'JsonWebTokenError') {
+    statusCode = 401;
+    errorMessage = 'Invalid access token';
   } else if (err.name === 'ForbiddenError') {
     statusCode = 403;
     errorMessage = 'Access forbidden';
   } else if (err.name === 'NotFoundError') {
     statusCode = 404;
     errorMessage = 'Resource not found';
+  } else if (err.type === 'entity.parse.failed') {
+    statusCode = 400;
+    errorMessage = 'Request body is not valid JSON';
   } else if (err.code === 'ER_DUP_ENTRY') {
     statusCode = 409;
     errorMessage = 'Duplicate entry found';
@@ -40,12 +81,11 @@ const errorHandler = (err, req, res, next) => {
   }
 
   // API response
-  if (req.xhr || req.headers.accept.indexOf('json') > -1) {
-    return res.status(statusCode).json({
-      success: false,
-      error: errorMessage,
-      ...(process.env.NODE_ENV === 'development' && { details: err.message })
-    });
+  if (isApiRequest(req)) {
+    const details = err instanceof ApiError
+      ? err.details
+      : (process.env.NODE_ENV === 'development' ? err.message : null);
+    return sendJsonError(res, statusCode, errorMessage, details);
   }
 
   // Web response
@@ -80,11 +120,8 @@ const asyncHandler = (fn) => (req, res, next) => {
 
 // 404 handler (should be last middleware)
 const notFoundHandler = (req, res) => {
-  if (req.xhr || req.headers.accept.indexOf('json') > -1) {
-    return res.status(404).json({
-      success: false,
-      error: 'Endpoint not found'
-    });
+  if (isApiRequest(req)) {
+    return sendJsonError(res, 404, 'Endpoint not found');
   }
 
   res.status(404).render('error/404', {
@@ -94,7 +131,10 @@ const notFoundHandler = (req, res) => {
 };
 
 module.exports = {
+  ApiError,
+  isApiRequest,
+  sendJsonError,
   errorHandler,
   asyncHandler,
   notFoundHandler
-};
\ No newline at end of file
+};
@@ -0,0 +1,75 @@
+const { isApiRequest, sendJsonError } = require('./errorHandler');
+
+// Requests that only read are not written to the audit log while impersonating
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// While an admin is impersonating, swap the impersonated user into req.user for the rest of
+// the request. The admin stays available as req.impersonator.
+const loadImpersonation = async (req, res, next) => {
+  res.locals.impersonation = null;
+
+  const impersonation = req.session && req.session.impersonation;
+  if (!impersonation || !req.user) {
+    return next();
+  }
+
+  const impersonationService = require('../services/impersonationService');
+  const User = require('../models/User');
+  const meta = { ipAddress: req.ip, userAgent: req.get('User-Agent') };
+
+  try {
+    // A session that changed hands (e.g. a new login) drops the impersonation
+    if (impersonation.adminId !== req.user.id) {
+      delete req.session.impersonation;
+      return next();
+    }
+
+    if (impersonationService.isExpired(impersonation)) {
+      await impersonationService.stop(req.session, { ...meta, reason: 'time limit reached' });
+      req.flash('error', `Impersonation ends after ${impersonationService.maxDurationMinutes} minutes. You are signed in as yourself again.`);
+      return next();
+    }
+
+    const target = await User.findById(impersonation.userId);
+    if (!target || !target.is_active) {
+      await impersonationService.stop(req.session, { ...meta, reason: 'user no longer available' });
+      return next();
+    }
+
+    const { password, ...user } = target;
+    req.impersonator = req.user;
+    req.user = user;
+    res.locals.impersonation = impersonation;
+
+    if (!READ_METHODS.includes(req.method)) {
+      res.on('finish', () => {
+        impersonationService.recordAction(impersonation, req.method, req.originalUrl, res.statusCode, meta.ipAddress, meta.userAgent);
+      });
+    }
+  } catch (error) {
+    console.error('Impersonation loading error:', error);
+  }
+
+  next();
+};
+
+// Refuse actions an admin must not take on someone else's behalf, such as changing
+// their password or paying fees
+const blockWhileImpersonating = (req, res, next) => {
+  if (!req.impersonator) {
+    return next();
+  }
+
+  const message = 'This action is disabled while impersonating a user';
+  if (isApiRequest(req)) {
+    return sendJsonError(res, 403, message);
+  }
+
+  req.flash('error', message);
+  res.redirect('back');
+};
+
+module.exports = {
+  loadImpersonation,
+  blockWhileImpersonating
+};
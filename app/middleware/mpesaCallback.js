@@ -0,0 +1,56 @@
+// Addresses allowed to call the M-Pesa callback URLs, from a comma-separated
+// MPESA_CALLBACK_ALLOWED_IPS. When it is empty every callback is rejected, unless
+// MPESA_CALLBACK_ALLOW_ANY_IP=true outside production (e.g. for a local Daraja mock).
+// Behind a reverse proxy, Express `trust proxy` must be set for req.ip to be the caller.
+const getAllowedIps = () =>
+  (process.env.MPESA_CALLBACK_ALLOWED_IPS || '')
+    .split(',')
+    .map(ip => ip.trim())
+    .filter(Boolean);
+
+const allowAnySource = () =>
+  process.env.MPESA_CALLBACK_ALLOW_ANY_IP === 'true' && process.env.NODE_ENV !== 'production';
+
+// Strip the IPv4-mapped IPv6 prefix so allow-list entries can be plain IPv4
+const normalizeIp = (ip) => (ip || '').replace(/^::ffff:/, '');
+
+const reject = (req, res, reason) => {
+  console.error(`❌ Rejected M-Pesa callback to ${req.baseUrl}${req.route ? req.route.path : ''} from ${normalizeIp(req.ip)}: ${reason}`);
+  return res.status(403).json({ ResultCode: 1, ResultDesc: 'Rejected' });
+};
+
+// Reject M-Pesa callbacks that do not come from an allowed address
+const verifyMpesaSource = (req, res, next) => {
+  const allowedIps = getAllowedIps();
+
+  if (allowedIps.length === 0 && allowAnySource()) {
+    return next();
+  }
+
+  if (allowedIps.length === 0) {
+    return reject(req, res, 'MPESA_CALLBACK_ALLOWED_IPS is not set');
+  }
+
+  if (!allowedIps.includes(normalizeIp(req.ip))) {
+    return reject(req, res, 'address not allowed');
+  }
+
+  next();
+};
+
+// Reject callbacks whose URL does not carry the secret token issued for that callback URL
+const requireCallbackToken = (name) => (req, res, next) => {
+  const mpesaService = require('../services/mpesaService');
+
+  if (!mpesaService.verifyCallbackUrlToken(name, req.params.token)) {
+    return reject(req, res, 'bad token');
+  }
+
+  next();
+};
+
+module.exports = {
+  verifyMpesaSource,
+  requireCallbackToken,
+  normalizeIp
+};
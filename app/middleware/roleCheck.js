@@ -1,14 +1,22 @@
 const { ROLES } = require('../../config/constants');
+const { isApiRequest, sendJsonError } = require('./errorHandler');
 
 // Require specific roles
 const requireRole = (allowedRoles) => {
   return (req, res, next) => {
     if (!req.isAuthenticated()) {
+      if (isApiRequest(req)) {
+        return sendJsonError(res, 401, 'Authentication required');
+      }
       req.flash('error_msg', 'Please log in to access this resource');
       return res.redirect('/auth/login');
     }
 
     if (!allowedRoles.includes(req.user.role_name)) {
+      if (isApiRequest(req)) {
+        return sendJsonError(res, 403, 'You do not have permission to access this resource');
+      }
+
       req.flash('error_msg', 'You do not have permission to access this resource');
       
       // Redirect to appropriate dashboard based on role
@@ -27,6 +35,75 @@ const requireRole = (allowedRoles) => {
   };
 };
 
+// Load the signed-in user's permissions and expose can() to views
+const loadPermissions = async (req, res, next) => {
+  const permissionService = require('../services/permissionService');
+
+  try {
+    if (req.user) {
+      await permissionService.loadFor(req.user);
+    }
+  } catch (error) {
+    console.error('Permission loading error:', error);
+    req.user.permissions = [];
+  }
+
+  res.locals.can = (permission, resource) => permissionService.can(req.user, permission, resource);
+  next();
+};
+
+// Require a permission, or any one of a list of them. getResource may load the record the
+// permission applies to, so that ".own" permissions only pass for the user's own records.
+const requirePermission = (permission, getResource = null) => {
+  return async (req, res, next) => {
+    if (!req.isAuthenticated()) {
+      if (isApiRequest(req)) {
+        return sendJsonError(res, 401, 'Authentication required');
+      }
+      req.flash('error_msg', 'Please log in to access this resource');
+      return res.redirect('/auth/login');
+    }
+
+    try {
+      const permissionService = require('../services/permissionService');
+      if (!req.user.permissions) {
+        await permissionService.loadFor(req.user);
+      }
+
+      const resource = getResource ? await getResource(req) : null;
+      if ([].concat(permission).some(p => permissionService.can(req.user, p, resource))) {
+        return next();
+      }
+
+      if (isApiRequest(req)) {
+        return sendJsonError(res, 403, 'You do not have permission to access this resource');
+      }
+
+      req.flash('error_msg', 'You do not have permission to access this resource');
+      const home = permissionService.homePath(req.user);
+      res.redirect(home && home !== req.originalUrl ? home : '/auth/login');
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Require an API key scope. Users signed in with a session or access token are
+// limited by their role alone; a key is limited by its role and its scopes.
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.apiKey || req.apiKey.scopes.includes(scope)) {
+      return next();
+    }
+
+    const apiKeyService = require('../services/apiKeyService');
+    apiKeyService.recordDenied(req.apiKey, req, scope)
+      .catch(error => console.error('API key audit error:', error));
+
+    return sendJsonError(res, 403, `This API key does not have the ${scope} scope`);
+  };
+};
+
 // Specific role checkers
 const requireAdmin = requireRole([ROLES.ADMIN]);
 const requireInstructor = requireRole([ROLES.INSTRUCTOR]);
@@ -112,6 +189,9 @@ const isResourceOwner = (resourceType) => {
 
 module.exports = {
   requireRole,
+  requirePermission,
+  loadPermissions,
+  requireScope,
   requireAdmin,
   requireInstructor,
   requireStudent,
@@ -22,17 +22,6 @@ const ensureUploadDirs = () => {
 
 ensureUploadDirs();
 
-// Configure storage for profile images
-const profileStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, 'public/uploads/profiles/');
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'profile-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
 // Configure storage for assignment files
 const assignmentStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -79,12 +68,13 @@ const fileFilter = (allowedTypes) => {
 };
 
 // Configure multer instances
+// Profile pictures are kept in memory so fileService can resize them before anything is saved
 const uploadProfile = multer({
-  storage: profileStorage,
+  storage: multer.memoryStorage(),
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
   },
-  fileFilter: fileFilter(['image/jpeg', 'image/jpg', 'image/png', 'image/gif'])
+  fileFilter: fileFilter(['image/jpeg', 'image/png', 'image/webp'])
 });
 
 const uploadAssignment = multer({
@@ -141,6 +131,34 @@ const uploadCourseMaterial = multer({
   ])
 });
 
+// Statements are parsed straight from memory and never written to disk
+const uploadStatement = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: fileFilter([
+    'text/csv',
+    'application/csv',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ])
+});
+
+// User import spreadsheets are also parsed from memory
+const uploadUserList = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: fileFilter([
+    'text/csv',
+    'application/csv',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  ])
+});
+
 // Error handling middleware for multer
 const handleUploadError = (err, req, res, next) => {
   if (err instanceof multer.MulterError) {
@@ -210,6 +228,8 @@ module.exports = {
   uploadAssignment,
   uploadSubmission,
   uploadCourseMaterial,
+  uploadStatement,
+  uploadUserList,
   handleUploadError,
   cleanupTempFiles
 };
\ No newline at end of file
@@ -0,0 +1,131 @@
+const { pool } = require('../../config/database');
+
+class AcademicTerm {
+  // Add a term for every academic year and semester courses are scheduled in
+  static async syncFromCourses() {
+    try {
+      const [result] = await pool.query(
+        `INSERT IGNORE INTO academic_terms (academic_year, semester)
+         SELECT DISTINCT academic_year, semester
+         FROM courses
+         WHERE academic_year IS NOT NULL AND semester IS NOT NULL`
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error syncing academic terms:', error);
+      throw error;
+    }
+  }
+
+  // Every term with its courses and how its students stood at close
+  static async findAll() {
+    try {
+      const [rows] = await pool.query(
+        `SELECT t.*, u.name as closed_by_name,
+                (SELECT COUNT(*) FROM courses c
+                 WHERE c.academic_year = t.academic_year AND c.semester = t.semester) as course_count,
+                (SELECT MAX(c.end_date) FROM courses c
+                 WHERE c.academic_year = t.academic_year AND c.semester = t.semester) as last_end_date,
+                SUM(s.standing = 'good') as good_count,
+                SUM(s.standing = 'probation') as probation_count,
+                SUM(s.standing = 'discontinued') as discontinued_count,
+                SUM(s.deans_list) as deans_list_count
+         FROM academic_terms t
+         LEFT JOIN users u ON t.closed_by = u.id
+         LEFT JOIN student_term_standings s ON s.term_id = t.id
+         GROUP BY t.id
+         ORDER BY t.academic_year DESC, FIELD(t.semester, 'fall', 'winter', 'spring', 'summer') DESC`
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding academic terms:', error);
+      throw error;
+    }
+  }
+
+  static async findById(termId) {
+    try {
+      const [rows] = await pool.query('SELECT * FROM academic_terms WHERE id = ?', [termId]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding academic term by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findClosed() {
+    try {
+      const [rows] = await pool.query('SELECT * FROM academic_terms WHERE closed_at IS NOT NULL');
+      return rows;
+    } catch (error) {
+      console.error('Error finding closed academic terms:', error);
+      throw error;
+    }
+  }
+
+  // Open terms whose courses have all ended
+  static async findDueToClose() {
+    try {
+      const [rows] = await pool.query(
+        `SELECT t.*
+         FROM academic_terms t
+         JOIN courses c ON c.academic_year = t.academic_year AND c.semester = t.semester
+         WHERE t.closed_at IS NULL
+         GROUP BY t.id
+         HAVING SUM(c.end_date IS NULL OR c.end_date >= CURDATE()) = 0`
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding academic terms due to close:', error);
+      throw error;
+    }
+  }
+
+  // Closed terms never computed, or with final grades recorded since they last were
+  static async findNeedingStanding() {
+    try {
+      const [rows] = await pool.query(
+        `SELECT t.*
+         FROM academic_terms t
+         WHERE t.closed_at IS NOT NULL
+           AND (t.standing_computed_at IS NULL OR EXISTS (
+             SELECT 1
+             FROM enrollments e
+             JOIN courses c ON e.course_id = c.id
+             WHERE c.academic_year = t.academic_year AND c.semester = t.semester
+               AND e.completion_date >= DATE(t.standing_computed_at)
+           ))`
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding academic terms needing standing:', error);
+      throw error;
+    }
+  }
+
+  static async close(termId, closedBy = null) {
+    try {
+      const [result] = await pool.query(
+        'UPDATE academic_terms SET closed_at = NOW(), closed_by = ? WHERE id = ? AND closed_at IS NULL',
+        [closedBy, termId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error closing academic term:', error);
+      throw error;
+    }
+  }
+
+  static async markComputed(termIds) {
+    if (termIds.length === 0) return;
+
+    try {
+      await pool.query('UPDATE academic_terms SET standing_computed_at = NOW() WHERE id IN (?)', [termIds]);
+    } catch (error) {
+      console.error('Error marking academic term standing computed:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AcademicTerm;
@@ -0,0 +1,145 @@
+const { pool } = require('../../config/database');
+
+// A lockout is active until it expires or someone lifts it
+const ACTIVE = 'locked_until > NOW() AND unlocked_at IS NULL';
+
+class AccountLockout {
+  // Active lockout for an account or an IP address
+  static async findActive({ userId = null, ipAddress = null }) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM account_lockouts
+         WHERE ${userId ? "scope = 'account' AND user_id = ?" : "scope = 'ip' AND ip_address = ?"}
+           AND ${ACTIVE}
+         ORDER BY locked_until DESC
+         LIMIT 1`,
+        [userId || ipAddress]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding active lockout:', error);
+      throw error;
+    }
+  }
+
+  // Most recent lockout of an account or IP, active or not
+  static async findLatest({ userId = null, ipAddress = null }) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM account_lockouts
+         WHERE ${userId ? "scope = 'account' AND user_id = ?" : "scope = 'ip' AND ip_address = ?"}
+         ORDER BY created_at DESC
+         LIMIT 1`,
+        [userId || ipAddress]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding latest lockout:', error);
+      throw error;
+    }
+  }
+
+  // How many times an account or IP was locked recently (drives the progressive duration)
+  static async countRecent({ userId = null, ipAddress = null }, hours = 24) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT COUNT(*) AS lockouts FROM account_lockouts
+         WHERE ${userId ? "scope = 'account' AND user_id = ?" : "scope = 'ip' AND ip_address = ?"}
+           AND created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+        [userId || ipAddress, hours]
+      );
+      return rows[0].lockouts;
+    } catch (error) {
+      console.error('Error counting recent lockouts:', error);
+      throw error;
+    }
+  }
+
+  // Create a lockout
+  static async create(lockout) {
+    const {
+      scope,
+      userId = null,
+      ipAddress = null,
+      failedAttempts,
+      minutes,
+      unlockTokenHash = null
+    } = lockout;
+
+    try {
+      const [result] = await pool.query(
+        `INSERT INTO account_lockouts (scope, user_id, ip_address, failed_attempts, locked_until, unlock_token_hash)
+         VALUES (?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)`,
+        [scope, userId, ipAddress, failedAttempts, minutes, unlockTokenHash]
+      );
+
+      const [rows] = await pool.query('SELECT * FROM account_lockouts WHERE id = ?', [result.insertId]);
+      return rows[0];
+    } catch (error) {
+      console.error('Error creating lockout:', error);
+      throw error;
+    }
+  }
+
+  // Lift an active account lockout using the emailed link. Returns the lockout, or null if the link is stale.
+  static async unlockByToken(tokenHash) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM account_lockouts WHERE unlock_token_hash = ? AND ${ACTIVE}`,
+        [tokenHash]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      await pool.query(
+        "UPDATE account_lockouts SET unlocked_at = NOW(), unlock_method = 'email' WHERE id = ?",
+        [rows[0].id]
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error unlocking by token:', error);
+      throw error;
+    }
+  }
+
+  // Lift a lockout on an admin's say-so
+  static async unlock(id, unlockedBy) {
+    try {
+      const [result] = await pool.query(
+        `UPDATE account_lockouts SET unlocked_at = NOW(), unlock_method = 'admin', unlocked_by = ?
+         WHERE id = ? AND ${ACTIVE}`,
+        [unlockedBy, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error unlocking lockout:', error);
+      throw error;
+    }
+  }
+
+  // Lockouts from the last few days for the security review, newest first
+  static async findRecent(days = 7, limit = 50) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT al.*, u.name AS user_name, u.email AS user_email, admin.name AS unlocked_by_name,
+                (al.locked_until > NOW() AND al.unlocked_at IS NULL) AS is_active
+         FROM account_lockouts al
+         LEFT JOIN users u ON al.user_id = u.id
+         LEFT JOIN users admin ON al.unlocked_by = admin.id
+         WHERE al.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         ORDER BY is_active DESC, al.created_at DESC
+         LIMIT ?`,
+        [days, limit]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding recent lockouts:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = AccountLockout;
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { pool } = require('../../config/database');
+
+// Keys look like lms_1a2b3c4d_<secret>; the prefix is kept in the clear so admins can tell keys apart
+const KEY_PREFIX = 'lms_';
+
+// A key works until it expires or is revoked (and only while its service account is active)
+const ACTIVE = 'k.revoked_at IS NULL AND (k.expires_at IS NULL OR k.expires_at > NOW())';
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const parseScopes = (row) => {
+  if (!row) return row;
+  try {
+    return { ...row, scopes: JSON.parse(row.scopes) };
+  } catch (error) {
+    return { ...row, scopes: [] };
+  }
+};
+
+class ApiKey {
+  // Whether a presented credential is one of our keys rather than a JWT
+  static looksLikeKey(value) {
+    return typeof value === 'string' && value.startsWith(KEY_PREFIX);
+  }
+
+  // Create a key and return the plain value, which is only ever shown once
+  static async create({ userId, name, scopes, expiresInDays = null, createdBy }) {
+    const prefix = `${KEY_PREFIX}${crypto.randomBytes(4).toString('hex')}`;
+    const key = `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+
+    try {
+      const [result] = await pool.query(
+        `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at, created_by)
+         VALUES (?, ?, ?, ?, ?, ${expiresInDays ? 'DATE_ADD(NOW(), INTERVAL ? DAY)' : 'NULL'}, ?)`,
+        [userId, name, prefix, hashKey(key), JSON.stringify(scopes),
+          ...(expiresInDays ? [expiresInDays] : []), createdBy]
+      );
+
+      return { id: result.insertId, key, prefix };
+    } catch (error) {
+      console.error('Error creating API key:', error);
+      throw error;
+    }
+  }
+
+  // Find a working key from its plain value, with the service account it acts as
+  static async findActiveByKey(key) {
+    if (!key) return null;
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT k.*, u.name as user_name, u.is_active as user_active
+         FROM api_keys k
+         JOIN users u ON k.user_id = u.id
+         WHERE k.key_hash = ? AND ${ACTIVE}`,
+        [hashKey(key)]
+      );
+      return parseScopes(rows[0] || null);
+    } catch (error) {
+      console.error('Error finding API key:', error);
+      throw error;
+    }
+  }
+
+  // Note when and where a key was last used
+  static async touch(id, ipAddress) {
+    try {
+      await pool.query(
+        'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?',
+        [ipAddress, id]
+      );
+    } catch (error) {
+      console.error('Error recording API key use:', error);
+      throw error;
+    }
+  }
+
+  // Every key, newest first, for the admin page
+  static async findAll() {
+    try {
+      const [rows] = await pool.query(
+        `SELECT k.id, k.user_id, k.name, k.key_prefix, k.scopes, k.expires_at, k.last_used_at, k.last_used_ip,
+                k.revoked_at, k.created_at, u.name as account_name, creator.name as created_by_name,
+                revoker.name as revoked_by_name,
+                (${ACTIVE} AND u.is_active = 1) as is_active
+         FROM api_keys k
+         JOIN users u ON k.user_id = u.id
+         LEFT JOIN users creator ON k.created_by = creator.id
+         LEFT JOIN users revoker ON k.revoked_by = revoker.id
+         ORDER BY is_active DESC, k.created_at DESC`
+      );
+      return rows.map(parseScopes);
+    } catch (error) {
+      console.error('Error listing API keys:', error);
+      throw error;
+    }
+  }
+
+  // Revoke one key. Returns the key, or null if it was already revoked.
+  static async revoke(id, revokedBy) {
+    try {
+      const [result] = await pool.query(
+        'UPDATE api_keys SET revoked_at = NOW(), revoked_by = ? WHERE id = ? AND revoked_at IS NULL',
+        [revokedBy, id]
+      );
+
+      if (result.affectedRows === 0) {
+        return null;
+      }
+
+      const [rows] = await pool.query('SELECT * FROM api_keys WHERE id = ?', [id]);
+      return parseScopes(rows[0]);
+    } catch (error) {
+      console.error('Error revoking API key:', error);
+      throw error;
+    }
+  }
+
+  // Revoke every key a service account holds
+  static async revokeForUser(userId, revokedBy, connection = pool) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE api_keys SET revoked_at = NOW(), revoked_by = ? WHERE user_id = ? AND revoked_at IS NULL',
+        [revokedBy, userId]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking API keys for user:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ApiKey;
@@ -1,4 +1,5 @@
 const db = require('../../config/database');
+const { pool } = require('../../config/database');
 const { ASSIGNMENT_STATUS } = require('../../config/constants');
 
 class Assignment {
@@ -15,17 +16,25 @@ class Assignment {
       allowed_extensions = '.pdf,.doc,.docx,.txt',
       max_file_size = 10485760,
       submission_type = 'file',
-      status = 'draft'
+      status = 'draft',
+      time_limit_minutes = null,
+      max_attempts = 1,
+      questions_per_attempt = null,
+      shuffle_questions = false,
+      shuffle_options = false,
+      rubric_id = null
     } = assignmentData;
 
-    const result = await db.query(`
+    const [result] = await pool.query(`
       INSERT INTO assignments (
         course_id, teacher_id, title, description, instructions, max_points,
-        due_date, allowed_extensions, max_file_size, submission_type, status
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        due_date, allowed_extensions, max_file_size, submission_type, status,
+        time_limit_minutes, max_attempts, questions_per_attempt, shuffle_questions, shuffle_options, rubric_id
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `, [
       course_id, teacher_id, title, description, instructions, max_points,
-      due_date, allowed_extensions, max_file_size, submission_type, status
+      due_date, allowed_extensions, max_file_size, submission_type, status,
+      time_limit_minutes, max_attempts, questions_per_attempt, shuffle_questions, shuffle_options, rubric_id
     ]);
 
     return result.insertId;
@@ -33,7 +42,7 @@ class Assignment {
 
   // Find assignment by ID with comprehensive details
   static async findById(id) {
-    const assignments = await db.query(`
+    const [assignments] = await pool.query(`
       SELECT 
         a.*,
         c.title as course_title,
@@ -143,7 +152,9 @@ class Assignment {
   static async update(id, updateData) {
     const allowedFields = [
       'title', 'description', 'instructions', 'max_points', 'due_date',
-      'allowed_extensions', 'max_file_size', 'submission_type', 'status'
+      'allowed_extensions', 'max_file_size', 'submission_type', 'status',
+      'time_limit_minutes', 'max_attempts', 'questions_per_attempt', 'shuffle_questions', 'shuffle_options',
+      'rubric_id'
     ];
 
     const fieldsToUpdate = {};
@@ -160,7 +171,7 @@ class Assignment {
     const setClause = Object.keys(fieldsToUpdate).map(field => `${field} = ?`).join(', ');
     const values = [...Object.values(fieldsToUpdate), id];
 
-    await db.query(
+    await pool.query(
       `UPDATE assignments SET ${setClause}, updated_at = NOW() WHERE id = ?`,
       values
     );
@@ -231,7 +242,7 @@ class Assignment {
 
   // Get assignment statistics
   static async getStatistics(assignmentId) {
-    const stats = await db.query(`
+    const [stats] = await pool.query(`
       SELECT 
         COUNT(DISTINCT s.id) as total_submissions,
         COUNT(DISTINCT g.id) as graded_submissions,
@@ -248,7 +259,7 @@ class Assignment {
       WHERE a.id = ?
     `, [assignmentId]);
 
-    const gradeDistribution = await db.query(`
+    const [gradeDistribution] = await pool.query(`
       SELECT 
         g.grade,
         COUNT(*) as count,
@@ -259,7 +270,7 @@ class Assignment {
       ORDER BY g.grade
     `, [assignmentId, assignmentId]);
 
-    const submissionTimeline = await db.query(`
+    const [submissionTimeline] = await pool.query(`
       SELECT 
         DATE(s.submitted_at) as date,
         COUNT(*) as submissions,
@@ -415,6 +426,43 @@ class Assignment {
 
     return summary[0] || {};
   }
+
+  // A course's quizzes with how many questions they draw on and how many attempts they have had
+  static async findQuizzesByCourse(courseId) {
+    const [quizzes] = await pool.query(`
+      SELECT
+        a.*,
+        (SELECT COUNT(*) FROM assignment_questions aq WHERE aq.assignment_id = a.id) as question_count,
+        (SELECT COUNT(*) FROM quiz_attempts qa WHERE qa.assignment_id = a.id) as attempt_count,
+        (SELECT COUNT(DISTINCT qa.student_id) FROM quiz_attempts qa WHERE qa.assignment_id = a.id) as student_count
+      FROM assignments a
+      WHERE a.course_id = ? AND a.submission_type = 'quiz'
+      ORDER BY a.due_date DESC
+    `, [courseId]);
+
+    return quizzes;
+  }
+
+  // Published quizzes in a student's active courses, with their attempts so far and recorded grade
+  static async findQuizzesForStudent(studentId) {
+    const [quizzes] = await pool.query(`
+      SELECT
+        a.*,
+        c.title as course_title,
+        c.course_code,
+        (SELECT COUNT(*) FROM quiz_attempts qa WHERE qa.assignment_id = a.id AND qa.student_id = ?) as attempts_used,
+        g.points_earned,
+        g.grade
+      FROM assignments a
+      JOIN courses c ON a.course_id = c.id
+      JOIN enrollments e ON a.course_id = e.course_id AND e.student_id = ? AND e.status = 'active'
+      LEFT JOIN grades g ON g.assignment_id = a.id AND g.student_id = ?
+      WHERE a.submission_type = 'quiz' AND a.status IN ('published', 'closed')
+      ORDER BY a.due_date ASC
+    `, [studentId, studentId, studentId]);
+
+    return quizzes;
+  }
 }
 
 module.exports = Assignment;
\ No newline at end of file
@@ -0,0 +1,180 @@
+const { pool, transaction } = require('../../config/database');
+const { ATTENDANCE_STATUS } = require('../../config/constants');
+
+class Attendance {
+  // Find the roll call taken for a course on a given date
+  static async findSessionByDate(courseId, sessionDate) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT * FROM attendance_sessions WHERE course_id = ? AND session_date = ?',
+        [courseId, sessionDate]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding attendance session by date:', error);
+      throw error;
+    }
+  }
+
+  // Record (or re-record) a roll call for a course session
+  static async recordSession(sessionData, records) {
+    const { course_id, instructor_id, session_date, topic = null, notes = null } = sessionData;
+    const validStatuses = Object.values(ATTENDANCE_STATUS);
+
+    records.forEach(record => {
+      if (!validStatuses.includes(record.status)) {
+        throw new Error(`Invalid attendance status: ${record.status}`);
+      }
+    });
+
+    try {
+      return await transaction(async (connection) => {
+        // LAST_INSERT_ID(id) makes insertId point at the existing session on re-submission
+        const [result] = await connection.query(
+          `INSERT INTO attendance_sessions (course_id, instructor_id, session_date, topic, notes)
+           VALUES (?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             id = LAST_INSERT_ID(id),
+             instructor_id = VALUES(instructor_id),
+             topic = VALUES(topic),
+             notes = VALUES(notes)`,
+          [course_id, instructor_id, session_date, topic, notes]
+        );
+
+        const sessionId = result.insertId;
+
+        for (const record of records) {
+          await connection.query(
+            `INSERT INTO attendance_records (session_id, student_id, status, remarks)
+             VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE status = VALUES(status), remarks = VALUES(remarks)`,
+            [sessionId, record.student_id, record.status, record.remarks || null]
+          );
+        }
+
+        return sessionId;
+      });
+    } catch (error) {
+      console.error('Error recording attendance session:', error);
+      throw error;
+    }
+  }
+
+  // Get the roll call for a session
+  static async getSessionRecords(sessionId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT ar.*, u.name as student_name, u.student_id as student_number, u.email
+         FROM attendance_records ar
+         JOIN users u ON ar.student_id = u.id
+         WHERE ar.session_id = ?
+         ORDER BY u.name`,
+        [sessionId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting attendance session records:', error);
+      throw error;
+    }
+  }
+
+  // Get all sessions for a course with per-status counts
+  static async getCourseSessions(courseId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT s.*,
+                COUNT(ar.id) as total_students,
+                SUM(ar.status = 'present') as present_count,
+                SUM(ar.status = 'absent') as absent_count,
+                SUM(ar.status = 'late') as late_count,
+                SUM(ar.status = 'excused') as excused_count
+         FROM attendance_sessions s
+         LEFT JOIN attendance_records ar ON s.id = ar.session_id
+         WHERE s.course_id = ?
+         GROUP BY s.id
+         ORDER BY s.session_date DESC`,
+        [courseId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting course attendance sessions:', error);
+      throw error;
+    }
+  }
+
+  // Get per-student attendance summary for a course within a date range
+  static async getCourseSummary(courseId, startDate, endDate) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT u.id as student_id, u.name as student_name, u.student_id as student_number,
+                COUNT(ar.id) as sessions_recorded,
+                COALESCE(SUM(ar.status = 'present'), 0) as present_count,
+                COALESCE(SUM(ar.status = 'absent'), 0) as absent_count,
+                COALESCE(SUM(ar.status = 'late'), 0) as late_count,
+                COALESCE(SUM(ar.status = 'excused'), 0) as excused_count
+         FROM enrollments e
+         JOIN users u ON e.student_id = u.id
+         LEFT JOIN attendance_sessions s
+           ON s.course_id = e.course_id AND s.session_date BETWEEN ? AND ?
+         LEFT JOIN attendance_records ar
+           ON ar.session_id = s.id AND ar.student_id = u.id
+         WHERE e.course_id = ? AND e.status = 'active'
+         GROUP BY u.id
+         ORDER BY u.name`,
+        [startDate, endDate, courseId]
+      );
+
+      return rows.map(row => {
+        const attended = Number(row.present_count) + Number(row.late_count);
+        const countable = Number(row.sessions_recorded) - Number(row.excused_count);
+        return {
+          ...row,
+          attendance_rate: countable > 0 ? (attended / countable) * 100 : null
+        };
+      });
+    } catch (error) {
+      console.error('Error getting course attendance summary:', error);
+      throw error;
+    }
+  }
+
+  // Get flat attendance rows for reporting
+  static async getReportRows(filters = {}) {
+    try {
+      let query = `
+        SELECT ar.id, ar.status, ar.remarks, ar.student_id,
+               s.id as session_id, s.session_date as attendance_date, s.topic,
+               c.id as course_id, c.course_code, c.title as course_title,
+               u.name as student_name, u.student_id as student_number,
+               i.name as instructor_name
+        FROM attendance_records ar
+        JOIN attendance_sessions s ON ar.session_id = s.id
+        JOIN courses c ON s.course_id = c.id
+        JOIN users u ON ar.student_id = u.id
+        JOIN users i ON s.instructor_id = i.id
+        WHERE s.session_date BETWEEN ? AND ?
+      `;
+      const params = [filters.startDate, filters.endDate];
+
+      if (filters.courseId) {
+        query += ' AND s.course_id = ?';
+        params.push(filters.courseId);
+      }
+
+      if (filters.instructorId) {
+        query += ' AND c.teacher_id = ?';
+        params.push(filters.instructorId);
+      }
+
+      query += ' ORDER BY s.session_date DESC, c.course_code, u.name';
+
+      const [rows] = await pool.query(query, params);
+      return rows;
+    } catch (error) {
+      console.error('Error getting attendance report rows:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Attendance;
@@ -0,0 +1,41 @@
+const { pool } = require('../../config/database');
+
+class AuditLog {
+  // Write one entry. Pass the caller's connection to write it inside that transaction,
+  // so the entry is only kept if the change it describes is.
+  static async create(entry, connection = null) {
+    const {
+      userId = null,
+      action,
+      resourceType = null,
+      resourceId = null,
+      description = null,
+      ipAddress = null,
+      userAgent = null
+    } = entry;
+
+    try {
+      const [result] = await (connection || pool).query(
+        `INSERT INTO audit_logs (user_id, action, resource_type, resource_id, description, ip_address, user_agent)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, action, resourceType, resourceId, description, ipAddress, userAgent]
+      );
+      return result.insertId;
+    } catch (error) {
+      console.error('Error writing audit log:', error);
+      throw error;
+    }
+  }
+
+  // Write an entry for something that has already happened; a failure is logged, not thrown,
+  // so it cannot undo or hide the action itself
+  static async record(entry) {
+    try {
+      return await AuditLog.create(entry);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = AuditLog;
@@ -18,6 +18,25 @@ class Course {
     }
   }
 
+  // Get courses taught by an instructor
+  static async findByInstructor(instructorId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT c.*, COUNT(e.id) as enrolled_students
+         FROM courses c
+         LEFT JOIN enrollments e ON c.id = e.course_id AND e.status = 'active'
+         WHERE c.teacher_id = ?
+         GROUP BY c.id
+         ORDER BY c.title`,
+        [instructorId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding courses by instructor:', error);
+      throw error;
+    }
+  }
+
   // Get course materials
   static async getMaterials(courseId) {
     try {
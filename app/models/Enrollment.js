@@ -1,4 +1,5 @@
 const db = require('../../config/database');
+const { pool } = require('../../config/database');
 
 class Enrollment {
   // Create enrollment with validation
@@ -407,9 +408,19 @@ class Enrollment {
     return progress[0] || null;
   }
 
+  // Whether a student is currently taking a course
+  static async isActive(studentId, courseId) {
+    const [enrollment] = await pool.query(`
+      SELECT id FROM enrollments
+      WHERE student_id = ? AND course_id = ? AND status = 'active'
+    `, [studentId, courseId]);
+
+    return enrollment.length > 0;
+  }
+
   // Update final grade for enrollment
   static async updateFinalGrade(enrollmentId, finalGrade, gradePoints) {
-    const result = await db.query(`
+    const [result] = await pool.query(`
       UPDATE enrollments 
       SET final_grade = ?, grade_points = ?, completion_date = CURDATE(), status = 'completed'
       WHERE id = ?
@@ -0,0 +1,255 @@
+const { pool, transaction } = require('../../config/database');
+const StudentLedger = require('./StudentLedger');
+const {
+  PAYMENT_STATUS,
+  INSTALLMENT_STATUS,
+  LEDGER_ENTRY_TYPES,
+  LEDGER_DIRECTIONS
+} = require('../../config/constants');
+
+// Keep money arithmetic on whole cents
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Payments whose money we still hold; refunded payments no longer pay anything off
+const ALLOCATABLE_STATUSES = [PAYMENT_STATUS.COMPLETED, PAYMENT_STATUS.REFUND_PENDING];
+
+// Ledger credits that pay fees off without a payment. Adjustments that cancel an invoice are left
+// out: they reverse the invoice's own debit, which was never part of a fee schedule.
+const ALLOCATABLE_CREDIT_TYPES = [
+  LEDGER_ENTRY_TYPES.SCHOLARSHIP,
+  LEDGER_ENTRY_TYPES.WAIVER,
+  LEDGER_ENTRY_TYPES.ADJUSTMENT
+];
+
+const installmentStatus = (amountDue, amountPaid) => {
+  if (amountPaid <= 0) return INSTALLMENT_STATUS.PENDING;
+  return amountPaid >= amountDue ? INSTALLMENT_STATUS.PAID : INSTALLMENT_STATUS.PARTIAL;
+};
+
+class FeeSchedule {
+  // Give each student a schedule from the fee structure's installments and charge the fee to their ledger
+  static async assign(feeStructureId, studentIds, assignedBy) {
+    try {
+      return await transaction(async (connection) => {
+        const [feeStructures] = await connection.query(
+          'SELECT * FROM fee_structures WHERE id = ?',
+          [feeStructureId]
+        );
+
+        if (feeStructures.length === 0) {
+          throw new Error('Fee structure not found');
+        }
+
+        const feeStructure = feeStructures[0];
+
+        const [installments] = await connection.query(
+          'SELECT * FROM fee_installments WHERE fee_structure_id = ? ORDER BY installment_number',
+          [feeStructureId]
+        );
+
+        if (installments.length === 0) {
+          throw new Error('Define the fee structure\'s installments before assigning it');
+        }
+
+        const [students] = await connection.query(
+          `SELECT u.id FROM users u
+           JOIN roles r ON u.role_id = r.id
+           WHERE u.id IN (?) AND r.name = 'student'`,
+          [studentIds]
+        );
+
+        const assigned = [];
+        const skipped = [];
+
+        for (const { id: studentId } of students) {
+          const [existing] = await connection.query(
+            'SELECT id FROM student_fee_schedules WHERE student_id = ? AND fee_structure_id = ? LIMIT 1',
+            [studentId, feeStructureId]
+          );
+
+          if (existing.length > 0) {
+            skipped.push(studentId);
+            continue;
+          }
+
+          for (const installment of installments) {
+            await connection.query(
+              `INSERT INTO student_fee_schedules
+               (student_id, fee_structure_id, installment_id, installment_number, semester, amount_due, due_date, assigned_by)
+               VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+              [studentId, feeStructureId, installment.id, installment.installment_number,
+                installment.semester, installment.amount, installment.due_date, assignedBy]
+            );
+          }
+
+          await StudentLedger.postEntry({
+            student_id: studentId,
+            entry_type: LEDGER_ENTRY_TYPES.FEE,
+            direction: LEDGER_DIRECTIONS.DEBIT,
+            amount: feeStructure.amount,
+            description: `${feeStructure.name}${feeStructure.academic_year ? ` (${feeStructure.academic_year})` : ''}`,
+            reference_type: 'fee_structure',
+            reference_id: feeStructure.id,
+            created_by: assignedBy
+          }, connection);
+
+          // Money the student paid before the schedule existed goes towards it straight away
+          await FeeSchedule.allocatePayments(studentId, connection);
+
+          assigned.push(studentId);
+        }
+
+        return {
+          assigned,
+          skipped,
+          notStudents: studentIds.map(Number).filter(id => !students.some(student => student.id === id))
+        };
+      });
+    } catch (error) {
+      console.error('Error assigning fee structure:', error);
+      throw error;
+    }
+  }
+
+  // Spread a student's payments and fee credits (scholarships, waivers, adjustments) over their
+  // installments, oldest due first, taking the money in the order it came in.
+  // The allocation is rebuilt from scratch so it always agrees with the ledger; call it inside
+  // the transaction that records, settles or refunds a payment or posts a credit.
+  static async allocatePayments(studentId, connection) {
+    const [schedules] = await connection.query(
+      `SELECT id, amount_due FROM student_fee_schedules
+       WHERE student_id = ?
+       ORDER BY due_date, installment_number, id
+       FOR UPDATE`,
+      [studentId]
+    );
+
+    if (schedules.length === 0) {
+      return [];
+    }
+
+    const [payments] = await connection.query(
+      `SELECT id, amount, COALESCE(payment_date, created_at) as received_at FROM payments
+       WHERE student_id = ? AND status IN (?)
+       ORDER BY COALESCE(payment_date, created_at), id`,
+      [studentId, ALLOCATABLE_STATUSES]
+    );
+
+    const [credits] = await connection.query(
+      `SELECT id, amount, created_at as received_at FROM student_ledger
+       WHERE student_id = ? AND direction = ? AND entry_type IN (?)
+         AND NOT (entry_type = ? AND reference_type <=> 'invoice')
+       ORDER BY created_at, id`,
+      [studentId, LEDGER_DIRECTIONS.CREDIT, ALLOCATABLE_CREDIT_TYPES, LEDGER_ENTRY_TYPES.ADJUSTMENT]
+    );
+
+    // Oldest money first; on the same timestamp payments go before credits
+    const sources = [
+      ...payments.map(payment => ({ paymentId: payment.id, ledgerEntryId: null, ...payment })),
+      ...credits.map(credit => ({ paymentId: null, ledgerEntryId: credit.id, ...credit }))
+    ].sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+
+    await connection.query(
+      'DELETE FROM installment_allocations WHERE schedule_id IN (?)',
+      [schedules.map(schedule => schedule.id)]
+    );
+
+    const paid = new Map(schedules.map(schedule => [schedule.id, 0]));
+    let index = 0;
+
+    for (const source of sources) {
+      let remaining = roundAmount(parseFloat(source.amount));
+
+      while (remaining > 0 && index < schedules.length) {
+        const schedule = schedules[index];
+        const owed = roundAmount(parseFloat(schedule.amount_due) - paid.get(schedule.id));
+        const amount = Math.min(owed, remaining);
+
+        if (amount > 0) {
+          await connection.query(
+            'INSERT INTO installment_allocations (schedule_id, payment_id, ledger_entry_id, amount) VALUES (?, ?, ?, ?)',
+            [schedule.id, source.paymentId, source.ledgerEntryId, amount]
+          );
+          paid.set(schedule.id, roundAmount(paid.get(schedule.id) + amount));
+          remaining = roundAmount(remaining - amount);
+        }
+
+        if (paid.get(schedule.id) >= parseFloat(schedule.amount_due)) {
+          index++;
+        }
+      }
+    }
+
+    for (const schedule of schedules) {
+      const amountPaid = paid.get(schedule.id);
+      await connection.query(
+        'UPDATE student_fee_schedules SET amount_paid = ?, status = ? WHERE id = ?',
+        [amountPaid, installmentStatus(parseFloat(schedule.amount_due), amountPaid), schedule.id]
+      );
+    }
+
+    return schedules.map(schedule => ({ id: schedule.id, amount_paid: paid.get(schedule.id) }));
+  }
+
+  // Get a student's installments with what is left on each
+  static async getForStudent(studentId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT s.*, fs.name as fee_name, fs.academic_year,
+                s.amount_due - s.amount_paid as balance,
+                (s.status <> 'paid' AND s.due_date < CURDATE()) as is_overdue
+         FROM student_fee_schedules s
+         JOIN fee_structures fs ON s.fee_structure_id = fs.id
+         WHERE s.student_id = ?
+         ORDER BY s.due_date, s.installment_number`,
+        [studentId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting student fee schedule:', error);
+      throw error;
+    }
+  }
+
+  // Get unpaid installments that are past their due date
+  static async getOverdue(filters = {}) {
+    try {
+      let query = `
+        SELECT s.*, fs.name as fee_name, fs.academic_year,
+               s.amount_due - s.amount_paid as balance,
+               DATEDIFF(CURDATE(), s.due_date) as days_overdue,
+               u.name as student_name, u.student_id as student_code, u.email, u.phone
+        FROM student_fee_schedules s
+        JOIN fee_structures fs ON s.fee_structure_id = fs.id
+        JOIN users u ON s.student_id = u.id
+        WHERE s.status <> ? AND s.due_date < CURDATE() AND u.is_active = 1
+      `;
+      const params = [INSTALLMENT_STATUS.PAID];
+
+      if (filters.search) {
+        query += ' AND (u.name LIKE ? OR u.student_id LIKE ? OR u.email LIKE ?)';
+        params.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
+      }
+
+      if (filters.min_days) {
+        query += ' AND DATEDIFF(CURDATE(), s.due_date) >= ?';
+        params.push(filters.min_days);
+      }
+
+      if (filters.fee_structure_id) {
+        query += ' AND s.fee_structure_id = ?';
+        params.push(filters.fee_structure_id);
+      }
+
+      query += ' ORDER BY s.due_date, u.name';
+
+      const [rows] = await pool.query(query, params);
+      return rows;
+    } catch (error) {
+      console.error('Error getting overdue installments:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = FeeSchedule;
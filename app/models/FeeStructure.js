@@ -0,0 +1,123 @@
+const { pool, transaction } = require('../../config/database');
+
+// Keep money arithmetic on whole cents
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class FeeStructure {
+  // Find fee structure by ID
+  static async findById(feeStructureId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT * FROM fee_structures WHERE id = ?',
+        [feeStructureId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding fee structure by ID:', error);
+      throw error;
+    }
+  }
+
+  // Get all active fee structures
+  static async findActive() {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM fee_structures
+         WHERE is_active = 1
+         ORDER BY academic_year DESC, name`
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting active fee structures:', error);
+      throw error;
+    }
+  }
+
+  // Get a fee structure's installments in the order they fall due
+  static async getInstallments(feeStructureId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM fee_installments
+         WHERE fee_structure_id = ?
+         ORDER BY installment_number`,
+        [feeStructureId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting fee installments:', error);
+      throw error;
+    }
+  }
+
+  // Replace a fee structure's installments; they must add up to its amount
+  static async setInstallments(feeStructureId, installments) {
+    try {
+      return await transaction(async (connection) => {
+        const [feeStructures] = await connection.query(
+          'SELECT * FROM fee_structures WHERE id = ? FOR UPDATE',
+          [feeStructureId]
+        );
+
+        if (feeStructures.length === 0) {
+          throw new Error('Fee structure not found');
+        }
+
+        const [assigned] = await connection.query(
+          'SELECT COUNT(*) as count FROM student_fee_schedules WHERE fee_structure_id = ?',
+          [feeStructureId]
+        );
+
+        if (assigned[0].count > 0) {
+          throw new Error('Installments cannot be changed once the fee structure has been assigned to students');
+        }
+
+        if (!Array.isArray(installments) || installments.length === 0) {
+          throw new Error('At least one installment is required');
+        }
+
+        const ordered = installments
+          .map(installment => ({
+            semester: installment.semester || null,
+            amount: roundAmount(parseFloat(installment.amount)),
+            due_date: installment.due_date
+          }))
+          .sort((a, b) => new Date(a.due_date) - new Date(b.due_date));
+
+        ordered.forEach(installment => {
+          if (isNaN(installment.amount) || installment.amount <= 0) {
+            throw new Error('Installment amounts must be positive numbers');
+          }
+          if (!installment.due_date || isNaN(new Date(installment.due_date).getTime())) {
+            throw new Error('Every installment needs a valid due date');
+          }
+        });
+
+        const total = roundAmount(ordered.reduce((sum, installment) => sum + installment.amount, 0));
+        if (total !== roundAmount(parseFloat(feeStructures[0].amount))) {
+          throw new Error(`Installments add up to ${total.toFixed(2)} but the fee structure is ${parseFloat(feeStructures[0].amount).toFixed(2)}`);
+        }
+
+        await connection.query('DELETE FROM fee_installments WHERE fee_structure_id = ?', [feeStructureId]);
+
+        for (const [index, installment] of ordered.entries()) {
+          await connection.query(
+            `INSERT INTO fee_installments (fee_structure_id, installment_number, semester, amount, due_date)
+             VALUES (?, ?, ?, ?, ?)`,
+            [feeStructureId, index + 1, installment.semester, installment.amount, installment.due_date]
+          );
+        }
+
+        const [rows] = await connection.query(
+          'SELECT * FROM fee_installments WHERE fee_structure_id = ? ORDER BY installment_number',
+          [feeStructureId]
+        );
+        return rows;
+      });
+    } catch (error) {
+      console.error('Error setting fee installments:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = FeeStructure;
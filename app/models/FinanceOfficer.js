@@ -1,4 +1,9 @@
 const db = require('../../config/database');
+const { pool } = require('../../config/database');
+const StudentLedger = require('./StudentLedger');
+const FeeSchedule = require('./FeeSchedule');
+const AuditLog = require('./AuditLog');
+const { PAYMENT_STATUS, LEDGER_ENTRY_TYPES, LEDGER_DIRECTIONS } = require('../../config/constants');
 
 class FinanceOfficer {
   // Get financial dashboard overview
@@ -224,52 +229,81 @@ class FinanceOfficer {
     };
   }
 
-  // Verify and update payment status
+  // Verify and update payment status. Only a payment still pending can be verified; a completed one
+  // is credited to the student ledger and allocated against fees in the same transaction.
   static async verifyPayment(paymentId, financeOfficerId, status, notes = '') {
-    // Get payment details
-    const payment = await db.query(`
-      SELECT * FROM payments WHERE id = ?
-    `, [paymentId]);
-
-    if (payment.length === 0) {
-      throw new Error('Payment not found');
-    }
-
     const validStatuses = ['completed', 'failed', 'cancelled'];
     if (!validStatuses.includes(status)) {
       throw new Error('Invalid payment status');
     }
 
-    // Update payment status
-    const result = await db.query(`
-      UPDATE payments 
-      SET status = ?, verified_by = ?, verified_at = NOW(), description = CONCAT(COALESCE(description, ''), ?)
-      WHERE id = ?
-    `, [status, financeOfficerId, notes ? ` | Verified: ${notes}` : '', paymentId]);
+    const payment = await db.transaction(async (connection) => {
+      // Get payment details
+      const [payments] = await connection.query(`
+        SELECT * FROM payments WHERE id = ? FOR UPDATE
+      `, [paymentId]);
 
-    if (result.affectedRows === 0) {
-      throw new Error('Failed to update payment');
-    }
+      if (payments.length === 0) {
+        throw new Error('Payment not found');
+      }
+
+      const payment = payments[0];
+
+      if (payment.status !== PAYMENT_STATUS.PENDING) {
+        throw new Error(`Payment is already ${payment.status}`);
+      }
+
+      if (status === PAYMENT_STATUS.COMPLETED && !payment.student_id) {
+        throw new Error('Payment is not linked to a student');
+      }
+
+      // Update payment status
+      await connection.query(`
+        UPDATE payments 
+        SET status = ?, verified_by = ?, verified_at = NOW(), description = CONCAT(COALESCE(description, ''), ?)
+        WHERE id = ?
+      `, [status, financeOfficerId, notes ? ` | Verified: ${notes}` : '', paymentId]);
+
+      if (status === PAYMENT_STATUS.COMPLETED) {
+        await StudentLedger.postEntry({
+          student_id: payment.student_id,
+          entry_type: LEDGER_ENTRY_TYPES.PAYMENT,
+          direction: LEDGER_DIRECTIONS.CREDIT,
+          amount: parseFloat(payment.amount),
+          description: payment.transaction_id ? `Verified payment ${payment.transaction_id}` : 'Verified payment',
+          reference_type: 'payment',
+          reference_id: payment.id,
+          created_by: financeOfficerId
+        }, connection);
+
+        await FeeSchedule.allocatePayments(payment.student_id, connection);
+      }
+
+      // Log the verification
+      await AuditLog.create({
+        userId: financeOfficerId,
+        action: 'payment_verification',
+        resourceType: 'payments',
+        resourceId: payment.id,
+        description: JSON.stringify({ old_status: payment.status, new_status: status, notes })
+      }, connection);
+
+      return payment;
+    });
 
     // Create notification for student
-    if (status === 'completed') {
-      await db.query(`
+    if (status === PAYMENT_STATUS.COMPLETED) {
+      await pool.query(`
         INSERT INTO notifications (user_id, title, message, type, related_id, related_type)
         VALUES (?, 'Payment Verified', ?, 'success', ?, 'payment')
       `, [
-        payment[0].student_id,
-        `Your payment of KES ${payment[0].amount} has been verified and processed successfully.`,
+        payment.student_id,
+        `Your payment of KES ${payment.amount} has been verified and processed successfully.`,
         paymentId
       ]);
     }
 
-    // Log the verification
-    await db.query(`
-      INSERT INTO audit_logs (user_id, action, table_name, record_id, details)
-      VALUES (?, 'payment_verification', 'payments', ?, ?)
-    `, [financeOfficerId, paymentId, JSON.stringify({ old_status: payment[0].status, new_status: status, notes })]);
-
-    return { success: true, payment: { ...payment[0], status, verified_by: financeOfficerId } };
+    return { success: true, payment: { ...payment, status, verified_by: financeOfficerId } };
   }
 
   // Manage fee structures
@@ -313,10 +347,13 @@ class FinanceOfficer {
     `, [name, description, amount, fee_type, academic_year, semester, due_date, created_by]);
 
     // Log the creation
-    await db.query(`
-      INSERT INTO audit_logs (user_id, action, table_name, record_id, details)
-      VALUES (?, 'fee_structure_create', 'fee_structures', ?, ?)
-    `, [created_by, result.insertId, JSON.stringify(feeData)]);
+    await AuditLog.create({
+      userId: created_by,
+      action: 'fee_structure_create',
+      resourceType: 'fee_structures',
+      resourceId: result.insertId,
+      description: JSON.stringify(feeData)
+    });
 
     return result.insertId;
   }
@@ -0,0 +1,93 @@
+const { pool } = require('../../config/database');
+
+class Grade {
+  static async findById(gradeId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT g.*, a.course_id
+         FROM grades g
+         JOIN assignments a ON g.assignment_id = a.id
+         WHERE g.id = ?`,
+        [gradeId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding grade by ID:', error);
+      throw error;
+    }
+  }
+
+  // Assignments that count towards a course grade (drafts don't), with their category
+  static async getCourseAssignments(courseId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT a.id, a.title, a.max_points, a.due_date, a.status, a.category_id, gc.name as category_name
+         FROM assignments a
+         LEFT JOIN grade_categories gc ON a.category_id = gc.id
+         WHERE a.course_id = ? AND a.status IN ('published', 'closed')
+         ORDER BY a.due_date, a.id`,
+        [courseId]
+      );
+      return rows.map(row => ({ ...row, max_points: Number(row.max_points) }));
+    } catch (error) {
+      console.error('Error getting course assignments for grading:', error);
+      throw error;
+    }
+  }
+
+  // Students on a course, including those whose final grade has already been recorded
+  static async getCourseRoster(courseId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT e.id as enrollment_id, e.status as enrollment_status, e.final_grade, e.grade_points,
+                u.id as student_id, u.name as student_name, u.student_id as student_number, u.email
+         FROM enrollments e
+         JOIN users u ON e.student_id = u.id
+         WHERE e.course_id = ? AND e.status IN ('active', 'completed')
+         ORDER BY u.name`,
+        [courseId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting course roster:', error);
+      throw error;
+    }
+  }
+
+  // Every mark recorded on a course's assignments
+  static async findByCourse(courseId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT g.id, g.student_id, g.assignment_id, g.points_earned
+         FROM grades g
+         JOIN assignments a ON g.assignment_id = a.id
+         WHERE a.course_id = ? AND g.points_earned IS NOT NULL`,
+        [courseId]
+      );
+      return rows.map(row => ({ ...row, points_earned: Number(row.points_earned) }));
+    } catch (error) {
+      console.error('Error finding grades by course:', error);
+      throw error;
+    }
+  }
+
+  // Courses a student is (or was) enrolled on, for their own gradebook
+  static async getStudentCourses(studentId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT c.id, c.course_code, c.title, c.credits, e.status as enrollment_status, e.final_grade, e.grade_points
+         FROM enrollments e
+         JOIN courses c ON e.course_id = c.id
+         WHERE e.student_id = ? AND e.status IN ('active', 'completed')
+         ORDER BY c.course_code`,
+        [studentId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting student courses:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Grade;
@@ -0,0 +1,86 @@
+const { pool, transaction } = require('../../config/database');
+
+class GradeCategory {
+  // A course's categories with how many assignments are filed under each
+  static async findByCourse(courseId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT gc.*, COUNT(a.id) as assignment_count
+         FROM grade_categories gc
+         LEFT JOIN assignments a ON a.category_id = gc.id
+         WHERE gc.course_id = ?
+         GROUP BY gc.id
+         ORDER BY gc.id`,
+        [courseId]
+      );
+      return rows.map(row => ({ ...row, weight: Number(row.weight) }));
+    } catch (error) {
+      console.error('Error finding grade categories by course:', error);
+      throw error;
+    }
+  }
+
+  // Replace a course's categories. Rows with an id are updated, the rest inserted, and any
+  // category left out is deleted (its assignments become uncategorised).
+  static async saveForCourse(courseId, categories) {
+    try {
+      return await transaction(async (connection) => {
+        const [existing] = await connection.query('SELECT id FROM grade_categories WHERE course_id = ?', [courseId]);
+        const keep = categories.filter(category => category.id).map(category => parseInt(category.id));
+        const removed = existing.map(row => row.id).filter(id => !keep.includes(id));
+
+        if (removed.length > 0) {
+          await connection.query('DELETE FROM grade_categories WHERE id IN (?)', [removed]);
+        }
+
+        // Free the names first so renaming one category to another's old name doesn't collide
+        if (keep.length > 0) {
+          await connection.query(
+            'UPDATE grade_categories SET name = CONCAT(\'~\', id) WHERE course_id = ? AND id IN (?)',
+            [courseId, keep]
+          );
+        }
+
+        for (const category of categories) {
+          if (category.id) {
+            await connection.query(
+              'UPDATE grade_categories SET name = ?, weight = ?, drop_lowest = ? WHERE id = ? AND course_id = ?',
+              [category.name, category.weight, category.drop_lowest, category.id, courseId]
+            );
+          } else {
+            await connection.query(
+              'INSERT INTO grade_categories (course_id, name, weight, drop_lowest) VALUES (?, ?, ?, ?)',
+              [courseId, category.name, category.weight, category.drop_lowest]
+            );
+          }
+        }
+
+        return removed.length;
+      });
+    } catch (error) {
+      console.error('Error saving grade categories:', error);
+      throw error;
+    }
+  }
+
+  // File a course's assignments under categories ({ assignmentId: categoryId or null })
+  static async assignCategories(courseId, assignments) {
+    try {
+      await transaction(async (connection) => {
+        for (const [assignmentId, categoryId] of Object.entries(assignments)) {
+          await connection.query(
+            `UPDATE assignments SET category_id = ?
+             WHERE id = ? AND course_id = ?
+               AND (? IS NULL OR ? IN (SELECT id FROM grade_categories WHERE course_id = ?))`,
+            [categoryId, assignmentId, courseId, categoryId, categoryId, courseId]
+          );
+        }
+      });
+    } catch (error) {
+      console.error('Error assigning grade categories:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = GradeCategory;
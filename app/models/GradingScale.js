@@ -0,0 +1,160 @@
+const { pool, transaction } = require('../../config/database');
+
+class GradingScale {
+  // Attach each scale's bands, highest minimum first
+  static async withBands(scales) {
+    if (scales.length === 0) return scales;
+
+    const [bands] = await pool.query(
+      `SELECT * FROM grading_scale_bands
+       WHERE scale_id IN (?)
+       ORDER BY min_percentage DESC`,
+      [scales.map(scale => scale.id)]
+    );
+
+    return scales.map(scale => ({
+      ...scale,
+      bands: bands
+        .filter(band => band.scale_id === scale.id)
+        .map(band => ({
+          letter: band.letter,
+          min_percentage: Number(band.min_percentage),
+          grade_points: Number(band.grade_points)
+        }))
+    }));
+  }
+
+  // Institution scales (the ones not owned by a course) with how many courses use each
+  static async findAll() {
+    try {
+      const [rows] = await pool.query(
+        `SELECT gs.*, COUNT(c.id) as course_count
+         FROM grading_scales gs
+         LEFT JOIN courses c ON c.grading_scale_id = gs.id
+         WHERE gs.course_id IS NULL
+         GROUP BY gs.id
+         ORDER BY gs.is_default DESC, gs.name`
+      );
+      return await this.withBands(rows);
+    } catch (error) {
+      console.error('Error finding grading scales:', error);
+      throw error;
+    }
+  }
+
+  static async findById(scaleId) {
+    try {
+      const [rows] = await pool.query('SELECT * FROM grading_scales WHERE id = ?', [scaleId]);
+      return (await this.withBands(rows))[0] || null;
+    } catch (error) {
+      console.error('Error finding grading scale by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findDefault() {
+    try {
+      const [rows] = await pool.query(
+        'SELECT * FROM grading_scales WHERE is_default = TRUE AND course_id IS NULL ORDER BY id LIMIT 1'
+      );
+      return (await this.withBands(rows))[0] || null;
+    } catch (error) {
+      console.error('Error finding default grading scale:', error);
+      throw error;
+    }
+  }
+
+  // The scale a course grades with: the one it picked (or defined), otherwise the institution default
+  static async findForCourse(courseId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT gs.*
+         FROM courses c
+         JOIN grading_scales gs ON gs.id = c.grading_scale_id
+         WHERE c.id = ?`,
+        [courseId]
+      );
+      return (await this.withBands(rows))[0] || await this.findDefault();
+    } catch (error) {
+      console.error('Error finding grading scale for course:', error);
+      throw error;
+    }
+  }
+
+  // Create a scale, or replace the name and bands of an existing one
+  static async save({ id = null, name, courseId = null, bands, createdBy = null }) {
+    try {
+      return await transaction(async (connection) => {
+        let scaleId = id;
+
+        if (scaleId) {
+          await connection.query('UPDATE grading_scales SET name = ? WHERE id = ?', [name, scaleId]);
+          await connection.query('DELETE FROM grading_scale_bands WHERE scale_id = ?', [scaleId]);
+        } else {
+          const [result] = await connection.query(
+            'INSERT INTO grading_scales (name, course_id, created_by) VALUES (?, ?, ?)',
+            [name, courseId, createdBy]
+          );
+          scaleId = result.insertId;
+        }
+
+        for (const band of bands) {
+          await connection.query(
+            'INSERT INTO grading_scale_bands (scale_id, letter, min_percentage, grade_points) VALUES (?, ?, ?, ?)',
+            [scaleId, band.letter, band.min_percentage, band.grade_points]
+          );
+        }
+
+        return scaleId;
+      });
+    } catch (error) {
+      console.error('Error saving grading scale:', error);
+      throw error;
+    }
+  }
+
+  // Make an institution scale the one courses fall back to
+  static async setDefault(scaleId) {
+    try {
+      await transaction(async (connection) => {
+        await connection.query('UPDATE grading_scales SET is_default = FALSE WHERE is_default = TRUE');
+        await connection.query(
+          'UPDATE grading_scales SET is_default = TRUE WHERE id = ? AND course_id IS NULL',
+          [scaleId]
+        );
+      });
+    } catch (error) {
+      console.error('Error setting default grading scale:', error);
+      throw error;
+    }
+  }
+
+  // Courses using the scale go back to the institution default
+  static async delete(scaleId) {
+    try {
+      const [result] = await pool.query('DELETE FROM grading_scales WHERE id = ?', [scaleId]);
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting grading scale:', error);
+      throw error;
+    }
+  }
+
+  // Point a course at a scale; null means the institution default
+  static async assignToCourse(courseId, scaleId) {
+    try {
+      await pool.query('UPDATE courses SET grading_scale_id = ? WHERE id = ?', [scaleId, courseId]);
+    } catch (error) {
+      console.error('Error assigning grading scale to course:', error);
+      throw error;
+    }
+  }
+
+  // The band a percentage falls in: the one with the highest minimum it reaches
+  static bandFor(scale, percentage) {
+    return scale.bands.find(band => percentage >= band.min_percentage) ||
+      scale.bands[scale.bands.length - 1];
+  }
+}
+
+module.exports = GradingScale;
@@ -1,5 +1,8 @@
 const db = require('../../config/database');
+const { pool } = require('../../config/database');
 const User = require('./User');
+const GradingScale = require('./GradingScale');
+const Rubric = require('./Rubric');
 
 class Instructor {
   // Get instructor profile with comprehensive stats
@@ -263,12 +266,13 @@ class Instructor {
   }
 
   // Grade submission with comprehensive validation
+  // rubric_scores, when given, is the rubric breakdown points_earned was worked out from
   static async gradeSubmission(submissionId, instructorId, gradeData) {
-    const { points_earned, grade, feedback } = gradeData;
+    const { points_earned, feedback, rubric_scores = [] } = gradeData;
 
     // Verify instructor can grade this submission
-    const submission = await db.query(`
-      SELECT s.*, a.max_points, a.title as assignment_title, c.teacher_id, u.name as student_name
+    const [submission] = await pool.query(`
+      SELECT s.*, a.max_points, a.course_id, a.title as assignment_title, c.teacher_id, u.name as student_name
       FROM submissions s
       JOIN assignments a ON s.assignment_id = a.id
       JOIN courses c ON a.course_id = c.id
@@ -292,39 +296,29 @@ class Instructor {
       throw new Error('Points earned cannot be negative');
     }
 
-    // Calculate grade points based on percentage
+    // Letter and grade points come from the course's grading scale
     const percentage = (points_earned / submission[0].max_points) * 100;
-    let gradePoints = 0;
-
-    // Grade points calculation
-    if (percentage >= 90) gradePoints = 4.0;
-    else if (percentage >= 85) gradePoints = 3.7;
-    else if (percentage >= 80) gradePoints = 3.3;
-    else if (percentage >= 75) gradePoints = 3.0;
-    else if (percentage >= 70) gradePoints = 2.7;
-    else if (percentage >= 65) gradePoints = 2.3;
-    else if (percentage >= 60) gradePoints = 2.0;
-    else if (percentage >= 55) gradePoints = 1.7;
-    else if (percentage >= 50) gradePoints = 1.3;
-    else if (percentage >= 45) gradePoints = 1.0;
-    else gradePoints = 0.0;
+    const scale = await GradingScale.findForCourse(submission[0].course_id);
+    const band = GradingScale.bandFor(scale, percentage);
+    const grade = band.letter;
+    const gradePoints = band.grade_points;
 
     // Check if grade already exists
-    const existingGrade = await db.query(`
+    const [existingGrade] = await pool.query(`
       SELECT id FROM grades WHERE submission_id = ?
     `, [submissionId]);
 
     let result;
     if (existingGrade.length > 0) {
       // Update existing grade
-      result = await db.query(`
+      [result] = await pool.query(`
         UPDATE grades 
         SET points_earned = ?, grade = ?, feedback = ?, grade_points = ?, updated_at = NOW()
         WHERE submission_id = ?
       `, [points_earned, grade, feedback, gradePoints, submissionId]);
     } else {
       // Insert new grade
-      result = await db.query(`
+      [result] = await pool.query(`
         INSERT INTO grades (submission_id, assignment_id, student_id, teacher_id, points_earned, max_points, grade, feedback, grade_points)
         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
       `, [
@@ -340,13 +334,18 @@ class Instructor {
       ]);
     }
 
+    const gradeId = existingGrade.length > 0 ? existingGrade[0].id : result.insertId;
+
+    // A grade given as plain points clears any earlier rubric breakdown
+    await Rubric.saveScores(gradeId, rubric_scores);
+
     // Update submission status
-    await db.query(`
+    await pool.query(`
       UPDATE submissions SET status = 'graded' WHERE id = ?
     `, [submissionId]);
 
     // Create notification for student
-    await db.query(`
+    await pool.query(`
       INSERT INTO notifications (user_id, title, message, type, related_id, related_type)
       VALUES (?, 'Assignment Graded', ?, 'info', ?, 'grade')
     `, [
@@ -357,7 +356,7 @@ class Instructor {
 
     return {
       success: true,
-      gradeId: existingGrade.length > 0 ? existingGrade[0].id : result.insertId,
+      gradeId,
       points_earned,
       grade,
       gradePoints,
@@ -0,0 +1,277 @@
+const { pool, transaction } = require('../../config/database');
+const StudentLedger = require('./StudentLedger');
+const { INVOICE_STATUS, LEDGER_ENTRY_TYPES, LEDGER_DIRECTIONS } = require('../../config/constants');
+
+class Invoice {
+  // Create an invoice with its line items
+  static async create(invoiceData, items) {
+    const {
+      student_id,
+      fee_structure_id = null,
+      academic_year = null,
+      semester = null,
+      due_date,
+      notes = null,
+      generated_by
+    } = invoiceData;
+
+    if (!items || items.length === 0) {
+      throw new Error('An invoice needs at least one item');
+    }
+
+    const totalAmount = items.reduce((sum, item) => sum + item.quantity * item.unit_price, 0);
+
+    try {
+      return await transaction(async (connection) => {
+        const invoiceNumber = await Invoice.nextInvoiceNumber(connection, new Date().getFullYear());
+
+        const [result] = await connection.query(
+          `INSERT INTO invoices
+             (invoice_number, student_id, fee_structure_id, academic_year, semester,
+              due_date, total_amount, notes, generated_by)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [invoiceNumber, student_id, fee_structure_id, academic_year, semester,
+            due_date, totalAmount, notes, generated_by]
+        );
+
+        for (const item of items) {
+          await connection.query(
+            'INSERT INTO invoice_items (invoice_id, description, quantity, unit_price) VALUES (?, ?, ?, ?)',
+            [result.insertId, item.description, item.quantity, item.unit_price]
+          );
+        }
+
+        await StudentLedger.postEntry({
+          student_id,
+          entry_type: LEDGER_ENTRY_TYPES.INVOICE,
+          direction: LEDGER_DIRECTIONS.DEBIT,
+          amount: totalAmount,
+          description: `Invoice ${invoiceNumber}`,
+          reference_type: 'invoice',
+          reference_id: result.insertId,
+          created_by: generated_by
+        }, connection);
+
+        return { id: result.insertId, invoice_number: invoiceNumber };
+      });
+    } catch (error) {
+      console.error('Error creating invoice:', error);
+      throw error;
+    }
+  }
+
+  // Reserve the next invoice number for a year (must run inside a transaction)
+  static async nextInvoiceNumber(connection, year) {
+    // The row lock is held until the surrounding transaction ends, and a rollback
+    // releases the number again, so numbers are never skipped or reused
+    await connection.query(
+      'INSERT IGNORE INTO invoice_sequences (year, last_number) VALUES (?, 0)',
+      [year]
+    );
+    const [rows] = await connection.query(
+      'SELECT last_number FROM invoice_sequences WHERE year = ? FOR UPDATE',
+      [year]
+    );
+    const nextNumber = rows[0].last_number + 1;
+    await connection.query(
+      'UPDATE invoice_sequences SET last_number = ? WHERE year = ?',
+      [nextNumber, year]
+    );
+
+    return `INV-${year}-${nextNumber.toString().padStart(5, '0')}`;
+  }
+
+  // Find invoice by ID with student and fee structure details
+  static async findById(invoiceId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT i.*,
+                u.name as student_name, u.email as student_email,
+                u.phone as student_phone, u.student_id as student_number,
+                fs.name as fee_structure_name,
+                g.name as generated_by_name,
+                s.name as sent_by_name
+         FROM invoices i
+         JOIN users u ON i.student_id = u.id
+         LEFT JOIN fee_structures fs ON i.fee_structure_id = fs.id
+         LEFT JOIN users g ON i.generated_by = g.id
+         LEFT JOIN users s ON i.sent_by = s.id
+         WHERE i.id = ?`,
+        [invoiceId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding invoice by ID:', error);
+      throw error;
+    }
+  }
+
+  // Get line items for an invoice
+  static async getItems(invoiceId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT * FROM invoice_items WHERE invoice_id = ? ORDER BY id',
+        [invoiceId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting invoice items:', error);
+      throw error;
+    }
+  }
+
+  // Get invoices with filters and pagination
+  static async findAll(filters = {}, page = 1, limit = 20) {
+    try {
+      const offset = (page - 1) * limit;
+      const whereConditions = [];
+      const params = [];
+
+      if (filters.student_id) {
+        whereConditions.push('i.student_id = ?');
+        params.push(filters.student_id);
+      }
+
+      if (filters.status) {
+        whereConditions.push('i.status = ?');
+        params.push(filters.status);
+      }
+
+      if (filters.academic_year) {
+        whereConditions.push('i.academic_year = ?');
+        params.push(filters.academic_year);
+      }
+
+      if (filters.semester) {
+        whereConditions.push('i.semester = ?');
+        params.push(filters.semester);
+      }
+
+      if (filters.unsent) {
+        whereConditions.push('i.sent_at IS NULL');
+      }
+
+      if (filters.search) {
+        whereConditions.push('(i.invoice_number LIKE ? OR u.name LIKE ? OR u.student_id LIKE ?)');
+        params.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
+      }
+
+      const whereClause = whereConditions.length > 0 ? ' WHERE ' + whereConditions.join(' AND ') : '';
+
+      const [invoices] = await pool.query(
+        `SELECT i.*, u.name as student_name, u.email as student_email,
+                u.student_id as student_number, fs.name as fee_structure_name
+         FROM invoices i
+         JOIN users u ON i.student_id = u.id
+         LEFT JOIN fee_structures fs ON i.fee_structure_id = fs.id
+         ${whereClause}
+         ORDER BY i.created_at DESC, i.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [countResult] = await pool.query(
+        `SELECT COUNT(*) as total
+         FROM invoices i
+         JOIN users u ON i.student_id = u.id
+         ${whereClause}`,
+        params
+      );
+
+      return {
+        invoices,
+        total: countResult[0].total,
+        page: parseInt(page),
+        totalPages: Math.ceil(countResult[0].total / limit)
+      };
+    } catch (error) {
+      console.error('Error finding invoices:', error);
+      throw error;
+    }
+  }
+
+  // Update invoice status, reversing the ledger debit when an invoice is cancelled
+  static async updateStatus(invoiceId, status, updatedBy) {
+    if (!Object.values(INVOICE_STATUS).includes(status)) {
+      throw new Error(`Invalid invoice status: ${status}`);
+    }
+
+    try {
+      return await transaction(async (connection) => {
+        const [rows] = await connection.query(
+          'SELECT * FROM invoices WHERE id = ? FOR UPDATE',
+          [invoiceId]
+        );
+        const invoice = rows[0];
+
+        if (!invoice) return false;
+
+        await connection.query(
+          'UPDATE invoices SET status = ?, updated_by = ? WHERE id = ?',
+          [status, updatedBy, invoiceId]
+        );
+
+        const wasCancelled = invoice.status === INVOICE_STATUS.CANCELLED;
+        const isCancelled = status === INVOICE_STATUS.CANCELLED;
+
+        if (wasCancelled !== isCancelled) {
+          await StudentLedger.postEntry({
+            student_id: invoice.student_id,
+            entry_type: LEDGER_ENTRY_TYPES.ADJUSTMENT,
+            direction: isCancelled ? LEDGER_DIRECTIONS.CREDIT : LEDGER_DIRECTIONS.DEBIT,
+            amount: invoice.total_amount,
+            description: `Invoice ${invoice.invoice_number} ${isCancelled ? 'cancelled' : 'reinstated'}`,
+            reference_type: 'invoice',
+            reference_id: invoice.id,
+            created_by: updatedBy
+          }, connection);
+        }
+
+        return true;
+      });
+    } catch (error) {
+      console.error('Error updating invoice status:', error);
+      throw error;
+    }
+  }
+
+  // Record that an invoice was emailed to the student
+  static async markSent(invoiceId, sentBy) {
+    try {
+      await pool.query(
+        'UPDATE invoices SET sent_at = NOW(), sent_by = ? WHERE id = ?',
+        [sentBy, invoiceId]
+      );
+    } catch (error) {
+      console.error('Error marking invoice as sent:', error);
+      throw error;
+    }
+  }
+
+  // Get invoice totals by status
+  static async getStatistics() {
+    try {
+      const [statusBreakdown] = await pool.query(
+        `SELECT status, COUNT(*) as count, COALESCE(SUM(total_amount), 0) as total_amount
+         FROM invoices
+         GROUP BY status`
+      );
+      const [overview] = await pool.query(
+        `SELECT COUNT(*) as total_invoices,
+                COALESCE(SUM(total_amount), 0) as total_amount,
+                COALESCE(AVG(total_amount), 0) as average_amount
+         FROM invoices`
+      );
+
+      return {
+        statusBreakdown,
+        overview: overview[0]
+      };
+    } catch (error) {
+      console.error('Error getting invoice statistics:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Invoice;
@@ -0,0 +1,137 @@
+const { pool } = require('../../config/database');
+
+class LoginAttempt {
+  // Record one password check
+  static async record(attempt) {
+    const {
+      userId = null,
+      email = null,
+      ipAddress = null,
+      userAgent = null,
+      success = false,
+      failureReason = null,
+      unusualReason = null
+    } = attempt;
+
+    try {
+      const [result] = await pool.query(
+        `INSERT INTO login_attempts (user_id, email, ip_address, user_agent, success, failure_reason, unusual_reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [userId, email, ipAddress, userAgent, success ? 1 : 0, failureReason, unusualReason]
+      );
+      return result.insertId;
+    } catch (error) {
+      console.error('Error recording login attempt:', error);
+      throw error;
+    }
+  }
+
+  // Count failed attempts for an account or an IP after a given moment
+  static async countFailures({ userId = null, ipAddress = null }, since) {
+    try {
+      const column = userId ? 'user_id' : 'ip_address';
+      const [rows] = await pool.query(
+        `SELECT COUNT(*) AS failures FROM login_attempts
+         WHERE ${column} = ? AND success = 0 AND failure_reason <> 'locked' AND created_at > ?`,
+        [userId || ipAddress, since]
+      );
+      return rows[0].failures;
+    } catch (error) {
+      console.error('Error counting failed logins:', error);
+      throw error;
+    }
+  }
+
+  // When the user last signed in successfully
+  static async lastSuccessAt(userId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT MAX(created_at) AS last_success FROM login_attempts WHERE user_id = ? AND success = 1',
+        [userId]
+      );
+      return rows[0].last_success;
+    } catch (error) {
+      console.error('Error finding last successful login:', error);
+      throw error;
+    }
+  }
+
+  // Whether the user has signed in with this browser before, and from this IP before
+  static async checkDevice(userId, deviceHash, ipAddress) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT
+           COUNT(*) AS known_pairs,
+           SUM(device_hash = ?) AS device_matches,
+           SUM(ip_address = ?) AS ip_matches
+         FROM known_login_devices WHERE user_id = ?`,
+        [deviceHash, ipAddress, userId]
+      );
+
+      return {
+        firstLogin: rows[0].known_pairs === 0,
+        knownDevice: parseInt(rows[0].device_matches) > 0,
+        knownIp: parseInt(rows[0].ip_matches) > 0
+      };
+    } catch (error) {
+      console.error('Error checking login device:', error);
+      throw error;
+    }
+  }
+
+  // Remember a browser and IP pair so later logins from it are not flagged
+  static async rememberDevice(userId, deviceHash, ipAddress, userAgent) {
+    try {
+      await pool.query(
+        `INSERT INTO known_login_devices (user_id, device_hash, ip_address, user_agent)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE last_seen_at = NOW()`,
+        [userId, deviceHash, ipAddress, userAgent]
+      );
+    } catch (error) {
+      console.error('Error remembering login device:', error);
+      throw error;
+    }
+  }
+
+  // Successful logins flagged as coming from a new device or IP
+  static async findUnusual(days = 7, limit = 50) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT la.*, u.name AS user_name
+         FROM login_attempts la
+         JOIN users u ON la.user_id = u.id
+         WHERE la.success = 1 AND la.unusual_reason IS NOT NULL
+           AND la.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         ORDER BY la.created_at DESC
+         LIMIT ?`,
+        [days, limit]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding unusual logins:', error);
+      throw error;
+    }
+  }
+
+  // Failed attempt totals for the security summary
+  static async getFailureSummary(hours = 24) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT
+           COUNT(*) AS failures,
+           COUNT(DISTINCT ip_address) AS ip_addresses,
+           COUNT(DISTINCT email) AS accounts
+         FROM login_attempts
+         WHERE success = 0 AND created_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+        [hours]
+      );
+      return rows[0];
+    } catch (error) {
+      console.error('Error summarising failed logins:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = LoginAttempt;
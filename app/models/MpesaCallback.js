@@ -0,0 +1,115 @@
+const { pool } = require('../../config/database');
+const { CALLBACK_STATUS } = require('../../config/constants');
+
+class MpesaCallback {
+  // Store a callback in the inbox. Returns duplicate: true when the same
+  // CheckoutRequestID or receipt number has been received before.
+  static async record(callbackData) {
+    const {
+      callback_type,
+      idempotency_key,
+      receipt_number = null,
+      payload,
+      source_ip = null
+    } = callbackData;
+
+    try {
+      const [result] = await pool.query(
+        `INSERT IGNORE INTO mpesa_callbacks
+           (callback_type, idempotency_key, receipt_number, payload, source_ip)
+         VALUES (?, ?, ?, ?, ?)`,
+        [callback_type, idempotency_key, receipt_number, JSON.stringify(payload), source_ip]
+      );
+
+      if (result.affectedRows === 0) {
+        return { id: null, duplicate: true };
+      }
+
+      return { id: result.insertId, duplicate: false };
+    } catch (error) {
+      console.error('Error recording M-Pesa callback:', error);
+      throw error;
+    }
+  }
+
+  // Find callback by ID
+  static async findById(id) {
+    try {
+      const [rows] = await pool.query('SELECT * FROM mpesa_callbacks WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding M-Pesa callback:', error);
+      throw error;
+    }
+  }
+
+  // Mark a callback as processed
+  static async markProcessed(id) {
+    try {
+      await pool.query(
+        `UPDATE mpesa_callbacks
+         SET status = ?, attempts = attempts + 1, last_error = NULL, processed_at = NOW()
+         WHERE id = ?`,
+        [CALLBACK_STATUS.PROCESSED, id]
+      );
+    } catch (error) {
+      console.error('Error marking M-Pesa callback processed:', error);
+      throw error;
+    }
+  }
+
+  // Mark a callback as failed so it can be retried
+  static async markFailed(id, errorMessage) {
+    try {
+      await pool.query(
+        'UPDATE mpesa_callbacks SET status = ?, attempts = attempts + 1, last_error = ? WHERE id = ?',
+        [CALLBACK_STATUS.FAILED, errorMessage, id]
+      );
+    } catch (error) {
+      console.error('Error marking M-Pesa callback failed:', error);
+      throw error;
+    }
+  }
+
+  // Get callbacks with optional status filter
+  static async findAll(filters = {}, page = 1, limit = 20) {
+    try {
+      const offset = (page - 1) * limit;
+      let whereClause = '';
+      const params = [];
+
+      if (filters.status) {
+        whereClause = 'WHERE c.status = ?';
+        params.push(filters.status);
+      }
+
+      const [callbacks] = await pool.query(
+        `SELECT c.*, p.id as payment_id, p.amount as payment_amount, u.name as student_name
+         FROM mpesa_callbacks c
+         LEFT JOIN payments p ON p.checkout_request_id = c.idempotency_key
+         LEFT JOIN users u ON p.student_id = u.id
+         ${whereClause}
+         ORDER BY c.received_at DESC, c.id DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [countResult] = await pool.query(
+        `SELECT COUNT(*) as total FROM mpesa_callbacks c ${whereClause}`,
+        params
+      );
+
+      return {
+        callbacks,
+        total: countResult[0].total,
+        page: parseInt(page),
+        totalPages: Math.ceil(countResult[0].total / limit)
+      };
+    } catch (error) {
+      console.error('Error getting M-Pesa callbacks:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = MpesaCallback;
@@ -0,0 +1,59 @@
+const { pool } = require('../../config/database');
+
+class NotificationPreference {
+  // Get a user's stored preferences as { category: { channel: enabled } }
+  static async findByUser(userId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT category, channel, enabled FROM notification_preferences WHERE user_id = ?',
+        [userId]
+      );
+
+      return rows.reduce((preferences, row) => {
+        preferences[row.category] = preferences[row.category] || {};
+        preferences[row.category][row.channel] = !!row.enabled;
+        return preferences;
+      }, {});
+    } catch (error) {
+      console.error('Error getting notification preferences:', error);
+      throw error;
+    }
+  }
+
+  // Narrow a list of channels down to the ones the user still wants for a category.
+  // Users receive everything until they opt out.
+  static async filterChannels(userId, category, channels) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT channel FROM notification_preferences
+         WHERE user_id = ? AND category = ? AND enabled = 0`,
+        [userId, category]
+      );
+
+      const optedOut = rows.map(row => row.channel);
+      return channels.filter(channel => !optedOut.includes(channel));
+    } catch (error) {
+      console.error('Error filtering notification channels:', error);
+      throw error;
+    }
+  }
+
+  // Turn one or more channels of a category on or off for a user
+  static async set(userId, category, channels, enabled) {
+    try {
+      for (const channel of [].concat(channels)) {
+        await pool.query(
+          `INSERT INTO notification_preferences (user_id, category, channel, enabled)
+           VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE enabled = VALUES(enabled)`,
+          [userId, category, channel, enabled ? 1 : 0]
+        );
+      }
+    } catch (error) {
+      console.error('Error saving notification preference:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = NotificationPreference;
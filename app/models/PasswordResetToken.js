@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { pool, transaction } = require('../../config/database');
+
+// Reset links stay valid for an hour unless configured otherwise
+const EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 60;
+
+// Only the hash is stored, so a leaked table cannot be used to reset passwords
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+class PasswordResetToken {
+  // Issue a new token for a user and return the plain value for the email.
+  // Any earlier unused tokens are retired so only the latest link works.
+  // Welcome emails pass a longer expiry than the reset default.
+  static async create(userId, requestedIp = null, expiresInMinutes = EXPIRY_MINUTES) {
+    const token = crypto.randomBytes(32).toString('hex');
+
+    try {
+      await transaction(async (connection) => {
+        await connection.query(
+          'UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+          [userId]
+        );
+
+        await connection.query(
+          `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+           VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), ?)`,
+          [userId, hashToken(token), expiresInMinutes, requestedIp]
+        );
+      });
+
+      return { token, expiresInMinutes };
+    } catch (error) {
+      console.error('Error creating password reset token:', error);
+      throw error;
+    }
+  }
+
+  // Find an unused, unexpired token without consuming it
+  static async findValid(token) {
+    if (!token) return null;
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM password_reset_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [hashToken(token)]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding password reset token:', error);
+      throw error;
+    }
+  }
+
+  // Mark a token used inside the caller's transaction. Returns the token row,
+  // or null when it is unknown, expired or was already used.
+  static async consume(token, connection) {
+    if (!token) return null;
+
+    try {
+      const [rows] = await connection.query(
+        `SELECT * FROM password_reset_tokens
+         WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()
+         FOR UPDATE`,
+        [hashToken(token)]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      await connection.query(
+        'UPDATE password_reset_tokens SET used_at = NOW() WHERE id = ?',
+        [rows[0].id]
+      );
+
+      return rows[0];
+    } catch (error) {
+      console.error('Error consuming password reset token:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PasswordResetToken;
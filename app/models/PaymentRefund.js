@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const { pool, transaction } = require('../../config/database');
+const StudentLedger = require('./StudentLedger');
+const FeeSchedule = require('./FeeSchedule');
+const AuditLog = require('./AuditLog');
+const {
+  PAYMENT_STATUS,
+  REFUND_STATUS,
+  LEDGER_ENTRY_TYPES,
+  LEDGER_DIRECTIONS
+} = require('../../config/constants');
+
+// Refunds that M-Pesa may still act on; only these can be completed or failed
+const OPEN_STATUSES = [REFUND_STATUS.PENDING, REFUND_STATUS.UNKNOWN];
+
+// Record a refund lifecycle event in the audit log
+const logRefundAudit = (connection, userId, action, refundId, description, ipAddress = null, userAgent = null) =>
+  AuditLog.create({
+    userId,
+    action,
+    resourceType: 'payment_refund',
+    resourceId: refundId,
+    description,
+    ipAddress,
+    userAgent
+  }, connection);
+
+class PaymentRefund {
+  // Start a refund for a completed payment and hold the payment in refund_pending
+  static async request(refundData) {
+    const {
+      payment_id,
+      phone,
+      reason,
+      requested_by,
+      ip_address = null,
+      user_agent = null
+    } = refundData;
+
+    try {
+      return await transaction(async (connection) => {
+        const [payments] = await connection.query(
+          'SELECT * FROM payments WHERE id = ? FOR UPDATE',
+          [payment_id]
+        );
+
+        if (payments.length === 0) {
+          throw new Error('Payment not found');
+        }
+
+        const payment = payments[0];
+
+        if (payment.status !== PAYMENT_STATUS.COMPLETED) {
+          throw new Error(`Only completed payments can be refunded (this one is ${payment.status})`);
+        }
+
+        if (!payment.student_id) {
+          throw new Error('Payment is not allocated to a student');
+        }
+
+        await connection.query(
+          'UPDATE payments SET status = ? WHERE id = ?',
+          [PAYMENT_STATUS.REFUND_PENDING, payment.id]
+        );
+
+        // Our own id for the B2C request, so it can be looked up even if M-Pesa's reply is lost
+        const originatorConversationId = `EDULMS-RF-${payment.id}-${crypto.randomBytes(6).toString('hex')}`;
+
+        const [result] = await connection.query(
+          `INSERT INTO payment_refunds (payment_id, amount, phone, reason, requested_by, originator_conversation_id)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [payment.id, payment.amount, phone, reason, requested_by, originatorConversationId]
+        );
+
+        await logRefundAudit(connection, requested_by, 'payment_refund_request', result.insertId,
+          `Refund of ${payment.amount} requested for payment ${payment.id} to ${phone}: ${reason}`,
+          ip_address, user_agent);
+
+        return {
+          id: result.insertId,
+          payment_id: payment.id,
+          student_id: payment.student_id,
+          amount: parseFloat(payment.amount),
+          phone,
+          reason,
+          originator_conversation_id: originatorConversationId
+        };
+      });
+    } catch (error) {
+      console.error('Error requesting payment refund:', error);
+      throw error;
+    }
+  }
+
+  // Store the identifiers M-Pesa returned when it accepted the refund request
+  static async attachConversation(id, conversationId, originatorConversationId) {
+    try {
+      await pool.query(
+        'UPDATE payment_refunds SET conversation_id = ?, originator_conversation_id = ? WHERE id = ?',
+        [conversationId, originatorConversationId, id]
+      );
+    } catch (error) {
+      console.error('Error saving refund conversation:', error);
+      throw error;
+    }
+  }
+
+  // Find the refund a Transaction Status query was made for
+  static async findByStatusQuery(conversationId, originatorConversationId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM payment_refunds
+         WHERE status_query_conversation_id IN (?, ?)
+         ORDER BY id DESC LIMIT 1`,
+        [conversationId || null, originatorConversationId || null]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding refund by status query:', error);
+      throw error;
+    }
+  }
+
+  // Refunds with an unknown outcome that are due for a Transaction Status query
+  static async findDueStatusChecks(maxChecks, limit) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM payment_refunds
+         WHERE status = ?
+           AND status_checks < ?
+           AND (next_status_check_at IS NULL OR next_status_check_at <= NOW())
+         ORDER BY created_at
+         LIMIT ?`,
+        [REFUND_STATUS.UNKNOWN, maxChecks, limit]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding refunds due for a status check:', error);
+      throw error;
+    }
+  }
+
+  // Record a Transaction Status query sent for a refund and when to ask again
+  static async recordStatusCheck(id, queryConversationId, nextCheckMinutes) {
+    try {
+      await pool.query(
+        `UPDATE payment_refunds
+         SET status_checks = status_checks + 1,
+             status_query_conversation_id = COALESCE(?, status_query_conversation_id),
+             next_status_check_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+         WHERE id = ?`,
+        [queryConversationId || null, nextCheckMinutes, id]
+      );
+    } catch (error) {
+      console.error('Error recording refund status check:', error);
+      throw error;
+    }
+  }
+
+  // Find the refund a B2C result belongs to
+  static async findByConversation(conversationId, originatorConversationId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM payment_refunds
+         WHERE conversation_id = ? OR originator_conversation_id = ?
+         ORDER BY id DESC LIMIT 1`,
+        [conversationId || null, originatorConversationId || null]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding refund by conversation:', error);
+      throw error;
+    }
+  }
+
+  // Get the refund attempts made against a payment
+  static async findByPayment(paymentId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT r.*, u.name as requested_by_name
+         FROM payment_refunds r
+         LEFT JOIN users u ON r.requested_by = u.id
+         WHERE r.payment_id = ?
+         ORDER BY r.id DESC`,
+        [paymentId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting payment refunds:', error);
+      throw error;
+    }
+  }
+
+  // Mark a refund as paid out: the payment becomes refunded and the student is debited.
+  // Returns null when the refund was already settled, so repeated results are harmless.
+  static async complete(id, { transaction_id = null, result_code = '0', result_desc = null } = {}) {
+    try {
+      return await transaction(async (connection) => {
+        const [refunds] = await connection.query(
+          `SELECT r.*, p.student_id
+           FROM payment_refunds r
+           JOIN payments p ON r.payment_id = p.id
+           WHERE r.id = ? FOR UPDATE`,
+          [id]
+        );
+
+        if (refunds.length === 0 || !OPEN_STATUSES.includes(refunds[0].status)) {
+          return null;
+        }
+
+        const refund = refunds[0];
+
+        await connection.query(
+          `UPDATE payment_refunds
+           SET status = ?, mpesa_transaction_id = ?, result_code = ?, result_desc = ?, completed_at = NOW()
+           WHERE id = ?`,
+          [REFUND_STATUS.COMPLETED, transaction_id, result_code, result_desc, refund.id]
+        );
+
+        await connection.query(
+          'UPDATE payments SET status = ? WHERE id = ?',
+          [PAYMENT_STATUS.REFUNDED, refund.payment_id]
+        );
+
+        const entry = await StudentLedger.postEntry({
+          student_id: refund.student_id,
+          entry_type: LEDGER_ENTRY_TYPES.REFUND,
+          direction: LEDGER_DIRECTIONS.DEBIT,
+          amount: refund.amount,
+          description: `Refund of payment ${refund.payment_id}${transaction_id ? ` (M-Pesa ${transaction_id})` : ''}`,
+          reference_type: 'payment_refund',
+          reference_id: refund.id,
+          created_by: refund.requested_by
+        }, connection);
+
+        // The refunded money no longer pays off the student's installments
+        await FeeSchedule.allocatePayments(refund.student_id, connection);
+
+        await logRefundAudit(connection, refund.requested_by, 'payment_refund_complete', refund.id,
+          `Refund of ${refund.amount} for payment ${refund.payment_id} confirmed by M-Pesa${transaction_id ? ` as ${transaction_id}` : ''}`);
+
+        return { ...refund, status: REFUND_STATUS.COMPLETED, balance_after: entry.balance_after };
+      });
+    } catch (error) {
+      console.error('Error completing payment refund:', error);
+      throw error;
+    }
+  }
+
+  // M-Pesa may or may not have paid the refund out: keep the payment in refund_pending and check
+  // with a Transaction Status query before it is ever released
+  static async markUnknown(id, { result_code = null, result_desc = null } = {}) {
+    try {
+      return await transaction(async (connection) => {
+        const [refunds] = await connection.query(
+          'SELECT * FROM payment_refunds WHERE id = ? FOR UPDATE',
+          [id]
+        );
+
+        if (refunds.length === 0 || refunds[0].status !== REFUND_STATUS.PENDING) {
+          return null;
+        }
+
+        const refund = refunds[0];
+
+        await connection.query(
+          `UPDATE payment_refunds
+           SET status = ?, result_code = ?, result_desc = ?, next_status_check_at = NOW()
+           WHERE id = ?`,
+          [REFUND_STATUS.UNKNOWN, result_code, result_desc, refund.id]
+        );
+
+        await logRefundAudit(connection, refund.requested_by, 'payment_refund_unknown', refund.id,
+          `Outcome of refund for payment ${refund.payment_id} unknown, checking with M-Pesa: ${result_desc || 'no response'}`);
+
+        return { ...refund, status: REFUND_STATUS.UNKNOWN };
+      });
+    } catch (error) {
+      console.error('Error marking payment refund unknown:', error);
+      throw error;
+    }
+  }
+
+  // Mark a refund as failed and release the payment back to completed. Only call this once M-Pesa has
+  // definitively said no money moved.
+  static async fail(id, { result_code = null, result_desc = null } = {}) {
+    try {
+      return await transaction(async (connection) => {
+        const [refunds] = await connection.query(
+          'SELECT * FROM payment_refunds WHERE id = ? FOR UPDATE',
+          [id]
+        );
+
+        if (refunds.length === 0 || !OPEN_STATUSES.includes(refunds[0].status)) {
+          return null;
+        }
+
+        const refund = refunds[0];
+
+        await connection.query(
+          'UPDATE payment_refunds SET status = ?, result_code = ?, result_desc = ? WHERE id = ?',
+          [REFUND_STATUS.FAILED, result_code, result_desc, refund.id]
+        );
+
+        await connection.query(
+          'UPDATE payments SET status = ? WHERE id = ? AND status = ?',
+          [PAYMENT_STATUS.COMPLETED, refund.payment_id, PAYMENT_STATUS.REFUND_PENDING]
+        );
+
+        await logRefundAudit(connection, refund.requested_by, 'payment_refund_fail', refund.id,
+          `Refund for payment ${refund.payment_id} failed: ${result_desc || 'unknown error'}`);
+
+        return { ...refund, status: REFUND_STATUS.FAILED };
+      });
+    } catch (error) {
+      console.error('Error failing payment refund:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = PaymentRefund;
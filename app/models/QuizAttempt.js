@@ -0,0 +1,238 @@
+const { pool, transaction } = require('../../config/database');
+
+const parseAttempt = (row) => row && ({
+  ...row,
+  layout: JSON.parse(row.layout),
+  score: row.score === null ? null : Number(row.score),
+  max_score: row.max_score === null ? null : Number(row.max_score)
+});
+
+class QuizAttempt {
+  static async create(attempt) {
+    try {
+      const [result] = await pool.query(
+        `INSERT INTO quiz_attempts (assignment_id, student_id, attempt_number, layout, started_at, expires_at)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          attempt.assignment_id, attempt.student_id, attempt.attempt_number,
+          JSON.stringify(attempt.layout), attempt.started_at, attempt.expires_at
+        ]
+      );
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating quiz attempt:', error);
+      throw error;
+    }
+  }
+
+  // An attempt with the quiz settings it is taken under
+  static async findById(attemptId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT qa.*, a.title as assignment_title, a.course_id, a.teacher_id, a.max_points, a.due_date,
+                a.time_limit_minutes, a.max_attempts, c.course_code, c.title as course_title
+         FROM quiz_attempts qa
+         JOIN assignments a ON qa.assignment_id = a.id
+         JOIN courses c ON a.course_id = c.id
+         WHERE qa.id = ?`,
+        [attemptId]
+      );
+      return parseAttempt(rows[0]) || null;
+    } catch (error) {
+      console.error('Error finding quiz attempt by ID:', error);
+      throw error;
+    }
+  }
+
+  static async findByStudent(assignmentId, studentId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT * FROM quiz_attempts WHERE assignment_id = ? AND student_id = ? ORDER BY attempt_number',
+        [assignmentId, studentId]
+      );
+      return rows.map(parseAttempt);
+    } catch (error) {
+      console.error('Error finding quiz attempts by student:', error);
+      throw error;
+    }
+  }
+
+  // Every attempt at a quiz, newest first, with who made it
+  static async findByAssignment(assignmentId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT qa.*, u.name as student_name, u.student_id as student_number
+         FROM quiz_attempts qa
+         JOIN users u ON qa.student_id = u.id
+         WHERE qa.assignment_id = ?
+         ORDER BY qa.started_at DESC`,
+        [assignmentId]
+      );
+      return rows.map(parseAttempt);
+    } catch (error) {
+      console.error('Error finding quiz attempts by assignment:', error);
+      throw error;
+    }
+  }
+
+  // Attempts still open after their time ran out (plus a grace period for answers in flight)
+  static async findOverdue(graceSeconds) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT * FROM quiz_attempts
+         WHERE status = 'in_progress' AND expires_at < DATE_SUB(NOW(), INTERVAL ? SECOND)`,
+        [graceSeconds]
+      );
+      return rows.map(parseAttempt);
+    } catch (error) {
+      console.error('Error finding overdue quiz attempts:', error);
+      throw error;
+    }
+  }
+
+  static async getResponses(attemptId) {
+    try {
+      const [rows] = await pool.query('SELECT * FROM quiz_responses WHERE attempt_id = ?', [attemptId]);
+      return rows.map(row => ({
+        ...row,
+        response: row.response === null ? null : JSON.parse(row.response),
+        points_awarded: row.points_awarded === null ? null : Number(row.points_awarded)
+      }));
+    } catch (error) {
+      console.error('Error getting quiz responses:', error);
+      throw error;
+    }
+  }
+
+  // Store answers as the student gives them ({ questionId: response }), ungraded
+  static async saveResponses(attemptId, responses) {
+    const entries = Object.entries(responses);
+    if (entries.length === 0) return;
+
+    try {
+      await transaction(async (connection) => {
+        for (const [questionId, response] of entries) {
+          await connection.query(
+            `INSERT INTO quiz_responses (attempt_id, question_id, response)
+             VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE response = VALUES(response)`,
+            [attemptId, questionId, response === null ? null : JSON.stringify(response)]
+          );
+        }
+      });
+    } catch (error) {
+      console.error('Error saving quiz responses:', error);
+      throw error;
+    }
+  }
+
+  // Close an attempt with its marked answers. Returns false if it was already closed.
+  static async finish(attemptId, { status, score, maxScore, responses }) {
+    try {
+      return await transaction(async (connection) => {
+        const [result] = await connection.query(
+          `UPDATE quiz_attempts SET status = ?, submitted_at = NOW(), score = ?, max_score = ?
+           WHERE id = ? AND status = 'in_progress'`,
+          [status, score, maxScore, attemptId]
+        );
+        if (result.affectedRows === 0) {
+          return false;
+        }
+
+        for (const response of responses) {
+          await connection.query(
+            `INSERT INTO quiz_responses (attempt_id, question_id, response, is_correct, points_awarded)
+             VALUES (?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE is_correct = VALUES(is_correct), points_awarded = VALUES(points_awarded)`,
+            [
+              attemptId, response.question_id,
+              response.response === null ? null : JSON.stringify(response.response),
+              response.is_correct, response.points_awarded
+            ]
+          );
+        }
+
+        return true;
+      });
+    } catch (error) {
+      console.error('Error finishing quiz attempt:', error);
+      throw error;
+    }
+  }
+
+  // Marked answers from every finished attempt at a quiz, with the attempt's overall score
+  static async getAssignmentResponses(assignmentId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT r.*, qa.student_id, qa.score, qa.max_score
+         FROM quiz_responses r
+         JOIN quiz_attempts qa ON r.attempt_id = qa.id
+         WHERE qa.assignment_id = ? AND qa.status <> 'in_progress'`,
+        [assignmentId]
+      );
+      return rows.map(row => ({
+        ...row,
+        response: row.response === null ? null : JSON.parse(row.response),
+        points_awarded: row.points_awarded === null ? null : Number(row.points_awarded),
+        score: Number(row.score),
+        max_score: Number(row.max_score)
+      }));
+    } catch (error) {
+      console.error('Error getting quiz responses for assignment:', error);
+      throw error;
+    }
+  }
+
+  // Write a student's quiz mark into submissions and grades, like any other marked assignment
+  static async recordGrade(grade) {
+    try {
+      return await transaction(async (connection) => {
+        const [existing] = await connection.query(
+          'SELECT id FROM submissions WHERE assignment_id = ? AND student_id = ? ORDER BY id DESC LIMIT 1',
+          [grade.assignment_id, grade.student_id]
+        );
+
+        let submissionId;
+        if (existing.length > 0) {
+          submissionId = existing[0].id;
+          await connection.query(
+            `UPDATE submissions SET submission_text = ?, status = 'graded', is_late = ? WHERE id = ?`,
+            [grade.summary, grade.is_late, submissionId]
+          );
+        } else {
+          const [result] = await connection.query(
+            `INSERT INTO submissions (assignment_id, student_id, submission_text, status, is_late)
+             VALUES (?, ?, ?, 'graded', ?)`,
+            [grade.assignment_id, grade.student_id, grade.summary, grade.is_late]
+          );
+          submissionId = result.insertId;
+        }
+
+        await connection.query(
+          `INSERT INTO grades
+             (submission_id, assignment_id, student_id, teacher_id, points_earned, max_points, grade, grade_points, feedback)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             submission_id = VALUES(submission_id),
+             points_earned = VALUES(points_earned),
+             max_points = VALUES(max_points),
+             grade = VALUES(grade),
+             grade_points = VALUES(grade_points),
+             feedback = VALUES(feedback),
+             updated_at = NOW()`,
+          [
+            submissionId, grade.assignment_id, grade.student_id, grade.teacher_id, grade.points_earned,
+            grade.max_points, grade.grade, grade.grade_points, grade.feedback
+          ]
+        );
+
+        return submissionId;
+      });
+    } catch (error) {
+      console.error('Error recording quiz grade:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = QuizAttempt;
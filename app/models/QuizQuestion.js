@@ -0,0 +1,180 @@
+const { pool, transaction } = require('../../config/database');
+
+// Attach each question's options, in order
+const withOptions = async (questions) => {
+  if (questions.length === 0) return [];
+
+  const [options] = await pool.query(
+    `SELECT * FROM quiz_question_options
+     WHERE question_id IN (?)
+     ORDER BY position, id`,
+    [questions.map(question => question.id)]
+  );
+
+  return questions.map(question => ({
+    ...question,
+    points: Number(question.points),
+    numeric_answer: question.numeric_answer === null ? null : Number(question.numeric_answer),
+    numeric_tolerance: Number(question.numeric_tolerance),
+    options: options
+      .filter(option => option.question_id === question.id)
+      .map(option => ({ ...option, is_correct: !!option.is_correct }))
+  }));
+};
+
+class QuizQuestion {
+  // A course's question bank, with how many quizzes use each question
+  static async findByCourse(courseId, includeArchived = false) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT q.*, COUNT(aq.id) as quiz_count
+         FROM quiz_questions q
+         LEFT JOIN assignment_questions aq ON aq.question_id = q.id
+         WHERE q.course_id = ? ${includeArchived ? '' : 'AND q.is_archived = FALSE'}
+         GROUP BY q.id
+         ORDER BY q.topic IS NULL, q.topic, q.id`,
+        [courseId]
+      );
+      return withOptions(rows);
+    } catch (error) {
+      console.error('Error finding quiz questions by course:', error);
+      throw error;
+    }
+  }
+
+  static async findById(questionId) {
+    try {
+      const [rows] = await pool.query('SELECT * FROM quiz_questions WHERE id = ?', [questionId]);
+      const [question] = await withOptions(rows);
+      return question || null;
+    } catch (error) {
+      console.error('Error finding quiz question by ID:', error);
+      throw error;
+    }
+  }
+
+  // Archived questions included, since past attempts still refer to them
+  static async findByIds(questionIds) {
+    if (questionIds.length === 0) return [];
+
+    try {
+      const [rows] = await pool.query('SELECT * FROM quiz_questions WHERE id IN (?)', [questionIds]);
+      return withOptions(rows);
+    } catch (error) {
+      console.error('Error finding quiz questions by IDs:', error);
+      throw error;
+    }
+  }
+
+  // The questions a quiz draws on, in the order the instructor set
+  static async findForAssignment(assignmentId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT q.*, aq.position
+         FROM assignment_questions aq
+         JOIN quiz_questions q ON aq.question_id = q.id
+         WHERE aq.assignment_id = ?
+         ORDER BY aq.position, q.id`,
+        [assignmentId]
+      );
+      return withOptions(rows);
+    } catch (error) {
+      console.error('Error finding quiz questions for assignment:', error);
+      throw error;
+    }
+  }
+
+  // Create or update a question. Options with an id keep it, so answers already given to them still
+  // point at the right option; options left out are removed.
+  static async save(question) {
+    try {
+      return await transaction(async (connection) => {
+        let questionId = question.id;
+
+        if (questionId) {
+          await connection.query(
+            `UPDATE quiz_questions
+             SET topic = ?, question_type = ?, prompt = ?, points = ?, numeric_answer = ?,
+                 numeric_tolerance = ?, explanation = ?
+             WHERE id = ? AND course_id = ?`,
+            [
+              question.topic, question.question_type, question.prompt, question.points, question.numeric_answer,
+              question.numeric_tolerance, question.explanation, questionId, question.course_id
+            ]
+          );
+        } else {
+          const [result] = await connection.query(
+            `INSERT INTO quiz_questions
+               (course_id, topic, question_type, prompt, points, numeric_answer, numeric_tolerance, explanation, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              question.course_id, question.topic, question.question_type, question.prompt, question.points,
+              question.numeric_answer, question.numeric_tolerance, question.explanation, question.created_by
+            ]
+          );
+          questionId = result.insertId;
+        }
+
+        const keep = question.options.filter(option => option.id).map(option => option.id);
+        await connection.query(
+          `DELETE FROM quiz_question_options WHERE question_id = ? ${keep.length > 0 ? 'AND id NOT IN (?)' : ''}`,
+          keep.length > 0 ? [questionId, keep] : [questionId]
+        );
+
+        for (const [position, option] of question.options.entries()) {
+          if (option.id) {
+            await connection.query(
+              'UPDATE quiz_question_options SET option_text = ?, is_correct = ?, position = ? WHERE id = ? AND question_id = ?',
+              [option.option_text, option.is_correct, position, option.id, questionId]
+            );
+          } else {
+            await connection.query(
+              'INSERT INTO quiz_question_options (question_id, option_text, is_correct, position) VALUES (?, ?, ?, ?)',
+              [questionId, option.option_text, option.is_correct, position]
+            );
+          }
+        }
+
+        return questionId;
+      });
+    } catch (error) {
+      console.error('Error saving quiz question:', error);
+      throw error;
+    }
+  }
+
+  // Take a question out of the bank; quizzes stop dealing it but past attempts keep it
+  static async archive(questionId, courseId) {
+    try {
+      const [result] = await pool.query(
+        'UPDATE quiz_questions SET is_archived = TRUE WHERE id = ? AND course_id = ?',
+        [questionId, courseId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error archiving quiz question:', error);
+      throw error;
+    }
+  }
+
+  // Replace the questions a quiz draws on, keeping the given order
+  static async setForAssignment(assignmentId, questionIds) {
+    try {
+      await transaction(async (connection) => {
+        await connection.query('DELETE FROM assignment_questions WHERE assignment_id = ?', [assignmentId]);
+
+        for (const [position, questionId] of questionIds.entries()) {
+          await connection.query(
+            'INSERT INTO assignment_questions (assignment_id, question_id, position) VALUES (?, ?, ?)',
+            [assignmentId, questionId, position]
+          );
+        }
+      });
+    } catch (error) {
+      console.error('Error setting quiz questions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = QuizQuestion;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const { pool, transaction } = require('../../config/database');
+
+// Mobile clients stay signed in for a month of inactivity unless configured otherwise
+const EXPIRY_DAYS = parseInt(process.env.JWT_REFRESH_EXPIRY_DAYS) || 30;
+
+// Only the hash is stored, so a leaked table cannot be used to mint access tokens
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const insertToken = async (connection, userId, familyId, ipAddress, userAgent) => {
+  const token = crypto.randomBytes(48).toString('hex');
+
+  await connection.query(
+    `INSERT INTO api_refresh_tokens (user_id, token_hash, family_id, expires_at, ip_address, user_agent)
+     VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? DAY), ?, ?)`,
+    [userId, hashToken(token), familyId, EXPIRY_DAYS, ipAddress, userAgent]
+  );
+
+  return { token, familyId, expiresInDays: EXPIRY_DAYS };
+};
+
+class RefreshToken {
+  // Start a new token family for a fresh sign in and return the plain token for the client
+  static async create(userId, { ipAddress = null, userAgent = null } = {}) {
+    try {
+      const familyId = crypto.randomBytes(16).toString('hex');
+      return await insertToken(pool, userId, familyId, ipAddress, userAgent);
+    } catch (error) {
+      console.error('Error creating refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Swap a refresh token for a new one in the same family. Returns { status, userId, next }:
+  // 'rotated' with the replacement, 'reused' when an already swapped token comes back
+  // (the whole family is revoked, as it was probably stolen), or 'invalid'.
+  static async rotate(token, { ipAddress = null, userAgent = null } = {}) {
+    if (!token) return { status: 'invalid' };
+
+    try {
+      return await transaction(async (connection) => {
+        const [rows] = await connection.query(
+          'SELECT * FROM api_refresh_tokens WHERE token_hash = ? FOR UPDATE',
+          [hashToken(token)]
+        );
+        const current = rows[0];
+
+        if (!current || new Date(current.expires_at) <= new Date()) {
+          return { status: 'invalid' };
+        }
+
+        if (current.revoked_at) {
+          return { status: 'invalid', userId: current.user_id };
+        }
+
+        if (current.used_at) {
+          await connection.query(
+            'UPDATE api_refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+            [current.family_id]
+          );
+          return { status: 'reused', userId: current.user_id };
+        }
+
+        await connection.query(
+          'UPDATE api_refresh_tokens SET used_at = NOW() WHERE id = ?',
+          [current.id]
+        );
+
+        const next = await insertToken(connection, current.user_id, current.family_id, ipAddress, userAgent);
+        return { status: 'rotated', userId: current.user_id, next };
+      });
+    } catch (error) {
+      console.error('Error rotating refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Revoke the family a token belongs to (signing out one device). Returns the user ID, or null.
+  static async revoke(token) {
+    if (!token) return null;
+
+    try {
+      const [rows] = await pool.query(
+        'SELECT user_id, family_id FROM api_refresh_tokens WHERE token_hash = ?',
+        [hashToken(token)]
+      );
+
+      if (rows.length === 0) {
+        return null;
+      }
+
+      await pool.query(
+        'UPDATE api_refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+        [rows[0].family_id]
+      );
+
+      return rows[0].user_id;
+    } catch (error) {
+      console.error('Error revoking refresh token:', error);
+      throw error;
+    }
+  }
+
+  // Revoke every refresh token a user holds, e.g. after a password reset
+  static async revokeForUser(userId, connection = pool) {
+    try {
+      const [result] = await connection.query(
+        'UPDATE api_refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+        [userId]
+      );
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error revoking refresh tokens for user:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = RefreshToken;
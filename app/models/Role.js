@@ -0,0 +1,112 @@
+const { pool, transaction } = require('../../config/database');
+
+class Role {
+  // All roles with how many users hold each one
+  static async findAll() {
+    try {
+      const [rows] = await pool.query(
+        `SELECT r.*, COUNT(u.id) as user_count
+         FROM roles r
+         LEFT JOIN users u ON u.role_id = r.id
+         GROUP BY r.id
+         ORDER BY r.is_system DESC, r.id`
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error listing roles:', error);
+      throw error;
+    }
+  }
+
+  // Find a role by ID
+  static async findById(id) {
+    try {
+      const [rows] = await pool.query('SELECT * FROM roles WHERE id = ?', [id]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding role:', error);
+      throw error;
+    }
+  }
+
+  // Find a role by its name (e.g. "registrar")
+  static async findByName(name) {
+    try {
+      const [rows] = await pool.query('SELECT * FROM roles WHERE name = ?', [name]);
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding role by name:', error);
+      throw error;
+    }
+  }
+
+  // Create a custom role with its permissions
+  static async create({ name, displayName, description = null, permissions = [] }) {
+    try {
+      return await transaction(async (connection) => {
+        const [result] = await connection.query(
+          'INSERT INTO roles (name, display_name, description, is_system) VALUES (?, ?, ?, 0)',
+          [name, displayName, description]
+        );
+
+        await Role.setPermissions(result.insertId, permissions, connection);
+        return { id: result.insertId, name, displayName };
+      });
+    } catch (error) {
+      console.error('Error creating role:', error);
+      throw error;
+    }
+  }
+
+  // Delete a custom role. Built-in roles and roles still held by users are left alone.
+  static async delete(id) {
+    try {
+      const [result] = await pool.query(
+        `DELETE FROM roles
+         WHERE id = ? AND is_system = 0
+           AND NOT EXISTS (SELECT 1 FROM users WHERE role_id = ?)`,
+        [id, id]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting role:', error);
+      throw error;
+    }
+  }
+
+  // Permissions for every role, keyed by role ID
+  static async getPermissionMap() {
+    try {
+      const [rows] = await pool.query('SELECT role_id, permission FROM role_permissions');
+      return rows.reduce((map, row) => {
+        (map[row.role_id] = map[row.role_id] || []).push(row.permission);
+        return map;
+      }, {});
+    } catch (error) {
+      console.error('Error loading role permissions:', error);
+      throw error;
+    }
+  }
+
+  // Replace a role's permissions
+  static async setPermissions(roleId, permissions, connection = null) {
+    const run = async (conn) => {
+      await conn.query('DELETE FROM role_permissions WHERE role_id = ?', [roleId]);
+      if (permissions.length > 0) {
+        await conn.query(
+          'INSERT INTO role_permissions (role_id, permission) VALUES ?',
+          [permissions.map(permission => [roleId, permission])]
+        );
+      }
+    };
+
+    try {
+      return connection ? await run(connection) : await transaction(run);
+    } catch (error) {
+      console.error('Error setting role permissions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Role;
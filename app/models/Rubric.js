@@ -0,0 +1,238 @@
+const { pool, transaction } = require('../../config/database');
+
+const parseScore = (row) => ({
+  ...row,
+  points: Number(row.points),
+  max_points: Number(row.max_points)
+});
+
+class Rubric {
+  // An instructor's rubrics, with how many criteria they have and the assignments graded with them
+  static async findByTeacher(teacherId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT r.*,
+                (SELECT COUNT(*) FROM rubric_criteria rc WHERE rc.rubric_id = r.id) as criteria_count,
+                (SELECT COUNT(*) FROM assignments a WHERE a.rubric_id = r.id) as assignment_count
+         FROM rubrics r
+         WHERE r.teacher_id = ?
+         ORDER BY r.title`,
+        [teacherId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding rubrics by teacher:', error);
+      throw error;
+    }
+  }
+
+  // A rubric with its criteria and each criterion's levels, in order, and its total (best level of each)
+  static async findById(rubricId) {
+    try {
+      const [rubrics] = await pool.query('SELECT * FROM rubrics WHERE id = ?', [rubricId]);
+      if (rubrics.length === 0) return null;
+
+      const [criteria] = await pool.query(
+        'SELECT * FROM rubric_criteria WHERE rubric_id = ? ORDER BY position, id',
+        [rubricId]
+      );
+      const [levels] = criteria.length > 0
+        ? await pool.query(
+          'SELECT * FROM rubric_levels WHERE criterion_id IN (?) ORDER BY position, id',
+          [criteria.map(criterion => criterion.id)]
+        )
+        : [[]];
+
+      const withLevels = criteria.map(criterion => {
+        const criterionLevels = levels
+          .filter(level => level.criterion_id === criterion.id)
+          .map(level => ({ ...level, points: Number(level.points) }));
+        return {
+          ...criterion,
+          levels: criterionLevels,
+          max_points: Math.max(0, ...criterionLevels.map(level => level.points))
+        };
+      });
+
+      return {
+        ...rubrics[0],
+        criteria: withLevels,
+        max_points: withLevels.reduce((sum, criterion) => sum + criterion.max_points, 0)
+      };
+    } catch (error) {
+      console.error('Error finding rubric by ID:', error);
+      throw error;
+    }
+  }
+
+  // The assignments graded with a rubric
+  static async findAssignments(rubricId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT a.id, a.title, a.status, c.course_code
+         FROM assignments a
+         JOIN courses c ON a.course_id = c.id
+         WHERE a.rubric_id = ?
+         ORDER BY a.due_date DESC`,
+        [rubricId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding rubric assignments:', error);
+      throw error;
+    }
+  }
+
+  // Create or update a rubric. Criteria and levels with an id are updated in place; ones left out are removed.
+  static async save(rubric) {
+    try {
+      return await transaction(async (connection) => {
+        let rubricId = rubric.id;
+
+        if (rubricId) {
+          await connection.query(
+            'UPDATE rubrics SET title = ?, description = ? WHERE id = ? AND teacher_id = ?',
+            [rubric.title, rubric.description, rubricId, rubric.teacher_id]
+          );
+        } else {
+          const [result] = await connection.query(
+            'INSERT INTO rubrics (teacher_id, title, description) VALUES (?, ?, ?)',
+            [rubric.teacher_id, rubric.title, rubric.description]
+          );
+          rubricId = result.insertId;
+        }
+
+        const keepCriteria = rubric.criteria.filter(criterion => criterion.id).map(criterion => criterion.id);
+        await connection.query(
+          `DELETE FROM rubric_criteria WHERE rubric_id = ? ${keepCriteria.length > 0 ? 'AND id NOT IN (?)' : ''}`,
+          keepCriteria.length > 0 ? [rubricId, keepCriteria] : [rubricId]
+        );
+
+        for (const [position, criterion] of rubric.criteria.entries()) {
+          let criterionId = criterion.id;
+
+          if (criterionId) {
+            await connection.query(
+              'UPDATE rubric_criteria SET title = ?, description = ?, position = ? WHERE id = ? AND rubric_id = ?',
+              [criterion.title, criterion.description, position, criterionId, rubricId]
+            );
+          } else {
+            const [result] = await connection.query(
+              'INSERT INTO rubric_criteria (rubric_id, title, description, position) VALUES (?, ?, ?, ?)',
+              [rubricId, criterion.title, criterion.description, position]
+            );
+            criterionId = result.insertId;
+          }
+
+          const keepLevels = criterion.levels.filter(level => level.id).map(level => level.id);
+          await connection.query(
+            `DELETE FROM rubric_levels WHERE criterion_id = ? ${keepLevels.length > 0 ? 'AND id NOT IN (?)' : ''}`,
+            keepLevels.length > 0 ? [criterionId, keepLevels] : [criterionId]
+          );
+
+          for (const [levelPosition, level] of criterion.levels.entries()) {
+            if (level.id) {
+              await connection.query(
+                `UPDATE rubric_levels SET title = ?, description = ?, points = ?, position = ?
+                 WHERE id = ? AND criterion_id = ?`,
+                [level.title, level.description, level.points, levelPosition, level.id, criterionId]
+              );
+            } else {
+              await connection.query(
+                'INSERT INTO rubric_levels (criterion_id, title, description, points, position) VALUES (?, ?, ?, ?, ?)',
+                [criterionId, level.title, level.description, level.points, levelPosition]
+              );
+            }
+          }
+        }
+
+        return rubricId;
+      });
+    } catch (error) {
+      console.error('Error saving rubric:', error);
+      throw error;
+    }
+  }
+
+  // Delete a rubric no assignment uses. Returns false if it is in use or not the teacher's.
+  static async delete(rubricId, teacherId) {
+    try {
+      const [result] = await pool.query(
+        `DELETE FROM rubrics
+         WHERE id = ? AND teacher_id = ?
+           AND NOT EXISTS (SELECT 1 FROM assignments a WHERE a.rubric_id = rubrics.id)`,
+        [rubricId, teacherId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting rubric:', error);
+      throw error;
+    }
+  }
+
+  static async setForAssignment(assignmentId, rubricId) {
+    try {
+      await pool.query('UPDATE assignments SET rubric_id = ?, updated_at = NOW() WHERE id = ?', [rubricId, assignmentId]);
+    } catch (error) {
+      console.error('Error setting assignment rubric:', error);
+      throw error;
+    }
+  }
+
+  // Replace a grade's rubric breakdown (an empty list clears it, e.g. when regraded with plain points)
+  static async saveScores(gradeId, scores) {
+    try {
+      await transaction(async (connection) => {
+        await connection.query('DELETE FROM grade_rubric_scores WHERE grade_id = ?', [gradeId]);
+
+        for (const [position, score] of scores.entries()) {
+          await connection.query(
+            `INSERT INTO grade_rubric_scores
+               (grade_id, criterion_id, level_id, criterion_title, level_title, points, max_points, comment, position)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              gradeId, score.criterion_id, score.level_id, score.criterion_title, score.level_title,
+              score.points, score.max_points, score.comment, position
+            ]
+          );
+        }
+      });
+    } catch (error) {
+      console.error('Error saving rubric scores:', error);
+      throw error;
+    }
+  }
+
+  static async getScores(gradeId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT * FROM grade_rubric_scores WHERE grade_id = ? ORDER BY position, id',
+        [gradeId]
+      );
+      return rows.map(parseScore);
+    } catch (error) {
+      console.error('Error getting rubric scores:', error);
+      throw error;
+    }
+  }
+
+  // Every rubric breakdown recorded for an assignment, with the submission each belongs to
+  static async getScoresForAssignment(assignmentId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT rs.*, g.submission_id, g.student_id
+         FROM grade_rubric_scores rs
+         JOIN grades g ON rs.grade_id = g.id
+         WHERE g.assignment_id = ?
+         ORDER BY g.submission_id, rs.position, rs.id`,
+        [assignmentId]
+      );
+      return rows.map(parseScore);
+    } catch (error) {
+      console.error('Error getting rubric scores for assignment:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Rubric;
@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool, transaction } = require('../../config/database');
+
+// Service accounts never sign in with a password, so the hash is of a value nobody knows
+const unusablePassword = () => bcrypt.hash(crypto.randomBytes(32).toString('hex'), 10);
+
+class ServiceAccount {
+  // Create the user behind a service account. The email is a placeholder that cannot receive mail.
+  static async create({ name, roleId, description = null, createdBy }) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'service';
+    const email = `${slug}.${crypto.randomBytes(3).toString('hex')}@service-account.invalid`;
+    const password = await unusablePassword();
+
+    try {
+      return await transaction(async (connection) => {
+        const [result] = await connection.query(
+          `INSERT INTO users (name, email, password, role_id, is_active, email_verified)
+           VALUES (?, ?, ?, ?, 1, 0)`,
+          [name, email, password, roleId]
+        );
+
+        await connection.query(
+          'INSERT INTO service_accounts (user_id, description, created_by) VALUES (?, ?, ?)',
+          [result.insertId, description, createdBy]
+        );
+
+        return { id: result.insertId, name, email };
+      });
+    } catch (error) {
+      console.error('Error creating service account:', error);
+      throw error;
+    }
+  }
+
+  // Find a service account with its user and role
+  static async findByUserId(userId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT sa.*, u.name, u.email, u.is_active, r.name as role_name
+         FROM service_accounts sa
+         JOIN users u ON sa.user_id = u.id
+         JOIN roles r ON u.role_id = r.id
+         WHERE sa.user_id = ?`,
+        [userId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding service account:', error);
+      throw error;
+    }
+  }
+
+  // All service accounts with how many keys each still has working
+  static async findAll() {
+    try {
+      const [rows] = await pool.query(
+        `SELECT sa.*, u.name, u.email, u.is_active, r.name as role_name, creator.name as created_by_name,
+                (SELECT COUNT(*) FROM api_keys k
+                 WHERE k.user_id = sa.user_id AND k.revoked_at IS NULL
+                   AND (k.expires_at IS NULL OR k.expires_at > NOW())) as active_keys
+         FROM service_accounts sa
+         JOIN users u ON sa.user_id = u.id
+         JOIN roles r ON u.role_id = r.id
+         LEFT JOIN users creator ON sa.created_by = creator.id
+         ORDER BY u.is_active DESC, u.name`
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error listing service accounts:', error);
+      throw error;
+    }
+  }
+
+  // Switch a service account off; its keys stop working with it
+  static async deactivate(userId, connection = pool) {
+    try {
+      const [result] = await connection.query(
+        `UPDATE users u JOIN service_accounts sa ON sa.user_id = u.id
+         SET u.is_active = 0
+         WHERE u.id = ? AND u.is_active = 1`,
+        [userId]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deactivating service account:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ServiceAccount;
@@ -0,0 +1,61 @@
+const { pool } = require('../../config/database');
+
+// Sessions are written by express-mysql-session; the passport user id lives in the JSON data column
+const PASSPORT_USER = "JSON_UNQUOTE(JSON_EXTRACT(data, '$.passport.user'))";
+
+class Session {
+  // A user's sessions that have not expired yet, with their data parsed
+  static async findActiveForUser(userId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT session_id, expires, data FROM sessions
+         WHERE ${PASSPORT_USER} = ? AND expires > UNIX_TIMESTAMP()`,
+        [String(userId)]
+      );
+
+      return rows.map(row => ({
+        sessionId: row.session_id,
+        expiresAt: new Date(row.expires * 1000),
+        data: typeof row.data === 'string' ? JSON.parse(row.data) : (row.data || {})
+      }));
+    } catch (error) {
+      console.error('Error finding user sessions:', error);
+      throw error;
+    }
+  }
+
+  // End one session, but only if it belongs to the user
+  static async destroyForUserById(userId, sessionId) {
+    try {
+      const [result] = await pool.query(
+        `DELETE FROM sessions WHERE session_id = ? AND ${PASSPORT_USER} = ?`,
+        [sessionId, String(userId)]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error destroying session:', error);
+      throw error;
+    }
+  }
+
+  // Sign a user out everywhere, optionally keeping one session (the current one)
+  static async destroyForUser(userId, exceptSessionId = null) {
+    try {
+      let query = `DELETE FROM sessions WHERE ${PASSPORT_USER} = ?`;
+      const params = [String(userId)];
+
+      if (exceptSessionId) {
+        query += ' AND session_id <> ?';
+        params.push(exceptSessionId);
+      }
+
+      const [result] = await pool.query(query, params);
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error destroying user sessions:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,296 @@
+const { pool, transaction } = require('../../config/database');
+const {
+  PAYMENT_STATUS,
+  STATEMENT_SOURCES,
+  STATEMENT_LINE_STATUS
+} = require('../../config/constants');
+
+// Payment methods whose money shows up on each kind of statement
+const SOURCE_PAYMENT_METHODS = {
+  [STATEMENT_SOURCES.MPESA]: ['mpesa'],
+  [STATEMENT_SOURCES.BANK]: ['bank_transfer', 'bank']
+};
+
+// Payments we have counted as money received
+const SETTLED_STATUSES = [
+  PAYMENT_STATUS.COMPLETED,
+  PAYMENT_STATUS.REFUND_PENDING,
+  PAYMENT_STATUS.REFUNDED
+];
+
+const sameAmount = (a, b) => Math.abs(parseFloat(a) - parseFloat(b)) < 0.005;
+
+// Find the payment a statement line settles, skipping payments already matched in this import
+const matchLine = async (connection, source, line, matchedPaymentIds) => {
+  const excludedIds = matchedPaymentIds.length > 0 ? matchedPaymentIds : [0];
+
+  const [byReference] = await connection.query(
+    `SELECT id, amount FROM payments
+     WHERE transaction_id = ? AND status IN (?) AND id NOT IN (?)
+     LIMIT 1`,
+    [line.reference, SETTLED_STATUSES, excludedIds]
+  );
+
+  if (byReference.length > 0) {
+    return {
+      match_status: sameAmount(byReference[0].amount, line.amount)
+        ? STATEMENT_LINE_STATUS.MATCHED
+        : STATEMENT_LINE_STATUS.AMOUNT_MISMATCH,
+      match_method: 'reference',
+      payment_id: byReference[0].id
+    };
+  }
+
+  // Payments settled by a status query never learn their receipt; pair them up by payer, amount and day
+  if (line.phone && line.transaction_date) {
+    const [byPhone] = await connection.query(
+      `SELECT id FROM payments
+       WHERE status IN (?)
+         AND payment_method IN (?)
+         AND (transaction_id IS NULL OR transaction_id = '')
+         AND RIGHT(phone_number, 9) = ?
+         AND amount = ?
+         AND COALESCE(payment_date, created_at) BETWEEN DATE_SUB(?, INTERVAL 1 DAY) AND DATE_ADD(?, INTERVAL 1 DAY)
+         AND id NOT IN (?)
+       ORDER BY ABS(TIMESTAMPDIFF(SECOND, COALESCE(payment_date, created_at), ?))
+       LIMIT 1
+       FOR UPDATE`,
+      [
+        SETTLED_STATUSES,
+        SOURCE_PAYMENT_METHODS[source],
+        line.phone.slice(-9),
+        line.amount,
+        line.transaction_date,
+        line.transaction_date,
+        excludedIds,
+        line.transaction_date
+      ]
+    );
+
+    if (byPhone.length > 0) {
+      await connection.query(
+        'UPDATE payments SET transaction_id = ? WHERE id = ?',
+        [line.reference, byPhone[0].id]
+      );
+
+      return {
+        match_status: STATEMENT_LINE_STATUS.MATCHED,
+        match_method: 'phone_amount',
+        payment_id: byPhone[0].id
+      };
+    }
+  }
+
+  return {
+    match_status: STATEMENT_LINE_STATUS.MISSING_IN_SYSTEM,
+    match_method: null,
+    payment_id: null
+  };
+};
+
+class StatementImport {
+  // Store an import with its lines, matching every line against our payments
+  static async create(importData, lines) {
+    const { source, file_name, imported_by } = importData;
+
+    try {
+      return await transaction(async (connection) => {
+        const dates = lines
+          .map(line => line.transaction_date)
+          .filter(Boolean)
+          .sort((a, b) => a - b);
+
+        const [result] = await connection.query(
+          `INSERT INTO statement_imports (source, file_name, period_start, period_end, imported_by)
+           VALUES (?, ?, ?, ?, ?)`,
+          [source, file_name, dates[0] || null, dates[dates.length - 1] || null, imported_by]
+        );
+
+        const importId = result.insertId;
+        const matchedPaymentIds = [];
+        let matchedCount = 0;
+
+        for (const line of lines) {
+          const match = await matchLine(connection, source, line, matchedPaymentIds);
+
+          if (match.payment_id) {
+            matchedPaymentIds.push(match.payment_id);
+          }
+          if (match.match_status === STATEMENT_LINE_STATUS.MATCHED) {
+            matchedCount++;
+          }
+
+          await connection.query(
+            `INSERT INTO statement_lines
+             (import_id, reference, transaction_date, amount, phone, account_reference, description,
+              match_status, match_method, payment_id, suggested_student_id)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+              importId,
+              line.reference,
+              line.transaction_date,
+              line.amount,
+              line.phone,
+              line.account_reference,
+              line.description,
+              match.match_status,
+              match.match_method,
+              match.payment_id,
+              match.payment_id ? null : line.suggested_student_id || null
+            ]
+          );
+        }
+
+        await connection.query(
+          'UPDATE statement_imports SET line_count = ?, matched_count = ? WHERE id = ?',
+          [lines.length, matchedCount, importId]
+        );
+
+        return { id: importId, line_count: lines.length, matched_count: matchedCount };
+      });
+    } catch (error) {
+      console.error('Error creating statement import:', error);
+      throw error;
+    }
+  }
+
+  // Find statement import by ID
+  static async findById(importId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT si.*, u.name as imported_by_name
+         FROM statement_imports si
+         LEFT JOIN users u ON si.imported_by = u.id
+         WHERE si.id = ?`,
+        [importId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding statement import by ID:', error);
+      throw error;
+    }
+  }
+
+  // Get the most recent imports
+  static async findRecent(limit = 10) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT si.*, u.name as imported_by_name,
+                (SELECT COUNT(*) FROM statement_lines sl
+                 WHERE sl.import_id = si.id AND sl.match_status IN (?)) as open_count
+         FROM statement_imports si
+         LEFT JOIN users u ON si.imported_by = u.id
+         ORDER BY si.created_at DESC
+         LIMIT ?`,
+        [[STATEMENT_LINE_STATUS.AMOUNT_MISMATCH, STATEMENT_LINE_STATUS.MISSING_IN_SYSTEM], limit]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting recent statement imports:', error);
+      throw error;
+    }
+  }
+
+  // Get an import's lines with the payment and student each one relates to
+  static async getLines(importId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT sl.*,
+                p.amount as payment_amount, p.payment_method, p.status as payment_status,
+                COALESCE(p.payment_date, p.created_at) as payment_date,
+                pu.name as student_name, pu.student_id as student_code,
+                su.name as suggested_student_name, su.student_id as suggested_student_code
+         FROM statement_lines sl
+         LEFT JOIN payments p ON sl.payment_id = p.id
+         LEFT JOIN users pu ON p.student_id = pu.id
+         LEFT JOIN users su ON sl.suggested_student_id = su.id
+         WHERE sl.import_id = ?
+         ORDER BY sl.transaction_date, sl.id`,
+        [importId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting statement lines:', error);
+      throw error;
+    }
+  }
+
+  // Settled payments from the statement's period that no line of the import accounts for
+  static async getMissingInStatement(statementImport) {
+    try {
+      if (!statementImport.period_start || !statementImport.period_end) {
+        return [];
+      }
+
+      const [rows] = await pool.query(
+        `SELECT p.*, u.name as student_name, u.student_id as student_code
+         FROM payments p
+         LEFT JOIN users u ON p.student_id = u.id
+         WHERE p.payment_method IN (?)
+           AND p.status IN (?)
+           AND DATE(COALESCE(p.payment_date, p.created_at)) BETWEEN ? AND ?
+           AND p.id NOT IN (
+             SELECT payment_id FROM statement_lines
+             WHERE import_id = ? AND payment_id IS NOT NULL
+           )
+         ORDER BY COALESCE(p.payment_date, p.created_at)`,
+        [
+          SOURCE_PAYMENT_METHODS[statementImport.source],
+          SETTLED_STATUSES,
+          statementImport.period_start,
+          statementImport.period_end,
+          statementImport.id
+        ]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting payments missing from statement:', error);
+      throw error;
+    }
+  }
+
+  // Find statement line by ID
+  static async findLineById(lineId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT * FROM statement_lines WHERE id = ?',
+        [lineId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding statement line by ID:', error);
+      throw error;
+    }
+  }
+
+  // Link a line the system was missing to the payment recorded for it (runs inside the caller's transaction)
+  static async resolveLine(lineId, paymentId, connection) {
+    const [lines] = await connection.query(
+      'SELECT * FROM statement_lines WHERE id = ? FOR UPDATE',
+      [lineId]
+    );
+
+    if (lines.length === 0) {
+      throw new Error('Statement line not found');
+    }
+
+    if (lines[0].match_status !== STATEMENT_LINE_STATUS.MISSING_IN_SYSTEM) {
+      throw new Error('Statement line has already been reconciled');
+    }
+
+    await connection.query(
+      `UPDATE statement_lines SET match_status = ?, match_method = 'manual', payment_id = ?
+       WHERE id = ?`,
+      [STATEMENT_LINE_STATUS.RESOLVED, paymentId, lineId]
+    );
+
+    await connection.query(
+      'UPDATE statement_imports SET matched_count = matched_count + 1 WHERE id = ?',
+      [lines[0].import_id]
+    );
+
+    return lines[0];
+  }
+}
+
+module.exports = StatementImport;
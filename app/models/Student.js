@@ -1,4 +1,5 @@
 const { pool } = require('../../config/database');
+const StudentLedger = require('./StudentLedger');
 
 class Student {
   // Find student by user ID
@@ -18,6 +19,23 @@ class Student {
     }
   }
 
+  // Get all active students
+  static async findAllActive() {
+    try {
+      const [rows] = await pool.query(
+        `SELECT u.id, u.name, u.email, u.phone, u.student_id
+         FROM users u
+         JOIN roles r ON u.role_id = r.id
+         WHERE r.name = 'student' AND u.is_active = 1
+         ORDER BY u.name`
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error getting active students:', error);
+      throw error;
+    }
+  }
+
   // Get student enrollments
   static async getEnrollments(studentId) {
     try {
@@ -114,17 +132,10 @@ class Student {
     }
   }
 
-  // Get student fee balance
+  // Get student fee balance from the ledger
   static async getFeeBalance(studentId) {
     try {
-      const [rows] = await pool.query(
-        `SELECT COALESCE(SUM(fs.amount), 0) - COALESCE(SUM(p.amount), 0) as fee_balance 
-         FROM fee_structures fs 
-         LEFT JOIN payments p ON fs.id = p.fee_structure_id AND p.student_id = ?
-         WHERE p.student_id = ? OR p.student_id IS NULL`,
-        [studentId, studentId]
-      );
-      return rows[0]?.fee_balance || 0;
+      return await StudentLedger.getBalance(studentId);
     } catch (error) {
       console.error('Error getting fee balance:', error);
       throw error;
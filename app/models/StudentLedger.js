@@ -0,0 +1,247 @@
+const { pool, transaction } = require('../../config/database');
+const { LEDGER_ENTRY_TYPES, LEDGER_DIRECTIONS } = require('../../config/constants');
+
+// Keep money arithmetic on whole cents
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const signedAmount = (entry) =>
+  entry.direction === LEDGER_DIRECTIONS.DEBIT ? parseFloat(entry.amount) : -parseFloat(entry.amount);
+
+class StudentLedger {
+  // Post a debit or credit and return the new running balance.
+  // Pass a connection to post inside the caller's transaction.
+  static async postEntry(entry, connection = null) {
+    const {
+      student_id,
+      entry_type,
+      direction,
+      amount,
+      description = null,
+      reference_type = null,
+      reference_id = null,
+      created_by = null
+    } = entry;
+
+    if (!Object.values(LEDGER_ENTRY_TYPES).includes(entry_type)) {
+      throw new Error(`Invalid ledger entry type: ${entry_type}`);
+    }
+
+    if (!Object.values(LEDGER_DIRECTIONS).includes(direction)) {
+      throw new Error(`Invalid ledger direction: ${direction}`);
+    }
+
+    if (isNaN(amount) || parseFloat(amount) <= 0) {
+      throw new Error('Ledger amount must be a positive number');
+    }
+
+    if (!connection) {
+      return transaction((conn) => StudentLedger.postEntry(entry, conn));
+    }
+
+    try {
+      // Lock the student row so concurrent postings for one student are serialized
+      await connection.query('SELECT id FROM users WHERE id = ? FOR UPDATE', [student_id]);
+
+      const [last] = await connection.query(
+        'SELECT balance_after FROM student_ledger WHERE student_id = ? ORDER BY id DESC LIMIT 1',
+        [student_id]
+      );
+      const previousBalance = last.length > 0 ? parseFloat(last[0].balance_after) : 0;
+      const balanceAfter = roundAmount(previousBalance + signedAmount({ direction, amount }));
+
+      const [result] = await connection.query(
+        `INSERT INTO student_ledger
+           (student_id, entry_type, direction, amount, balance_after, description,
+            reference_type, reference_id, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [student_id, entry_type, direction, roundAmount(parseFloat(amount)), balanceAfter, description,
+          reference_type, reference_id, created_by]
+      );
+
+      return { id: result.insertId, balance_after: balanceAfter };
+    } catch (error) {
+      console.error('Error posting ledger entry:', error);
+      throw error;
+    }
+  }
+
+  // Check whether an entry has already been posted for a source record
+  static async hasEntry(referenceType, referenceId, entryType) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT id FROM student_ledger
+         WHERE reference_type = ? AND reference_id = ? AND entry_type = ?
+         LIMIT 1`,
+        [referenceType, referenceId, entryType]
+      );
+      return rows.length > 0;
+    } catch (error) {
+      console.error('Error checking ledger entry:', error);
+      throw error;
+    }
+  }
+
+  // Get a student's current balance (positive means the student owes money)
+  static async getBalance(studentId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT balance_after FROM student_ledger WHERE student_id = ? ORDER BY id DESC LIMIT 1',
+        [studentId]
+      );
+      return rows.length > 0 ? parseFloat(rows[0].balance_after) : 0;
+    } catch (error) {
+      console.error('Error getting ledger balance:', error);
+      throw error;
+    }
+  }
+
+  // Get a statement for a student, optionally limited to a date range
+  static async getStatement(studentId, startDate = null, endDate = null) {
+    try {
+      let openingBalance = 0;
+
+      if (startDate) {
+        const [opening] = await pool.query(
+          `SELECT balance_after FROM student_ledger
+           WHERE student_id = ? AND created_at < ?
+           ORDER BY id DESC LIMIT 1`,
+          [studentId, startDate]
+        );
+        openingBalance = opening.length > 0 ? parseFloat(opening[0].balance_after) : 0;
+      }
+
+      let query = `
+        SELECT l.*, u.name as created_by_name
+        FROM student_ledger l
+        LEFT JOIN users u ON l.created_by = u.id
+        WHERE l.student_id = ?
+      `;
+      const params = [studentId];
+
+      if (startDate) {
+        query += ' AND l.created_at >= ?';
+        params.push(startDate);
+      }
+
+      if (endDate) {
+        query += ' AND l.created_at < DATE_ADD(?, INTERVAL 1 DAY)';
+        params.push(endDate);
+      }
+
+      query += ' ORDER BY l.id';
+
+      const [entries] = await pool.query(query, params);
+
+      const totals = entries.reduce((sum, entry) => {
+        sum[entry.direction === LEDGER_DIRECTIONS.DEBIT ? 'debits' : 'credits'] += parseFloat(entry.amount);
+        return sum;
+      }, { debits: 0, credits: 0 });
+
+      return {
+        openingBalance,
+        entries,
+        totalDebits: roundAmount(totals.debits),
+        totalCredits: roundAmount(totals.credits),
+        closingBalance: entries.length > 0
+          ? parseFloat(entries[entries.length - 1].balance_after)
+          : openingBalance
+      };
+    } catch (error) {
+      console.error('Error getting ledger statement:', error);
+      throw error;
+    }
+  }
+
+  // Re-add every entry for a student and confirm each running balance is consistent
+  static async reconcile(studentId) {
+    try {
+      const [entries] = await pool.query(
+        'SELECT id, direction, amount, balance_after FROM student_ledger WHERE student_id = ? ORDER BY id',
+        [studentId]
+      );
+
+      let computedBalance = 0;
+      let firstMismatchId = null;
+
+      entries.forEach(entry => {
+        computedBalance = roundAmount(computedBalance + signedAmount(entry));
+        if (firstMismatchId === null && computedBalance !== parseFloat(entry.balance_after)) {
+          firstMismatchId = entry.id;
+        }
+      });
+
+      const recordedBalance = entries.length > 0 ? parseFloat(entries[entries.length - 1].balance_after) : 0;
+
+      return {
+        recordedBalance,
+        computedBalance,
+        firstMismatchId,
+        reconciled: firstMismatchId === null && recordedBalance === computedBalance
+      };
+    } catch (error) {
+      console.error('Error reconciling student ledger:', error);
+      throw error;
+    }
+  }
+
+  // Get current balances for all active students
+  static async getBalances(filters = {}, page = 1, limit = 20) {
+    try {
+      const offset = (page - 1) * limit;
+      const whereConditions = ["r.name = 'student'", 'u.is_active = 1'];
+      const params = [];
+
+      if (filters.search) {
+        whereConditions.push('(u.name LIKE ? OR u.student_id LIKE ? OR u.email LIKE ?)');
+        params.push(`%${filters.search}%`, `%${filters.search}%`, `%${filters.search}%`);
+      }
+
+      if (filters.outstanding_only) {
+        whereConditions.push('COALESCE(l.balance_after, 0) > 0');
+      }
+
+      const fromClause = `
+        FROM users u
+        JOIN roles r ON u.role_id = r.id
+        LEFT JOIN (
+          SELECT student_id,
+                 MAX(id) as last_entry_id,
+                 SUM(CASE WHEN direction = 'debit' THEN amount ELSE 0 END) as total_debits,
+                 SUM(CASE WHEN direction = 'credit' THEN amount ELSE 0 END) as total_credits,
+                 MAX(created_at) as last_entry_at
+          FROM student_ledger
+          GROUP BY student_id
+        ) t ON t.student_id = u.id
+        LEFT JOIN student_ledger l ON l.id = t.last_entry_id
+        WHERE ${whereConditions.join(' AND ')}
+      `;
+
+      const [balances] = await pool.query(
+        `SELECT u.id as student_id, u.student_id as student_code, u.name as student_name,
+                u.email, u.phone,
+                COALESCE(t.total_debits, 0) as total_debits,
+                COALESCE(t.total_credits, 0) as total_credits,
+                COALESCE(l.balance_after, 0) as balance,
+                t.last_entry_at
+         ${fromClause}
+         ORDER BY balance DESC, u.name
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      const [countResult] = await pool.query(`SELECT COUNT(*) as total ${fromClause}`, params);
+
+      return {
+        balances,
+        total: countResult[0].total,
+        page: parseInt(page),
+        totalPages: Math.ceil(countResult[0].total / limit)
+      };
+    } catch (error) {
+      console.error('Error getting ledger balances:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = StudentLedger;
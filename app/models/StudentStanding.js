@@ -0,0 +1,122 @@
+const { pool, transaction } = require('../../config/database');
+
+class StudentStanding {
+  // Courses with a recorded final grade, with the term and credits they count towards
+  static async getGradedEnrollments(studentIds) {
+    if (studentIds.length === 0) return [];
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT e.id as enrollment_id, e.student_id, e.final_grade, e.grade_points, e.completion_date,
+                c.id as course_id, c.course_code, c.title as course_title, c.credits,
+                c.academic_year, c.semester
+         FROM enrollments e
+         JOIN courses c ON e.course_id = c.id
+         WHERE e.student_id IN (?) AND e.status = 'completed' AND e.grade_points IS NOT NULL
+           AND c.academic_year IS NOT NULL AND c.semester IS NOT NULL
+         ORDER BY c.course_code`,
+        [studentIds]
+      );
+      return rows.map(row => ({
+        ...row,
+        credits: Number(row.credits) || 0,
+        grade_points: Number(row.grade_points)
+      }));
+    } catch (error) {
+      console.error('Error getting graded enrollments:', error);
+      throw error;
+    }
+  }
+
+  // Students with a final grade on any course in the given terms
+  static async findStudentIdsInTerms(termIds) {
+    if (termIds.length === 0) return [];
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT DISTINCT e.student_id
+         FROM enrollments e
+         JOIN courses c ON e.course_id = c.id
+         JOIN academic_terms t ON t.academic_year = c.academic_year AND t.semester = c.semester
+         WHERE t.id IN (?) AND e.status = 'completed' AND e.grade_points IS NOT NULL`,
+        [termIds]
+      );
+      return rows.map(row => row.student_id);
+    } catch (error) {
+      console.error('Error finding students in terms:', error);
+      throw error;
+    }
+  }
+
+  static async findByStudents(studentIds) {
+    if (studentIds.length === 0) return [];
+
+    try {
+      const [rows] = await pool.query(
+        `SELECT s.*, t.academic_year, t.semester
+         FROM student_term_standings s
+         JOIN academic_terms t ON s.term_id = t.id
+         WHERE s.student_id IN (?)`,
+        [studentIds]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding student standings:', error);
+      throw error;
+    }
+  }
+
+  // Students a term put on probation, discontinued or placed on the dean's list
+  static async findNotableByTerm(termId) {
+    try {
+      const [rows] = await pool.query(
+        `SELECT s.*, u.name as student_name, u.student_id as student_number, u.email
+         FROM student_term_standings s
+         JOIN users u ON s.student_id = u.id
+         WHERE s.term_id = ? AND (s.standing <> 'good' OR s.deans_list = TRUE)
+         ORDER BY FIELD(s.standing, 'discontinued', 'probation', 'good'), s.cgpa, u.name`,
+        [termId]
+      );
+      return rows;
+    } catch (error) {
+      console.error('Error finding notable standings by term:', error);
+      throw error;
+    }
+  }
+
+  // Insert or replace standings, one per student and term
+  static async saveMany(standings) {
+    if (standings.length === 0) return;
+
+    try {
+      await transaction(async (connection) => {
+        for (const s of standings) {
+          await connection.query(
+            `INSERT INTO student_term_standings
+               (student_id, term_id, credits_attempted, credits_earned, quality_points, gpa,
+                cumulative_credits, cgpa, standing, deans_list)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE
+               credits_attempted = VALUES(credits_attempted),
+               credits_earned = VALUES(credits_earned),
+               quality_points = VALUES(quality_points),
+               gpa = VALUES(gpa),
+               cumulative_credits = VALUES(cumulative_credits),
+               cgpa = VALUES(cgpa),
+               standing = VALUES(standing),
+               deans_list = VALUES(deans_list)`,
+            [
+              s.student_id, s.term_id, s.credits_attempted, s.credits_earned, s.quality_points, s.gpa,
+              s.cumulative_credits, s.cgpa, s.standing, s.deans_list
+            ]
+          );
+        }
+      });
+    } catch (error) {
+      console.error('Error saving student standings:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = StudentStanding;
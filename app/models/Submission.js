@@ -1,4 +1,5 @@
 const db = require('../../config/database');
+const { pool } = require('../../config/database');
 const { SUBMISSION_STATUS } = require('../../config/constants');
 
 class Submission {
@@ -88,18 +89,21 @@ class Submission {
 
   // Find submission by ID with details
   static async findById(id) {
-    const submissions = await db.query(`
+    const [submissions] = await pool.query(`
       SELECT 
         s.*,
         a.title as assignment_title,
         a.max_points,
         a.due_date,
         a.submission_type,
+        a.course_id,
+        a.rubric_id,
         c.title as course_title,
         c.course_code,
         u.name as student_name,
-        u.student_id,
+        u.student_id as student_number,
         u.email as student_email,
+        g.id as grade_id,
         g.points_earned,
         g.grade,
         g.feedback,
@@ -130,7 +134,7 @@ class Submission {
         c.title as course_title,
         c.course_code,
         u.name as student_name,
-        u.student_id,
+        u.student_id as student_number,
         g.points_earned,
         g.grade,
         g.feedback,
@@ -200,9 +204,9 @@ class Submission {
     query += ` ORDER BY s.submitted_at DESC LIMIT ? OFFSET ?`;
     params.push(limit, offset);
 
-    const [submissions, countResult] = await Promise.all([
-      db.query(query, params),
-      db.query(countQuery, params.slice(0, -2))
+    const [[submissions], [countResult]] = await Promise.all([
+      pool.query(query, params),
+      pool.query(countQuery, params.slice(0, -2))
     ]);
 
     return {
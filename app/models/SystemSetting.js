@@ -0,0 +1,122 @@
+const { pool } = require('../../config/database');
+
+const DATA_TYPES = ['string', 'number', 'boolean', 'json'];
+
+// Values are stored as text; turn them back into the type they were saved as
+const parseValue = (value, dataType) => {
+  if (value === null || value === undefined) return null;
+
+  switch (dataType) {
+    case 'number':
+      return parseFloat(value);
+    case 'boolean':
+      return value === 'true' || value === '1';
+    case 'json':
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        return null;
+      }
+    default:
+      return value;
+  }
+};
+
+const serializeValue = (value, dataType) => {
+  if (value === null || value === undefined) return null;
+  return dataType === 'json' ? JSON.stringify(value) : String(value);
+};
+
+// Work out the stored type from the value when the caller does not say
+const detectDataType = (value) => {
+  if (typeof value === 'number') return 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'object' && value !== null) return 'json';
+  return 'string';
+};
+
+class SystemSetting {
+  // Get one setting's value, or the default when it has never been saved
+  static async get(key, defaultValue = null) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT setting_value, data_type FROM system_settings WHERE setting_key = ?',
+        [key]
+      );
+
+      if (rows.length === 0) {
+        return defaultValue;
+      }
+
+      const value = parseValue(rows[0].setting_value, rows[0].data_type);
+      return value === null ? defaultValue : value;
+    } catch (error) {
+      console.error('Error getting system setting:', error);
+      throw error;
+    }
+  }
+
+  // Get every setting in a category as a key/value object, filling gaps from defaults
+  static async getByCategory(category, defaults = {}) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT setting_key, setting_value, data_type FROM system_settings WHERE category = ?',
+        [category]
+      );
+
+      return rows.reduce((settings, row) => {
+        const value = parseValue(row.setting_value, row.data_type);
+        if (value !== null) {
+          settings[row.setting_key] = value;
+        }
+        return settings;
+      }, { ...defaults });
+    } catch (error) {
+      console.error('Error getting system settings by category:', error);
+      throw error;
+    }
+  }
+
+  // Create or update a setting
+  static async set(key, value, options = {}) {
+    const {
+      dataType = detectDataType(value),
+      category = 'general',
+      description = null,
+      updatedBy = null
+    } = options;
+
+    if (!DATA_TYPES.includes(dataType)) {
+      throw new Error(`Invalid setting data type: ${dataType}`);
+    }
+
+    try {
+      await pool.query(
+        `INSERT INTO system_settings (setting_key, setting_value, data_type, category, description, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           setting_value = VALUES(setting_value),
+           data_type = VALUES(data_type),
+           category = VALUES(category),
+           description = COALESCE(VALUES(description), description),
+           updated_by = VALUES(updated_by)`,
+        [key, serializeValue(value, dataType), dataType, category, description, updatedBy]
+      );
+
+      return value;
+    } catch (error) {
+      console.error('Error saving system setting:', error);
+      throw error;
+    }
+  }
+
+  // Save several settings of one category at once
+  static async setMany(settings, options = {}) {
+    for (const [key, value] of Object.entries(settings)) {
+      await SystemSetting.set(key, value, options);
+    }
+    return settings;
+  }
+}
+
+module.exports = SystemSetting;
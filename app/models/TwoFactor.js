@@ -0,0 +1,134 @@
+const { pool, transaction } = require('../../config/database');
+
+class TwoFactor {
+  // Get a user's two-factor settings, or null if they never started enrollment
+  static async findByUser(userId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT * FROM user_two_factor WHERE user_id = ?',
+        [userId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding two-factor settings:', error);
+      throw error;
+    }
+  }
+
+  // Store a secret that is waiting for the user to prove their authenticator works
+  static async setPendingSecret(userId, secret) {
+    try {
+      await pool.query(
+        `INSERT INTO user_two_factor (user_id, pending_secret)
+         VALUES (?, ?)
+         ON DUPLICATE KEY UPDATE pending_secret = VALUES(pending_secret)`,
+        [userId, secret]
+      );
+    } catch (error) {
+      console.error('Error saving pending two-factor secret:', error);
+      throw error;
+    }
+  }
+
+  // Promote the pending secret and replace the recovery codes in one go
+  static async enable(userId, step, recoveryCodeHashes) {
+    try {
+      return await transaction(async (connection) => {
+        const [result] = await connection.query(
+          `UPDATE user_two_factor
+           SET totp_secret = pending_secret, pending_secret = NULL, is_enabled = 1,
+               last_totp_step = ?, enabled_at = NOW()
+           WHERE user_id = ? AND pending_secret IS NOT NULL`,
+          [step, userId]
+        );
+
+        if (result.affectedRows === 0) {
+          return false;
+        }
+
+        await TwoFactor.replaceRecoveryCodes(userId, recoveryCodeHashes, connection);
+        return true;
+      });
+    } catch (error) {
+      console.error('Error enabling two-factor authentication:', error);
+      throw error;
+    }
+  }
+
+  // Remember the last accepted time step so a code cannot be replayed.
+  // Returns false when this step (or a later one) was already used.
+  static async recordStep(userId, step) {
+    try {
+      const [result] = await pool.query(
+        `UPDATE user_two_factor SET last_totp_step = ?
+         WHERE user_id = ? AND is_enabled = 1 AND (last_totp_step IS NULL OR last_totp_step < ?)`,
+        [step, userId, step]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error recording two-factor step:', error);
+      throw error;
+    }
+  }
+
+  // Swap out every recovery code for a fresh set
+  static async replaceRecoveryCodes(userId, codeHashes, connection) {
+    try {
+      await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+
+      if (codeHashes.length > 0) {
+        await connection.query(
+          'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ?',
+          [codeHashes.map(hash => [userId, hash])]
+        );
+      }
+    } catch (error) {
+      console.error('Error replacing recovery codes:', error);
+      throw error;
+    }
+  }
+
+  // Spend a recovery code. Returns false if it does not exist or was used before.
+  static async useRecoveryCode(userId, codeHash) {
+    try {
+      const [result] = await pool.query(
+        `UPDATE two_factor_recovery_codes SET used_at = NOW()
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [userId, codeHash]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error using recovery code:', error);
+      throw error;
+    }
+  }
+
+  // Count the recovery codes a user has left
+  static async countRecoveryCodes(userId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT COUNT(*) AS remaining FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+      return rows[0].remaining;
+    } catch (error) {
+      console.error('Error counting recovery codes:', error);
+      throw error;
+    }
+  }
+
+  // Remove two-factor authentication and its recovery codes entirely
+  static async remove(userId) {
+    try {
+      await transaction(async (connection) => {
+        await connection.query('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+        await connection.query('DELETE FROM user_two_factor WHERE user_id = ?', [userId]);
+      });
+    } catch (error) {
+      console.error('Error removing two-factor authentication:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = TwoFactor;
@@ -279,13 +279,13 @@ class User {
   }
 
   // Change password
-  static async changePassword(id, newPassword) {
+  static async changePassword(id, newPassword, connection = pool) {
     try {
       const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
       const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
       
       // FIXED: Use pool.query()
-      await pool.query(
+      await connection.query(
         'UPDATE users SET password = ?, updated_at = NOW() WHERE id = ?',
         [hashedPassword, id]
       );
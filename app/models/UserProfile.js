@@ -0,0 +1,69 @@
+const { pool } = require('../../config/database');
+
+// Columns a user may change from the contact details form
+const CONTACT_FIELDS = ['address', 'emergency_contact_name', 'emergency_contact_phone'];
+
+class UserProfile {
+  // Get a user's profile row, or null if they have never edited their profile
+  static async findByUser(userId) {
+    try {
+      const [rows] = await pool.query(
+        'SELECT * FROM user_profiles WHERE user_id = ?',
+        [userId]
+      );
+      return rows[0] || null;
+    } catch (error) {
+      console.error('Error finding user profile:', error);
+      throw error;
+    }
+  }
+
+  // Save the contact details kept outside the users table
+  static async saveContactDetails(userId, details) {
+    try {
+      const values = CONTACT_FIELDS.map(field => details[field] || null);
+
+      await pool.query(
+        `INSERT INTO user_profiles (user_id, ${CONTACT_FIELDS.join(', ')})
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE ${CONTACT_FIELDS.map(field => `${field} = VALUES(${field})`).join(', ')}`,
+        [userId, ...values]
+      );
+    } catch (error) {
+      console.error('Error saving contact details:', error);
+      throw error;
+    }
+  }
+
+  // Point the profile at a new avatar (or clear it with nulls)
+  static async setAvatar(userId, avatarUrl, thumbnailUrl) {
+    try {
+      await pool.query(
+        `INSERT INTO user_profiles (user_id, avatar_url, avatar_thumbnail_url)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE avatar_url = VALUES(avatar_url), avatar_thumbnail_url = VALUES(avatar_thumbnail_url)`,
+        [userId, avatarUrl, thumbnailUrl]
+      );
+    } catch (error) {
+      console.error('Error saving avatar:', error);
+      throw error;
+    }
+  }
+
+  // Record that the user proved they hold this phone number
+  static async markPhoneVerified(userId, phone) {
+    try {
+      await pool.query(
+        `INSERT INTO user_profiles (user_id, verified_phone, phone_verified_at)
+         VALUES (?, ?, NOW())
+         ON DUPLICATE KEY UPDATE verified_phone = VALUES(verified_phone), phone_verified_at = VALUES(phone_verified_at)`,
+        [userId, phone]
+      );
+    } catch (error) {
+      console.error('Error marking phone verified:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = UserProfile;
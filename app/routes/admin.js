@@ -2,17 +2,25 @@ const express = require('express');
 const router = express.Router();
 
 // Safe middleware imports
-let isAdmin, isAuthenticated;
+let isAuthenticated, requirePermission, blockWhileImpersonating;
 try {
     const authMiddleware = require('../middleware/auth');
-    isAdmin = authMiddleware.isAdmin || ((req, res, next) => next());
     isAuthenticated = authMiddleware.isAuthenticated || ((req, res, next) => next());
 } catch (error) {
     console.error('❌ Error loading auth middleware:', error.message);
-    isAdmin = (req, res, next) => next();
     isAuthenticated = (req, res, next) => next();
 }
 
+try {
+    requirePermission = require('../middleware/roleCheck').requirePermission;
+    blockWhileImpersonating = require('../middleware/impersonation').blockWhileImpersonating;
+} catch (error) {
+    // Fail closed: without the permission check nobody gets past the area gate
+    console.error('❌ Error loading permission middleware:', error.message);
+    requirePermission = () => (req, res) => res.status(503).send('Permissions unavailable');
+    blockWhileImpersonating = (req, res) => res.status(503).send('Permissions unavailable');
+}
+
 // Safe admin controller import
 let adminController;
 try {
@@ -23,6 +31,15 @@ try {
     adminController = {};
 }
 
+// Safe upload middleware import
+let uploadUserList;
+try {
+    uploadUserList = require('../middleware/upload').uploadUserList;
+} catch (error) {
+    console.error('❌ Error loading upload middleware:', error.message);
+    uploadUserList = { single: () => (req, res, next) => next() };
+}
+
 // Safe admin middleware import
 let setAdminLayoutData;
 try {
@@ -64,9 +81,36 @@ const safeHandler = (handler, routeName) => {
 
 // Apply middleware to all admin routes
 router.use(isAuthenticated);
-router.use(isAdmin);
+router.use(requirePermission('area.admin'));
 router.use(setAdminLayoutData);
 
+// Each section needs its own permission on top of the admin area
+router.use('/users', requirePermission('users.manage'));
+router.use('/courses', requirePermission('courses.edit.any'));
+router.use(['/enrollments', '/academic/enrollments'], requirePermission('enrollments.manage'));
+router.use([
+    '/assignments', '/grades', '/submissions',
+    '/academic/assignments', '/academic/submissions', '/academic/grades-overview'
+], requirePermission('academics.view'));
+router.use('/finance', requirePermission('payments.view'));
+router.use('/finance/mpesa-callbacks/:id/retry', requirePermission('payments.configure'));
+router.use('/finance/fee-structure', requirePermission('fees.manage'));
+router.use(['/reports', '/finance/revenue-reports'], requirePermission('reports.view'));
+router.use(['/system/settings', '/system/notifications', '/system/system-health', '/system/backup'], requirePermission('system.settings'));
+router.use('/system/audit-logs', requirePermission('system.audit'));
+router.use(['/system/api-keys', '/system/service-accounts'], requirePermission('system.api_keys'));
+router.use('/system/roles', requirePermission('roles.manage'));
+router.use('/system/grading-scales', requirePermission('grading.scales'));
+router.use('/academic/standing', requirePermission('academics.standing'));
+router.use('/users/:id/impersonate', requirePermission('users.impersonate'));
+
+// Nothing that changes access or moves money may be done while seeing the site as someone else
+router.post([
+    '/users/:id/impersonate', '/users/:id/two-factor/reset', '/users/:id/sessions/revoke',
+    '/system/roles*', '/system/api-keys*', '/system/service-accounts*',
+    '/finance/mpesa-callbacks/:id/retry'
+], blockWhileImpersonating);
+
 // ==================== DASHBOARD ROUTES ====================
 
 // Dashboard
@@ -110,6 +154,31 @@ router.post('/users/create', (req, res) => {
     safeHandler(adminController.createUser, 'createUser')(req, res);
 });
 
+// Bulk import (before /users/:id so "import" is not taken for an id)
+router.get('/users/import', (req, res) => {
+    res.locals.pageTitle = 'Import Users';
+    safeHandler(adminController.showUserImport, 'showUserImport')(req, res);
+});
+
+router.get('/users/import/template', (req, res) => {
+    safeHandler(adminController.downloadUserImportTemplate, 'downloadUserImportTemplate')(req, res);
+});
+
+router.post('/users/import/preview', (req, res) => {
+    uploadUserList.single('file')(req, res, (err) => {
+        if (err) {
+            req.flash('error', err.message);
+            return res.redirect('/admin/users/import');
+        }
+        res.locals.pageTitle = 'Import Users';
+        safeHandler(adminController.previewUserImport, 'previewUserImport')(req, res);
+    });
+});
+
+router.post('/users/import/confirm', (req, res) => {
+    safeHandler(adminController.confirmUserImport, 'confirmUserImport')(req, res);
+});
+
 router.get('/users/:id', (req, res) => {
     res.locals.pageTitle = 'User Details';
     safeHandler(adminController.showUser, 'showUser')(req, res);
@@ -128,6 +197,18 @@ router.post('/users/:id/delete', (req, res) => {
     safeHandler(adminController.deleteUser, 'deleteUser')(req, res);
 });
 
+router.post('/users/:id/two-factor/reset', (req, res) => {
+    safeHandler(adminController.resetTwoFactor, 'resetTwoFactor')(req, res);
+});
+
+router.post('/users/:id/impersonate', (req, res) => {
+    safeHandler(adminController.impersonateUser, 'impersonateUser')(req, res);
+});
+
+router.post('/users/:id/sessions/revoke', (req, res) => {
+    safeHandler(adminController.forceLogoutUser, 'forceLogoutUser')(req, res);
+});
+
 // ==================== COURSE MANAGEMENT ROUTES ====================
 
 // Course Management
@@ -215,6 +296,16 @@ router.get('/finance/payments', (req, res) => {
     safeHandler(adminController.listPayments, 'listPayments')(req, res);
 });
 
+// M-Pesa Callback Inbox
+router.get('/finance/mpesa-callbacks', (req, res) => {
+    res.locals.pageTitle = 'M-Pesa Callbacks';
+    safeHandler(adminController.listMpesaCallbacks, 'listMpesaCallbacks')(req, res);
+});
+
+router.post('/finance/mpesa-callbacks/:id/retry', (req, res) => {
+    safeHandler(adminController.retryMpesaCallback, 'retryMpesaCallback')(req, res);
+});
+
 // Fee Structure Management
 router.get('/finance/fee-structure', (req, res) => {
     res.locals.pageTitle = 'Fee Structure';
@@ -239,6 +330,14 @@ router.post('/system/settings', (req, res) => {
     safeHandler(adminController.updateSystemSettings, 'updateSystemSettings')(req, res);
 });
 
+router.post('/system/settings/two-factor', (req, res) => {
+    safeHandler(adminController.updateTwoFactorPolicy, 'updateTwoFactorPolicy')(req, res);
+});
+
+router.post('/system/settings/session-locations', (req, res) => {
+    safeHandler(adminController.updateSessionLocations, 'updateSessionLocations')(req, res);
+});
+
 // Notification Center
 router.get('/system/notifications', (req, res) => {
     res.locals.pageTitle = 'Notification Center';
@@ -257,6 +356,68 @@ router.get('/system/audit-logs', (req, res) => {
     safeHandler(adminController.listAuditLogs, 'listAuditLogs')(req, res);
 });
 
+router.post('/system/audit-logs/lockouts/:id/unlock', (req, res) => {
+    safeHandler(adminController.unlockLockout, 'unlockLockout')(req, res);
+});
+
+// Roles & Permissions
+router.get('/system/roles', (req, res) => {
+    res.locals.pageTitle = 'Roles & Permissions';
+    safeHandler(adminController.listRoles, 'listRoles')(req, res);
+});
+
+router.post('/system/roles', (req, res) => {
+    safeHandler(adminController.createRole, 'createRole')(req, res);
+});
+
+router.post('/system/roles/:id/permissions', (req, res) => {
+    safeHandler(adminController.updateRolePermissions, 'updateRolePermissions')(req, res);
+});
+
+router.post('/system/roles/:id/delete', (req, res) => {
+    safeHandler(adminController.deleteRole, 'deleteRole')(req, res);
+});
+
+// Grading Scales
+router.get('/system/grading-scales', (req, res) => {
+    res.locals.pageTitle = 'Grading Scales';
+    safeHandler(adminController.listGradingScales, 'listGradingScales')(req, res);
+});
+
+router.post('/system/grading-scales', (req, res) => {
+    safeHandler(adminController.saveGradingScale, 'saveGradingScale')(req, res);
+});
+
+router.post('/system/grading-scales/:id/default', (req, res) => {
+    safeHandler(adminController.setDefaultGradingScale, 'setDefaultGradingScale')(req, res);
+});
+
+router.post('/system/grading-scales/:id/delete', (req, res) => {
+    safeHandler(adminController.deleteGradingScale, 'deleteGradingScale')(req, res);
+});
+
+// API Keys and service accounts
+router.get('/system/api-keys', (req, res) => {
+    res.locals.pageTitle = 'API Keys';
+    safeHandler(adminController.listApiKeys, 'listApiKeys')(req, res);
+});
+
+router.post('/system/api-keys', (req, res) => {
+    safeHandler(adminController.createApiKey, 'createApiKey')(req, res);
+});
+
+router.post('/system/api-keys/:id/revoke', (req, res) => {
+    safeHandler(adminController.revokeApiKey, 'revokeApiKey')(req, res);
+});
+
+router.post('/system/service-accounts', (req, res) => {
+    safeHandler(adminController.createServiceAccount, 'createServiceAccount')(req, res);
+});
+
+router.post('/system/service-accounts/:id/deactivate', (req, res) => {
+    safeHandler(adminController.deactivateServiceAccount, 'deactivateServiceAccount')(req, res);
+});
+
 // Backup & Restore
 router.get('/system/backup', (req, res) => {
     res.locals.pageTitle = 'Backup & Restore';
@@ -340,6 +501,20 @@ router.get('/academic/grades-overview', (req, res) => {
     });
 });
 
+// Academic standing rules and term close
+router.get('/academic/standing', (req, res) => {
+    res.locals.pageTitle = 'Academic Standing';
+    safeHandler(adminController.academicStanding, 'academicStanding')(req, res);
+});
+
+router.post('/academic/standing/rules', (req, res) => {
+    safeHandler(adminController.saveStandingRules, 'saveStandingRules')(req, res);
+});
+
+router.post('/academic/standing/terms/:id/close', (req, res) => {
+    safeHandler(adminController.closeAcademicTerm, 'closeAcademicTerm')(req, res);
+});
+
 // Redirect root to dashboard
 router.get('/', (req, res) => {
     res.redirect('/admin/dashboard');
@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const tokenController = require('../../controllers/api/tokenController');
+const academicController = require('../../controllers/api/academicController');
+const notificationController = require('../../controllers/api/notificationController');
+const paymentController = require('../../controllers/api/paymentController');
+const { apiTokenAuth } = require('../../middleware/auth');
+const { requirePermission, requireScope } = require('../../middleware/roleCheck');
+const { notFoundHandler } = require('../../middleware/errorHandler');
+
+// Academic records are open to staff who see every course, instructors of their own and students;
+// the controller then limits each user to the courses they may see
+const academicAccess = requirePermission(['academics.view', 'courses.edit', 'area.student']);
+const gradingAccess = requirePermission(['academics.view', 'submissions.grade']);
+const studentAccess = requirePermission('area.student');
+
+// Token issue and refresh (no access token needed)
+router.post('/auth/token', tokenController.issueToken);
+router.post('/auth/refresh', tokenController.refreshToken);
+router.post('/auth/revoke', tokenController.revokeToken);
+
+// Everything below needs a bearer access token or an API key; keys are also held to their scopes
+router.use(apiTokenAuth);
+
+router.get('/me', tokenController.me);
+
+// Courses
+router.get('/courses', academicAccess, requireScope('courses:read'), academicController.listCourses);
+router.get('/courses/:courseId', academicAccess, requireScope('courses:read'), academicController.getCourse);
+router.get('/courses/:courseId/grades', gradingAccess, requireScope('grades:read'), academicController.listCourseGrades);
+
+// Enrollments
+router.get('/courses/:courseId/enrollments',
+  requirePermission(['academics.view', 'enrollments.manage']), requireScope('enrollments:read'),
+  academicController.listEnrollments
+);
+router.post('/courses/:courseId/enrollments',
+  requirePermission('enrollments.manage'), requireScope('enrollments:write'),
+  academicController.enrollStudent
+);
+router.delete('/courses/:courseId/enrollments/:studentId',
+  requirePermission('enrollments.manage'), requireScope('enrollments:write'),
+  academicController.dropStudent
+);
+
+// Assignments and submissions
+router.get('/assignments', academicAccess, requireScope('assignments:read'), academicController.listAssignments);
+router.get('/assignments/:assignmentId', academicAccess, requireScope('assignments:read'), academicController.getAssignment);
+router.get('/assignments/:assignmentId/submissions',
+  gradingAccess, requireScope('submissions:read'),
+  academicController.listAssignmentSubmissions
+);
+router.post('/assignments/:assignmentId/submissions', studentAccess, academicController.submitAssignment);
+router.get('/submissions', studentAccess, academicController.listMySubmissions);
+
+// Grades
+router.get('/grades', studentAccess, academicController.listMyGrades);
+
+// Notifications
+router.get('/notifications', requireScope('notifications:read'), notificationController.listNotifications);
+router.post('/notifications/read-all', requireScope('notifications:write'), notificationController.markAllRead);
+router.post('/notifications/:notificationId/read', requireScope('notifications:write'), notificationController.markRead);
+
+// Payments
+router.get('/payments',
+  requirePermission(['payments.view', 'area.student']), requireScope('payments:read'),
+  paymentController.listPayments
+);
+router.post('/payments/mpesa', studentAccess, paymentController.payWithMpesa);
+
+// Unknown API paths answer in JSON rather than with the HTML 404 page
+router.use(notFoundHandler);
+
+module.exports = router;
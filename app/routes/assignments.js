@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const assignmentController = require('../controllers/academic/assignmentController');
-const { isAuthenticated, hasAnyRole } = require('../middleware/auth');
+const { isAuthenticated } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
 
 // Apply authentication middleware to all routes
 router.use(isAuthenticated);
@@ -19,44 +20,44 @@ router.delete('/submissions/:submissionId', assignmentController.deleteSubmissio
 
 // Instructor-only routes
 router.post('/create', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('assignments.manage'), 
   assignmentController.createAssignment
 );
 
 router.put('/:assignmentId', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('assignments.manage'), 
   assignmentController.updateAssignment
 );
 
 router.delete('/:assignmentId', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('assignments.manage'), 
   assignmentController.deleteAssignment
 );
 
 router.post('/:assignmentId/publish', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('assignments.manage'), 
   assignmentController.publishAssignment
 );
 
 router.post('/:assignmentId/unpublish', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('assignments.manage'), 
   assignmentController.unpublishAssignment
 );
 
 // Submission management (instructor only)
 router.get('/:assignmentId/submissions', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   assignmentController.getSubmissions
 );
 
 router.post('/submissions/:submissionId/grade', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   assignmentController.gradeSubmission
 );
 
 // File downloads
 router.get('/:assignmentId/download', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('assignments.manage'), 
   assignmentController.downloadAssignmentFiles
 );
 
@@ -64,12 +65,12 @@ router.get('/submissions/:submissionId/download', assignmentController.downloadS
 
 // Analytics and reports
 router.get('/:assignmentId/analytics', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('assignments.manage'), 
   assignmentController.getAssignmentAnalytics
 );
 
 router.get('/:assignmentId/statistics', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('assignments.manage'), 
   assignmentController.getAssignmentStatistics
 );
 
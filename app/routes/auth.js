@@ -6,7 +6,7 @@ const passport = require('passport');
 let ensureAuthenticated, ensureGuest;
 try {
     const authMiddleware = require('../middleware/auth');
-    ensureAuthenticated = authMiddleware.ensureAuthenticated || ((req, res, next) => next());
+    ensureAuthenticated = authMiddleware.ensureAuthenticated || authMiddleware.isAuthenticated || ((req, res, next) => next());
     ensureGuest = authMiddleware.ensureGuest || ((req, res, next) => next());
 } catch (error) {
     console.error('❌ Error loading auth middleware:', error.message);
@@ -14,6 +14,15 @@ try {
     ensureGuest = (req, res, next) => next();
 }
 
+// Account security changes are never made on someone's behalf while impersonating them
+let blockWhileImpersonating;
+try {
+    blockWhileImpersonating = require('../middleware/impersonation').blockWhileImpersonating;
+} catch (error) {
+    console.error('❌ Error loading impersonation middleware:', error.message);
+    blockWhileImpersonating = (req, res, next) => next();
+}
+
 // Safe import with detailed error handling for controllers
 let authController, passwordController;
 try {
@@ -64,6 +73,11 @@ try {
             req.flash('error_msg', 'Password reset temporarily unavailable. Please try again later.');
             res.redirect('/auth/forgot-password');
         },
+        showResetPassword: (req, res) => {
+            console.error('Password controller not available - showResetPassword');
+            req.flash('error_msg', 'Password reset temporarily unavailable. Please try again later.');
+            res.redirect('/auth/forgot-password');
+        },
         resetPassword: (req, res) => {
             console.error('Password controller not available - resetPassword');
             req.flash('error_msg', 'Password reset temporarily unavailable. Please try again later.');
@@ -72,6 +86,15 @@ try {
     };
 }
 
+let twoFactorController;
+try {
+    twoFactorController = require('../controllers/auth/twoFactorController');
+    console.log('✅ Two-factor controller loaded successfully');
+} catch (error) {
+    console.error('❌ Error loading two-factor controller:', error.message);
+    twoFactorController = {};
+}
+
 // Safe import for validators - handle arrays properly
 let validateRegistration, validateLogin;
 try {
@@ -230,6 +253,16 @@ router.get('/logout',
     safeHandler(authController.logout, 'authController.logout')
 );
 
+// POST /auth/impersonation/stop - return to the admin's own account
+router.post('/impersonation/stop', 
+    safeHandler(authController.stopImpersonating, 'authController.stopImpersonating')
+);
+
+// GET /auth/unlock - link from the lockout email
+router.get('/unlock', 
+    safeHandler(authController.unlockAccount, 'authController.unlockAccount')
+);
+
 // ==================== PASSWORD ROUTES ====================
 
 // GET /auth/forgot-password
@@ -238,8 +271,7 @@ router.get('/forgot-password',
     (req, res) => {
         res.render('auth/forgot-password', {
             title: 'Forgot Password - EduLMS',
-            error_msg: req.flash('error_msg'),
-            success_msg: req.flash('success_msg'),
+            pageStyles: ['/css/auth.css'],
             layout: 'layouts/layout'
         });
     }
@@ -253,20 +285,7 @@ router.post('/forgot-password',
 // GET /auth/reset-password
 router.get('/reset-password', 
     safeHandler(ensureGuest, 'ensureGuest'), 
-    (req, res) => {
-        const { token } = req.query;
-        if (!token) {
-            req.flash('error_msg', 'Invalid or missing reset token');
-            return res.redirect('/auth/forgot-password');
-        }
-        res.render('auth/reset-password', {
-            title: 'Reset Password - EduLMS',
-            token: token,
-            error_msg: req.flash('error_msg'),
-            success_msg: req.flash('success_msg'),
-            layout: 'layouts/layout'
-        });
-    }
+    safeHandler(passwordController.showResetPassword, 'passwordController.showResetPassword')
 );
 
 // POST /auth/reset-password
@@ -274,6 +293,51 @@ router.post('/reset-password',
     safeHandler(passwordController.resetPassword, 'passwordController.resetPassword')
 );
 
+// ==================== TWO-FACTOR ROUTES ====================
+
+// GET /auth/two-factor - second step of a login
+router.get('/two-factor', 
+    safeHandler(ensureGuest, 'ensureGuest'), 
+    safeHandler(twoFactorController.showChallenge, 'twoFactorController.showChallenge')
+);
+
+// POST /auth/two-factor
+router.post('/two-factor', 
+    safeHandler(ensureGuest, 'ensureGuest'), 
+    safeHandler(twoFactorController.verifyChallenge, 'twoFactorController.verifyChallenge')
+);
+
+// POST /auth/two-factor/sms - text a fallback code
+router.post('/two-factor/sms', 
+    safeHandler(ensureGuest, 'ensureGuest'), 
+    safeHandler(twoFactorController.sendSmsCode, 'twoFactorController.sendSmsCode')
+);
+
+// GET /auth/two-factor/setup - signed-in users, or logins held back until they enroll
+router.get('/two-factor/setup', 
+    safeHandler(twoFactorController.showSetup, 'twoFactorController.showSetup')
+);
+
+// POST /auth/two-factor/setup
+router.post('/two-factor/setup', 
+    safeHandler(blockWhileImpersonating, 'blockWhileImpersonating'), 
+    safeHandler(twoFactorController.confirmSetup, 'twoFactorController.confirmSetup')
+);
+
+// POST /auth/two-factor/recovery-codes
+router.post('/two-factor/recovery-codes', 
+    safeHandler(ensureAuthenticated, 'ensureAuthenticated'), 
+    safeHandler(blockWhileImpersonating, 'blockWhileImpersonating'), 
+    safeHandler(twoFactorController.regenerateRecoveryCodes, 'twoFactorController.regenerateRecoveryCodes')
+);
+
+// POST /auth/two-factor/disable
+router.post('/two-factor/disable', 
+    safeHandler(ensureAuthenticated, 'ensureAuthenticated'), 
+    safeHandler(blockWhileImpersonating, 'blockWhileImpersonating'), 
+    safeHandler(twoFactorController.disable, 'twoFactorController.disable')
+);
+
 // ==================== EMAIL VERIFICATION ROUTES ====================
 
 // GET /auth/verify-email
@@ -1,7 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const courseController = require('../controllers/academic/courseController');
-const { isAuthenticated, hasAnyRole } = require('../middleware/auth');
+const { isAuthenticated } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const Course = require('../models/Course');
+
+// Course changes need courses.edit.any, or courses.edit.own on a course the user teaches
+const canEditCourse = requirePermission('courses.edit',
+  (req) => req.params.courseId ? Course.findById(req.params.courseId) : null
+);
 
 // Public course routes (accessible without authentication)
 router.get('/public', courseController.listPublicCourses);
@@ -27,34 +34,34 @@ router.post('/:courseId/reviews', courseController.submitReview);
 
 // Instructor-only routes
 router.post('/create', 
-  hasAnyRole(['admin', 'instructor']), 
+  canEditCourse, 
   courseController.createCourse
 );
 
 router.put('/:courseId', 
-  hasAnyRole(['admin', 'instructor']), 
+  canEditCourse, 
   courseController.updateCourse
 );
 
 router.delete('/:courseId', 
-  hasAnyRole(['admin', 'instructor']), 
+  canEditCourse, 
   courseController.deleteCourse
 );
 
 router.post('/:courseId/materials', 
-  hasAnyRole(['admin', 'instructor']), 
+  canEditCourse, 
   courseController.uploadMaterial
 );
 
 router.delete('/:courseId/materials/:materialId', 
-  hasAnyRole(['admin', 'instructor']), 
+  canEditCourse, 
   courseController.deleteMaterial
 );
 
 // Course announcements
 router.get('/:courseId/announcements', courseController.getAnnouncements);
 router.post('/:courseId/announcements', 
-  hasAnyRole(['admin', 'instructor']), 
+  canEditCourse, 
   courseController.createAnnouncement
 );
 
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const enrollmentController = require('../controllers/academic/enrollmentController');
-const { isAuthenticated, hasAnyRole } = require('../middleware/auth');
+const { isAuthenticated } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
 
 // Apply authentication middleware to all routes
 router.use(isAuthenticated);
@@ -14,17 +15,17 @@ router.put('/:enrollmentId/status', enrollmentController.updateEnrollmentStatus)
 
 // Instructor enrollment management
 router.get('/course/:courseId', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('enrollments.manage'), 
   enrollmentController.getCourseEnrollments
 );
 
 router.post('/enroll-student', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('enrollments.manage'), 
   enrollmentController.enrollStudent
 );
 
 router.post('/bulk-enroll', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('enrollments.manage'), 
   enrollmentController.bulkEnrollStudents
 );
 
@@ -1,11 +1,28 @@
 const express = require('express');
 const router = express.Router();
 const financeController = require('../controllers/users/financeController');
-const { isAuthenticated, hasAnyRole } = require('../middleware/auth');
+const invoiceController = require('../controllers/finance/invoiceController');
+const feeController = require('../controllers/finance/feeController');
+const { isAuthenticated } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { uploadStatement } = require('../middleware/upload');
+const { blockWhileImpersonating } = require('../middleware/impersonation');
 
-// Apply authentication and role middleware to all finance routes
+// Apply authentication and permission middleware to all finance routes
 router.use(isAuthenticated);
-router.use(hasAnyRole(['admin', 'finance_officer']));
+router.use(requirePermission('area.finance'));
+
+// Sections that need more than the finance area
+router.use('/payments', requirePermission('payments.view'));
+router.use(['/payments/verify', '/payments/bulk-verify', '/payments/manual-entry', '/payments/reconciliation/:id/accept'],
+  requirePermission('payments.verify'));
+router.use('/payments/:id/refund', requirePermission('payments.refund'));
+router.use('/fees', requirePermission('fees.manage'));
+router.use('/invoices', requirePermission('invoices.manage'));
+
+// Nothing is written while an admin is impersonating a finance officer: every POST here moves money,
+// changes what students owe (fees, installments, invoices, penalties) or sends them a bill
+router.post('*', blockWhileImpersonating);
 
 // Dashboard
 router.get('/dashboard', financeController.dashboard);
@@ -15,10 +32,23 @@ router.get('/payments/records', financeController.paymentRecords);
 router.get('/payments/pending', financeController.pendingPayments);
 router.get('/payments/verified', financeController.verifiedPayments);
 router.get('/payments/reconciliation', financeController.paymentReconciliation);
+router.post('/payments/reconciliation/run', financeController.runPaymentReconciliation);
+router.post('/payments/reconciliation/:id/accept', financeController.acceptLateSuccess);
+router.post('/payments/reconciliation/statements', (req, res, next) => {
+  uploadStatement.single('statement')(req, res, (err) => {
+    if (err) {
+      req.flash('error_msg', err.message);
+      return res.redirect('/finance/payments/reconciliation');
+    }
+    next();
+  });
+}, financeController.importStatement);
+router.get('/payments/reconciliation/statements/:id', financeController.viewStatementImport);
 router.get('/payments/manual-entry', financeController.showManualPayment);
 router.post('/payments/manual-entry', financeController.processManualPayment);
 router.post('/payments/verify/:id', financeController.verifyPayment);
 router.post('/payments/bulk-verify', financeController.bulkVerifyPayments);
+router.post('/payments/:id/refund', financeController.refundPayment);
 
 // Fee structure routes
 router.get('/fees', financeController.feeStructures);
@@ -27,18 +57,38 @@ router.post('/fees/create', financeController.createFee);
 router.get('/fees/edit/:id', financeController.showEditFee);
 router.post('/fees/edit/:id', financeController.updateFee);
 router.post('/fees/delete/:id', financeController.deleteFee);
+router.post('/fees/assign', feeController.assignFeeStructure);
+router.get('/fees/reminders', financeController.feeReminders);
+router.post('/fees/reminders', financeController.updateFeeReminderSettings);
+router.post('/fees/reminders/run', financeController.runFeeReminders);
+router.get('/fees/:id/installments', feeController.getInstallments);
+router.post('/fees/:id/installments', feeController.setInstallments);
+
+// Invoice routes
+router.get('/invoices', (req, res) => res.redirect('/finance/invoices/history'));
+router.get('/invoices/history', invoiceController.getInvoices);
+router.get('/invoices/stats', invoiceController.getInvoiceStats);
+router.get('/invoices/generate', invoiceController.showGenerateInvoice);
+router.post('/invoices/generate', invoiceController.generateInvoice);
+router.get('/invoices/send', invoiceController.showSendInvoices);
+router.post('/invoices/send', invoiceController.sendInvoices);
+router.get('/invoices/:id', invoiceController.getInvoice);
+router.post('/invoices/:id/send', invoiceController.sendInvoice);
+router.get('/invoices/:id/download', invoiceController.downloadInvoice);
+router.post('/invoices/:id/status', invoiceController.updateInvoiceStatus);
 
 // Student routes
 router.get('/students/fee-statements', financeController.studentFeeStatements);
 router.get('/students/outstanding', financeController.outstandingFees);
 router.get('/students/payment-history/:id', financeController.viewStudentPayments);
+router.post('/students/:id/ledger-entries', financeController.postLedgerEntry);
 
 // Reports routes
 router.get('/reports', financeController.showReports);
 router.get('/reports/generate', financeController.generateReport);
 
-// Profile routes
-router.get('/profile', financeController.profile);
+// Profile routes (shared by every role)
+router.get('/profile', (req, res) => res.redirect('/profile'));
 
 // Redirect root finance route to dashboard
 router.get('/', (req, res) => {
@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const gradeController = require('../controllers/academic/gradeController');
-const { isAuthenticated, hasAnyRole } = require('../middleware/auth');
+const { isAuthenticated } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
 
 // Apply authentication middleware to all routes
 router.use(isAuthenticated);
@@ -11,34 +12,34 @@ router.get('/student-gradebook/:studentId?', gradeController.getStudentGradebook
 
 // Instructor grade management
 router.get('/course/:courseId', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   gradeController.getCourseGrades
 );
 
 router.post('/submission/:submissionId/grade', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   gradeController.gradeSubmission
 );
 
 router.post('/assignment/:assignmentId/bulk-grade', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   gradeController.bulkGradeSubmissions
 );
 
 router.put('/:gradeId/assignment/:assignmentId', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   gradeController.updateGrade
 );
 
 // Grade statistics and analytics
 router.get('/stats/course/:courseId', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   gradeController.getGradeStatistics
 );
 
 // Export grades
 router.get('/export/course/:courseId/:format?', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   gradeController.exportGrades
 );
 
@@ -1,23 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { isAuthenticated, isNotAuthenticated } = require('../middleware/auth');
+const permissionService = require('../services/permissionService');
 
 // Home route
 router.get('/', (req, res) => {
   if (req.isAuthenticated()) {
-    // Redirect to appropriate dashboard based on role
-    switch (req.user.role_name) {
-      case 'admin':
-        return res.redirect('/admin/dashboard');
-      case 'instructor':
-        return res.redirect('/instructor/dashboard');
-      case 'student':
-        return res.redirect('/student/dashboard');
-      case 'finance_officer':
-        return res.redirect('/finance/dashboard');
-      default:
-        return res.redirect('/auth/login');
-    }
+    // Redirect to the dashboard the user's permissions open
+    return res.redirect(permissionService.homePath(req.user) || '/auth/login');
   }
   res.render('index', { 
     title: 'Welcome to EduLMS',
@@ -76,22 +66,7 @@ router.get('/status', (req, res) => {
 
 // Dashboard redirect
 router.get('/dashboard', isAuthenticated, (req, res) => {
-  switch (req.user.role_name) {
-    case 'admin':
-      res.redirect('/admin/dashboard');
-      break;
-    case 'instructor':
-      res.redirect('/instructor/dashboard');
-      break;
-    case 'student':
-      res.redirect('/student/dashboard');
-      break;
-    case 'finance_officer':
-      res.redirect('/finance/dashboard');
-      break;
-    default:
-      res.redirect('/auth/login');
-  }
+  res.redirect(permissionService.homePath(req.user) || '/auth/login');
 });
 
 module.exports = router;
\ No newline at end of file
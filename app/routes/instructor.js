@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
-const { isInstructor, isAuthenticated, canManageCourse } = require('../middleware/auth');
+const { isAuthenticated, canManageCourse } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
 const { asyncHandler } = require('../middleware/errorHandler');
 const instructorController = require('../controllers/users/instructorController');
 const { validateCourseCreation, validateCourseUpdate, validateCourseId } = require('../validators/courseValidators');
@@ -10,7 +11,7 @@ const { validateAssignmentCreation, validateAssignmentUpdate, validateAssignment
 
 
 router.use(isAuthenticated);
-router.use(isInstructor);
+router.use(requirePermission('area.instructor'));
 
 // Instructor Dashboard
 router.get('/dashboard', instructorController.dashboard);
@@ -36,6 +37,17 @@ router.get('/assignments/:assignmentId/edit', validateAssignmentId, instructorCo
 router.post('/assignments/:assignmentId/edit', validateAssignmentId, validateAssignmentUpdate, instructorController.updateAssignment);
 router.post('/assignments/:assignmentId/status', validateAssignmentId, instructorController.updateAssignmentStatus);
 router.post('/assignments/:assignmentId/delete', validateAssignmentId, instructorController.deleteAssignment);
+router.post('/assignments/:assignmentId/rubric', validateAssignmentId, instructorController.setAssignmentRubric);
+router.get('/assignments/:assignmentId/report', validateAssignmentId, instructorController.assignmentReport);
+
+// Rubrics
+router.get('/rubrics', instructorController.listRubrics);
+router.get('/rubrics/create', instructorController.showCreateRubric);
+router.post('/rubrics/create', instructorController.createRubric);
+router.get('/rubrics/:rubricId/edit', instructorController.showEditRubric);
+router.post('/rubrics/:rubricId/edit', instructorController.updateRubric);
+router.post('/rubrics/:rubricId/copy', instructorController.copyRubric);
+router.post('/rubrics/:rubricId/delete', instructorController.deleteRubric);
 
 // Submission Management
 router.get('/submissions', instructorController.listSubmissions);
@@ -52,7 +64,22 @@ router.get('/grades/entry', instructorController.showGradeEntry);
 router.post('/grades/entry', instructorController.enterGrade);
 router.get('/grades/report', instructorController.gradeReport);
 router.get('/grades/generate-pdf', instructorController.generateGradePDF);
+router.get('/grades/gradebook', instructorController.gradebook);
 router.get('/grades/gradebook/:courseId', validateCourseId, canManageCourse, instructorController.gradebook);
+router.get('/grades/gradebook/:courseId/settings', validateCourseId, canManageCourse, instructorController.gradebookSettings);
+router.post('/grades/gradebook/:courseId/settings', validateCourseId, canManageCourse, instructorController.updateGradebookSettings);
+router.post('/grades/gradebook/:courseId/finalize', validateCourseId, canManageCourse, instructorController.finalizeGrades);
+
+// Quizzes
+router.get('/quizzes', instructorController.listQuizzes);
+router.get('/quizzes/courses/:courseId/bank', validateCourseId, canManageCourse, instructorController.questionBank);
+router.post('/quizzes/courses/:courseId/bank', validateCourseId, canManageCourse, instructorController.saveQuestion);
+router.post('/quizzes/courses/:courseId/bank/:questionId/archive', validateCourseId, canManageCourse, instructorController.archiveQuestion);
+router.get('/quizzes/courses/:courseId/create', validateCourseId, canManageCourse, instructorController.showCreateQuiz);
+router.post('/quizzes/courses/:courseId/create', validateCourseId, canManageCourse, instructorController.createQuiz);
+router.get('/quizzes/:assignmentId/edit', validateAssignmentId, instructorController.showEditQuiz);
+router.post('/quizzes/:assignmentId/edit', validateAssignmentId, instructorController.updateQuiz);
+router.get('/quizzes/:assignmentId/results', validateAssignmentId, instructorController.quizResults);
 
 // Attendance Management
 router.get('/attendance/take', instructorController.showTakeAttendance);
@@ -60,10 +87,8 @@ router.post('/attendance/take', instructorController.takeAttendance);
 router.get('/attendance/view', instructorController.viewAttendance);
 router.get('/attendance/reports', instructorController.attendanceReports);
 
-// Profile Management
-router.get('/profile', instructorController.viewProfile);
-router.get('/profile/edit', instructorController.showEditProfile);
-router.post('/profile/edit', instructorController.updateProfile);
+// Profile Management (shared by every role)
+router.get(['/profile', '/profile/edit'], (req, res) => res.redirect('/profile'));
 
 // Notifications
 router.get('/notifications', instructorController.listNotifications);
@@ -1,27 +1,75 @@
 const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/finance/paymentController');
-const { isAuthenticated, hasAnyRole } = require('../middleware/auth');
+const { isAuthenticated } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
+const { verifyMpesaSource, requireCallbackToken } = require('../middleware/mpesaCallback');
+const { blockWhileImpersonating } = require('../middleware/impersonation');
+
+// M-Pesa STK callback (public route for M-Pesa to call; the token is issued per payment request)
+router.post('/mpesa-callback/:token', verifyMpesaSource, paymentController.handleMpesaCallback);
+
+// M-Pesa C2B paybill callbacks (public routes for M-Pesa to call; the token is registered with the URLs)
+router.post('/mpesa/c2b/validation/:token',
+  verifyMpesaSource,
+  requireCallbackToken('c2b_validation'),
+  paymentController.handleC2BValidation
+);
+router.post('/mpesa/c2b/confirmation/:token',
+  verifyMpesaSource,
+  requireCallbackToken('c2b_confirmation'),
+  paymentController.handleC2BConfirmation
+);
+
+// M-Pesa B2C refund callbacks (public routes for M-Pesa to call; the token is sent with each request)
+router.post('/mpesa/b2c/result/:token',
+  verifyMpesaSource,
+  requireCallbackToken('b2c_result'),
+  paymentController.handleB2CResult
+);
+router.post('/mpesa/b2c/timeout/:token',
+  verifyMpesaSource,
+  requireCallbackToken('b2c_timeout'),
+  paymentController.handleB2CTimeout
+);
+
+// M-Pesa Transaction Status callbacks, answering queries about refunds with an unknown outcome
+router.post('/mpesa/transaction-status/result/:token',
+  verifyMpesaSource,
+  requireCallbackToken('transaction_status_result'),
+  paymentController.handleTransactionStatusResult
+);
+router.post('/mpesa/transaction-status/timeout/:token',
+  verifyMpesaSource,
+  requireCallbackToken('transaction_status_timeout'),
+  paymentController.handleTransactionStatusTimeout
+);
 
 // Apply authentication middleware to all routes
 router.use(isAuthenticated);
 
-// Payment processing routes
-router.post('/process-mpesa', paymentController.processMpesaPayment);
+// Payment processing routes (never on a student's behalf while impersonating them)
+router.post('/process-mpesa', blockWhileImpersonating, paymentController.processMpesaPayment);
 
-// M-Pesa callback (public route for M-Pesa to call)
-router.post('/mpesa-callback', paymentController.handleMpesaCallback);
+// Register C2B paybill URLs with M-Pesa
+router.post('/mpesa/c2b/register',
+  requirePermission('payments.configure'),
+  blockWhileImpersonating,
+  paymentController.registerC2BUrls
+);
 
 // Payment history and management
 router.get('/history', paymentController.getPaymentHistory);
 
 router.get('/stats', 
-  hasAnyRole(['admin', 'finance_officer']), 
+  requirePermission('payments.view'), 
   paymentController.getPaymentStats
 );
 
+// Marks the payment completed, so it is refused while impersonating like the POSTs
 router.get('/:paymentId/verify', 
-  hasAnyRole(['admin', 'finance_officer']), 
+  requirePermission('payments.verify'), 
+  blockWhileImpersonating,
   paymentController.verifyPayment
 );
 
@@ -32,7 +80,7 @@ router.get('/:id', paymentController.getPaymentById);
 
 // Student-specific routes
 router.get('/my-payments', 
-  hasAnyRole(['student']), 
+  requirePermission('area.student'), 
   paymentController.getMyPayments
 );
 
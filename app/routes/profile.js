@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const profileController = require('../controllers/users/profileController');
+const { validateContactDetails, validatePasswordChange } = require('../validators/userValidators');
+const { uploadProfile } = require('../middleware/upload');
+const { blockWhileImpersonating } = require('../middleware/impersonation');
+
+// An admin impersonating someone may look around but not change how the account is reached or signed in to
+router.post(['/contact', '/phone/*', '/password', '/sessions/*'], blockWhileImpersonating);
+
+router.get('/', profileController.show);
+router.post('/contact', validateContactDetails, profileController.updateContact);
+
+// Phone verification
+router.post('/phone/send-code', profileController.sendPhoneCode);
+router.post('/phone/verify', profileController.verifyPhone);
+
+// Profile picture
+router.post('/avatar', (req, res, next) => {
+  uploadProfile.single('avatar')(req, res, (err) => {
+    if (err) {
+      req.flash('error_msg', err.code === 'LIMIT_FILE_SIZE' ? 'Profile pictures must be 5MB or smaller' : err.message);
+      return res.redirect('/profile');
+    }
+    next();
+  });
+}, profileController.uploadAvatar);
+router.post('/avatar/remove', profileController.removeAvatar);
+
+router.post('/password', validatePasswordChange, profileController.changePassword);
+router.post('/notifications', profileController.updateNotifications);
+
+// Signed-in devices
+router.get('/sessions', profileController.sessions);
+router.post('/sessions/revoke-others', profileController.revokeOtherSessions);
+router.post('/sessions/:key/revoke', profileController.revokeSession);
+
+module.exports = router;
@@ -1,23 +1,24 @@
 const express = require('express');
 const router = express.Router();
+const studentController = require('../controllers/users/studentController');
+const academicStandingService = require('../services/academicStandingService');
+const { requirePermission } = require('../middleware/roleCheck');
 
-// Simple student auth middleware (since ensureStudentAuth doesn't exist)
-const ensureStudentAuth = (req, res, next) => {
-  if (req.isAuthenticated() && req.user.role_name === 'student') {
-    return next();
-  }
-  req.flash('error_msg', 'Please log in as student to access this page');
-  res.redirect('/auth/login');
-};
-
-// Apply student auth middleware to all routes
-router.use(ensureStudentAuth);
+// Apply student area permission to all routes
+router.use(requirePermission('area.student'));
 
 // Dashboard
-router.get('/dashboard', (req, res) => {
+router.get('/dashboard', async (req, res) => {
+  // The dashboard still renders if the academic record cannot be loaded
+  const academicRecord = await academicStandingService.getStudentRecord(req.user.id).catch(error => {
+    console.error('Dashboard academic record error:', error);
+    return null;
+  });
+
   res.render('student/dashboard', {
     title: 'Student Dashboard',
-    user: req.user
+    user: req.user,
+    academicRecord
   });
 });
 
@@ -43,17 +44,27 @@ router.post('/assignments/:assignmentId/submit', (req, res) => {
   res.redirect('/student/assignments');
 });
 
+// Quiz routes
+router.get('/quizzes', studentController.listQuizzes);
+router.get('/quizzes/attempts/:attemptId', studentController.viewQuizAttempt);
+router.post('/quizzes/attempts/:attemptId/save', studentController.saveQuizProgress);
+router.post('/quizzes/attempts/:attemptId', studentController.submitQuizAttempt);
+router.get('/quizzes/:assignmentId', studentController.viewQuiz);
+router.post('/quizzes/:assignmentId/start', studentController.startQuiz);
+
 // Grade routes
-router.get('/grades', (req, res) => {
-  res.render('student/grades', {
-    title: 'My Grades',
-    user: req.user
-  });
-});
+router.get('/grades', studentController.getGrades);
+router.get('/grades/transcript', studentController.transcript);
+router.get('/grades/submissions/:submissionId', studentController.viewSubmissionFeedback);
 
 // Notification routes
 router.post('/notifications/:notificationId/read', (req, res) => {
   res.json({ success: true });
 });
 
+router.post('/notifications/fee-reminders', studentController.updateFeeReminders);
+
+// Profile (shared by every role)
+router.get('/profile', (req, res) => res.redirect('/profile'));
+
 module.exports = router;
\ No newline at end of file
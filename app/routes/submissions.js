@@ -1,7 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const submissionController = require('../controllers/academic/submissionController');
-const { isAuthenticated, hasAnyRole } = require('../middleware/auth');
+const { isAuthenticated } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/roleCheck');
 
 // Apply authentication middleware to all routes
 router.use(isAuthenticated);
@@ -18,17 +19,17 @@ router.get('/:submissionId/download/:fileId', submissionController.downloadSubmi
 
 // Instructor-only routes
 router.get('/assignment/:assignmentId', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   submissionController.getAssignmentSubmissions
 );
 
 router.post('/:submissionId/grade', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   submissionController.gradeSubmission
 );
 
 router.get('/course/:courseId', 
-  hasAnyRole(['admin', 'instructor']), 
+  requirePermission('submissions.grade'), 
   submissionController.getCourseSubmissions
 );
 
@@ -0,0 +1,371 @@
+const SystemSetting = require('../models/SystemSetting');
+const AcademicTerm = require('../models/AcademicTerm');
+const StudentStanding = require('../models/StudentStanding');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const { Formatters } = require('../utils');
+const { ACADEMIC_STANDING, SEMESTER_ORDER, NOTIFICATION_CATEGORIES } = require('../../config/constants');
+
+const SETTINGS_CATEGORY = 'academics';
+
+// Used until an administrator saves their own rules
+const DEFAULT_SETTINGS = {
+  // CGPA below which a student is put on probation, and below which they are discontinued outright
+  standing_probation_below: 2.0,
+  standing_discontinue_below: 1.0,
+  // A student still below the probation line after this many terms on probation in a row is discontinued
+  standing_max_probation_terms: 2,
+  // Term GPA and credit load needed for the dean's list
+  deans_list_min_gpa: 3.5,
+  deans_list_min_credits: 12,
+  // Grade points a course needs for its credits to count as earned
+  standing_pass_grade_points: 1.0
+};
+
+const STANDING_LABELS = {
+  [ACADEMIC_STANDING.GOOD]: 'Good Standing',
+  [ACADEMIC_STANDING.PROBATION]: 'Academic Probation',
+  [ACADEMIC_STANDING.DISCONTINUED]: 'Discontinued'
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const termKey = (academicYear, semester) => `${academicYear}|${semester}`;
+
+// Chronological: by academic year, then by semester within it; unknown semesters go last
+const semesterRank = (semester) => {
+  const rank = SEMESTER_ORDER.indexOf(String(semester).toLowerCase());
+  return rank === -1 ? SEMESTER_ORDER.length : rank;
+};
+
+const compareTerms = (a, b) => String(a.academic_year).localeCompare(String(b.academic_year)) ||
+  (semesterRank(a.semester) - semesterRank(b.semester)) ||
+  String(a.semester).localeCompare(String(b.semester));
+
+const describeTerm = (term) => `${Formatters.formatSemester(term.semester)} ${Formatters.formatAcademicYear(term.academic_year)}`;
+
+class AcademicStandingService {
+  /**
+   * A term's display name, e.g. "Fall 2024/2025"
+   */
+  describeTerm(term) {
+    return describeTerm(term);
+  }
+
+  /**
+   * Current standing rules
+   */
+  async getSettings() {
+    return SystemSetting.getByCategory(SETTINGS_CATEGORY, DEFAULT_SETTINGS);
+  }
+
+  /**
+   * Validate and save standing rules
+   */
+  async saveSettings(settings, user, ipAddress) {
+    const values = {
+      standing_probation_below: parseFloat(settings.standing_probation_below),
+      standing_discontinue_below: parseFloat(settings.standing_discontinue_below),
+      standing_max_probation_terms: parseInt(settings.standing_max_probation_terms),
+      deans_list_min_gpa: parseFloat(settings.deans_list_min_gpa),
+      deans_list_min_credits: parseInt(settings.deans_list_min_credits),
+      standing_pass_grade_points: parseFloat(settings.standing_pass_grade_points)
+    };
+
+    Object.entries(values).forEach(([key, value]) => {
+      if (isNaN(value) || value < 0) {
+        throw new Error(`${key.replace(/_/g, ' ')} must be zero or more`);
+      }
+    });
+    if (values.standing_discontinue_below > values.standing_probation_below) {
+      throw new Error('The discontinuation CGPA cannot be above the probation CGPA');
+    }
+    if (values.deans_list_min_gpa < values.standing_probation_below) {
+      throw new Error('The dean\'s list GPA cannot be below the probation CGPA');
+    }
+
+    await SystemSetting.setMany(values, { category: SETTINGS_CATEGORY, updatedBy: user.id });
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'standing_rules_update',
+      resourceType: 'system_setting',
+      description: `Probation below ${values.standing_probation_below}, discontinuation below ${values.standing_discontinue_below} ` +
+        `or after ${values.standing_max_probation_terms} probation terms, dean's list from ${values.deans_list_min_gpa} ` +
+        `over ${values.deans_list_min_credits} credits`,
+      ipAddress
+    });
+
+    return values;
+  }
+
+  /**
+   * Group graded courses into terms, oldest first, with each term's credit-weighted GPA and the
+   * CGPA up to and including it
+   */
+  buildTerms(enrollments, settings) {
+    const terms = new Map();
+
+    enrollments.forEach(enrollment => {
+      const key = termKey(enrollment.academic_year, enrollment.semester);
+      if (!terms.has(key)) {
+        terms.set(key, { academic_year: enrollment.academic_year, semester: enrollment.semester, courses: [] });
+      }
+      terms.get(key).courses.push(enrollment);
+    });
+
+    let cumulativeCredits = 0;
+    let cumulativePoints = 0;
+    let cumulativeEarned = 0;
+
+    return [...terms.values()].sort(compareTerms).map(term => {
+      const creditsAttempted = term.courses.reduce((sum, course) => sum + course.credits, 0);
+      const creditsEarned = term.courses
+        .filter(course => course.grade_points >= settings.standing_pass_grade_points)
+        .reduce((sum, course) => sum + course.credits, 0);
+      const qualityPoints = term.courses.reduce((sum, course) => sum + course.credits * course.grade_points, 0);
+
+      cumulativeCredits += creditsAttempted;
+      cumulativePoints += qualityPoints;
+      cumulativeEarned += creditsEarned;
+
+      return {
+        ...term,
+        key: termKey(term.academic_year, term.semester),
+        label: describeTerm(term),
+        credits_attempted: creditsAttempted,
+        credits_earned: creditsEarned,
+        quality_points: round(qualityPoints),
+        gpa: creditsAttempted > 0 ? round(qualityPoints / creditsAttempted) : 0,
+        cumulative_credits: cumulativeCredits,
+        cumulative_credits_earned: cumulativeEarned,
+        cgpa: cumulativeCredits > 0 ? round(cumulativePoints / cumulativeCredits) : 0
+      };
+    });
+  }
+
+  /**
+   * Standing for each closed term, in order. A CGPA under the discontinuation line discontinues;
+   * under the probation line it means probation, or discontinuation once the student has already
+   * spent the allowed number of terms in a row on probation.
+   */
+  applyStanding(terms, settings, closedKeys) {
+    let probationStreak = 0;
+
+    return terms.map(term => {
+      if (!closedKeys.has(term.key)) {
+        return { ...term, standing: null, deans_list: false };
+      }
+
+      let standing = ACADEMIC_STANDING.GOOD;
+      if (term.cgpa < settings.standing_discontinue_below) {
+        standing = ACADEMIC_STANDING.DISCONTINUED;
+      } else if (term.cgpa < settings.standing_probation_below) {
+        standing = probationStreak >= settings.standing_max_probation_terms
+          ? ACADEMIC_STANDING.DISCONTINUED
+          : ACADEMIC_STANDING.PROBATION;
+      }
+
+      probationStreak = standing === ACADEMIC_STANDING.PROBATION ? probationStreak + 1 : 0;
+
+      return {
+        ...term,
+        standing,
+        deans_list: standing === ACADEMIC_STANDING.GOOD &&
+          term.gpa >= settings.deans_list_min_gpa &&
+          term.credits_attempted >= settings.deans_list_min_credits
+      };
+    });
+  }
+
+  /**
+   * A student's academic record: every graded term with its GPA, CGPA and the standing recorded
+   * when it closed (terms still open have none yet)
+   */
+  async getStudentRecord(studentId) {
+    const [enrollments, standings, settings] = await Promise.all([
+      StudentStanding.getGradedEnrollments([studentId]),
+      StudentStanding.findByStudents([studentId]),
+      this.getSettings()
+    ]);
+
+    const recorded = new Map(standings.map(row => [termKey(row.academic_year, row.semester), row]));
+    const terms = this.buildTerms(enrollments, settings).map(term => {
+      const row = recorded.get(term.key);
+      return {
+        ...term,
+        standing: row ? row.standing : null,
+        standing_label: row ? STANDING_LABELS[row.standing] : null,
+        deans_list: row ? !!row.deans_list : false
+      };
+    });
+
+    const latest = terms[terms.length - 1] || null;
+    const lastStanding = [...terms].reverse().find(term => term.standing) || null;
+
+    return {
+      terms,
+      cgpa: latest ? latest.cgpa : null,
+      currentGpa: latest ? latest.gpa : null,
+      creditsAttempted: latest ? latest.cumulative_credits : 0,
+      creditsEarned: latest ? latest.cumulative_credits_earned : 0,
+      standing: lastStanding ? lastStanding.standing : null,
+      standingLabel: lastStanding ? lastStanding.standing_label : null,
+      standingTerm: lastStanding ? lastStanding.label : null,
+      deansListTerms: terms.filter(term => term.deans_list).length
+    };
+  }
+
+  /**
+   * Recompute and store the standing of every student with final grades in the given terms.
+   * Later terms are recomputed too, since their CGPA builds on the earlier ones.
+   */
+  async recomputeTerms(termIds) {
+    const [studentIds, closedTerms, settings] = await Promise.all([
+      StudentStanding.findStudentIdsInTerms(termIds),
+      AcademicTerm.findClosed(),
+      this.getSettings()
+    ]);
+
+    const closed = new Map(closedTerms.map(term => [termKey(term.academic_year, term.semester), term]));
+    const closedKeys = new Set(closed.keys());
+
+    const [enrollments, previous] = await Promise.all([
+      StudentStanding.getGradedEnrollments(studentIds),
+      StudentStanding.findByStudents(studentIds)
+    ]);
+    const previousByKey = new Map(previous.map(row => [`${row.student_id}|${row.term_id}`, row]));
+
+    const standings = [];
+    studentIds.forEach(studentId => {
+      const terms = this.applyStanding(
+        this.buildTerms(enrollments.filter(e => e.student_id === studentId), settings),
+        settings,
+        closedKeys
+      );
+
+      terms.filter(term => term.standing).forEach(term => {
+        standings.push({
+          student_id: studentId,
+          term_id: closed.get(term.key).id,
+          label: term.label,
+          credits_attempted: term.credits_attempted,
+          credits_earned: term.credits_earned,
+          quality_points: term.quality_points,
+          gpa: term.gpa,
+          cumulative_credits: term.cumulative_credits,
+          cgpa: term.cgpa,
+          standing: term.standing,
+          deans_list: term.deans_list
+        });
+      });
+    });
+
+    await StudentStanding.saveMany(standings);
+    await AcademicTerm.markComputed(termIds);
+
+    // Tell students when a term puts them on probation, discontinues them or makes the dean's list
+    const changed = standings.filter(s => {
+      const before = previousByKey.get(`${s.student_id}|${s.term_id}`);
+      return !before || before.standing !== s.standing || !!before.deans_list !== s.deans_list;
+    });
+    for (const s of changed) {
+      await this.notifyStanding(s);
+    }
+
+    return {
+      students: studentIds.length,
+      probation: standings.filter(s => termIds.includes(s.term_id) && s.standing === ACADEMIC_STANDING.PROBATION).length,
+      discontinued: standings.filter(s => termIds.includes(s.term_id) && s.standing === ACADEMIC_STANDING.DISCONTINUED).length,
+      deansList: standings.filter(s => termIds.includes(s.term_id) && s.deans_list).length
+    };
+  }
+
+  async notifyStanding(standing) {
+    let title;
+    let message;
+    let type = notificationService.types.ACADEMIC;
+
+    if (standing.standing === ACADEMIC_STANDING.DISCONTINUED) {
+      title = 'Academic discontinuation';
+      message = `Your CGPA after ${standing.label} is ${standing.cgpa.toFixed(2)}, which means discontinuation. Please contact the registrar.`;
+      type = notificationService.types.WARNING;
+    } else if (standing.standing === ACADEMIC_STANDING.PROBATION) {
+      title = 'Academic probation';
+      message = `Your CGPA after ${standing.label} is ${standing.cgpa.toFixed(2)}, so you are on academic probation. Speak to your academic advisor about a plan for next term.`;
+      type = notificationService.types.WARNING;
+    } else if (standing.deans_list) {
+      title = 'Dean\'s list';
+      message = `Congratulations! Your GPA of ${standing.gpa.toFixed(2)} for ${standing.label} puts you on the dean's list.`;
+    } else {
+      return;
+    }
+
+    try {
+      await notificationService.createNotification({
+        title,
+        message,
+        type,
+        channels: [notificationService.channels.IN_APP, notificationService.channels.EMAIL],
+        category: NOTIFICATION_CATEGORIES.ACADEMIC,
+        recipientIds: [standing.student_id],
+        relatedEntity: 'academic_term',
+        relatedEntityId: standing.term_id,
+        actionUrl: '/student/grades/transcript'
+      });
+    } catch (error) {
+      console.error(`❌ Standing notification failed for student ${standing.student_id}:`, error.message);
+    }
+  }
+
+  /**
+   * Close a term now (before its courses' end dates, for instance) and compute its standing
+   */
+  async closeTerm(termId, user, ipAddress) {
+    const term = await AcademicTerm.findById(termId);
+    if (!term) {
+      throw new Error('Term not found');
+    }
+
+    await AcademicTerm.close(term.id, user.id);
+    const summary = await this.recomputeTerms([term.id]);
+
+    await AuditLog.record({
+      userId: user.id,
+      action: term.closed_at ? 'term_standing_recomputed' : 'term_closed',
+      resourceType: 'academic_term',
+      resourceId: term.id,
+      description: `${describeTerm(term)}: ${summary.students} student(s), ${summary.probation} on probation, ` +
+        `${summary.discontinued} discontinued, ${summary.deansList} on the dean's list`,
+      ipAddress
+    });
+
+    return { term: { ...term, label: describeTerm(term) }, ...summary };
+  }
+
+  /**
+   * Scheduled term close: close terms whose courses have all ended, then compute standing for
+   * every closed term that is new or has had final grades recorded since it was last computed
+   */
+  async runTermClose() {
+    await AcademicTerm.syncFromCourses();
+
+    const due = await AcademicTerm.findDueToClose();
+    for (const term of due) {
+      await AcademicTerm.close(term.id);
+      console.log(`📚 Closed term ${describeTerm(term)}`);
+    }
+
+    const pending = await AcademicTerm.findNeedingStanding();
+    if (pending.length === 0) {
+      return { closed: due.length, recomputed: 0 };
+    }
+
+    const summary = await this.recomputeTerms(pending.map(term => term.id));
+    console.log(`📚 Academic standing computed for ${summary.students} student(s) in ${pending.length} term(s)`);
+
+    return { closed: due.length, recomputed: pending.length, ...summary };
+  }
+}
+
+module.exports = new AcademicStandingService();
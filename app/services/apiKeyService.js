@@ -0,0 +1,223 @@
+const ApiKey = require('../models/ApiKey');
+const ServiceAccount = require('../models/ServiceAccount');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { transaction } = require('../../config/database');
+const { API_KEY_SCOPES, ROLES } = require('../../config/constants');
+
+// Integrations act as staff; a service account never stands in for a student
+const SERVICE_ACCOUNT_ROLES = [ROLES.ADMIN, ROLES.INSTRUCTOR, ROLES.FINANCE_OFFICER];
+
+const MAX_EXPIRY_DAYS = 365 * 2;
+
+class ApiKeyService {
+  constructor() {
+    this.scopes = API_KEY_SCOPES;
+    this.serviceAccountRoles = SERVICE_ACCOUNT_ROLES;
+  }
+
+  /**
+   * Whether a presented credential is an API key rather than a JWT
+   */
+  isApiKey(value) {
+    return ApiKey.looksLikeKey(value);
+  }
+
+  /**
+   * Create a service account for an integration
+   */
+  async createServiceAccount({ name, role, description }, admin, ipAddress) {
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      throw new Error('A name is required');
+    }
+
+    if (!SERVICE_ACCOUNT_ROLES.includes(role)) {
+      throw new Error('Choose an admin, instructor or finance officer role');
+    }
+
+    const roleId = await User.getRoleId(role);
+    if (!roleId) {
+      throw new Error(`Role ${role} does not exist`);
+    }
+
+    const account = await ServiceAccount.create({
+      name: trimmedName,
+      roleId,
+      description: (description || '').trim() || null,
+      createdBy: admin.id
+    });
+
+    console.log(`🤖 Service account created: ${account.name} (${role})`);
+
+    await AuditLog.record({
+      userId: admin.id,
+      action: 'service_account_created',
+      resourceType: 'user',
+      resourceId: account.id,
+      description: `Created service account ${account.name} with the ${role} role`,
+      ipAddress
+    });
+
+    return account;
+  }
+
+  /**
+   * Create a key for a service account. Returns the plain key, which cannot be shown again.
+   */
+  async createKey({ userId, name, scopes, expiresInDays }, admin, ipAddress) {
+    const account = await ServiceAccount.findByUserId(userId);
+    if (!account || !account.is_active) {
+      throw new Error('Keys can only be created for an active service account');
+    }
+
+    const requested = [].concat(scopes || []);
+    const unknown = requested.filter(scope => !API_KEY_SCOPES[scope]);
+    if (requested.length === 0 || unknown.length > 0) {
+      throw new Error(unknown.length > 0 ? `Unknown scope: ${unknown.join(', ')}` : 'Choose at least one scope');
+    }
+
+    const days = parseInt(expiresInDays) || null;
+    if (days !== null && (days < 1 || days > MAX_EXPIRY_DAYS)) {
+      throw new Error(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`);
+    }
+
+    const keyName = (name || '').trim() || 'API key';
+    const created = await ApiKey.create({
+      userId: account.user_id,
+      name: keyName,
+      scopes: requested,
+      expiresInDays: days,
+      createdBy: admin.id
+    });
+
+    console.log(`🔑 API key ${created.prefix} created for ${account.name}`);
+
+    await AuditLog.record({
+      userId: admin.id,
+      action: 'api_key_created',
+      resourceType: 'api_key',
+      resourceId: created.id,
+      description: `Created key ${created.prefix} "${keyName}" for ${account.name} with scopes ${requested.join(', ')}` +
+        (days ? `, expiring in ${days} days` : ', no expiry'),
+      ipAddress
+    });
+
+    return { ...created, name: keyName, accountName: account.name, scopes: requested };
+  }
+
+  /**
+   * Look up the key and service account behind a request. Returns null if the key does not work.
+   */
+  async authenticate(key) {
+    const apiKey = await ApiKey.findActiveByKey(key);
+    if (!apiKey || !apiKey.user_active) {
+      return null;
+    }
+
+    const user = await User.findById(apiKey.user_id);
+    if (!user) {
+      return null;
+    }
+
+    const { password, ...userWithoutPassword } = user;
+    return { apiKey, user: userWithoutPassword };
+  }
+
+  /**
+   * Record one use of a key: last used time and an audit log row with the outcome
+   */
+  async recordUse(apiKey, req, statusCode) {
+    try {
+      await ApiKey.touch(apiKey.id, req.ip);
+    } catch (error) {
+      console.error('❌ Failed to record API key use:', error.message);
+    }
+
+    await AuditLog.record({
+      userId: apiKey.user_id,
+      action: 'api_key_used',
+      resourceType: 'api_key',
+      resourceId: apiKey.id,
+      description: `${apiKey.key_prefix}: ${req.method} ${req.originalUrl} -> ${statusCode}`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+
+  /**
+   * Record a key trying something outside its scopes
+   */
+  async recordDenied(apiKey, req, scope) {
+    await AuditLog.record({
+      userId: apiKey.user_id,
+      action: 'api_key_scope_denied',
+      resourceType: 'api_key',
+      resourceId: apiKey.id,
+      description: `${apiKey.key_prefix}: ${req.method} ${req.originalUrl} needs ${scope}`,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+  }
+
+  /**
+   * Revoke a key straight away
+   */
+  async revokeKey(id, admin, ipAddress) {
+    const revoked = await ApiKey.revoke(id, admin.id);
+    if (revoked) {
+      await AuditLog.record({
+        userId: admin.id,
+        action: 'api_key_revoked',
+        resourceType: 'api_key',
+        resourceId: revoked.id,
+        description: `Revoked key ${revoked.key_prefix} "${revoked.name}"`,
+        ipAddress
+      });
+    }
+    return revoked;
+  }
+
+  /**
+   * Switch off a service account and revoke all of its keys
+   */
+  async deactivateServiceAccount(userId, admin, ipAddress) {
+    const account = await ServiceAccount.findByUserId(userId);
+    if (!account) {
+      return null;
+    }
+
+    const revokedKeys = await transaction(async (connection) => {
+      await ServiceAccount.deactivate(account.user_id, connection);
+      return ApiKey.revokeForUser(account.user_id, admin.id, connection);
+    });
+
+    await AuditLog.record({
+      userId: admin.id,
+      action: 'service_account_deactivated',
+      resourceType: 'user',
+      resourceId: account.user_id,
+      description: `Deactivated service account ${account.name}; ${revokedKeys} key(s) revoked`,
+      ipAddress
+    });
+
+    return { account, revokedKeys };
+  }
+
+  /**
+   * Service accounts and keys for the admin page
+   */
+  async getOverview() {
+    const [serviceAccounts, apiKeys] = await Promise.all([
+      ServiceAccount.findAll(),
+      ApiKey.findAll()
+    ]);
+
+    return {
+      serviceAccounts,
+      apiKeys: apiKeys.map(key => ({ ...key, is_active: !!key.is_active }))
+    };
+  }
+}
+
+module.exports = new ApiKeyService();
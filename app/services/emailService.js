@@ -1,4 +1,5 @@
 const nodemailer = require('nodemailer');
+const { Formatters } = require('../utils');
 
 class EmailService {
     constructor() {
@@ -73,7 +74,14 @@ class EmailService {
                             </p>
                             ` : ''}
 
+                            ${data.setPasswordLink ? `
+                            <p>Choose a password to sign in for the first time. This link is valid for ${data.setPasswordDays} days:</p>
+                            <p style="text-align: center;">
+                                <a href="${data.setPasswordLink}" class="button">Choose Your Password</a>
+                            </p>
+                            ` : `
                             <p>You can now log in to your account and start exploring the platform.</p>
+                            `}
                         </div>
                         <div class="footer">
                             <p>&copy; 2024 EduLMS - Educational Learning Management System</p>
@@ -121,6 +129,118 @@ class EmailService {
                     </div>
                 </body>
                 </html>
+            `,
+
+            'invoice': `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <style>
+                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                        .header { background: linear-gradient(135deg, #198754, #146c43); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+                        .content { padding: 30px; background: #f9f9f9; border-radius: 0 0 10px 10px; }
+                        .footer { padding: 20px; text-align: center; color: #666; font-size: 12px; }
+                        .summary { background: white; padding: 15px; border-radius: 5px; margin: 15px 0; }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>Invoice ${data.invoiceNumber || ''}</h1>
+                            <p>EduLMS Finance Office</p>
+                        </div>
+                        <div class="content">
+                            <h2>Hello ${data.name || ''},</h2>
+                            <p>A new invoice has been issued to your account. The full invoice is attached as a PDF.</p>
+
+                            <div class="summary">
+                                <p><strong>Invoice Number:</strong> ${data.invoiceNumber || ''}</p>
+                                <p><strong>Amount Due:</strong> ${data.amount || ''}</p>
+                                <p><strong>Due Date:</strong> ${data.dueDate || ''}</p>
+                            </div>
+
+                            <p>Please use your Student ID as the account number when paying via M-Pesa.</p>
+                        </div>
+                        <div class="footer">
+                            <p>&copy; 2024 EduLMS - Educational Learning Management System</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+
+            'system-notification': `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <style>
+                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                        .header { background: linear-gradient(135deg, #0d6efd, #0a58ca); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+                        .content { padding: 30px; background: #f9f9f9; border-radius: 0 0 10px 10px; }
+                        .footer { padding: 20px; text-align: center; color: #666; font-size: 12px; }
+                        .button { display: inline-block; background: #0d6efd; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 15px 0; }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>${data.notificationTitle || ''}</h1>
+                            <p>${data.siteName || 'EduLMS'}</p>
+                        </div>
+                        <div class="content">
+                            <h2>Hello ${data.userName || ''},</h2>
+                            <p>${data.notificationMessage || ''}</p>
+                            ${data.notificationUrl ? `
+                            <p style="text-align: center;">
+                                <a href="${data.notificationUrl}" class="button">View Details</a>
+                            </p>` : ''}
+                        </div>
+                        <div class="footer">
+                            <p>&copy; ${data.currentYear || ''} ${data.siteName || 'EduLMS'}${data.supportEmail ? ` &middot; ${data.supportEmail}` : ''}</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
+            `,
+
+            'account-locked': `
+                <!DOCTYPE html>
+                <html>
+                <head>
+                    <style>
+                        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; margin: 0; padding: 0; }
+                        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                        .header { background: linear-gradient(135deg, #dc3545, #c82333); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+                        .content { padding: 30px; background: #f9f9f9; border-radius: 0 0 10px 10px; }
+                        .footer { padding: 20px; text-align: center; color: #666; font-size: 12px; }
+                        .button { display: inline-block; background: #dc3545; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 15px 0; }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <div class="header">
+                            <h1>Account Locked</h1>
+                            <p>EduLMS Account Security</p>
+                        </div>
+                        <div class="content">
+                            <h2>Hello ${data.name || ''},</h2>
+                            <p>Your account was locked after ${data.attempts || 'several'} failed sign-in attempts, the last one from IP address ${data.ipAddress || 'unknown'}.</p>
+                            <p>It will unlock by itself at <strong>${data.lockedUntil || ''}</strong>. If it was you, you can unlock it now:</p>
+
+                            <p style="text-align: center;">
+                                <a href="${data.unlockLink || '#'}" class="button">Unlock My Account</a>
+                            </p>
+
+                            <p>If it wasn't you, someone may be trying to guess your password. Consider resetting it once you are back in.</p>
+                        </div>
+                        <div class="footer">
+                            <p>&copy; 2024 EduLMS - Educational Learning Management System</p>
+                        </div>
+                    </div>
+                </body>
+                </html>
             `
         };
 
@@ -137,16 +257,21 @@ class EmailService {
     }
 
     /**
-     * Send welcome email to new user
+     * Send welcome email to new user. Accounts created without a password (bulk imports)
+     * pass a set-password token instead.
      */
-    async sendWelcomeEmail(user, verificationLink = null) {
+    async sendWelcomeEmail(user, verificationLink = null, setPassword = null) {
         const subject = `Welcome to ${process.env.SITE_NAME || 'EduLMS'}`;
         
         const templateData = {
-            name: `${user.firstName} ${user.lastName}`,
+            name: user.name || `${user.firstName} ${user.lastName}`,
             email: user.email,
             role: user.role,
-            verificationLink: verificationLink
+            verificationLink: verificationLink,
+            setPasswordLink: setPassword
+                ? `${process.env.APP_URL || 'http://localhost:3000'}/auth/reset-password?token=${setPassword.token}`
+                : null,
+            setPasswordDays: setPassword ? Math.round(setPassword.expiresInMinutes / (24 * 60)) : null
         };
 
         return this.sendEmail(
@@ -165,7 +290,7 @@ class EmailService {
         const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/auth/reset-password?token=${resetToken}`;
 
         const templateData = {
-            name: `${user.firstName} ${user.lastName}`,
+            name: user.name || `${user.firstName} ${user.lastName}`,
             resetLink: resetUrl
         };
 
@@ -177,6 +302,51 @@ class EmailService {
         );
     }
 
+    /**
+     * Send account lockout email with a link to unlock straight away
+     */
+    async sendAccountLockedEmail(user, unlockToken, lockout) {
+        const subject = 'Your account has been locked';
+        const unlockUrl = `${process.env.APP_URL || 'http://localhost:3000'}/auth/unlock?token=${unlockToken}`;
+
+        const templateData = {
+            name: user.name,
+            attempts: lockout.failed_attempts,
+            ipAddress: lockout.ip_address,
+            lockedUntil: Formatters.formatDateTime(lockout.locked_until),
+            unlockLink: unlockUrl
+        };
+
+        return this.sendEmail(
+            user.email,
+            subject,
+            'account-locked',
+            templateData
+        );
+    }
+
+    /**
+     * Send invoice email with the PDF attached
+     */
+    async sendInvoiceEmail(student, invoice, pdfBuffer) {
+        const subject = `Invoice ${invoice.invoice_number}`;
+
+        const templateData = {
+            name: student.name,
+            invoiceNumber: invoice.invoice_number,
+            amount: Formatters.formatCurrency(invoice.total_amount),
+            dueDate: Formatters.formatDate(invoice.due_date)
+        };
+
+        return this.sendEmail(
+            student.email,
+            subject,
+            'invoice',
+            templateData,
+            [{ filename: `invoice-${invoice.invoice_number}.pdf`, content: pdfBuffer }]
+        );
+    }
+
     /**
      * Generic email sending method
      */
@@ -0,0 +1,372 @@
+const { pool, transaction } = require('../../config/database');
+const SystemSetting = require('../models/SystemSetting');
+const StudentLedger = require('../models/StudentLedger');
+const NotificationPreference = require('../models/NotificationPreference');
+const notificationService = require('./notificationService');
+const { Formatters } = require('../utils');
+const {
+  INSTALLMENT_STATUS,
+  LATE_FEE_TYPES,
+  LEDGER_ENTRY_TYPES,
+  LEDGER_DIRECTIONS,
+  NOTIFICATION_CATEGORIES
+} = require('../../config/constants');
+
+const SETTINGS_CATEGORY = 'fees';
+
+// Used until a finance officer saves their own rules
+const DEFAULT_SETTINGS = {
+  late_fee_enabled: false,
+  late_fee_type: LATE_FEE_TYPES.FLAT,
+  late_fee_amount: 500,
+  late_fee_grace_days: 7,
+  reminders_enabled: true,
+  // Days relative to the due date: negative is before it, positive after it
+  reminder_offsets: [-7, 0, 3],
+  reminder_channels: ['in_app', 'email', 'sms']
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+class FeeReminderService {
+  constructor() {
+    this.channels = DEFAULT_SETTINGS.reminder_channels;
+  }
+
+  /**
+   * Current penalty and reminder rules
+   */
+  async getSettings() {
+    return SystemSetting.getByCategory(SETTINGS_CATEGORY, DEFAULT_SETTINGS);
+  }
+
+  /**
+   * Validate and save penalty and reminder rules
+   */
+  async saveSettings(settings, updatedBy) {
+    const lateFeeAmount = parseFloat(settings.late_fee_amount);
+    const graceDays = parseInt(settings.late_fee_grace_days);
+
+    if (!Object.values(LATE_FEE_TYPES).includes(settings.late_fee_type)) {
+      throw new Error('Invalid late fee type');
+    }
+    if (isNaN(lateFeeAmount) || lateFeeAmount < 0) {
+      throw new Error('Late fee must be zero or more');
+    }
+    if (settings.late_fee_type === LATE_FEE_TYPES.PERCENTAGE && lateFeeAmount > 100) {
+      throw new Error('A percentage late fee cannot be more than 100');
+    }
+    if (isNaN(graceDays) || graceDays < 0) {
+      throw new Error('Grace period must be zero or more days');
+    }
+
+    const offsets = [...new Set(settings.reminder_offsets.map(offset => parseInt(offset)))]
+      .filter(offset => !isNaN(offset))
+      .sort((a, b) => a - b);
+    const channels = settings.reminder_channels
+      .filter(channel => this.channels.includes(channel));
+
+    return SystemSetting.setMany({
+      late_fee_enabled: !!settings.late_fee_enabled,
+      late_fee_type: settings.late_fee_type,
+      late_fee_amount: lateFeeAmount,
+      late_fee_grace_days: graceDays,
+      reminders_enabled: !!settings.reminders_enabled,
+      reminder_offsets: offsets,
+      reminder_channels: channels
+    }, { category: SETTINGS_CATEGORY, updatedBy });
+  }
+
+  /**
+   * Work out the penalty for an overdue installment's remaining balance
+   */
+  calculatePenalty(balance, settings) {
+    const amount = settings.late_fee_type === LATE_FEE_TYPES.PERCENTAGE
+      ? parseFloat(balance) * parseFloat(settings.late_fee_amount) / 100
+      : parseFloat(settings.late_fee_amount);
+
+    return roundAmount(amount);
+  }
+
+  /**
+   * Charge a late fee once on every installment still unpaid after the grace period
+   */
+  async applyLatePenalties() {
+    const settings = await this.getSettings();
+    const summary = { applied: 0, total: 0 };
+
+    if (!settings.late_fee_enabled) {
+      return summary;
+    }
+
+    const [schedules] = await pool.query(
+      `SELECT s.id
+       FROM student_fee_schedules s
+       WHERE s.status <> ?
+         AND s.due_date < DATE_SUB(CURDATE(), INTERVAL ? DAY)
+         AND NOT EXISTS (
+           SELECT 1 FROM student_ledger l
+           WHERE l.reference_type = 'fee_schedule' AND l.reference_id = s.id AND l.entry_type = ?
+         )
+       ORDER BY s.due_date`,
+      [INSTALLMENT_STATUS.PAID, settings.late_fee_grace_days, LEDGER_ENTRY_TYPES.PENALTY]
+    );
+
+    for (const { id } of schedules) {
+      try {
+        const amount = await this.applyPenalty(id, settings);
+        if (amount) {
+          summary.applied++;
+          summary.total = roundAmount(summary.total + amount);
+        }
+      } catch (error) {
+        console.error(`❌ Applying late fee to installment ${id} failed:`, error);
+      }
+    }
+
+    if (summary.applied > 0) {
+      console.log('💸 Late fees applied:', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Charge the late fee for one installment; returns the amount, or null when nothing was due
+   */
+  async applyPenalty(scheduleId, settings) {
+    return transaction(async (connection) => {
+      const [schedules] = await connection.query(
+        `SELECT s.*, fs.name as fee_name
+         FROM student_fee_schedules s
+         JOIN fee_structures fs ON s.fee_structure_id = fs.id
+         WHERE s.id = ? FOR UPDATE`,
+        [scheduleId]
+      );
+      const schedule = schedules[0];
+
+      // A payment may have landed since the batch was selected
+      if (!schedule || schedule.status === INSTALLMENT_STATUS.PAID) {
+        return null;
+      }
+
+      const [existing] = await connection.query(
+        `SELECT id FROM student_ledger
+         WHERE reference_type = 'fee_schedule' AND reference_id = ? AND entry_type = ?`,
+        [schedule.id, LEDGER_ENTRY_TYPES.PENALTY]
+      );
+      if (existing.length > 0) {
+        return null;
+      }
+
+      const amount = this.calculatePenalty(parseFloat(schedule.amount_due) - parseFloat(schedule.amount_paid), settings);
+      if (amount <= 0) {
+        return null;
+      }
+
+      await StudentLedger.postEntry({
+        student_id: schedule.student_id,
+        entry_type: LEDGER_ENTRY_TYPES.PENALTY,
+        direction: LEDGER_DIRECTIONS.DEBIT,
+        amount,
+        description: `Late payment fee: ${schedule.fee_name} installment ${schedule.installment_number}`,
+        reference_type: 'fee_schedule',
+        reference_id: schedule.id
+      }, connection);
+
+      return amount;
+    });
+  }
+
+  /**
+   * Send every reminder that falls due today according to the configured cadence
+   */
+  async sendReminders() {
+    const settings = await this.getSettings();
+    const summary = { sent: 0, failed: 0, skipped: 0 };
+
+    if (!settings.reminders_enabled || settings.reminder_channels.length === 0) {
+      return summary;
+    }
+
+    for (const offset of settings.reminder_offsets) {
+      const [schedules] = await pool.query(
+        `SELECT s.*, fs.name as fee_name, s.amount_due - s.amount_paid as balance
+         FROM student_fee_schedules s
+         JOIN fee_structures fs ON s.fee_structure_id = fs.id
+         JOIN users u ON s.student_id = u.id
+         WHERE s.status <> ?
+           AND s.due_date = DATE_SUB(CURDATE(), INTERVAL ? DAY)
+           AND u.is_active = 1`,
+        [INSTALLMENT_STATUS.PAID, offset]
+      );
+
+      for (const schedule of schedules) {
+        try {
+          const outcome = await this.sendReminder(schedule, offset, settings);
+          Object.keys(summary).forEach(status => { summary[status] += outcome[status]; });
+        } catch (error) {
+          console.error(`❌ Fee reminder for installment ${schedule.id} failed:`, error);
+        }
+      }
+    }
+
+    if (summary.sent + summary.failed > 0) {
+      console.log('📨 Fee reminders delivered:', summary);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Remind a student about one installment over the channels they have not opted out of
+   */
+  async sendReminder(schedule, offset, settings) {
+    const outcome = { sent: 0, failed: 0, skipped: 0 };
+
+    // A rerun on the same day must not repeat what already went out
+    const [logged] = await pool.query(
+      'SELECT channel FROM fee_reminder_log WHERE schedule_id = ? AND reminder_offset = ?',
+      [schedule.id, offset]
+    );
+    const pending = settings.reminder_channels
+      .filter(channel => !logged.some(entry => entry.channel === channel));
+
+    if (pending.length === 0) {
+      return outcome;
+    }
+
+    const channels = await NotificationPreference.filterChannels(
+      schedule.student_id,
+      NOTIFICATION_CATEGORIES.FEE_REMINDERS,
+      pending
+    );
+
+    for (const channel of pending.filter(channel => !channels.includes(channel))) {
+      await this.logReminder(schedule, offset, channel, 'skipped', 'Opted out');
+      outcome.skipped++;
+    }
+
+    if (channels.length === 0) {
+      return outcome;
+    }
+
+    const result = await notificationService.createNotification({
+      ...this.buildReminderMessage(schedule, offset, settings),
+      type: notificationService.types.FINANCIAL,
+      priority: offset > 0 ? 'high' : 'medium',
+      channels,
+      category: NOTIFICATION_CATEGORIES.FEE_REMINDERS,
+      recipientIds: [schedule.student_id],
+      relatedEntity: 'fee_schedule',
+      relatedEntityId: schedule.id,
+      actionUrl: '/student/payments'
+    });
+
+    const deliveries = (result.results && result.results[0] && result.results[0].deliveries) || [];
+
+    for (const channel of channels) {
+      const delivery = deliveries.find(entry => entry.channel === channel);
+      const error = delivery ? delivery.error : (result.error || 'Notification was not created');
+
+      if (delivery && delivery.success) {
+        await this.logReminder(schedule, offset, channel, 'sent');
+        outcome.sent++;
+      } else {
+        await this.logReminder(schedule, offset, channel, 'failed', error);
+        outcome.failed++;
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Reminder wording for before, on and after the due date
+   */
+  buildReminderMessage(schedule, offset, settings) {
+    const installment = `${schedule.fee_name} installment ${schedule.installment_number}`;
+    const balance = Formatters.formatCurrency(schedule.balance);
+    const dueDate = Formatters.formatDate(schedule.due_date);
+
+    if (offset < 0) {
+      return {
+        title: 'Upcoming Fee Installment',
+        message: `Your ${installment} balance of ${balance} is due on ${dueDate}.`
+      };
+    }
+
+    if (offset === 0) {
+      return {
+        title: 'Fee Installment Due Today',
+        message: `Your ${installment} balance of ${balance} is due today.`
+      };
+    }
+
+    let message = `Your ${installment} balance of ${balance} was due on ${dueDate} and is ${offset} day(s) overdue.`;
+    if (settings.late_fee_enabled && offset <= settings.late_fee_grace_days) {
+      message += ` Pay within ${settings.late_fee_grace_days - offset + 1} day(s) to avoid a late fee.`;
+    }
+
+    return { title: 'Fee Installment Overdue', message };
+  }
+
+  async logReminder(schedule, offset, channel, status, error = null) {
+    await pool.query(
+      `INSERT INTO fee_reminder_log (schedule_id, student_id, reminder_offset, channel, status, error)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE status = VALUES(status), error = VALUES(error), sent_at = NOW()`,
+      [schedule.id, schedule.student_id, offset, channel, status, error ? String(error).substring(0, 255) : null]
+    );
+  }
+
+  /**
+   * Recent reminders and penalties for the finance dashboard
+   */
+  async getActivity(days = 7) {
+    const [[totals], [reminders], [penalties]] = await Promise.all([
+      pool.query(
+        `SELECT
+           SUM(status = 'sent') as sent,
+           SUM(status = 'failed') as failed,
+           SUM(status = 'skipped') as skipped
+         FROM fee_reminder_log
+         WHERE sent_at >= DATE_SUB(NOW(), INTERVAL ? DAY)`,
+        [days]
+      ),
+      pool.query(
+        `SELECT r.*, u.name as student_name, u.student_id as student_code,
+                fs.name as fee_name, s.installment_number, s.due_date
+         FROM fee_reminder_log r
+         JOIN users u ON r.student_id = u.id
+         JOIN student_fee_schedules s ON r.schedule_id = s.id
+         JOIN fee_structures fs ON s.fee_structure_id = fs.id
+         WHERE r.sent_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         ORDER BY r.sent_at DESC
+         LIMIT 100`,
+        [days]
+      ),
+      pool.query(
+        `SELECT l.*, u.name as student_name, u.student_id as student_code
+         FROM student_ledger l
+         JOIN users u ON l.student_id = u.id
+         WHERE l.entry_type = ? AND l.reference_type = 'fee_schedule'
+           AND l.created_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+         ORDER BY l.created_at DESC
+         LIMIT 100`,
+        [LEDGER_ENTRY_TYPES.PENALTY, days]
+      )
+    ]);
+
+    return {
+      days,
+      sent: parseInt(totals[0].sent) || 0,
+      failed: parseInt(totals[0].failed) || 0,
+      skipped: parseInt(totals[0].skipped) || 0,
+      reminders,
+      penalties
+    };
+  }
+}
+
+module.exports = new FeeReminderService();
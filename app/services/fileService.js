@@ -4,7 +4,17 @@ const fs = require('fs').promises;
 const fsSync = require('fs');
 const sharp = require('sharp');
 const archiver = require('archiver');
-const { Generators, Validators, Helpers } = require('../utils');
+const crypto = require('crypto');
+const { Formatters } = require('../utils');
+
+// Unique, filesystem-safe name that keeps the original extension
+const generateFileName = (originalName, prefix = 'file') => {
+  const extension = path.extname(originalName || '').toLowerCase();
+  return `${prefix}-${Date.now()}-${crypto.randomBytes(6).toString('hex')}${extension}`;
+};
+
+// Output format for a resized image, from the extension it is saved under
+const IMAGE_FORMATS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png', '.webp': 'webp', '.gif': 'gif' };
 
 class FileService {
   constructor() {
@@ -81,7 +91,7 @@ class FileService {
         cb(null, uploadPath);
       },
       filename: (req, file, cb) => {
-        const uniqueName = Generators.generateFileName(file.originalname, fileNamePrefix);
+        const uniqueName = generateFileName(file.originalname, fileNamePrefix);
         cb(null, uniqueName);
       }
     });
@@ -134,12 +144,12 @@ class FileService {
       // Validate file size
       const maxSize = this.getMaxFileSize(fileType);
       if (file.size > maxSize) {
-        throw new Error(`File size exceeds maximum allowed size of ${Helpers.formatFileSize(maxSize)}`);
+        throw new Error(`File size exceeds maximum allowed size of ${Formatters.formatFileSize(maxSize)}`);
       }
 
       // Generate unique filename
       const fileExtension = path.extname(file.originalname);
-      const fileName = Generators.generateFileName(file.originalname, fileNamePrefix);
+      const fileName = generateFileName(file.originalname, fileNamePrefix);
       const uploadPath = path.join(this.uploadDir, destination);
       const filePath = path.join(uploadPath, fileName);
 
@@ -227,8 +237,7 @@ class FileService {
           fit: 'inside',
           withoutEnlargement: true
         })
-        .jpeg({ quality })
-        .png({ quality })
+        .toFormat(IMAGE_FORMATS[path.extname(outputPath).toLowerCase()] || 'jpeg', { quality })
         .toFile(outputPath);
 
       return outputPath;
@@ -421,7 +430,7 @@ class FileService {
     // Check file size
     const maxSize = this.getMaxFileSize(fileType);
     if (file.size > maxSize) {
-      errors.push(`File size exceeds maximum allowed size of ${Helpers.formatFileSize(maxSize)}`);
+      errors.push(`File size exceeds maximum allowed size of ${Formatters.formatFileSize(maxSize)}`);
     }
 
     // Check file extension
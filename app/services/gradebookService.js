@@ -0,0 +1,391 @@
+const Course = require('../models/Course');
+const Enrollment = require('../models/Enrollment');
+const Grade = require('../models/Grade');
+const GradeCategory = require('../models/GradeCategory');
+const GradingScale = require('../models/GradingScale');
+const AuditLog = require('../models/AuditLog');
+
+// Category weights are percentages of the course grade and must add up to this
+const TOTAL_WEIGHT = 100;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Percentage of a set of { points, max } marks
+const percentOf = (marks) => {
+  const max = marks.reduce((sum, mark) => sum + mark.max, 0);
+  return max > 0 ? (marks.reduce((sum, mark) => sum + mark.points, 0) / max) * 100 : null;
+};
+
+class GradebookService {
+  /**
+   * Work out a student's running grade from their marks.
+   *
+   * With categories, each category scores the percentage of the marks it keeps after dropping its
+   * lowest `drop_lowest` (always keeping at least one), and the course grade is the weighted mean
+   * of the categories that have marks, so a term with only CATs marked is graded on the CATs.
+   * Assignments outside every category don't count. Without categories every mark counts equally
+   * by points. Only marked work counts; the result is null when nothing has been marked.
+   */
+  calculateStudentGrade({ categories, assignments, marks, scale }) {
+    const scored = assignments
+      .filter(assignment => marks.has(assignment.id) && assignment.max_points > 0)
+      .map(assignment => ({
+        assignmentId: assignment.id,
+        categoryId: assignment.category_id,
+        points: marks.get(assignment.id),
+        max: assignment.max_points
+      }));
+
+    let percentage = null;
+    let breakdown = [];
+    const dropped = [];
+
+    if (categories.length === 0) {
+      percentage = percentOf(scored);
+    } else {
+      breakdown = categories.map(category => {
+        const inCategory = scored
+          .filter(mark => mark.categoryId === category.id)
+          .sort((a, b) => (a.points / a.max) - (b.points / b.max));
+        const dropCount = Math.min(category.drop_lowest, Math.max(inCategory.length - 1, 0));
+
+        dropped.push(...inCategory.slice(0, dropCount).map(mark => mark.assignmentId));
+
+        return {
+          id: category.id,
+          name: category.name,
+          weight: category.weight,
+          percentage: percentOf(inCategory.slice(dropCount))
+        };
+      });
+
+      const counted = breakdown.filter(category => category.percentage !== null);
+      const weight = counted.reduce((sum, category) => sum + category.weight, 0);
+      percentage = weight > 0
+        ? counted.reduce((sum, category) => sum + category.percentage * category.weight, 0) / weight
+        : null;
+    }
+
+    const band = percentage !== null ? GradingScale.bandFor(scale, percentage) : null;
+
+    return {
+      percentage: percentage !== null ? round(percentage) : null,
+      letter: band ? band.letter : null,
+      gradePoints: band ? band.grade_points : null,
+      categories: breakdown.map(category => ({
+        ...category,
+        percentage: category.percentage !== null ? round(category.percentage) : null
+      })),
+      dropped
+    };
+  }
+
+  /**
+   * Everything the course gradebook shows: categories, assignments, scale and each student's grade
+   */
+  async getCourseGradebook(courseId) {
+    const [categories, assignments, roster, grades, scale] = await Promise.all([
+      GradeCategory.findByCourse(courseId),
+      Grade.getCourseAssignments(courseId),
+      Grade.getCourseRoster(courseId),
+      Grade.findByCourse(courseId),
+      GradingScale.findForCourse(courseId)
+    ]);
+
+    const students = roster.map(student => {
+      const marks = new Map(grades
+        .filter(grade => grade.student_id === student.student_id)
+        .map(grade => [grade.assignment_id, grade.points_earned]));
+
+      return {
+        ...student,
+        marks,
+        ...this.calculateStudentGrade({ categories, assignments, marks, scale })
+      };
+    });
+
+    return {
+      categories,
+      assignments,
+      uncategorised: categories.length > 0 ? assignments.filter(a => !a.category_id) : [],
+      scale,
+      students
+    };
+  }
+
+  /**
+   * A student's running grade on each of their courses, with the final grade once recorded
+   */
+  async getStudentGrades(studentId) {
+    const courses = await Grade.getStudentCourses(studentId);
+
+    return Promise.all(courses.map(async (course) => {
+      const gradebook = await this.getCourseGradebook(course.id);
+      const own = gradebook.students.find(student => student.student_id === studentId);
+
+      return {
+        ...course,
+        percentage: own ? own.percentage : null,
+        letter: own ? own.letter : null,
+        categories: own ? own.categories : []
+      };
+    }));
+  }
+
+  /**
+   * Check and save a course's categories. Weights must add up to 100.
+   */
+  async saveCategories(courseId, rows, user, ipAddress) {
+    const categories = (rows || [])
+      .filter(row => row && String(row.name || '').trim())
+      .map(row => ({
+        id: row.id ? parseInt(row.id) : null,
+        name: String(row.name).trim(),
+        weight: Number(row.weight),
+        drop_lowest: row.drop_lowest ? parseInt(row.drop_lowest) : 0
+      }));
+
+    const names = new Set();
+    for (const category of categories) {
+      if (category.name.length > 100) {
+        throw new Error(`Category name "${category.name.slice(0, 20)}..." is too long`);
+      }
+      if (names.has(category.name.toLowerCase())) {
+        throw new Error(`There is more than one "${category.name}" category`);
+      }
+      names.add(category.name.toLowerCase());
+
+      if (!(category.weight > 0) || category.weight > TOTAL_WEIGHT) {
+        throw new Error(`${category.name}: weight must be between 0 and ${TOTAL_WEIGHT}`);
+      }
+      if (!Number.isInteger(category.drop_lowest) || category.drop_lowest < 0) {
+        throw new Error(`${category.name}: the number of lowest marks to drop must be 0 or more`);
+      }
+    }
+
+    const total = round(categories.reduce((sum, category) => sum + category.weight, 0));
+    if (categories.length > 0 && total !== TOTAL_WEIGHT) {
+      throw new Error(`Category weights add up to ${total}%; they must add up to ${TOTAL_WEIGHT}%`);
+    }
+
+    await GradeCategory.saveForCourse(courseId, categories);
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'grade_categories_updated',
+      resourceType: 'course',
+      resourceId: courseId,
+      description: categories.length > 0
+        ? `Grade categories set to ${categories.map(c => `${c.name} ${c.weight}%`).join(', ')}`
+        : 'Grade categories removed; grades are worked out from points',
+      ipAddress
+    });
+
+    return categories;
+  }
+
+  /**
+   * Parse bands written one per line as "letter minimum% grade-points", e.g. "B+ 65 3.3"
+   */
+  parseBands(text) {
+    const bands = String(text || '')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const [letter, minPercentage, gradePoints, ...rest] = line.split(/[\s,]+/);
+        const band = {
+          letter,
+          min_percentage: Number(minPercentage),
+          grade_points: Number(gradePoints)
+        };
+
+        if (rest.length > 0 || !letter || letter.length > 5 ||
+            !Number.isFinite(band.min_percentage) || !Number.isFinite(band.grade_points)) {
+          throw new Error(`Can't read "${line}"; write each band as: letter minimum% grade-points`);
+        }
+        if (band.min_percentage < 0 || band.min_percentage > 100) {
+          throw new Error(`${letter}: the minimum must be between 0 and 100`);
+        }
+        if (band.grade_points < 0 || band.grade_points > 9.99) {
+          throw new Error(`${letter}: grade points must be between 0 and 9.99`);
+        }
+        return band;
+      })
+      .sort((a, b) => b.min_percentage - a.min_percentage);
+
+    if (bands.length === 0) {
+      throw new Error('A grading scale needs at least one band');
+    }
+
+    const letters = new Set(bands.map(band => band.letter));
+    const minimums = new Set(bands.map(band => band.min_percentage));
+    if (letters.size !== bands.length) {
+      throw new Error('Each letter can only appear once');
+    }
+    if (minimums.size !== bands.length) {
+      throw new Error('Two bands start at the same percentage');
+    }
+    if (bands[bands.length - 1].min_percentage !== 0) {
+      throw new Error('The lowest band must start at 0 so every mark gets a grade');
+    }
+
+    return bands;
+  }
+
+  /**
+   * Bands back in the text form parseBands reads
+   */
+  formatBands(bands) {
+    return (bands || []).map(band => `${band.letter} ${band.min_percentage} ${band.grade_points}`).join('\n');
+  }
+
+  /**
+   * Create or edit an institution grading scale
+   */
+  async saveScale({ id = null, name, bands }, user, ipAddress) {
+    name = String(name || '').trim();
+    if (!name || name.length > 100) {
+      throw new Error('Give the scale a name of up to 100 characters');
+    }
+
+    if (id) {
+      const existing = await GradingScale.findById(id);
+      if (!existing || existing.course_id) {
+        throw new Error('Grading scale not found');
+      }
+    }
+
+    const parsed = this.parseBands(bands);
+    const scaleId = await GradingScale.save({ id, name, bands: parsed, createdBy: user.id });
+
+    await AuditLog.record({
+      userId: user.id,
+      action: id ? 'grading_scale_updated' : 'grading_scale_created',
+      resourceType: 'grading_scale',
+      resourceId: scaleId,
+      description: `${name}: ${parsed.map(band => band.letter).join(', ')}`,
+      ipAddress
+    });
+
+    return { id: scaleId, name };
+  }
+
+  async setDefaultScale(scaleId, user, ipAddress) {
+    const scale = await GradingScale.findById(scaleId);
+    if (!scale || scale.course_id) {
+      throw new Error('Grading scale not found');
+    }
+
+    await GradingScale.setDefault(scale.id);
+    await AuditLog.record({
+      userId: user.id,
+      action: 'grading_scale_default',
+      resourceType: 'grading_scale',
+      resourceId: scale.id,
+      description: `${scale.name} is now the default grading scale`,
+      ipAddress
+    });
+
+    return scale;
+  }
+
+  async deleteScale(scaleId, user, ipAddress) {
+    const scale = await GradingScale.findById(scaleId);
+    if (!scale || scale.course_id) {
+      throw new Error('Grading scale not found');
+    }
+    if (scale.is_default) {
+      throw new Error('Make another scale the default before deleting this one');
+    }
+
+    await GradingScale.delete(scale.id);
+    await AuditLog.record({
+      userId: user.id,
+      action: 'grading_scale_deleted',
+      resourceType: 'grading_scale',
+      resourceId: scale.id,
+      description: `Deleted grading scale ${scale.name}; courses using it fall back to the default`,
+      ipAddress
+    });
+
+    return scale;
+  }
+
+  /**
+   * Choose the scale a course grades with: '' for the institution default, an institution
+   * scale's id, or 'custom' with bands for a scale of the course's own
+   */
+  async setCourseScale(courseId, choice, bandsText, user, ipAddress) {
+    const course = await Course.findById(courseId);
+    const current = course.grading_scale_id ? await GradingScale.findById(course.grading_scale_id) : null;
+    const ownScale = current && current.course_id === course.id ? current : null;
+    let description;
+
+    if (choice === 'custom') {
+      const bands = this.parseBands(bandsText);
+      const scaleId = await GradingScale.save({
+        id: ownScale ? ownScale.id : null,
+        name: `${course.course_code} scale`,
+        courseId: course.id,
+        bands,
+        createdBy: user.id
+      });
+      await GradingScale.assignToCourse(course.id, scaleId);
+      description = `Course scale set to ${bands.map(band => `${band.letter} ${band.min_percentage}`).join(', ')}`;
+    } else {
+      const scale = choice ? await GradingScale.findById(choice) : null;
+      if (choice && (!scale || scale.course_id)) {
+        throw new Error('Grading scale not found');
+      }
+
+      if ((scale ? scale.id : null) === (course.grading_scale_id || null)) {
+        return;
+      }
+
+      await GradingScale.assignToCourse(course.id, scale ? scale.id : null);
+      if (ownScale) {
+        await GradingScale.delete(ownScale.id);
+      }
+      description = scale ? `Course now grades with ${scale.name}` : 'Course now grades with the institution default scale';
+    }
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'course_grading_scale_updated',
+      resourceType: 'course',
+      resourceId: course.id,
+      description,
+      ipAddress
+    });
+  }
+
+  /**
+   * Record each student's final grade and grade points on their enrollment. Students with no
+   * marked work are skipped.
+   */
+  async finalizeCourse(courseId, user, ipAddress) {
+    const gradebook = await this.getCourseGradebook(courseId);
+    const graded = gradebook.students.filter(student => student.percentage !== null);
+
+    for (const student of graded) {
+      await Enrollment.updateFinalGrade(student.enrollment_id, student.letter, student.gradePoints);
+    }
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'final_grades_recorded',
+      resourceType: 'course',
+      resourceId: courseId,
+      description: `Final grades recorded for ${graded.length} student(s) using ${gradebook.scale.name}`,
+      ipAddress
+    });
+
+    return {
+      finalized: graded.length,
+      skipped: gradebook.students.length - graded.length
+    };
+  }
+}
+
+module.exports = new GradebookService();
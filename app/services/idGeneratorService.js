@@ -51,13 +51,29 @@ class IdGeneratorService {
             'student': 'STU',
             'instructor': 'INS',
             'admin': 'ADM',
-            'finance': 'FIN'
+            'finance': 'FIN',
+            'finance_officer': 'FIN',
+            'employee': 'EMP'
         };
         
         const prefix = prefixes[role.toLowerCase()] || 'USR';
         return this.generateId(prefix, 10);
     }
 
+    /**
+     * Generate a batch of distinct user IDs (e.g. for a bulk import)
+     * @param {string} role - User role, or 'employee' for staff numbers
+     * @param {number} count - Number of IDs needed
+     * @returns {string[]} - Generated user IDs, no two alike
+     */
+    static generateUserIds(role, count) {
+        const ids = new Set();
+        while (ids.size < count) {
+            ids.add(this.generateUserId(role));
+        }
+        return [...ids];
+    }
+
     /**
      * Generate course ID
      * @returns {string} - Generated course ID
@@ -0,0 +1,126 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const permissionService = require('./permissionService');
+const { ROLES } = require('../../config/constants');
+
+// Impersonation ends by itself so a forgotten tab does not stay signed in as someone else
+const MAX_DURATION_MS = 60 * 60 * 1000;
+
+class ImpersonationService {
+  constructor() {
+    this.maxDurationMinutes = MAX_DURATION_MS / 60000;
+  }
+
+  /**
+   * Start seeing the site as another user. The admin stays signed in; the session only
+   * records who is being impersonated, so every audit entry keeps the admin's id.
+   */
+  async start(admin, targetId, session, { ipAddress, userAgent } = {}) {
+    if (session.impersonation) {
+      throw new Error('Stop impersonating the current user first');
+    }
+
+    const target = await User.findById(targetId);
+    if (!target) {
+      throw new Error('User not found');
+    }
+
+    const reason = await this.getBlockReason(admin, target);
+    if (reason) {
+      throw new Error(reason);
+    }
+
+    session.impersonation = {
+      adminId: admin.id,
+      adminName: admin.name,
+      userId: target.id,
+      userName: target.name,
+      userEmail: target.email,
+      userRole: target.role_name,
+      startedAt: Date.now()
+    };
+
+    console.log(`🎭 ${admin.email} started impersonating ${target.email}`);
+    await AuditLog.record({
+      userId: admin.id,
+      action: 'impersonation_started',
+      resourceType: 'user',
+      resourceId: target.id,
+      description: `Started impersonating ${target.email} (${target.role_name})`,
+      ipAddress,
+      userAgent
+    });
+
+    return target;
+  }
+
+  /**
+   * Why an admin may not impersonate a user, or null if they may
+   */
+  async getBlockReason(admin, target) {
+    if (target.id === admin.id) {
+      return 'You cannot impersonate yourself';
+    }
+    if (!target.is_active) {
+      return 'Inactive users cannot be impersonated';
+    }
+
+    // Nobody may borrow another administrator's access
+    await permissionService.loadFor(target);
+    if (target.role_name === ROLES.ADMIN || permissionService.can(target, 'users.impersonate')) {
+      return 'Administrators cannot be impersonated';
+    }
+
+    return null;
+  }
+
+  /**
+   * End the impersonation held in a session. The reason is recorded with the stop event.
+   */
+  async stop(session, { ipAddress, userAgent, reason = 'stopped by admin' } = {}) {
+    const impersonation = session && session.impersonation;
+    if (!impersonation) {
+      return null;
+    }
+
+    delete session.impersonation;
+
+    const minutes = Math.max(1, Math.round((Date.now() - impersonation.startedAt) / 60000));
+    console.log(`🎭 Impersonation of ${impersonation.userEmail} ended (${reason})`);
+    await AuditLog.record({
+      userId: impersonation.adminId,
+      action: 'impersonation_stopped',
+      resourceType: 'user',
+      resourceId: impersonation.userId,
+      description: `Stopped impersonating ${impersonation.userEmail} after ${minutes} minute(s): ${reason}`,
+      ipAddress,
+      userAgent
+    });
+
+    return impersonation;
+  }
+
+  /**
+   * Whether an impersonation has run past its time limit
+   */
+  isExpired(impersonation) {
+    return Date.now() - impersonation.startedAt > MAX_DURATION_MS;
+  }
+
+  /**
+   * Record a change made while impersonating, under the admin's id
+   */
+  async recordAction(impersonation, method, url, statusCode, ipAddress, userAgent) {
+    await AuditLog.record({
+      userId: impersonation.adminId,
+      action: 'impersonated_action',
+      resourceType: 'user',
+      resourceId: impersonation.userId,
+      description: `${method} ${url} as ${impersonation.userEmail} (${statusCode})`,
+      ipAddress,
+      userAgent
+    });
+  }
+}
+
+module.exports = new ImpersonationService();
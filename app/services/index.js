@@ -7,6 +7,22 @@ const smsService = require('./smsService');
 const notificationService = require('./notificationService');
 const reportService = require('./reportService');
 const fileService = require('./fileService');
+const paymentReconciliationService = require('./paymentReconciliationService');
+const schedulerService = require('./schedulerService');
+const feeReminderService = require('./feeReminderService');
+const twoFactorService = require('./twoFactorService');
+const loginSecurityService = require('./loginSecurityService');
+const tokenService = require('./tokenService');
+const apiKeyService = require('./apiKeyService');
+const permissionService = require('./permissionService');
+const impersonationService = require('./impersonationService');
+const userImportService = require('./userImportService');
+const profileService = require('./profileService');
+const sessionService = require('./sessionService');
+const gradebookService = require('./gradebookService');
+const academicStandingService = require('./academicStandingService');
+const quizService = require('./quizService');
+const rubricService = require('./rubricService');
 
 module.exports = {
   mpesaService,
@@ -15,5 +31,21 @@ module.exports = {
   smsService,
   notificationService,
   reportService,
-  fileService
+  fileService,
+  paymentReconciliationService,
+  schedulerService,
+  feeReminderService,
+  twoFactorService,
+  loginSecurityService,
+  tokenService,
+  apiKeyService,
+  permissionService,
+  impersonationService,
+  userImportService,
+  profileService,
+  sessionService,
+  gradebookService,
+  academicStandingService,
+  quizService,
+  rubricService
 };
\ No newline at end of file
@@ -0,0 +1,339 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const LoginAttempt = require('../models/LoginAttempt');
+const AccountLockout = require('../models/AccountLockout');
+const SystemSetting = require('../models/SystemSetting');
+const AuditLog = require('../models/AuditLog');
+const emailService = require('./emailService');
+const notificationService = require('./notificationService');
+const { NOTIFICATION_CATEGORIES } = require('../../config/constants');
+
+const SETTINGS_CATEGORY = 'security';
+
+// Used until an admin saves their own values
+const DEFAULT_SETTINGS = {
+  lockout_max_attempts: 5,
+  lockout_ip_max_attempts: 20,
+  lockout_window_minutes: 15,
+  // The first lockout lasts this long; each repeat within a day doubles it, up to the maximum
+  lockout_base_minutes: 15,
+  lockout_max_minutes: 24 * 60,
+  new_login_alerts: true
+};
+
+const hashValue = (value) => crypto.createHash('sha256').update(String(value || '')).digest('hex');
+
+// Rough "Chrome on Windows" description for alerts and the admin review
+const describeUserAgent = (userAgent = '') => {
+  const browsers = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+  const systems = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Mac OS', 'macOS'], ['Linux', 'Linux']];
+
+  const browser = (browsers.find(([marker]) => userAgent.includes(marker)) || [null, 'Unknown browser'])[1];
+  const system = (systems.find(([marker]) => userAgent.includes(marker)) || [null, 'unknown device'])[1];
+
+  return `${browser} on ${system}`;
+};
+
+class LoginSecurityService {
+  /**
+   * Current lockout and alert rules
+   */
+  async getSettings() {
+    return SystemSetting.getByCategory(SETTINGS_CATEGORY, DEFAULT_SETTINGS);
+  }
+
+  /**
+   * Describe a request's browser for messages
+   */
+  describeDevice(userAgent) {
+    return describeUserAgent(userAgent);
+  }
+
+  /**
+   * Active lockout for an IP address, checked before the account is even looked up
+   */
+  async getIpLockout(ipAddress) {
+    return AccountLockout.findActive({ ipAddress });
+  }
+
+  /**
+   * Active lockout for an account, checked before the password is compared
+   * so the right password does not get around it
+   */
+  async getAccountLockout(userId) {
+    return AccountLockout.findActive({ userId });
+  }
+
+  /**
+   * Record a failed sign in and lock the account and/or IP once they pass their limits.
+   * Returns { accountLockout, ipLockout, attemptsLeft }.
+   */
+  async recordFailure({ user = null, email, ipAddress, userAgent, reason }) {
+    const settings = await this.getSettings();
+
+    await LoginAttempt.record({
+      userId: user ? user.id : null,
+      email,
+      ipAddress,
+      userAgent,
+      success: false,
+      failureReason: reason
+    });
+
+    let accountLockout = null;
+    let attemptsLeft = null;
+
+    if (user) {
+      const failures = await this.countFailuresSinceReset({ userId: user.id }, settings);
+      attemptsLeft = Math.max(settings.lockout_max_attempts - failures, 0);
+
+      if (failures >= settings.lockout_max_attempts) {
+        accountLockout = await this.lockAccount(user, failures, ipAddress, settings);
+      }
+    }
+
+    let ipLockout = null;
+    const ipFailures = await this.countFailuresSinceReset({ ipAddress }, settings);
+    if (ipFailures >= settings.lockout_ip_max_attempts) {
+      ipLockout = await this.lockIp(ipAddress, ipFailures, settings);
+    }
+
+    return { accountLockout, ipLockout, attemptsLeft };
+  }
+
+  /**
+   * Failures inside the window that came after the last lockout (and, for accounts,
+   * the last successful sign in), so a lockout does not immediately re-trigger
+   */
+  async countFailuresSinceReset(target, settings) {
+    const windowStart = new Date(Date.now() - settings.lockout_window_minutes * 60 * 1000);
+    const latestLockout = await AccountLockout.findLatest(target);
+    const lastSuccess = target.userId ? await LoginAttempt.lastSuccessAt(target.userId) : null;
+
+    const since = [windowStart, latestLockout && latestLockout.created_at, lastSuccess]
+      .filter(Boolean)
+      .map(date => new Date(date))
+      .reduce((latest, date) => (date > latest ? date : latest));
+
+    return LoginAttempt.countFailures(target, since);
+  }
+
+  /**
+   * Lockout length after a number of earlier lockouts: 15, 30, 60 ... minutes
+   */
+  calculateLockoutMinutes(previousLockouts, settings) {
+    return Math.min(
+      settings.lockout_base_minutes * (2 ** previousLockouts),
+      settings.lockout_max_minutes
+    );
+  }
+
+  /**
+   * Lock an account and tell the owner, with a link to unlock it themselves
+   */
+  async lockAccount(user, failures, ipAddress, settings) {
+    const previous = await AccountLockout.countRecent({ userId: user.id });
+    const minutes = this.calculateLockoutMinutes(previous, settings);
+    const unlockToken = crypto.randomBytes(32).toString('hex');
+
+    const lockout = await AccountLockout.create({
+      scope: 'account',
+      userId: user.id,
+      ipAddress,
+      failedAttempts: failures,
+      minutes,
+      unlockTokenHash: hashValue(unlockToken)
+    });
+
+    console.log(`🔒 Account ${user.email} locked for ${minutes} minutes after ${failures} failed attempts`);
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'account_locked',
+      resourceType: 'user',
+      resourceId: user.id,
+      description: `Locked for ${minutes} minutes after ${failures} failed sign-in attempts`,
+      ipAddress
+    });
+
+    const emailResult = await emailService.sendAccountLockedEmail(user, unlockToken, lockout);
+    if (!emailResult || !emailResult.success) {
+      console.error(`❌ Lockout email failed for user ${user.id}:`, emailResult && emailResult.error);
+    }
+
+    await notificationService.createNotification({
+      title: 'Account locked',
+      message: `Your account was locked after ${failures} failed sign-in attempts from ${ipAddress || 'an unknown address'}. If this wasn't you, change your password.`,
+      type: notificationService.types.WARNING,
+      priority: 'high',
+      channels: [notificationService.channels.IN_APP],
+      category: NOTIFICATION_CATEGORIES.SECURITY,
+      recipientIds: [user.id],
+      relatedEntity: 'account_lockout',
+      relatedEntityId: lockout.id
+    });
+
+    return lockout;
+  }
+
+  /**
+   * Lock out an IP address that keeps failing across accounts
+   */
+  async lockIp(ipAddress, failures, settings) {
+    const previous = await AccountLockout.countRecent({ ipAddress });
+    const minutes = this.calculateLockoutMinutes(previous, settings);
+
+    const lockout = await AccountLockout.create({
+      scope: 'ip',
+      ipAddress,
+      failedAttempts: failures,
+      minutes
+    });
+
+    console.log(`🔒 IP ${ipAddress} locked for ${minutes} minutes after ${failures} failed attempts`);
+
+    await AuditLog.record({
+      action: 'ip_locked',
+      resourceType: 'ip_address',
+      description: `IP ${ipAddress} locked for ${minutes} minutes after ${failures} failed sign-in attempts`,
+      ipAddress
+    });
+
+    return lockout;
+  }
+
+  /**
+   * Record a successful sign in and alert the user when it comes from a new browser or IP
+   */
+  async recordSuccess(user, { ipAddress, userAgent }) {
+    const settings = await this.getSettings();
+    const deviceHash = hashValue(userAgent);
+    const device = await LoginAttempt.checkDevice(user.id, deviceHash, ipAddress);
+
+    // Nothing to compare against on the very first sign in
+    const reasons = [];
+    if (!device.firstLogin) {
+      if (!device.knownDevice) reasons.push('new device');
+      if (!device.knownIp) reasons.push('new IP address');
+    }
+    const unusualReason = reasons.length > 0 ? reasons.join(', ') : null;
+
+    await LoginAttempt.record({
+      userId: user.id,
+      email: user.email,
+      ipAddress,
+      userAgent,
+      success: true,
+      unusualReason
+    });
+    await LoginAttempt.rememberDevice(user.id, deviceHash, ipAddress, userAgent);
+
+    if (unusualReason) {
+      console.log(`⚠️ Unusual login for ${user.email}: ${unusualReason} (${ipAddress})`);
+
+      await AuditLog.record({
+        userId: user.id,
+        action: 'unusual_login',
+        resourceType: 'user',
+        resourceId: user.id,
+        description: `Sign in from ${unusualReason}: ${describeUserAgent(userAgent)}`,
+        ipAddress,
+        userAgent
+      });
+
+      if (settings.new_login_alerts) {
+        await notificationService.createNotification({
+          title: 'New sign-in to your account',
+          message: `Your account was signed in to from ${describeUserAgent(userAgent)} at IP address ${ipAddress} on ${new Date().toLocaleString()}. If this wasn't you, reset your password straight away.`,
+          type: notificationService.types.WARNING,
+          priority: 'high',
+          channels: [notificationService.channels.IN_APP, notificationService.channels.EMAIL],
+          category: NOTIFICATION_CATEGORIES.SECURITY,
+          recipientIds: [user.id],
+          actionUrl: `${process.env.APP_URL || 'http://localhost:3000'}/auth/forgot-password`
+        });
+      }
+    }
+
+    return { unusualReason };
+  }
+
+  /**
+   * Record a sign in that has passed every step. It resets the failure count towards a lockout,
+   * so it must only run after the second factor, never between the password and the code.
+   */
+  async recordLogin(user, { ipAddress, userAgent }) {
+    const result = await this.recordSuccess(user, { ipAddress, userAgent });
+    await User.updateLastLogin(user.id);
+    await AuditLog.record({
+      userId: user.id,
+      action: 'login',
+      resourceType: 'user',
+      resourceId: user.id,
+      description: 'Signed in',
+      ipAddress,
+      userAgent
+    });
+    return result;
+  }
+
+  /**
+   * Lift an account lockout from the emailed link
+   */
+  async unlockWithToken(token, ipAddress) {
+    if (!token) return null;
+
+    const lockout = await AccountLockout.unlockByToken(hashValue(token));
+    if (lockout) {
+      await AuditLog.record({
+        userId: lockout.user_id,
+        action: 'account_unlocked',
+        resourceType: 'user',
+        resourceId: lockout.user_id,
+        description: 'Unlocked using the emailed link',
+        ipAddress
+      });
+    }
+
+    return lockout;
+  }
+
+  /**
+   * Lift any lockout from the admin security review
+   */
+  async unlockByAdmin(lockoutId, admin, ipAddress) {
+    const unlocked = await AccountLockout.unlock(lockoutId, admin.id);
+    if (unlocked) {
+      await AuditLog.record({
+        userId: admin.id,
+        action: 'lockout_lifted',
+        resourceType: 'account_lockout',
+        resourceId: lockoutId,
+        description: `Lockout #${lockoutId} lifted by ${admin.name || admin.email}`,
+        ipAddress
+      });
+    }
+    return unlocked;
+  }
+
+  /**
+   * Lockouts, unusual sign ins and failure totals for the admin security review
+   */
+  async getSecurityOverview(days = 7) {
+    const [lockouts, unusualLogins, failures] = await Promise.all([
+      AccountLockout.findRecent(days),
+      LoginAttempt.findUnusual(days),
+      LoginAttempt.getFailureSummary(24)
+    ]);
+
+    return {
+      days,
+      lockouts: lockouts.map(lockout => ({ ...lockout, is_active: !!lockout.is_active })),
+      activeLockouts: lockouts.filter(lockout => lockout.is_active).length,
+      unusualLogins: unusualLogins.map(login => ({ ...login, device: describeUserAgent(login.user_agent || '') })),
+      failures
+    };
+  }
+}
+
+module.exports = new LoginSecurityService();
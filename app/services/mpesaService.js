@@ -1,8 +1,34 @@
 const axios = require('axios');
 const crypto = require('crypto');
+const moment = require('moment');
 const db = require('../../config/database');
+const { pool, transaction } = require('../../config/database');
 const Payment = require('../models/Payment');
-const { Generators, Validators } = require('../utils');
+const User = require('../models/User');
+const StudentLedger = require('../models/StudentLedger');
+const FeeSchedule = require('../models/FeeSchedule');
+const PaymentRefund = require('../models/PaymentRefund');
+const MpesaCallback = require('../models/MpesaCallback');
+const AuditLog = require('../models/AuditLog');
+const notificationService = require('./notificationService');
+const { PAYMENT_STATUS, CALLBACK_STATUS, REFUND_STATUS, LEDGER_ENTRY_TYPES, LEDGER_DIRECTIONS } = require('../../config/constants');
+const { Generators, formatPhoneNumber } = require('../utils');
+
+// Transaction Status query answers that settle a refund either way; anything else leaves it unknown
+const SETTLED_TRANSACTION_STATUSES = {
+  completed: REFUND_STATUS.COMPLETED,
+  failed: REFUND_STATUS.FAILED,
+  cancelled: REFUND_STATUS.FAILED,
+  declined: REFUND_STATUS.FAILED,
+  expired: REFUND_STATUS.FAILED
+};
+
+// M-Pesa only moves whole shillings; an amount with cents is refused rather than rounded,
+// so the ledger always records what was actually sent
+const wholeShillings = (amount) => {
+  const value = Number(amount);
+  return Number.isInteger(value) && value >= 1 ? value : null;
+};
 
 class MpesaService {
   constructor() {
@@ -11,9 +37,12 @@ class MpesaService {
     this.businessShortCode = process.env.MPESA_BUSINESS_SHORTCODE;
     this.passkey = process.env.MPESA_PASSKEY;
     this.environment = process.env.MPESA_ENVIRONMENT || 'sandbox';
-    this.baseURL = this.environment === 'production' 
+    // MPESA_BASE_URL points the service at another Daraja host, e.g. a local mock server
+    this.baseURL = process.env.MPESA_BASE_URL || (this.environment === 'production' 
       ? 'https://api.safaricom.co.ke' 
-      : 'https://sandbox.safaricom.co.ke';
+      : 'https://sandbox.safaricom.co.ke');
+    this.initiatorName = process.env.MPESA_INITIATOR_NAME;
+    this.securityCredential = process.env.MPESA_SECURITY_CREDENTIAL;
     
     this.accessToken = null;
     this.tokenExpiry = null;
@@ -82,39 +111,84 @@ class MpesaService {
     return { password, timestamp };
   }
 
+  /**
+   * Generate the secret token that ties a callback URL to one payment request
+   */
+  generateCallbackToken() {
+    return crypto.randomBytes(24).toString('hex');
+  }
+
+  /**
+   * Secret path token for a fixed callback URL (C2B, B2C), an HMAC of the URL's name under
+   * MPESA_CALLBACK_SECRET so each registered URL has its own token. Null when no secret is set.
+   */
+  callbackUrlToken(name) {
+    const secret = process.env.MPESA_CALLBACK_SECRET;
+    if (!secret) return null;
+
+    return crypto.createHmac('sha256', secret).update(name).digest('hex');
+  }
+
+  /**
+   * A callback URL with its secret token appended
+   */
+  callbackUrl(baseUrl, name) {
+    const token = this.callbackUrlToken(name);
+    if (!baseUrl || !token) {
+      throw new Error(`M-Pesa ${name} URL needs its base URL and MPESA_CALLBACK_SECRET set`);
+    }
+
+    return `${baseUrl.replace(/\/+$/, '')}/${token}`;
+  }
+
+  /**
+   * Check the token in a fixed callback URL against the one issued for it
+   */
+  verifyCallbackUrlToken(name, token) {
+    const issued = this.callbackUrlToken(name);
+    if (!issued || !token) return false;
+
+    const expected = Buffer.from(issued);
+    const received = Buffer.from(String(token));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
   /**
    * Initiate STK Push payment
    */
-  async initiateSTKPush(phone, amount, accountReference, description) {
+  async initiateSTKPush(phone, amount, accountReference, description, callbackToken = null) {
     try {
       console.log(`💰 Initiating STK Push for ${phone}, Amount: ${amount}`);
       
+      // Format phone number
+      const cleanPhone = formatPhoneNumber(phone);
+
       // Validate inputs
-      if (!Validators.isValidPhone(phone)) {
+      if (!cleanPhone || !/^254[17]\d{8}$/.test(cleanPhone)) {
         throw new Error('Invalid phone number format');
       }
 
-      if (!Validators.isValidAmount(amount)) {
-        throw new Error('Invalid amount');
+      const shillings = wholeShillings(amount);
+      if (!shillings) {
+        throw new Error('Invalid amount: M-Pesa payments must be a whole number of shillings');
       }
 
       const accessToken = await this.getValidAccessToken();
       const { password, timestamp } = this.generatePassword();
-      
-      // Format phone number
-      const formattedPhone = Validators.formatPhone(phone);
-      const cleanPhone = formattedPhone.replace('+', '');
 
       const requestData = {
         BusinessShortCode: this.businessShortCode,
         Password: password,
         Timestamp: timestamp,
         TransactionType: 'CustomerPayBillOnline',
-        Amount: Math.round(amount),
+        Amount: shillings,
         PartyA: cleanPhone,
         PartyB: this.businessShortCode,
         PhoneNumber: cleanPhone,
-        CallBackURL: process.env.MPESA_CALLBACK_URL,
+        CallBackURL: callbackToken
+          ? `${process.env.MPESA_CALLBACK_URL}/${callbackToken}`
+          : process.env.MPESA_CALLBACK_URL,
         AccountReference: accountReference.substring(0, 12), // Max 12 characters
         TransactionDesc: description.substring(0, 13) // Max 13 characters
       };
@@ -164,198 +238,879 @@ class MpesaService {
     }
   }
 
+  /**
+   * Check the secret token in the callback URL against the one issued for the payment
+   */
+  async verifyCallbackToken(checkoutRequestID, token) {
+    if (!token) return false;
+
+    const [payments] = await pool.query(
+      'SELECT callback_token FROM payments WHERE checkout_request_id = ?',
+      [checkoutRequestID]
+    );
+
+    if (payments.length === 0 || !payments[0].callback_token) return false;
+
+    const expected = Buffer.from(payments[0].callback_token);
+    const received = Buffer.from(String(token));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  /**
+   * Read a named value from STK callback metadata
+   */
+  getCallbackItem(stkCallback, name) {
+    const items = stkCallback.CallbackMetadata?.Item || [];
+    const item = items.find(entry => entry.Name === name);
+    return item ? item.Value : null;
+  }
+
+  /**
+   * Verify an STK callback, store it in the inbox and process it once
+   */
+  async receiveSTKCallback(callbackData, { token = null, sourceIp = null } = {}) {
+    const stkCallback = callbackData?.Body?.stkCallback;
+
+    if (!stkCallback || !stkCallback.CheckoutRequestID) {
+      return { accepted: false, reason: 'Invalid callback data: Missing stkCallback' };
+    }
+
+    const checkoutRequestID = stkCallback.CheckoutRequestID;
+
+    if (!(await this.verifyCallbackToken(checkoutRequestID, token))) {
+      console.error(`❌ Rejected M-Pesa callback for ${checkoutRequestID} from ${sourceIp}: bad token`);
+      await this.logError('callback_rejected', `Invalid callback token for ${checkoutRequestID}`, { sourceIp, callbackData });
+      return { accepted: false, reason: 'Invalid callback token' };
+    }
+
+    const entry = await MpesaCallback.record({
+      callback_type: 'stk',
+      idempotency_key: checkoutRequestID,
+      receipt_number: this.getCallbackItem(stkCallback, 'MpesaReceiptNumber'),
+      payload: callbackData,
+      source_ip: sourceIp
+    });
+
+    if (entry.duplicate) {
+      console.log(`ℹ️ Duplicate M-Pesa callback for ${checkoutRequestID} ignored`);
+      return { accepted: true, duplicate: true };
+    }
+
+    const result = await this.processCallbackEntry(entry.id);
+
+    return { accepted: true, duplicate: false, processed: result.success };
+  }
+
+  /**
+   * Process a stored callback, recording the outcome on the inbox entry
+   */
+  async processCallbackEntry(callbackId) {
+    const entry = await MpesaCallback.findById(callbackId);
+
+    if (!entry) {
+      throw new Error('Callback not found');
+    }
+
+    if (entry.status === CALLBACK_STATUS.PROCESSED) {
+      return { success: true, alreadyProcessed: true };
+    }
+
+    try {
+      await this.handleCallback(JSON.parse(entry.payload));
+      await MpesaCallback.markProcessed(entry.id);
+
+      return { success: true };
+    } catch (error) {
+      console.error(`❌ Processing M-Pesa callback ${entry.id} failed:`, error);
+      await MpesaCallback.markFailed(entry.id, error.message);
+      await this.logError('callback_handling', error.message, { callbackId: entry.id });
+
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Retry a callback whose processing failed
+   */
+  async retryCallback(callbackId) {
+    const entry = await MpesaCallback.findById(callbackId);
+
+    if (!entry) {
+      throw new Error('Callback not found');
+    }
+
+    if (entry.status !== CALLBACK_STATUS.FAILED) {
+      throw new Error(`Only failed callbacks can be retried (this one is ${entry.status})`);
+    }
+
+    return this.processCallbackEntry(entry.id);
+  }
+
   /**
    * Handle M-Pesa callback
    */
   async handleCallback(callbackData) {
-    try {
-      console.log('📞 Received M-Pesa callback:', JSON.stringify(callbackData, null, 2));
+    console.log('📞 Received M-Pesa callback:', JSON.stringify(callbackData, null, 2));
+
+    const stkCallback = callbackData?.Body?.stkCallback;
+
+    if (!stkCallback) {
+      throw new Error('Invalid callback data: Missing stkCallback');
+    }
+
+    const resultCode = stkCallback.ResultCode;
+    const resultDesc = stkCallback.ResultDesc;
+    const checkoutRequestID = stkCallback.CheckoutRequestID;
+    const merchantRequestID = stkCallback.MerchantRequestID;
 
-      const body = callbackData.Body;
-      const stkCallback = body.stkCallback;
+    if (parseInt(resultCode) === 0) {
+      // Payment successful
+      const amount = this.getCallbackItem(stkCallback, 'Amount');
+      const mpesaReceiptNumber = this.getCallbackItem(stkCallback, 'MpesaReceiptNumber');
+      const transactionDate = this.getCallbackItem(stkCallback, 'TransactionDate');
+      const phoneNumber = this.getCallbackItem(stkCallback, 'PhoneNumber');
 
-      if (!stkCallback) {
-        throw new Error('Invalid callback data: Missing stkCallback');
+      if (!mpesaReceiptNumber) {
+        throw new Error('Missing M-Pesa receipt number in callback');
       }
 
-      const resultCode = stkCallback.ResultCode;
-      const resultDesc = stkCallback.ResultDesc;
-      const checkoutRequestID = stkCallback.CheckoutRequestID;
-      const merchantRequestID = stkCallback.MerchantRequestID;
+      console.log('✅ Payment successful:', {
+        receipt: mpesaReceiptNumber,
+        amount: amount,
+        phone: phoneNumber,
+        transactionDate: transactionDate
+      });
 
-      // Log callback receipt
-      await this.logCallback(callbackData);
+      // Update payment status in database
+      await this.updatePaymentStatus(
+        checkoutRequestID,
+        PAYMENT_STATUS.COMPLETED,
+        mpesaReceiptNumber,
+        amount,
+        phoneNumber,
+        transactionDate
+      );
 
-      if (parseInt(resultCode) === 0) {
-        // Payment successful
-        const metadata = stkCallback.CallbackMetadata;
-        
-        if (!metadata || !metadata.Item) {
-          throw new Error('Invalid callback data: Missing metadata');
+      return {
+        success: true,
+        receipt: mpesaReceiptNumber,
+        amount: amount,
+        phone: phoneNumber,
+        transactionDate: transactionDate,
+        checkoutRequestID: checkoutRequestID,
+        merchantRequestID: merchantRequestID
+      };
+    }
+
+    // Payment failed
+    console.log('❌ Payment failed:', {
+      resultCode: resultCode,
+      resultDesc: resultDesc,
+      checkoutRequestID: checkoutRequestID
+    });
+
+    // Update payment status to failed
+    await this.updatePaymentStatus(
+      checkoutRequestID,
+      PAYMENT_STATUS.FAILED,
+      null,
+      null,
+      null,
+      null,
+      resultDesc
+    );
+
+    return {
+      success: false,
+      error: resultDesc,
+      resultCode: resultCode,
+      checkoutRequestID: checkoutRequestID
+    };
+  }
+
+  /**
+   * Update payment status in database.
+   * Only a pending payment is settled, so a repeated result leaves it untouched and returns false.
+   * A success reported for a payment already marked failed is flagged for finance review instead.
+   */
+  async updatePaymentStatus(checkoutRequestID, status, receiptNumber = null, amount = null, phone = null, transactionDate = null, failureReason = null) {
+    try {
+      let lateSuccess = null;
+
+      const payment = await transaction(async (connection) => {
+        const [payments] = await connection.query(
+          'SELECT * FROM payments WHERE checkout_request_id = ? FOR UPDATE',
+          [checkoutRequestID]
+        );
+
+        if (payments.length === 0) {
+          throw new Error(`Payment not found for checkout request ID: ${checkoutRequestID}`);
         }
 
-        const items = metadata.Item;
-        let amount, mpesaReceiptNumber, transactionDate, phoneNumber;
+        const payment = payments[0];
 
-        items.forEach(item => {
-          if (item.Name === 'Amount') amount = item.Value;
-          if (item.Name === 'MpesaReceiptNumber') mpesaReceiptNumber = item.Value;
-          if (item.Name === 'TransactionDate') transactionDate = item.Value;
-          if (item.Name === 'PhoneNumber') phoneNumber = item.Value;
-        });
+        if (payment.status !== PAYMENT_STATUS.PENDING) {
+          // A status query settles payments without a receipt; a late callback can still supply it
+          if (status === PAYMENT_STATUS.COMPLETED && payment.status === PAYMENT_STATUS.COMPLETED &&
+              receiptNumber && !payment.transaction_id) {
+            await connection.query(
+              'UPDATE payments SET transaction_id = ? WHERE id = ?',
+              [receiptNumber, payment.id]
+            );
+          }
+
+          // M-Pesa took the money after we gave up on the payment; a finance officer decides what happens
+          if (status === PAYMENT_STATUS.COMPLETED &&
+              [PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELLED].includes(payment.status)) {
+            await this.flagLateSuccess(payment, receiptNumber, connection);
+            lateSuccess = payment;
+          }
 
-        if (!mpesaReceiptNumber) {
-          throw new Error('Missing M-Pesa receipt number in callback');
+          console.log(`ℹ️ Payment ${payment.id} already ${payment.status}, ignoring ${status} result`);
+          return null;
         }
 
-        console.log('✅ Payment successful:', {
-          receipt: mpesaReceiptNumber,
-          amount: amount,
-          phone: phoneNumber,
-          transactionDate: transactionDate
-        });
+        if (status === PAYMENT_STATUS.COMPLETED) {
+          // A receipt number can only ever settle one payment
+          const [receipts] = await connection.query(
+            "SELECT id FROM payments WHERE transaction_id = ? AND payment_method = 'mpesa' AND id <> ?",
+            [receiptNumber, payment.id]
+          );
 
-        // Update payment status in database
-        await this.updatePaymentStatus(
-          checkoutRequestID,
-          'completed',
-          mpesaReceiptNumber,
-          amount,
-          phoneNumber,
-          transactionDate
-        );
+          if (receipts.length > 0) {
+            throw new Error(`M-Pesa receipt ${receiptNumber} is already recorded on payment ${receipts[0].id}`);
+          }
 
-        return {
-          success: true,
-          receipt: mpesaReceiptNumber,
-          amount: amount,
-          phone: phoneNumber,
-          transactionDate: transactionDate,
-          checkoutRequestID: checkoutRequestID,
-          merchantRequestID: merchantRequestID
-        };
-      } else {
-        // Payment failed
-        console.log('❌ Payment failed:', {
-          resultCode: resultCode,
-          resultDesc: resultDesc,
-          checkoutRequestID: checkoutRequestID
-        });
+          // The student is credited with what M-Pesa actually took, which is recorded on the payment
+          if (amount !== null && parseFloat(amount) !== parseFloat(payment.amount)) {
+            console.warn(`⚠️ Payment ${payment.id} requested ${payment.amount} but M-Pesa reported ${amount}; recording ${amount}`);
+            payment.amount = parseFloat(amount);
+          }
 
-        // Update payment status to failed
-        await this.updatePaymentStatus(
-          checkoutRequestID,
-          'failed',
-          null,
-          null,
-          null,
-          null,
-          resultDesc
-        );
+          await connection.query(
+            `UPDATE payments
+             SET status = ?, amount = ?, transaction_id = ?, phone_number = COALESCE(?, phone_number), payment_date = ?
+             WHERE id = ?`,
+            [
+              PAYMENT_STATUS.COMPLETED,
+              payment.amount,
+              receiptNumber,
+              phone ? String(phone) : null,
+              transactionDate ? moment(String(transactionDate), 'YYYYMMDDHHmmss').toDate() : new Date(),
+              payment.id
+            ]
+          );
 
-        return {
-          success: false,
-          error: resultDesc,
-          resultCode: resultCode,
-          checkoutRequestID: checkoutRequestID
-        };
+          await this.creditStudentLedger(payment, receiptNumber, connection);
+        } else {
+          await connection.query(
+            'UPDATE payments SET status = ?, failure_reason = ? WHERE id = ?',
+            [status, failureReason, payment.id]
+          );
+        }
+
+        return payment;
+      });
+
+      if (lateSuccess) {
+        await this.logError('late_success_on_failed_payment',
+          `Payment ${lateSuccess.id} was ${lateSuccess.status} but M-Pesa reported it completed`,
+          { paymentId: lateSuccess.id, checkoutRequestID, receiptNumber });
+      }
+
+      if (!payment) {
+        return false;
+      }
+
+      console.log(`✅ Payment ${payment.id} updated to status: ${status}`);
+
+      // Let the student know once the payment is safely recorded
+      if (status === PAYMENT_STATUS.COMPLETED) {
+        await this.notifyPaymentReceived(payment, receiptNumber);
       }
+
+      return true;
     } catch (error) {
-      console.error('❌ M-Pesa callback handling failed:', error);
-      
-      // Log error
-      await this.logError('callback_handling', error.message, callbackData);
-      
+      console.error('❌ Error updating payment status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Hold a payment that M-Pesa completed after it was marked failed, keeping the receipt for review.
+   * The receipt is only recorded when no other payment already carries it.
+   */
+  async flagLateSuccess(payment, receiptNumber, connection) {
+    let receipt = null;
+
+    if (receiptNumber && !payment.transaction_id) {
+      const [receipts] = await connection.query(
+        "SELECT id FROM payments WHERE transaction_id = ? AND payment_method = 'mpesa' AND id <> ?",
+        [receiptNumber, payment.id]
+      );
+      receipt = receipts.length === 0 ? receiptNumber : null;
+    }
+
+    const reason = receiptNumber
+      ? `M-Pesa reported receipt ${receiptNumber} after the payment was marked ${payment.status}`
+      : `M-Pesa reported success after the payment was marked ${payment.status}`;
+
+    await connection.query(
+      `UPDATE payments
+       SET review_required = 1, review_reason = ?, transaction_id = COALESCE(transaction_id, ?)
+       WHERE id = ?`,
+      [reason, receipt, payment.id]
+    );
+
+    console.warn(`⚠️ Payment ${payment.id} flagged for review: ${reason}`);
+  }
+
+  /**
+   * Complete a payment flagged as a late success once a finance officer has confirmed the money arrived
+   */
+  async acceptLateSuccess(paymentId, { reviewedBy, ipAddress = null, userAgent = null }) {
+    const payment = await transaction(async (connection) => {
+      const [payments] = await connection.query(
+        'SELECT * FROM payments WHERE id = ? FOR UPDATE',
+        [paymentId]
+      );
+
+      if (payments.length === 0) {
+        throw new Error('Payment not found');
+      }
+
+      const payment = payments[0];
+
+      if (!payment.review_required ||
+          ![PAYMENT_STATUS.FAILED, PAYMENT_STATUS.CANCELLED].includes(payment.status)) {
+        throw new Error('Payment is not awaiting review');
+      }
+
+      await connection.query(
+        `UPDATE payments
+         SET status = ?, review_required = 0, failure_reason = NULL, payment_date = COALESCE(payment_date, NOW())
+         WHERE id = ?`,
+        [PAYMENT_STATUS.COMPLETED, payment.id]
+      );
+
+      await this.creditStudentLedger(payment, payment.transaction_id, connection);
+
+      await AuditLog.create({
+        userId: reviewedBy,
+        action: 'payment_late_success_accepted',
+        resourceType: 'payment',
+        resourceId: payment.id,
+        description: payment.review_reason,
+        ipAddress,
+        userAgent
+      }, connection);
+
+      return payment;
+    });
+
+    await this.notifyPaymentReceived(payment);
+
+    return payment;
+  }
+
+  /**
+   * Credit the student ledger for a completed payment inside the caller's transaction
+   */
+  async creditStudentLedger(payment, receiptNumber, connection) {
+    const entry = await StudentLedger.postEntry({
+      student_id: payment.student_id,
+      entry_type: LEDGER_ENTRY_TYPES.PAYMENT,
+      direction: LEDGER_DIRECTIONS.CREDIT,
+      amount: payment.amount,
+      description: receiptNumber ? `M-Pesa payment ${receiptNumber}` : 'M-Pesa payment',
+      reference_type: 'payment',
+      reference_id: payment.id
+    }, connection);
+
+    await FeeSchedule.allocatePayments(payment.student_id, connection);
+
+    console.log(`✅ Credited student ${payment.student_id} ledger, balance now ${entry.balance_after}`);
+  }
+
+  /**
+   * Tell the student a payment has been received
+   */
+  async notifyPaymentReceived(payment, receiptNumber = null) {
+    try {
+      await notificationService.createPaymentNotification(
+        { ...payment, transaction_id: receiptNumber || payment.transaction_id },
+        { id: payment.student_id },
+        'success'
+      );
+    } catch (error) {
+      console.error('❌ Error sending payment notification:', error);
+      // Don't throw error as this shouldn't fail the main payment process
+    }
+  }
+
+  /**
+   * Register C2B validation and confirmation URLs for the paybill
+   */
+  async registerC2BUrls() {
+    try {
+      const accessToken = await this.getValidAccessToken();
+
+      const requestData = {
+        ShortCode: this.businessShortCode,
+        // What M-Pesa does if our validation URL cannot be reached
+        ResponseType: process.env.MPESA_C2B_RESPONSE_TYPE || 'Completed',
+        ConfirmationURL: this.callbackUrl(process.env.MPESA_C2B_CONFIRMATION_URL, 'c2b_confirmation'),
+        ValidationURL: this.callbackUrl(process.env.MPESA_C2B_VALIDATION_URL, 'c2b_validation')
+      };
+
+      console.log('📤 Registering C2B URLs for shortcode', requestData.ShortCode);
+
+      const response = await axios.post(
+        `${this.baseURL}/mpesa/c2b/v1/registerurl`,
+        requestData,
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+
+      console.log('📥 C2B register response:', response.data);
+
+      return {
+        success: true,
+        response: response.data
+      };
+    } catch (error) {
+      console.error('❌ C2B URL registration failed:', error.response?.data || error.message);
+
       return {
         success: false,
-        error: error.message
+        error: error.response?.data?.errorMessage || error.message
       };
     }
   }
 
   /**
-   * Update payment status in database
+   * Normalize the account number a payer typed on their phone
    */
-  async updatePaymentStatus(checkoutRequestID, status, receiptNumber = null, amount = null, phone = null, transactionDate = null, failureReason = null) {
+  normalizeAccountReference(billRefNumber) {
+    return (billRefNumber || '').toString().trim().toUpperCase();
+  }
+
+  /**
+   * Find the student a paybill account reference belongs to
+   */
+  async findStudentByAccountReference(billRefNumber) {
+    const accountNumber = this.normalizeAccountReference(billRefNumber);
+    if (!accountNumber) return null;
+
+    const user = await User.findByStudentId(accountNumber);
+    return user && user.role_name === 'student' ? user : null;
+  }
+
+  /**
+   * Validate a C2B paybill payment before M-Pesa completes it
+   */
+  async validateC2BPayment(validationData) {
     try {
-      // Find payment by checkout request ID
-      const payments = await db.query(
-        'SELECT * FROM payments WHERE checkout_request_id = ?',
-        [checkoutRequestID]
+      console.log('📞 Received C2B validation:', JSON.stringify(validationData));
+
+      if (this.businessShortCode && String(validationData.BusinessShortCode) !== String(this.businessShortCode)) {
+        return { ResultCode: 'C2B00015', ResultDesc: 'Rejected' };
+      }
+
+      if (!(parseFloat(validationData.TransAmount) > 0)) {
+        return { ResultCode: 'C2B00013', ResultDesc: 'Rejected' };
+      }
+
+      const student = await this.findStudentByAccountReference(validationData.BillRefNumber);
+      if (!student) {
+        console.log(`❌ Rejecting C2B payment for unknown account: ${validationData.BillRefNumber}`);
+        return { ResultCode: 'C2B00012', ResultDesc: 'Rejected' };
+      }
+
+      return { ResultCode: '0', ResultDesc: 'Accepted' };
+    } catch (error) {
+      console.error('❌ C2B validation failed:', error);
+      await this.logError('c2b_validation', error.message, validationData);
+
+      return { ResultCode: 'C2B00016', ResultDesc: 'Rejected' };
+    }
+  }
+
+  /**
+   * Record a confirmed C2B paybill payment and credit the student
+   */
+  async handleC2BConfirmation(confirmationData) {
+    try {
+      console.log('📞 Received C2B confirmation:', JSON.stringify(confirmationData));
+
+      const transactionId = confirmationData.TransID;
+      const amount = parseFloat(confirmationData.TransAmount);
+
+      if (!transactionId || !(amount > 0)) {
+        throw new Error('Invalid C2B confirmation: missing TransID or TransAmount');
+      }
+
+      const student = await this.findStudentByAccountReference(confirmationData.BillRefNumber);
+      const paymentDate = confirmationData.TransTime
+        ? moment(confirmationData.TransTime, 'YYYYMMDDHHmmss').toDate()
+        : new Date();
+
+      const payment = await transaction(async (connection) => {
+        // Confirmations can arrive more than once; the receipt number makes a repeat a no-op
+        const [existing] = await connection.query(
+          "SELECT id FROM payments WHERE transaction_id = ? AND payment_method = 'mpesa' FOR UPDATE",
+          [transactionId]
+        );
+        if (existing.length > 0) return null;
+
+        // Payments for accounts we cannot match are kept as pending for finance to allocate
+        const [result] = await connection.query(
+          `INSERT INTO payments (student_id, amount, payment_method, transaction_id, status, payment_date)
+           VALUES (?, ?, 'mpesa', ?, ?, ?)`,
+          [student ? student.id : null, amount, transactionId, student ? 'completed' : 'pending', paymentDate]
+        );
+
+        const payment = {
+          id: result.insertId,
+          student_id: student ? student.id : null,
+          amount,
+          transaction_id: transactionId
+        };
+
+        if (student) {
+          await StudentLedger.postEntry({
+            student_id: student.id,
+            entry_type: LEDGER_ENTRY_TYPES.PAYMENT,
+            direction: LEDGER_DIRECTIONS.CREDIT,
+            amount,
+            description: `M-Pesa paybill payment ${transactionId}`,
+            reference_type: 'payment',
+            reference_id: payment.id
+          }, connection);
+
+          await FeeSchedule.allocatePayments(student.id, connection);
+        }
+
+        return payment;
+      });
+
+      if (!payment) {
+        console.log(`ℹ️ C2B transaction ${transactionId} already recorded`);
+      } else if (payment.student_id) {
+        console.log(`✅ C2B payment ${transactionId} credited to student ${payment.student_id}`);
+        await this.notifyPaymentReceived(payment, transactionId);
+      } else {
+        console.error(`❌ C2B payment ${transactionId} has unknown account: ${confirmationData.BillRefNumber}`);
+        await this.logError('c2b_unmatched_account', `No student for account ${confirmationData.BillRefNumber}`, confirmationData);
+      }
+
+      return { ResultCode: '0', ResultDesc: 'Accepted' };
+    } catch (error) {
+      console.error('❌ C2B confirmation handling failed:', error);
+      await this.logError('c2b_confirmation', error.message, confirmationData);
+
+      return { ResultCode: '1', ResultDesc: 'Failed' };
+    }
+  }
+
+  /**
+   * Refund a completed payment to the payer's phone through B2C
+   */
+  async refundPayment(paymentId, { phone, reason, requestedBy, ipAddress = null, userAgent = null }) {
+    const refund = await PaymentRefund.request({
+      payment_id: paymentId,
+      phone: formatPhoneNumber(phone),
+      reason,
+      requested_by: requestedBy,
+      ip_address: ipAddress,
+      user_agent: userAgent
+    });
+
+    try {
+      const response = await this.initiateB2CPayment(
+        refund.phone,
+        refund.amount,
+        `Refund of payment ${refund.payment_id}`,
+        `REFUND-${refund.id}`,
+        refund.originator_conversation_id
       );
 
-      if (payments.length === 0) {
-        console.error('❌ Payment not found for checkout request ID:', checkoutRequestID);
-        return false;
+      await PaymentRefund.attachConversation(
+        refund.id,
+        response.ConversationID,
+        response.OriginatorConversationID || refund.originator_conversation_id
+      );
+
+      console.log(`✅ Refund ${refund.id} for payment ${paymentId} submitted to M-Pesa`);
+
+      return { ...refund, status: REFUND_STATUS.PENDING, conversation_id: response.ConversationID };
+    } catch (error) {
+      if (error.rejected) {
+        // M-Pesa turned the request down, so no money moved and the payment can be released
+        await PaymentRefund.fail(refund.id, { result_desc: error.message });
+        throw error;
       }
 
-      const payment = payments[0];
-      const updateData = {
-        status: status,
-        updated_at: new Date()
+      // A timeout or dropped connection may come after M-Pesa accepted the request; releasing the
+      // payment now could pay it out twice, so leave it for a Transaction Status query to settle
+      await PaymentRefund.markUnknown(refund.id, { result_desc: error.message });
+      await this.logError('b2c_outcome_unknown', error.message, { refundId: refund.id, paymentId });
+
+      return { ...refund, status: REFUND_STATUS.UNKNOWN };
+    }
+  }
+
+  /**
+   * Send a B2C payment request. A thrown error has `rejected` set when M-Pesa definitely did not take
+   * the request (it was never sent, or M-Pesa answered with a refusal); otherwise its outcome is unknown.
+   */
+  async initiateB2CPayment(phone, amount, remarks, occasion, originatorConversationId) {
+    let sent = false;
+
+    try {
+      console.log(`💸 Initiating B2C payment to ${phone}, Amount: ${amount}`);
+
+      const shillings = wholeShillings(amount);
+      if (!shillings) {
+        throw new Error(`Invalid amount ${amount}: M-Pesa refunds must be a whole number of shillings`);
+      }
+
+      const accessToken = await this.getValidAccessToken();
+
+      const requestData = {
+        OriginatorConversationID: originatorConversationId,
+        InitiatorName: this.initiatorName,
+        SecurityCredential: this.securityCredential,
+        CommandID: 'BusinessPayment',
+        Amount: shillings,
+        PartyA: this.businessShortCode,
+        PartyB: phone,
+        Remarks: remarks,
+        QueueTimeOutURL: this.callbackUrl(process.env.MPESA_B2C_TIMEOUT_URL, 'b2c_timeout'),
+        ResultURL: this.callbackUrl(process.env.MPESA_B2C_RESULT_URL, 'b2c_result'),
+        Occasion: occasion
       };
 
-      if (status === 'completed') {
-        updateData.mpesa_receipt = receiptNumber;
-        updateData.transaction_date = transactionDate ? new Date(transactionDate) : new Date();
-        updateData.payer_phone = phone;
-        updateData.verified_at = new Date();
-        updateData.verified_by = 'system';
-      } else if (status === 'failed') {
-        updateData.failure_reason = failureReason;
-        updateData.failed_at = new Date();
+      sent = true;
+      const response = await axios.post(
+        `${this.baseURL}/mpesa/b2c/v3/paymentrequest`,
+        requestData,
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
+      );
+
+      console.log('📥 B2C response:', response.data);
+
+      if (response.data.ResponseCode !== '0') {
+        const refused = new Error(response.data.ResponseDescription || 'B2C request was not accepted');
+        refused.response = { status: response.status, data: response.data };
+        throw refused;
       }
 
-      await db.query(
-        'UPDATE payments SET ? WHERE id = ?',
-        [updateData, payment.id]
+      return response.data;
+    } catch (error) {
+      console.error('❌ B2C payment request failed:', error.response?.data || error.message);
+
+      const failure = new Error(`M-Pesa refund failed: ${error.response?.data?.errorMessage || error.message}`);
+      // A 5xx or no response at all says nothing about whether M-Pesa went on to process it
+      failure.rejected = !sent || Boolean(error.response && error.response.status < 500);
+      throw failure;
+    }
+  }
+
+  /**
+   * Handle the B2C result callback for a refund
+   */
+  async handleB2CResult(resultData) {
+    try {
+      console.log('📞 Received B2C result:', JSON.stringify(resultData));
+
+      const result = resultData.Result || {};
+      const refund = await PaymentRefund.findByConversation(
+        result.ConversationID,
+        result.OriginatorConversationID
       );
 
-      console.log(`✅ Payment ${payment.id} updated to status: ${status}`);
+      if (!refund) {
+        await this.logError('b2c_unknown_conversation', `No refund for conversation ${result.ConversationID}`, resultData);
+        return { ResultCode: 0, ResultDesc: 'Accepted' };
+      }
 
-      // If payment is completed, update student fee balance
-      if (status === 'completed') {
-        await this.updateStudentBalance(payment.student_id, payment.amount);
+      if (String(result.ResultCode) === '0') {
+        const completed = await PaymentRefund.complete(refund.id, {
+          transaction_id: result.TransactionID,
+          result_code: String(result.ResultCode),
+          result_desc: result.ResultDesc
+        });
+
+        if (completed) {
+          console.log(`✅ Refund ${refund.id} completed: ${result.TransactionID}`);
+        }
+      } else {
+        await PaymentRefund.fail(refund.id, {
+          result_code: String(result.ResultCode),
+          result_desc: result.ResultDesc
+        });
+        console.log(`❌ Refund ${refund.id} failed: ${result.ResultDesc}`);
       }
 
-      return true;
+      return { ResultCode: 0, ResultDesc: 'Accepted' };
     } catch (error) {
-      console.error('❌ Error updating payment status:', error);
-      throw error;
+      console.error('❌ B2C result handling failed:', error);
+      await this.logError('b2c_result', error.message, resultData);
+
+      return { ResultCode: 1, ResultDesc: 'Failed' };
     }
   }
 
   /**
-   * Update student fee balance after successful payment
+   * Handle a B2C request that timed out in the M-Pesa queue
    */
-  async updateStudentBalance(studentId, amount) {
+  async handleB2CTimeout(timeoutData) {
     try {
-      // Get current student balance
-      const students = await db.query(
-        'SELECT fee_balance FROM students WHERE user_id = ?',
-        [studentId]
+      console.log('⏰ Received B2C timeout:', JSON.stringify(timeoutData));
+
+      const result = timeoutData.Result || timeoutData;
+      const refund = await PaymentRefund.findByConversation(
+        result.ConversationID,
+        result.OriginatorConversationID
       );
 
-      if (students.length === 0) {
-        console.error('❌ Student not found:', studentId);
-        return;
+      if (refund) {
+        // The request may still have been paid out; a Transaction Status query settles it
+        await PaymentRefund.markUnknown(refund.id, {
+          result_code: 'timeout',
+          result_desc: 'Request timed out in the M-Pesa queue'
+        });
       }
 
-      const currentBalance = parseFloat(students[0].fee_balance) || 0;
-      const newBalance = Math.max(0, currentBalance - parseFloat(amount));
+      return { ResultCode: 0, ResultDesc: 'Accepted' };
+    } catch (error) {
+      console.error('❌ B2C timeout handling failed:', error);
+      await this.logError('b2c_timeout', error.message, timeoutData);
+
+      return { ResultCode: 1, ResultDesc: 'Failed' };
+    }
+  }
+
+  /**
+   * Ask M-Pesa what became of a refund whose outcome is unknown. The answer arrives at the
+   * Transaction Status result URL; returns the query's conversation id to match it by.
+   */
+  async queryRefundStatus(refund) {
+    try {
+      const accessToken = await this.getValidAccessToken();
+
+      const requestData = {
+        Initiator: this.initiatorName,
+        SecurityCredential: this.securityCredential,
+        CommandID: 'TransactionStatusQuery',
+        TransactionID: refund.mpesa_transaction_id || '',
+        OriginalConversationID: refund.originator_conversation_id,
+        PartyA: this.businessShortCode,
+        IdentifierType: '4',
+        ResultURL: this.callbackUrl(process.env.MPESA_TRANSACTION_STATUS_RESULT_URL, 'transaction_status_result'),
+        QueueTimeOutURL: this.callbackUrl(process.env.MPESA_TRANSACTION_STATUS_TIMEOUT_URL, 'transaction_status_timeout'),
+        Remarks: `Status of refund ${refund.id}`,
+        Occasion: `REFUND-${refund.id}`
+      };
 
-      await db.query(
-        'UPDATE students SET fee_balance = ?, updated_at = NOW() WHERE user_id = ?',
-        [newBalance, studentId]
+      const response = await axios.post(
+        `${this.baseURL}/mpesa/transactionstatus/v1/query`,
+        requestData,
+        {
+          headers: {
+            Authorization: `Bearer ${accessToken}`,
+            'Content-Type': 'application/json'
+          },
+          timeout: 30000
+        }
       );
 
-      console.log(`✅ Updated student ${studentId} balance: ${currentBalance} -> ${newBalance}`);
+      if (response.data.ResponseCode !== '0') {
+        throw new Error(response.data.ResponseDescription || 'Transaction Status query was not accepted');
+      }
+
+      return response.data.ConversationID || response.data.OriginatorConversationID;
     } catch (error) {
-      console.error('❌ Error updating student balance:', error);
-      // Don't throw error as this shouldn't fail the main payment process
+      console.error('❌ Transaction Status query failed:', error.response?.data || error.message);
+      throw new Error(`M-Pesa status query failed: ${error.response?.data?.errorMessage || error.message}`);
+    }
+  }
+
+  /**
+   * Read a named value from a Result callback's ResultParameters
+   */
+  getResultParameter(result, name) {
+    const parameters = [].concat(result.ResultParameters?.ResultParameter || []);
+    const item = parameters.find(parameter => parameter.Key === name);
+    return item ? item.Value : null;
+  }
+
+  /**
+   * Settle an unknown refund from a Transaction Status result. Only a definite answer moves it:
+   * "Completed" pays it out, a failed status releases the payment, anything else waits for the next query.
+   */
+  async handleTransactionStatusResult(resultData) {
+    try {
+      console.log('📞 Received Transaction Status result:', JSON.stringify(resultData));
+
+      const result = resultData.Result || {};
+      const refund = await PaymentRefund.findByStatusQuery(result.ConversationID, result.OriginatorConversationID);
+
+      if (!refund) {
+        await this.logError('status_unknown_conversation', `No refund for status query ${result.ConversationID}`, resultData);
+        return { ResultCode: 0, ResultDesc: 'Accepted' };
+      }
+
+      const transactionStatus = String(this.getResultParameter(result, 'TransactionStatus') || '').toLowerCase();
+      const outcome = String(result.ResultCode) === '0' ? SETTLED_TRANSACTION_STATUSES[transactionStatus] : null;
+
+      if (outcome === REFUND_STATUS.COMPLETED) {
+        await PaymentRefund.complete(refund.id, {
+          transaction_id: this.getResultParameter(result, 'ReceiptNo'),
+          result_code: '0',
+          result_desc: `Transaction Status: ${transactionStatus}`
+        });
+        console.log(`✅ Refund ${refund.id} confirmed paid by a status query`);
+      } else if (outcome === REFUND_STATUS.FAILED) {
+        await PaymentRefund.fail(refund.id, {
+          result_code: String(result.ResultCode),
+          result_desc: `Transaction Status: ${transactionStatus}`
+        });
+        console.log(`❌ Refund ${refund.id} confirmed not paid by a status query`);
+      } else {
+        console.log(`ℹ️ Refund ${refund.id} still unknown: ${result.ResultDesc || transactionStatus}`);
+      }
+
+      return { ResultCode: 0, ResultDesc: 'Accepted' };
+    } catch (error) {
+      console.error('❌ Transaction Status result handling failed:', error);
+      await this.logError('status_result', error.message, resultData);
+
+      return { ResultCode: 1, ResultDesc: 'Failed' };
     }
   }
 
+  /**
+   * A Transaction Status query timed out in the M-Pesa queue; the refund is asked about again later
+   */
+  async handleTransactionStatusTimeout(timeoutData) {
+    console.log('⏰ Received Transaction Status timeout:', JSON.stringify(timeoutData));
+    return { ResultCode: 0, ResultDesc: 'Accepted' };
+  }
+
   /**
    * Query transaction status
    */
@@ -442,28 +1197,12 @@ class MpesaService {
     return results;
   }
 
-  /**
-   * Log callback for audit purposes
-   */
-  async logCallback(callbackData) {
-    try {
-      await db.query(
-        `INSERT INTO mpesa_callbacks 
-         (callback_data, received_at) 
-         VALUES (?, NOW())`,
-        [JSON.stringify(callbackData)]
-      );
-    } catch (error) {
-      console.error('❌ Error logging callback:', error);
-    }
-  }
-
   /**
    * Log errors for monitoring
    */
   async logError(errorType, errorMessage, context = null) {
     try {
-      await db.query(
+      await pool.query(
         `INSERT INTO mpesa_errors 
          (error_type, error_message, context, occurred_at) 
          VALUES (?, ?, ?, NOW())`,
@@ -1,5 +1,18 @@
 const db = require('../../config/database');
-const { Generators, Helpers, Formatters } = require('../utils');
+const { pool } = require('../../config/database');
+const { Formatters } = require('../utils');
+const NotificationPreference = require('../models/NotificationPreference');
+const { NOTIFICATION_CATEGORIES } = require('../../config/constants');
+
+// The preference category a notification falls under when its sender does not name one
+const TYPE_CATEGORIES = {
+  payment: NOTIFICATION_CATEGORIES.PAYMENTS,
+  financial: NOTIFICATION_CATEGORIES.PAYMENTS,
+  academic: NOTIFICATION_CATEGORIES.ACADEMIC
+};
+
+// Categories delivered on every requested channel whatever the user's preferences say
+const MANDATORY_CATEGORIES = [NOTIFICATION_CATEGORIES.SECURITY];
 
 class NotificationService {
   constructor() {
@@ -33,6 +46,7 @@ class NotificationService {
         type = this.types.INFO,
         priority = 'medium',
         channels = [this.channels.IN_APP],
+        category = null,
         recipientIds = [],
         recipientRoles = [],
         senderId = null,
@@ -66,20 +80,19 @@ class NotificationService {
         throw new Error('No recipients found for the notification');
       }
 
-      const notificationId = Generators.generateNotificationId();
       const results = [];
 
       // Create notifications for each user
       for (const userId of userIds) {
         try {
           const notification = await this.saveNotification({
-            id: notificationId,
             user_id: userId,
             title,
             message,
             type,
             priority,
             channels: JSON.stringify(channels),
+            category: category || this.getCategory(type),
             sender_id: senderId,
             related_entity: relatedEntity,
             related_entity_id: relatedEntityId,
@@ -87,15 +100,16 @@ class NotificationService {
             expires_at: expiresAt
           });
 
+          // Send through specified channels
+          const deliveries = await this.deliverNotification(notification, userId, channels);
+
           results.push({
             userId,
             success: true,
-            notificationId: notification.id
+            notificationId: notification.id,
+            deliveries
           });
 
-          // Send through specified channels
-          await this.deliverNotification(notification, userId, channels);
-
         } catch (error) {
           console.error(`❌ Failed to create notification for user ${userId}:`, error);
           results.push({
@@ -108,7 +122,7 @@ class NotificationService {
 
       return {
         success: true,
-        notificationId,
+        notificationIds: results.filter(r => r.success).map(r => r.notificationId),
         results,
         totalSent: results.filter(r => r.success).length,
         totalFailed: results.filter(r => !r.success).length
@@ -127,24 +141,49 @@ class NotificationService {
    * Save notification to database
    */
   async saveNotification(notificationData) {
-    const result = await db.query(
-      `INSERT INTO notifications SET ?`,
-      [notificationData]
+    // Only user_id, title, message and type are stored; the rest rides along for delivery
+    const [result] = await pool.query(
+      'INSERT INTO notifications (user_id, title, message, type) VALUES (?, ?, ?, ?)',
+      [notificationData.user_id, notificationData.title, notificationData.message, notificationData.type]
     );
 
     return {
-      id: notificationData.id,
-      ...notificationData
+      ...notificationData,
+      id: result.insertId
     };
   }
 
   /**
-   * Deliver notification through specified channels
+   * Preference category for a notification type
+   */
+  getCategory(type) {
+    return TYPE_CATEGORIES[type] || NOTIFICATION_CATEGORIES.ANNOUNCEMENTS;
+  }
+
+  /**
+   * Deliver notification through specified channels, leaving out the ones the user
+   * turned off for the notification's category. In-app notifications are always kept.
    */
   async deliverNotification(notification, userId, channels) {
     const deliveryResults = [];
+    let wanted = channels;
 
-    for (const channel of channels) {
+    if (notification.category && !MANDATORY_CATEGORIES.includes(notification.category)) {
+      const optional = channels.filter(channel => channel !== this.channels.IN_APP);
+      const allowed = await NotificationPreference.filterChannels(userId, notification.category, optional);
+      wanted = channels.filter(channel => channel === this.channels.IN_APP || allowed.includes(channel));
+    }
+
+    for (const channel of channels.filter(channel => !wanted.includes(channel))) {
+      deliveryResults.push({
+        channel,
+        success: false,
+        skipped: true,
+        error: 'Turned off in notification preferences'
+      });
+    }
+
+    for (const channel of wanted) {
       try {
         let result;
         
@@ -209,7 +248,7 @@ class NotificationService {
 
     const emailData = {
       siteName: process.env.SITE_NAME || 'EduLMS',
-      userName: Formatters.formatName(user.first_name, user.last_name),
+      userName: user.name,
       notificationTitle: notification.title,
       notificationMessage: notification.message,
       notificationUrl: notification.action_url,
@@ -276,14 +315,7 @@ class NotificationService {
 
     const offset = (page - 1) * limit;
 
-    let query = `
-      SELECT n.*, 
-             u.first_name as sender_first_name,
-             u.last_name as sender_last_name
-      FROM notifications n
-      LEFT JOIN users u ON n.sender_id = u.id
-      WHERE n.user_id = ?
-    `;
+    let query = 'SELECT n.* FROM notifications n WHERE n.user_id = ?';
 
     let countQuery = `SELECT COUNT(*) as total FROM notifications WHERE user_id = ?`;
     const params = [userId];
@@ -304,9 +336,9 @@ class NotificationService {
     query += ' ORDER BY n.created_at DESC LIMIT ? OFFSET ?';
     params.push(parseInt(limit), offset);
 
-    const [notifications, countResult] = await Promise.all([
-      db.query(query, params),
-      db.query(countQuery, countParams)
+    const [[notifications], [countResult]] = await Promise.all([
+      pool.query(query, params),
+      pool.query(countQuery, countParams)
     ]);
 
     // Mark as read if requested
@@ -332,33 +364,37 @@ class NotificationService {
       notificationIds = [notificationIds];
     }
 
-    if (notificationIds.length === 0) return;
+    if (notificationIds.length === 0) return 0;
 
     const placeholders = notificationIds.map(() => '?').join(',');
     
-    await db.query(
+    const [result] = await pool.query(
       `UPDATE notifications 
-       SET is_read = 1, read_at = NOW() 
+       SET is_read = 1 
        WHERE id IN (${placeholders}) AND user_id = ?`,
       [...notificationIds, userId]
     );
 
     // Update unread count
     await this.updateUnreadCount(userId);
+
+    return result.affectedRows;
   }
 
   /**
    * Mark all notifications as read for user
    */
   async markAllAsRead(userId) {
-    await db.query(
+    const [result] = await pool.query(
       `UPDATE notifications 
-       SET is_read = 1, read_at = NOW() 
+       SET is_read = 1 
        WHERE user_id = ? AND is_read = 0`,
       [userId]
     );
 
     await this.updateUnreadCount(userId);
+
+    return result.affectedRows;
   }
 
   /**
@@ -411,7 +447,7 @@ class NotificationService {
    * Update user's unread notification count
    */
   async updateUnreadCount(userId) {
-    const countResult = await db.query(
+    const [countResult] = await pool.query(
       'SELECT COUNT(*) as unread_count FROM notifications WHERE user_id = ? AND is_read = 0',
       [userId]
     );
@@ -429,8 +465,8 @@ class NotificationService {
   async getUsersByRoles(roles) {
     const placeholders = roles.map(() => '?').join(',');
     
-    const users = await db.query(
-      `SELECT u.id, u.first_name, u.last_name, u.email, u.phone 
+    const [users] = await pool.query(
+      `SELECT u.id, u.name, u.email, u.phone
        FROM users u
        JOIN roles r ON u.role_id = r.id
        WHERE r.name IN (${placeholders}) AND u.is_active = 1`,
@@ -444,7 +480,7 @@ class NotificationService {
    * Get user by ID
    */
   async getUserById(userId) {
-    const users = await db.query(
+    const [users] = await pool.query(
       `SELECT u.*, r.name as role_name 
        FROM users u 
        JOIN roles r ON u.role_id = r.id 
@@ -477,14 +513,14 @@ class NotificationService {
   async createPaymentNotification(payment, student, type = 'payment') {
     const title = type === 'success' ? 'Payment Successful' : 'Payment Failed';
     const message = type === 'success' 
-      ? `Your payment of ${Helpers.formatCurrency(payment.amount)} has been processed successfully. Receipt: ${payment.mpesa_receipt}`
-      : `Your payment of ${Helpers.formatCurrency(payment.amount)} failed. Reason: ${payment.failure_reason}`;
+      ? `Your payment of ${Formatters.formatCurrency(payment.amount)} has been processed successfully. Receipt: ${payment.transaction_id}`
+      : `Your payment of ${Formatters.formatCurrency(payment.amount)} failed. Reason: ${payment.failure_reason}`;
 
     return this.createNotification({
       title,
       message,
       type: this.types.PAYMENT,
-      recipientIds: [student.user_id],
+      recipientIds: [student.id],
       relatedEntity: 'payment',
       relatedEntityId: payment.id,
       actionUrl: `/student/payments/${payment.id}`
@@ -0,0 +1,269 @@
+const { pool } = require('../../config/database');
+const mpesaService = require('./mpesaService');
+const PaymentRefund = require('../models/PaymentRefund');
+const { PAYMENT_STATUS } = require('../../config/constants');
+
+// STK Push result codes that mean the payer was never charged. Anything else other than '0'
+// (4999 "still under processing", system errors) leaves the payment pending for the next check.
+const DEFINITIVE_STK_FAILURES = new Set([
+  '1', // insufficient balance
+  '1001', // subscriber busy with another transaction
+  '1019', // transaction expired
+  '1025', // push request could not be sent
+  '1032', // cancelled by the payer
+  '1037', // payer's phone unreachable
+  '2001', // wrong PIN
+  '9999' // push request failed
+]);
+
+class PaymentReconciliationService {
+  constructor() {
+    // How long a payment may wait for its callback before we ask M-Pesa about it
+    this.pendingAfterMinutes = parseInt(process.env.MPESA_RECONCILE_AFTER_MINUTES) || 5;
+    this.maxAttempts = parseInt(process.env.MPESA_RECONCILE_MAX_ATTEMPTS) || 6;
+    this.batchSize = parseInt(process.env.MPESA_RECONCILE_BATCH_SIZE) || 50;
+    // Refunds with an unknown outcome are asked about until M-Pesa gives a definite answer
+    this.maxRefundChecks = parseInt(process.env.MPESA_REFUND_MAX_CHECKS) || 10;
+    this.running = false;
+    this.checkingRefunds = false;
+  }
+
+  /**
+   * Minutes to wait before the next query; doubles with every attempt
+   */
+  getBackoffMinutes(attempt) {
+    return this.pendingAfterMinutes * Math.pow(2, attempt - 1);
+  }
+
+  /**
+   * Map an STK Push result code to a payment status; only definitive failures fail the payment
+   */
+  getOutcome(resultCode) {
+    if (String(resultCode) === '0') {
+      return PAYMENT_STATUS.COMPLETED;
+    }
+    return DEFINITIVE_STK_FAILURES.has(String(resultCode)) ? PAYMENT_STATUS.FAILED : PAYMENT_STATUS.PENDING;
+  }
+
+  /**
+   * Find pending STK payments that are due for a status query
+   */
+  async getDuePayments() {
+    const [payments] = await pool.query(
+      `SELECT id, checkout_request_id, reconcile_attempts
+       FROM payments
+       WHERE status = ?
+         AND payment_method = 'mpesa'
+         AND checkout_request_id IS NOT NULL
+         AND created_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+         AND reconcile_attempts < ?
+         AND (next_reconcile_at IS NULL OR next_reconcile_at <= NOW())
+       ORDER BY created_at
+       LIMIT ?`,
+      [PAYMENT_STATUS.PENDING, this.pendingAfterMinutes, this.maxAttempts, this.batchSize]
+    );
+    return payments;
+  }
+
+  /**
+   * Query M-Pesa for every due payment and settle the ones it has a final answer for
+   */
+  async reconcilePendingPayments() {
+    if (this.running) {
+      console.log('ℹ️ Payment reconciliation already running, skipping');
+      return null;
+    }
+
+    this.running = true;
+    const summary = { checked: 0, completed: 0, failed: 0, pending: 0, skipped: 0 };
+
+    try {
+      const payments = await this.getDuePayments();
+
+      for (const payment of payments) {
+        const outcome = await this.reconcilePayment(payment);
+        summary.checked++;
+        summary[outcome]++;
+      }
+
+      if (summary.checked > 0) {
+        console.log('🔄 Payment reconciliation finished:', summary);
+      }
+
+      return summary;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Query one payment, settle it when M-Pesa has a result and record the attempt
+   */
+  async reconcilePayment(payment) {
+    const attempt = payment.reconcile_attempts + 1;
+    let outcome = PAYMENT_STATUS.PENDING;
+    let resultCode = null;
+    let resultDesc = null;
+
+    try {
+      const result = await mpesaService.queryTransactionStatus(payment.checkout_request_id);
+
+      if (result.success) {
+        resultCode = String(result.resultCode);
+        resultDesc = result.resultDesc;
+        outcome = this.getOutcome(resultCode);
+
+        if (outcome !== PAYMENT_STATUS.PENDING) {
+          const settled = await mpesaService.updatePaymentStatus(
+            payment.checkout_request_id,
+            outcome,
+            null,
+            null,
+            null,
+            null,
+            outcome === PAYMENT_STATUS.FAILED ? resultDesc : null
+          );
+
+          // The callback got there first; nothing was resolved by this run
+          if (!settled) {
+            return 'skipped';
+          }
+        }
+      } else {
+        // Usually "the transaction is being processed"; ask again later
+        resultDesc = result.error;
+      }
+    } catch (error) {
+      console.error(`❌ Reconciling payment ${payment.id} failed:`, error);
+      outcome = PAYMENT_STATUS.PENDING;
+      resultDesc = error.message;
+    }
+
+    await pool.query(
+      `UPDATE payments
+       SET reconcile_attempts = ?, next_reconcile_at = DATE_ADD(NOW(), INTERVAL ? MINUTE)
+       WHERE id = ?`,
+      [attempt, this.getBackoffMinutes(attempt), payment.id]
+    );
+
+    await pool.query(
+      `INSERT INTO payment_reconciliation_log (payment_id, attempt, outcome, result_code, result_desc)
+       VALUES (?, ?, ?, ?, ?)`,
+      [payment.id, attempt, outcome, resultCode, resultDesc ? String(resultDesc).substring(0, 255) : null]
+    );
+
+    return outcome;
+  }
+
+  /**
+   * Send a Transaction Status query for every refund whose outcome is unknown and due a check.
+   * The answers arrive as callbacks; refunds still unknown after every check stay held for finance.
+   */
+  async checkUnknownRefunds() {
+    if (this.checkingRefunds) {
+      console.log('ℹ️ Refund status checks already running, skipping');
+      return null;
+    }
+
+    this.checkingRefunds = true;
+    const summary = { queried: 0, errors: 0 };
+
+    try {
+      const refunds = await PaymentRefund.findDueStatusChecks(this.maxRefundChecks, this.batchSize);
+
+      for (const refund of refunds) {
+        const attempt = refund.status_checks + 1;
+        let queryConversationId = null;
+
+        try {
+          queryConversationId = await mpesaService.queryRefundStatus(refund);
+          summary.queried++;
+        } catch (error) {
+          console.error(`❌ Status query for refund ${refund.id} failed:`, error.message);
+          summary.errors++;
+        }
+
+        await PaymentRefund.recordStatusCheck(refund.id, queryConversationId, this.getBackoffMinutes(attempt));
+      }
+
+      if (refunds.length > 0) {
+        console.log('🔄 Refund status checks sent:', summary);
+      }
+
+      return summary;
+    } finally {
+      this.checkingRefunds = false;
+    }
+  }
+
+  /**
+   * Summarize what was resolved automatically and what is still waiting
+   */
+  async getSummary(hours = 24) {
+    const [[totals], [resolved], [unresolved], [needsReview]] = await Promise.all([
+      pool.query(
+        `SELECT
+           SUM(outcome = 'completed') as completed,
+           SUM(outcome = 'failed') as failed,
+           COUNT(*) as checks
+         FROM payment_reconciliation_log
+         WHERE checked_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)`,
+        [hours]
+      ),
+      pool.query(
+        `SELECT l.*, p.amount, p.phone_number, u.name as student_name, u.student_id as student_code
+         FROM payment_reconciliation_log l
+         JOIN payments p ON l.payment_id = p.id
+         LEFT JOIN users u ON p.student_id = u.id
+         WHERE l.outcome IN ('completed', 'failed')
+           AND l.checked_at >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+         ORDER BY l.checked_at DESC
+         LIMIT 50`,
+        [hours]
+      ),
+      pool.query(
+        `SELECT p.id, p.amount, p.phone_number, p.checkout_request_id, p.created_at,
+                p.reconcile_attempts, p.next_reconcile_at,
+                u.name as student_name, u.student_id as student_code,
+                l.result_desc as last_result,
+                TIMESTAMPDIFF(MINUTE, p.created_at, NOW()) as minutes_pending
+         FROM payments p
+         LEFT JOIN users u ON p.student_id = u.id
+         LEFT JOIN payment_reconciliation_log l ON l.id = (
+           SELECT MAX(id) FROM payment_reconciliation_log WHERE payment_id = p.id
+         )
+         WHERE p.status = ?
+           AND p.payment_method = 'mpesa'
+           AND p.created_at <= DATE_SUB(NOW(), INTERVAL ? MINUTE)
+         ORDER BY p.created_at`,
+        [PAYMENT_STATUS.PENDING, this.pendingAfterMinutes]
+      ),
+      pool.query(
+        `SELECT p.id, p.amount, p.phone_number, p.transaction_id, p.status, p.failure_reason,
+                p.review_reason, p.created_at, p.updated_at,
+                u.name as student_name, u.student_id as student_code
+         FROM payments p
+         LEFT JOIN users u ON p.student_id = u.id
+         WHERE p.review_required = 1
+         ORDER BY p.updated_at`
+      )
+    ]);
+
+    return {
+      hours,
+      completed: parseInt(totals[0].completed) || 0,
+      failed: parseInt(totals[0].failed) || 0,
+      checks: totals[0].checks,
+      resolved,
+      // Payments we have given up querying need a finance officer
+      unresolved: unresolved.map(payment => ({
+        ...payment,
+        exhausted: payment.reconcile_attempts >= this.maxAttempts || !payment.checkout_request_id
+      })),
+      // Failed payments M-Pesa later reported as completed
+      needsReview
+    };
+  }
+}
+
+module.exports = new PaymentReconciliationService();
@@ -16,7 +16,7 @@ class PDFService {
   /**
    * Generate student transcript
    */
-  async generateTranscript(student, grades, options = {}) {
+  async generateTranscript(student, record, options = {}) {
     return new Promise((resolve, reject) => {
       try {
         const doc = new PDFDocument({ margin: 50 });
@@ -33,10 +33,10 @@ class PDFService {
         this.addStudentInfo(doc, student);
         
         // Academic summary
-        this.addAcademicSummary(doc, grades);
+        this.addAcademicSummary(doc, record);
         
-        // Course grades
-        this.addCourseGrades(doc, grades);
+        // Course grades, term by term
+        this.addCourseGrades(doc, record);
         
         // Footer
         this.addFooter(doc, 'Official Transcript');
@@ -116,7 +116,8 @@ class PDFService {
   }
 
   /**
-   * Generate assignment submission report
+   * Generate assignment submission report. Pass options.rubric (and options.criterionAverages) to add the
+   * rubric, and each submission's rubric_scores to list its breakdown.
    */
   async generateAssignmentReport(assignment, submissions, options = {}) {
     return new Promise((resolve, reject) => {
@@ -139,6 +140,12 @@ class PDFService {
         
         // Student submissions
         this.addStudentSubmissions(doc, submissions);
+
+        // Rubric and per-student breakdowns
+        if (options.rubric) {
+          this.addRubricSummary(doc, options.rubric, options.criterionAverages || []);
+          this.addRubricBreakdowns(doc, submissions);
+        }
         
         doc.end();
       } catch (error) {
@@ -215,12 +222,10 @@ class PDFService {
     doc.y += 10;
     
     const info = [
-      { label: 'Name', value: Formatters.formatName(student.first_name, student.last_name) },
-      { label: 'Student ID', value: student.student_id },
-      { label: 'Program', value: student.program },
-      { label: 'Semester', value: Formatters.formatSemester(student.semester) },
-      { label: 'Academic Year', value: Formatters.formatAcademicYear(student.academic_year) },
-      { label: 'Date Generated', value: Helpers.formatDate(new Date()) }
+      { label: 'Name', value: student.name },
+      { label: 'Student ID', value: student.student_id || 'N/A' },
+      { label: 'Email', value: student.email },
+      { label: 'Date Generated', value: Formatters.formatDate(new Date()) }
     ];
     
     info.forEach(item => {
@@ -232,65 +237,84 @@ class PDFService {
     doc.y += 10;
   }
 
-  addAcademicSummary(doc, grades) {
+  addAcademicSummary(doc, record) {
     doc.font(this.fonts.bold).fontSize(12).fillColor('#2c3e50').text('ACADEMIC SUMMARY:', 50, doc.y);
     doc.y += 10;
     
-    const gpa = Helpers.calculateGPA(grades);
-    const totalCredits = grades.reduce((sum, grade) => sum + grade.credits, 0);
-    const completedCourses = grades.filter(grade => grade.grade !== 'F').length;
-    
     const summary = [
-      { label: 'Cumulative GPA', value: Helpers.formatGPA(gpa) },
-      { label: 'Total Credits', value: totalCredits },
-      { label: 'Completed Courses', value: completedCourses },
-      { label: 'Overall Grade', value: Helpers.getGradeFromPercentage((gpa / 4.0) * 100) }
+      { label: 'Cumulative GPA', value: Formatters.formatGPA(record.cgpa) },
+      { label: 'Credits Attempted', value: record.creditsAttempted },
+      { label: 'Credits Earned', value: record.creditsEarned },
+      { label: 'Academic Standing', value: record.standingLabel ? `${record.standingLabel} (${record.standingTerm})` : 'Not yet assessed' },
+      { label: 'Dean\'s List', value: record.deansListTerms > 0 ? `${record.deansListTerms} term(s)` : 'None' }
     ];
     
     summary.forEach(item => {
       doc.font(this.fonts.bold).fillColor('#2c3e50').text(`${item.label}:`, 50, doc.y);
-      doc.font(this.fonts.normal).fillColor('#34495e').text(item.value, 180, doc.y);
+      doc.font(this.fonts.normal).fillColor('#34495e').text(String(item.value), 180, doc.y);
       doc.y += 20;
     });
     
     doc.y += 10;
   }
 
-  addCourseGrades(doc, grades) {
+  // One table per term, oldest first, each followed by its GPA, the CGPA to date and the standing
+  addCourseGrades(doc, record) {
     doc.addPage();
     doc.font(this.fonts.bold).fontSize(12).fillColor('#2c3e50').text('COURSE GRADES:', 50, 50);
     doc.y = 70;
     
-    // Table header
-    doc.font(this.fonts.bold).fillColor('#ffffff');
-    doc.rect(50, doc.y, 495, 20).fill('#2c3e50');
-    doc.text('Course Code', 55, doc.y + 5);
-    doc.text('Course Title', 150, doc.y + 5);
-    doc.text('Credits', 400, doc.y + 5);
-    doc.text('Grade', 450, doc.y + 5);
-    doc.text('Points', 500, doc.y + 5);
-    doc.y += 25;
-    
-    // Table rows
-    grades.forEach((grade, index) => {
-      if (index % 2 === 0) {
-        doc.rect(50, doc.y, 495, 20).fill('#f8f9fa');
-      }
-      
-      doc.font(this.fonts.normal).fillColor('#2c3e50');
-      doc.text(grade.course_code, 55, doc.y + 5);
-      doc.text(grade.course_title, 150, doc.y + 5, { width: 240 });
-      doc.text(grade.credits.toString(), 400, doc.y + 5);
-      doc.text(grade.grade, 450, doc.y + 5);
-      doc.text(Helpers.calculateGradePoint(grade.grade).toFixed(1), 500, doc.y + 5);
-      
-      doc.y += 20;
-      
-      // Add new page if needed
-      if (doc.y > 700) {
+    record.terms.forEach(term => {
+      if (doc.y > 620) {
         doc.addPage();
         doc.y = 50;
       }
+
+      doc.font(this.fonts.bold).fontSize(11).fillColor('#2c3e50').text(term.label, 50, doc.y);
+      doc.y += 5;
+
+      // Table header
+      doc.font(this.fonts.bold).fontSize(10).fillColor('#ffffff');
+      doc.rect(50, doc.y, 495, 20).fill('#2c3e50');
+      doc.text('Course Code', 55, doc.y + 5);
+      doc.text('Course Title', 150, doc.y + 5);
+      doc.text('Credits', 400, doc.y + 5);
+      doc.text('Grade', 450, doc.y + 5);
+      doc.text('Points', 500, doc.y + 5);
+      doc.y += 25;
+      
+      // Table rows
+      term.courses.forEach((course, index) => {
+        if (index % 2 === 0) {
+          doc.rect(50, doc.y, 495, 20).fill('#f8f9fa');
+        }
+        
+        doc.font(this.fonts.normal).fillColor('#2c3e50');
+        doc.text(course.course_code, 55, doc.y + 5);
+        doc.text(course.course_title, 150, doc.y + 5, { width: 240, lineBreak: false, ellipsis: true });
+        doc.text(course.credits.toString(), 400, doc.y + 5);
+        doc.text(course.final_grade || '-', 450, doc.y + 5);
+        doc.text(course.grade_points.toFixed(1), 500, doc.y + 5);
+        
+        doc.y += 20;
+        
+        // Add new page if needed
+        if (doc.y > 700) {
+          doc.addPage();
+          doc.y = 50;
+        }
+      });
+
+      const totals = [
+        `Term GPA: ${Formatters.formatGPA(term.gpa)}`,
+        `CGPA: ${Formatters.formatGPA(term.cgpa)}`,
+        `Credits: ${term.credits_earned}/${term.credits_attempted}`
+      ];
+      if (term.standing_label) totals.push(term.standing_label);
+      if (term.deans_list) totals.push('Dean\'s List');
+
+      doc.font(this.fonts.italic).fontSize(10).fillColor('#34495e').text(totals.join('   |   '), 55, doc.y + 5);
+      doc.y += 30;
     });
   }
 
@@ -306,7 +330,7 @@ class PDFService {
     
     doc.y += 10;
     doc.font(this.fonts.normal).fontSize(10).fillColor('#7f8c8d');
-    doc.text(`This ${documentType} was generated electronically on ${Helpers.formatDate(new Date())}`, 50, doc.y, { align: 'center' });
+    doc.text(`This ${documentType} was generated electronically on ${Formatters.formatDate(new Date())}`, 50, doc.y, { align: 'center' });
     doc.text(`© ${new Date().getFullYear()} ${process.env.SITE_NAME || 'EduLMS'}. All rights reserved.`, 50, doc.y + 15, { align: 'center' });
   }
 
@@ -318,7 +342,7 @@ class PDFService {
        .text(`Invoice #: ${invoice.invoice_number}`, 400, 50);
     
     doc.font(this.fonts.normal).fontSize(12).fillColor('#7f8c8d')
-       .text(`Date: ${Helpers.formatDate(invoice.created_at)}`, 400, 65);
+       .text(`Date: ${Formatters.formatDate(invoice.created_at)}`, 400, 65);
   }
 
   addInvoiceInfo(doc, invoice, student) {
@@ -328,15 +352,15 @@ class PDFService {
     doc.font(this.fonts.bold).fontSize(12).fillColor('#2c3e50')
        .text('BILL TO:', 50, doc.y);
     doc.font(this.fonts.normal).fontSize(10).fillColor('#34495e')
-       .text(Formatters.formatName(student.first_name, student.last_name), 50, doc.y + 15);
-    doc.text(`Student ID: ${student.student_id}`, 50, doc.y + 30);
-    doc.text(`Program: ${student.program}`, 50, doc.y + 45);
+       .text(student.name, 50, doc.y + 15);
+    doc.text(`Student ID: ${student.student_id || 'N/A'}`, 50, doc.y + 30);
+    doc.text(student.email || '', 50, doc.y + 45);
     
     // Due Date
     doc.font(this.fonts.bold).fontSize(12).fillColor('#2c3e50')
        .text('DUE DATE:', 300, doc.y);
     doc.font(this.fonts.normal).fontSize(10).fillColor('#34495e')
-       .text(Helpers.formatDate(invoice.due_date), 300, doc.y + 15);
+       .text(Formatters.formatDate(invoice.due_date), 300, doc.y + 15);
     
     doc.y = 180;
   }
@@ -365,8 +389,8 @@ class PDFService {
       doc.font(this.fonts.normal).fillColor('#2c3e50');
       doc.text(item.description, 55, doc.y + 5, { width: 280 });
       doc.text(item.quantity.toString(), 350, doc.y + 5);
-      doc.text(Helpers.formatCurrency(item.unit_price), 400, doc.y + 5);
-      doc.text(Helpers.formatCurrency(amount), 480, doc.y + 5);
+      doc.text(Formatters.formatCurrency(item.unit_price), 400, doc.y + 5);
+      doc.text(Formatters.formatCurrency(amount), 480, doc.y + 5);
       
       doc.y += 20;
     });
@@ -376,11 +400,11 @@ class PDFService {
     // Totals
     doc.font(this.fonts.bold).fillColor('#2c3e50')
        .text('Subtotal:', 400, doc.y);
-    doc.text(Helpers.formatCurrency(subtotal), 480, doc.y);
+    doc.text(Formatters.formatCurrency(subtotal), 480, doc.y);
     
     doc.y += 20;
     doc.text('Total:', 400, doc.y);
-    doc.text(Helpers.formatCurrency(subtotal), 480, doc.y);
+    doc.text(Formatters.formatCurrency(subtotal), 480, doc.y);
   }
 
   addInvoiceTotals(doc, items) {
@@ -392,7 +416,7 @@ class PDFService {
     
     doc.y += 20;
     doc.font(this.fonts.normal).fontSize(10).fillColor('#34495e')
-       .text('Amount Due: ' + Helpers.formatCurrency(total), 50, doc.y);
+       .text('Amount Due: ' + Formatters.formatCurrency(total), 50, doc.y);
     doc.text('Payment Methods: M-Pesa, Bank Transfer, Cash', 50, doc.y + 15);
     doc.text('M-Pesa Paybill: 174379', 50, doc.y + 30);
     doc.text('Account Number: Your Student ID', 50, doc.y + 45);
@@ -554,8 +578,8 @@ class PDFService {
     const info = [
       { label: 'Title', value: assignment.title },
       { label: 'Course', value: `${assignment.course_code} - ${assignment.course_title}` },
-      { label: 'Due Date', value: Helpers.formatDateTime(assignment.due_date) },
-      { label: 'Total Points', value: assignment.total_points.toString() },
+      { label: 'Due Date', value: Formatters.formatDateTime(assignment.due_date) },
+      { label: 'Total Points', value: String(assignment.max_points) },
       { label: 'Status', value: Formatters.formatAssignmentStatus(assignment.status) }
     ];
     
@@ -569,7 +593,7 @@ class PDFService {
   }
 
   addSubmissionStats(doc, submissions) {
-    const total = submissions.length;
+    const total = submissions.length || 1;
     const submitted = submissions.filter(s => s.status === 'submitted' || s.status === 'graded').length;
     const graded = submissions.filter(s => s.status === 'graded').length;
     const late = submissions.filter(s => s.status === 'late').length;
@@ -579,7 +603,7 @@ class PDFService {
     doc.y += 10;
     
     const stats = [
-      { label: 'Total Students', value: total.toString() },
+      { label: 'Total Students', value: submissions.length.toString() },
       { label: 'Submitted', value: `${submitted} (${((submitted / total) * 100).toFixed(1)}%)` },
       { label: 'Graded', value: `${graded} (${((graded / total) * 100).toFixed(1)}%)` },
       { label: 'Late Submissions', value: `${late} (${((late / total) * 100).toFixed(1)}%)` }
@@ -616,14 +640,15 @@ class PDFService {
         doc.rect(50, doc.y, 495, 20).fill('#f8f9fa');
       }
       
+      const y = doc.y + 5;
       doc.font(this.fonts.normal).fillColor('#2c3e50');
-      doc.text(Formatters.formatName(submission.first_name, submission.last_name), 55, doc.y + 5);
-      doc.text(submission.student_id, 200, doc.y + 5);
-      doc.text(submission.submitted_at ? Helpers.formatDateTime(submission.submitted_at) : 'Not submitted', 300, doc.y + 5);
-      doc.text(Formatters.formatSubmissionStatus(submission.status), 380, doc.y + 5);
-      doc.text(submission.score !== null ? submission.score.toString() : '-', 450, doc.y + 5);
+      doc.text(submission.student_name, 55, y, { width: 140 });
+      doc.text(submission.student_number || '-', 200, y, { width: 95 });
+      doc.text(submission.submitted_at ? Formatters.formatDateTime(submission.submitted_at) : 'Not submitted', 300, y, { width: 75 });
+      doc.text(Formatters.formatSubmissionStatus(submission.status), 380, y, { width: 65 });
+      doc.text(submission.points_earned !== null ? submission.points_earned.toString() : '-', 450, y);
       
-      doc.y += 20;
+      doc.y = y + 15;
       
       if (doc.y > 700) {
         doc.addPage();
@@ -631,6 +656,60 @@ class PDFService {
       }
     });
   }
+
+  addRubricSummary(doc, rubric, criterionAverages) {
+    doc.addPage();
+    doc.font(this.fonts.bold).fontSize(12).fillColor('#2c3e50')
+       .text(`RUBRIC: ${rubric.title} (out of ${rubric.max_points})`, 50, 50);
+    doc.y += 10;
+
+    rubric.criteria.forEach(criterion => {
+      const average = criterionAverages.find(entry => entry.criterion_title === criterion.title);
+
+      doc.font(this.fonts.bold).fontSize(10).fillColor('#2c3e50')
+         .text(`${criterion.title} (up to ${criterion.max_points})`, 50, doc.y);
+      doc.font(this.fonts.normal).fillColor('#34495e')
+         .text(criterion.levels.map(level => `${level.title}: ${level.points}`).join('   '), 60, doc.y);
+      if (average) {
+        doc.font(this.fonts.italic).text(`Average ${average.average} over ${average.graded} graded`, 60, doc.y);
+      }
+      doc.y += 8;
+
+      if (doc.y > 700) {
+        doc.addPage();
+        doc.y = 50;
+      }
+    });
+  }
+
+  addRubricBreakdowns(doc, submissions) {
+    const graded = submissions.filter(submission => submission.rubric_scores && submission.rubric_scores.length > 0);
+    if (graded.length === 0) return;
+
+    doc.y += 10;
+    doc.font(this.fonts.bold).fontSize(12).fillColor('#2c3e50')
+       .text('RUBRIC BREAKDOWN BY STUDENT:', 50, doc.y);
+    doc.y += 10;
+
+    graded.forEach(submission => {
+      if (doc.y > 650) {
+        doc.addPage();
+        doc.y = 50;
+      }
+
+      doc.font(this.fonts.bold).fontSize(10).fillColor('#2c3e50')
+         .text(`${submission.student_name} - ${submission.points_earned} / ${submission.max_points} (${submission.grade})`, 50, doc.y);
+
+      submission.rubric_scores.forEach(score => {
+        doc.font(this.fonts.normal).fillColor('#34495e')
+           .text(`${score.criterion_title}: ${score.level_title} (${score.points} / ${score.max_points})`, 60, doc.y);
+        if (score.comment) {
+          doc.font(this.fonts.italic).fillColor('#7f8c8d').text(score.comment, 75, doc.y, { width: 470 });
+        }
+      });
+      doc.y += 8;
+    });
+  }
 }
 
 module.exports = new PDFService();
\ No newline at end of file
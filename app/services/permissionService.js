@@ -0,0 +1,235 @@
+const Role = require('../models/Role');
+const AuditLog = require('../models/AuditLog');
+const { PERMISSIONS, ROLES } = require('../../config/constants');
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Role permissions change rarely, so they are cached briefly instead of read on every request
+const CACHE_TTL_MS = 60 * 1000;
+
+// Where each area's dashboard lives, in the order a user with several areas is sent
+const AREA_HOMES = [
+  ['area.admin', '/admin/dashboard'],
+  ['area.instructor', '/instructor/dashboard'],
+  ['area.finance', '/finance/dashboard'],
+  ['area.student', '/student/dashboard']
+];
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{2,49}$/;
+
+// Who a record belongs to, for ".own" permissions
+const ownerOf = (resource) => {
+  if (!resource) return null;
+  const owner = resource.teacher_id ?? resource.instructor_id ?? resource.student_id ?? resource.user_id;
+  return owner == null ? null : parseInt(owner);
+};
+
+class PermissionService {
+  constructor() {
+    this.permissions = PERMISSIONS;
+    this.cache = null;
+    this.cachedAt = 0;
+  }
+
+  /**
+   * Permissions held by each role, from the cache when it is fresh
+   */
+  async getPermissionMap() {
+    if (!this.cache || Date.now() - this.cachedAt > CACHE_TTL_MS) {
+      this.cache = await Role.getPermissionMap();
+      this.cachedAt = Date.now();
+    }
+    return this.cache;
+  }
+
+  /**
+   * Drop the cache after a role's permissions change
+   */
+  invalidate() {
+    this.cache = null;
+  }
+
+  /**
+   * Attach the user's permissions to the user object so can() can run synchronously (e.g. in views)
+   */
+  async loadFor(user) {
+    if (!user) return [];
+
+    if (user.role_name === ROLES.ADMIN) {
+      user.permissions = ALL_PERMISSIONS;
+    } else {
+      const map = await this.getPermissionMap();
+      user.permissions = map[user.role_id] || [];
+    }
+
+    return user.permissions;
+  }
+
+  /**
+   * Whether a user may do something. With a resource, "courses.edit" passes on courses.edit.any,
+   * or on courses.edit.own when the user owns the resource. Without one, either is enough.
+   */
+  can(user, permission, resource = null) {
+    const held = (user && user.permissions) || [];
+
+    if (held.includes(permission) || held.includes(`${permission}.any`)) {
+      return true;
+    }
+
+    if (held.includes(`${permission}.own`)) {
+      return resource ? ownerOf(resource) === parseInt(user.id) : true;
+    }
+
+    return false;
+  }
+
+  /**
+   * The dashboard a user lands on, or null if their role opens no area
+   */
+  homePath(user) {
+    const home = AREA_HOMES.find(([permission]) => this.can(user, permission));
+    return home ? home[1] : null;
+  }
+
+  /**
+   * Permissions grouped by their first segment for the roles page
+   */
+  getGroupedPermissions() {
+    return ALL_PERMISSIONS.reduce((groups, key) => {
+      const name = key.split('.')[0];
+      let group = groups.find(g => g.name === name);
+      if (!group) {
+        group = { name, label: name.charAt(0).toUpperCase() + name.slice(1).replace('_', ' '), permissions: [] };
+        groups.push(group);
+      }
+      group.permissions.push({ key, description: PERMISSIONS[key] });
+      return groups;
+    }, []);
+  }
+
+  /**
+   * Roles with their permissions for the admin page
+   */
+  async getOverview() {
+    const [roles, map] = await Promise.all([Role.findAll(), Role.getPermissionMap()]);
+
+    return roles.map(role => ({
+      ...role,
+      is_system: !!role.is_system,
+      locked: role.name === ROLES.ADMIN,
+      permissions: role.name === ROLES.ADMIN ? ALL_PERMISSIONS : (map[role.id] || [])
+    }));
+  }
+
+  /**
+   * Check a list of permissions from a form against the catalogue
+   */
+  normalise(permissions) {
+    const requested = [...new Set([].concat(permissions || []))];
+    const unknown = requested.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown permission: ${unknown.join(', ')}`);
+    }
+    return requested;
+  }
+
+  /**
+   * Create a custom role, e.g. "registrar"
+   */
+  async createRole({ name, displayName, description, permissions }, admin, ipAddress) {
+    const roleName = (name || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    if (!ROLE_NAME_PATTERN.test(roleName)) {
+      throw new Error('Role names use 3-50 lowercase letters, numbers or underscores and start with a letter');
+    }
+
+    if (await Role.findByName(roleName)) {
+      throw new Error(`A role called ${roleName} already exists`);
+    }
+
+    const granted = this.normalise(permissions);
+    const role = await Role.create({
+      name: roleName,
+      displayName: (displayName || '').trim() || roleName,
+      description: (description || '').trim() || null,
+      permissions: granted
+    });
+
+    this.invalidate();
+    console.log(`🛡️ Role created: ${roleName} (${granted.length} permissions)`);
+
+    await AuditLog.record({
+      userId: admin.id,
+      action: 'role_created',
+      resourceType: 'role',
+      resourceId: role.id,
+      description: `Created role ${roleName} with ${granted.join(', ') || 'no permissions'}`,
+      ipAddress
+    });
+
+    return role;
+  }
+
+  /**
+   * Replace a role's permissions. The admin role is fixed so nobody can lock themselves out.
+   */
+  async updateRolePermissions(roleId, permissions, admin, ipAddress) {
+    const role = await Role.findById(roleId);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+    if (role.name === ROLES.ADMIN) {
+      throw new Error('The admin role always has every permission');
+    }
+
+    const granted = this.normalise(permissions);
+    const before = (await Role.getPermissionMap())[role.id] || [];
+    await Role.setPermissions(role.id, granted);
+    this.invalidate();
+
+    const added = granted.filter(permission => !before.includes(permission));
+    const removed = before.filter(permission => !granted.includes(permission));
+
+    await AuditLog.record({
+      userId: admin.id,
+      action: 'role_permissions_updated',
+      resourceType: 'role',
+      resourceId: role.id,
+      description: `${role.name}: added ${added.join(', ') || 'nothing'}; removed ${removed.join(', ') || 'nothing'}`,
+      ipAddress
+    });
+
+    return { role, added, removed };
+  }
+
+  /**
+   * Delete a custom role nobody holds
+   */
+  async deleteRole(roleId, admin, ipAddress) {
+    const role = await Role.findById(roleId);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+    if (role.is_system) {
+      throw new Error('Built-in roles cannot be deleted');
+    }
+
+    const deleted = await Role.delete(role.id);
+    if (!deleted) {
+      throw new Error('Move the users who hold this role to another role first');
+    }
+
+    this.invalidate();
+    await AuditLog.record({
+      userId: admin.id,
+      action: 'role_deleted',
+      resourceType: 'role',
+      resourceId: role.id,
+      description: `Deleted role ${role.name}`,
+      ipAddress
+    });
+
+    return role;
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,276 @@
+const path = require('path');
+const User = require('../models/User');
+const UserProfile = require('../models/UserProfile');
+const NotificationPreference = require('../models/NotificationPreference');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const fileService = require('./fileService');
+const twoFactorService = require('./twoFactorService');
+const notificationService = require('./notificationService');
+const { NOTIFICATION_CATEGORIES } = require('../../config/constants');
+
+// Avatars are stored at this size at most, with a square thumbnail for headers and sidebars
+const AVATAR_MAX_SIZE = 512;
+const AVATAR_THUMBNAIL_SIZE = 96;
+const AVATAR_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// What each category covers, in the order shown on the preferences form
+const CATEGORY_DESCRIPTIONS = {
+  [NOTIFICATION_CATEGORIES.ACADEMIC]: 'New assignments, grades and course updates',
+  [NOTIFICATION_CATEGORIES.PAYMENTS]: 'Payment confirmations, failures and refunds',
+  [NOTIFICATION_CATEGORIES.FEE_REMINDERS]: 'Reminders before and after fee installments fall due',
+  [NOTIFICATION_CATEGORIES.ANNOUNCEMENTS]: 'General announcements and system notices',
+  [NOTIFICATION_CATEGORIES.SECURITY]: 'Sign-in alerts, lockouts and password changes'
+};
+
+class ProfileService {
+  constructor() {
+    this.avatarMimeTypes = AVATAR_MIME_TYPES;
+
+    // In-app notifications always appear in the notification list, so only these can be switched off
+    this.preferenceChannels = [notificationService.channels.EMAIL, notificationService.channels.SMS];
+  }
+
+  /**
+   * Everything the profile page shows about a user
+   */
+  async getProfile(userId) {
+    const [user, profile] = await Promise.all([
+      User.findById(userId),
+      UserProfile.findByUser(userId)
+    ]);
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const { password, ...account } = user;
+    const details = profile || {};
+
+    return {
+      ...account,
+      address: details.address || null,
+      emergency_contact_name: details.emergency_contact_name || null,
+      emergency_contact_phone: details.emergency_contact_phone || null,
+      avatar_url: details.avatar_url || null,
+      avatar_thumbnail_url: details.avatar_thumbnail_url || null,
+      phone_verified: this.isPhoneVerified(user, details),
+      phone_verified_at: details.phone_verified_at || null
+    };
+  }
+
+  /**
+   * A phone number stays verified only until it is changed
+   */
+  isPhoneVerified(user, profile) {
+    return !!(user.phone && profile && profile.verified_phone === user.phone);
+  }
+
+  /**
+   * Save name, phone number and the contact details kept in the profile
+   */
+  async updateContactDetails(user, details, { ipAddress, userAgent } = {}) {
+    const phone = details.phone || null;
+
+    await User.update(user.id, { name: details.name, phone });
+    await UserProfile.saveContactDetails(user.id, details);
+
+    const phoneChanged = (user.phone || null) !== phone;
+    await AuditLog.record({
+      userId: user.id,
+      action: 'profile_updated',
+      resourceType: 'user',
+      resourceId: user.id,
+      description: phoneChanged ? 'Updated contact details, including phone number' : 'Updated contact details',
+      ipAddress,
+      userAgent
+    });
+
+    return { phoneChanged };
+  }
+
+  /**
+   * Text a code to the user's phone number. Returns the challenge to keep in the session.
+   */
+  async sendPhoneCode(user, previousChallenge = null) {
+    const challenge = await twoFactorService.sendSmsCode(user, previousChallenge);
+    console.log(`📱 Phone verification code sent to user ${user.id}`);
+
+    return { ...challenge, phone: user.phone };
+  }
+
+  /**
+   * Mark the phone number verified if the code matches one texted to that same number
+   */
+  async verifyPhone(user, challenge, code, { ipAddress, userAgent } = {}) {
+    if (!challenge || challenge.phone !== user.phone) {
+      throw new Error('Request a new code for your current phone number');
+    }
+
+    if (!twoFactorService.verifySmsCode(challenge, code)) {
+      throw new Error('Invalid or expired verification code');
+    }
+
+    await UserProfile.markPhoneVerified(user.id, user.phone);
+    await AuditLog.record({
+      userId: user.id,
+      action: 'phone_verified',
+      resourceType: 'user',
+      resourceId: user.id,
+      description: `Verified phone number ending ${user.phone.slice(-4)}`,
+      ipAddress,
+      userAgent
+    });
+  }
+
+  /**
+   * Save a new profile picture and its thumbnail, then remove the previous ones
+   */
+  async uploadAvatar(user, file) {
+    if (!file) {
+      throw new Error('Choose an image to upload');
+    }
+    if (!AVATAR_MIME_TYPES.includes(file.mimetype)) {
+      throw new Error('Profile pictures must be JPEG, PNG or WebP images');
+    }
+
+    const upload = await fileService.uploadFile(file, {
+      destination: 'profiles',
+      fileNamePrefix: `avatar-${user.id}`,
+      resizeImage: true,
+      maxWidth: AVATAR_MAX_SIZE,
+      maxHeight: AVATAR_MAX_SIZE
+    });
+
+    if (!upload.success) {
+      throw new Error(upload.error || 'The image could not be saved');
+    }
+
+    const thumbnail = await fileService.generateThumbnail(upload.file.filePath, {
+      width: AVATAR_THUMBNAIL_SIZE,
+      height: AVATAR_THUMBNAIL_SIZE
+    });
+
+    if (!thumbnail.success) {
+      await fileService.deleteFile(upload.file.filePath);
+      throw new Error('The image could not be read. Try a different picture.');
+    }
+
+    const previous = await UserProfile.findByUser(user.id);
+    await UserProfile.setAvatar(user.id, upload.file.url, thumbnail.url);
+    await this.deleteAvatarFiles(previous);
+
+    console.log(`🖼️ Profile picture updated for user ${user.id}`);
+    return { avatarUrl: upload.file.url, thumbnailUrl: thumbnail.url };
+  }
+
+  /**
+   * Go back to the default picture
+   */
+  async removeAvatar(user) {
+    const previous = await UserProfile.findByUser(user.id);
+    if (!previous || !previous.avatar_url) {
+      return false;
+    }
+
+    await UserProfile.setAvatar(user.id, null, null);
+    await this.deleteAvatarFiles(previous);
+    return true;
+  }
+
+  /**
+   * Remove a profile's avatar files from disk; the stored URLs are relative to public/
+   */
+  async deleteAvatarFiles(profile) {
+    if (!profile) return;
+
+    for (const url of [profile.avatar_url, profile.avatar_thumbnail_url]) {
+      if (url) {
+        await fileService.deleteFile(path.join('public', url));
+      }
+    }
+  }
+
+  /**
+   * Change the password after checking the current one. Every other session and API
+   * refresh token is ended so a stolen password stops working everywhere at once.
+   */
+  async changePassword(user, currentPassword, newPassword, { sessionId, ipAddress, userAgent } = {}) {
+    const account = await User.findById(user.id);
+    if (!account || !(await User.verifyPassword(currentPassword, account.password))) {
+      throw new Error('Your current password is incorrect');
+    }
+    if (await User.verifyPassword(newPassword, account.password)) {
+      throw new Error('Choose a password different from your current one');
+    }
+
+    await User.changePassword(user.id, newPassword);
+    await RefreshToken.revokeForUser(user.id);
+    const signedOut = await Session.destroyForUser(user.id, sessionId);
+
+    console.log(`🔐 Password changed for user ${user.id}; ${signedOut} other session(s) ended`);
+    await AuditLog.record({
+      userId: user.id,
+      action: 'password_changed',
+      resourceType: 'user',
+      resourceId: user.id,
+      description: `Password changed from the profile page; ${signedOut} other session(s) signed out`,
+      ipAddress,
+      userAgent
+    });
+
+    await notificationService.createNotification({
+      title: 'Your password was changed',
+      message: `The password for your account was changed on ${new Date().toLocaleString()}. If this wasn't you, reset your password straight away.`,
+      type: notificationService.types.WARNING,
+      priority: 'high',
+      channels: [notificationService.channels.IN_APP, notificationService.channels.EMAIL],
+      category: NOTIFICATION_CATEGORIES.SECURITY,
+      recipientIds: [user.id],
+      actionUrl: `${process.env.APP_URL || 'http://localhost:3000'}/auth/forgot-password`
+    });
+
+    return { signedOut };
+  }
+
+  /**
+   * Each category with the channels the user receives it on
+   */
+  async getNotificationPreferences(userId) {
+    const stored = await NotificationPreference.findByUser(userId);
+
+    return Object.entries(CATEGORY_DESCRIPTIONS).map(([category, description]) => {
+      const locked = category === NOTIFICATION_CATEGORIES.SECURITY;
+
+      return {
+        category,
+        label: category.charAt(0).toUpperCase() + category.slice(1).replace('_', ' '),
+        description,
+        locked,
+        channels: this.preferenceChannels.map(channel => ({
+          channel,
+          enabled: locked || !stored[category] || stored[category][channel] !== false
+        }))
+      };
+    });
+  }
+
+  /**
+   * Save the preferences form. `selected` maps each category to the channels left ticked.
+   */
+  async saveNotificationPreferences(userId, selected = {}) {
+    for (const category of Object.keys(CATEGORY_DESCRIPTIONS)) {
+      if (category === NOTIFICATION_CATEGORIES.SECURITY) continue;
+
+      const ticked = [].concat(selected[category] || []);
+      const on = this.preferenceChannels.filter(channel => ticked.includes(channel));
+      const off = this.preferenceChannels.filter(channel => !ticked.includes(channel));
+
+      if (on.length > 0) await NotificationPreference.set(userId, category, on, true);
+      if (off.length > 0) await NotificationPreference.set(userId, category, off, false);
+    }
+  }
+}
+
+module.exports = new ProfileService();
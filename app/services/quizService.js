@@ -0,0 +1,716 @@
+const crypto = require('crypto');
+const Assignment = require('../models/Assignment');
+const Enrollment = require('../models/Enrollment');
+const GradingScale = require('../models/GradingScale');
+const QuizQuestion = require('../models/QuizQuestion');
+const QuizAttempt = require('../models/QuizAttempt');
+const AuditLog = require('../models/AuditLog');
+const { QUESTION_TYPES, QUIZ_ATTEMPT_STATUS, ASSIGNMENT_STATUS } = require('../../config/constants');
+
+// Answers that arrive this long after an attempt's time runs out (a slow connection, the page's own
+// auto-submit) still count
+const GRACE_SECONDS = 30;
+
+// Share of attempts in each of the top and bottom groups compared for the discrimination index
+const DISCRIMINATION_GROUP = 0.27;
+
+const CHOICE_TYPES = [QUESTION_TYPES.MULTIPLE_CHOICE, QUESTION_TYPES.MULTI_SELECT, QUESTION_TYPES.TRUE_FALSE];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Short answers match ignoring case, surrounding space and repeated spaces
+const normalizeText = (text) => String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Fisher-Yates on a copy
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Form answers arrive as answers[q<id>], so the query parser never mistakes them for array indexes
+const answerKey = (questionId) => `q${questionId}`;
+
+class QuizService {
+  constructor() {
+    this.types = QUESTION_TYPES;
+    this.graceSeconds = GRACE_SECONDS;
+  }
+
+  /**
+   * Validate a question from the bank form into what QuizQuestion.save stores
+   */
+  parseQuestion(input, existing = null) {
+    const type = input.question_type;
+    if (!Object.values(QUESTION_TYPES).includes(type)) {
+      throw new Error('Choose a question type');
+    }
+
+    const prompt = String(input.prompt || '').trim();
+    if (!prompt) {
+      throw new Error('The question needs some text');
+    }
+
+    const points = parseFloat(input.points);
+    if (isNaN(points) || points <= 0 || points > 999) {
+      throw new Error('Points must be more than 0 and below 1000');
+    }
+
+    const question = {
+      id: existing ? existing.id : null,
+      question_type: type,
+      prompt,
+      points,
+      topic: String(input.topic || '').trim().slice(0, 100) || null,
+      explanation: String(input.explanation || '').trim() || null,
+      numeric_answer: null,
+      numeric_tolerance: 0,
+      options: []
+    };
+
+    // Options already on the question keep their ids, so answers given to them still point at the right
+    // option. Choice rows carry their id; true/false and accepted answers match by position.
+    const existingIds = existing && existing.question_type === type ? existing.options.map(option => option.id) : [];
+    const withIds = (options) => options.map((option, index) => ({
+      ...option,
+      id: option.id !== undefined ? option.id : (existingIds[index] || null)
+    }));
+
+    if (type === QUESTION_TYPES.MULTIPLE_CHOICE || type === QUESTION_TYPES.MULTI_SELECT) {
+      const options = Object.values(input.options || {})
+        .map(option => ({
+          id: existingIds.includes(parseInt(option.id)) ? parseInt(option.id) : null,
+          option_text: String(option.text || '').trim().slice(0, 500),
+          is_correct: option.is_correct === '1' || option.is_correct === 'on'
+        }))
+        .filter(option => option.option_text);
+
+      if (options.length < 2) {
+        throw new Error('Give at least two options');
+      }
+
+      const correct = options.filter(option => option.is_correct).length;
+      if (type === QUESTION_TYPES.MULTIPLE_CHOICE && correct !== 1) {
+        throw new Error('Mark exactly one option as correct');
+      }
+      if (type === QUESTION_TYPES.MULTI_SELECT && correct === 0) {
+        throw new Error('Mark at least one option as correct');
+      }
+
+      question.options = withIds(options);
+    } else if (type === QUESTION_TYPES.TRUE_FALSE) {
+      if (!['true', 'false'].includes(input.correct_answer)) {
+        throw new Error('Say whether the statement is true or false');
+      }
+
+      question.options = withIds([
+        { option_text: 'True', is_correct: input.correct_answer === 'true' },
+        { option_text: 'False', is_correct: input.correct_answer === 'false' }
+      ]);
+    } else if (type === QUESTION_TYPES.NUMERIC) {
+      const answer = parseFloat(input.numeric_answer);
+      const tolerance = input.numeric_tolerance === '' || input.numeric_tolerance === undefined
+        ? 0
+        : parseFloat(input.numeric_tolerance);
+
+      if (isNaN(answer)) {
+        throw new Error('Give the numeric answer');
+      }
+      if (isNaN(tolerance) || tolerance < 0) {
+        throw new Error('Tolerance must be zero or more');
+      }
+
+      question.numeric_answer = answer;
+      question.numeric_tolerance = tolerance;
+    } else {
+      const accepted = String(input.accepted_answers || '')
+        .split('\n')
+        .map(answer => answer.trim().slice(0, 500))
+        .filter(Boolean);
+
+      if (accepted.length === 0) {
+        throw new Error('Give at least one accepted answer');
+      }
+
+      question.options = withIds(accepted.map(answer => ({ option_text: answer, is_correct: true })));
+    }
+
+    return question;
+  }
+
+  /**
+   * Add a question to a course's bank, or change one already there
+   */
+  async saveQuestion(course, input, user) {
+    let existing = null;
+    if (input.id) {
+      existing = await QuizQuestion.findById(input.id);
+      if (!existing || existing.course_id !== course.id) {
+        throw new Error('Question not found');
+      }
+    }
+
+    const question = this.parseQuestion(input, existing);
+    return QuizQuestion.save({ ...question, course_id: course.id, created_by: user.id });
+  }
+
+  async archiveQuestion(course, questionId) {
+    const archived = await QuizQuestion.archive(questionId, course.id);
+    if (!archived) {
+      throw new Error('Question not found');
+    }
+  }
+
+  /**
+   * Validate quiz settings from the quiz form into assignment columns
+   */
+  parseQuizSettings(input, bankQuestionIds) {
+    const title = String(input.title || '').trim();
+    if (title.length < 3 || title.length > 200) {
+      throw new Error('The title must be between 3 and 200 characters');
+    }
+
+    const dueDate = input.due_date ? new Date(input.due_date) : null;
+    if (!dueDate || isNaN(dueDate.getTime())) {
+      throw new Error('Give a valid due date');
+    }
+
+    const maxPoints = parseFloat(input.max_points);
+    if (isNaN(maxPoints) || maxPoints <= 0 || maxPoints > 999) {
+      throw new Error('The quiz must be worth more than 0 and less than 1000 points');
+    }
+
+    const optionalInt = (value, label, min) => {
+      if (value === undefined || value === '') return null;
+      const number = parseInt(value);
+      if (isNaN(number) || number < min) {
+        throw new Error(`${label} must be at least ${min}`);
+      }
+      return number;
+    };
+
+    const timeLimit = optionalInt(input.time_limit_minutes, 'The time limit', 1);
+    const maxAttempts = optionalInt(input.max_attempts, 'Attempts', 1) || 1;
+    const perAttempt = optionalInt(input.questions_per_attempt, 'Questions per attempt', 1);
+
+    const questionIds = [].concat(input.question_ids || [])
+      .map(id => parseInt(id))
+      .filter(id => bankQuestionIds.includes(id));
+    const uniqueIds = [...new Set(questionIds)];
+
+    if (perAttempt && perAttempt > uniqueIds.length) {
+      throw new Error(`Questions per attempt cannot be more than the ${uniqueIds.length} selected`);
+    }
+
+    const status = Object.values(ASSIGNMENT_STATUS).includes(input.status) ? input.status : ASSIGNMENT_STATUS.DRAFT;
+    if (status === ASSIGNMENT_STATUS.PUBLISHED && uniqueIds.length === 0) {
+      throw new Error('Select at least one question before publishing');
+    }
+
+    return {
+      assignment: {
+        title,
+        description: String(input.description || '').trim() || null,
+        instructions: String(input.instructions || '').trim() || null,
+        max_points: maxPoints,
+        due_date: dueDate,
+        submission_type: 'quiz',
+        status,
+        time_limit_minutes: timeLimit,
+        max_attempts: maxAttempts,
+        questions_per_attempt: perAttempt,
+        shuffle_questions: input.shuffle_questions === '1',
+        shuffle_options: input.shuffle_options === '1'
+      },
+      questionIds: uniqueIds
+    };
+  }
+
+  /**
+   * Create a quiz for a course, or update one of its quizzes
+   */
+  async saveQuiz(course, input, user, ipAddress, quiz = null) {
+    const bank = await QuizQuestion.findByCourse(course.id);
+    const { assignment, questionIds } = this.parseQuizSettings(input, bank.map(question => question.id));
+
+    let assignmentId;
+    if (quiz) {
+      assignmentId = quiz.id;
+      await Assignment.update(assignmentId, assignment);
+    } else {
+      assignmentId = await Assignment.create({ ...assignment, course_id: course.id, teacher_id: user.id });
+    }
+
+    await QuizQuestion.setForAssignment(assignmentId, questionIds);
+
+    await AuditLog.record({
+      userId: user.id,
+      action: quiz ? 'quiz_updated' : 'quiz_created',
+      resourceType: 'assignment',
+      resourceId: assignmentId,
+      description: `${course.course_code} quiz "${assignment.title}" (${assignment.status}): ${questionIds.length} question(s), ` +
+        `${assignment.time_limit_minutes ? assignment.time_limit_minutes + ' min' : 'untimed'}, ` +
+        `${assignment.max_attempts} attempt(s)`,
+      ipAddress
+    });
+
+    return assignmentId;
+  }
+
+  /**
+   * A quiz assignment, or null if the id is not a quiz
+   */
+  async findQuiz(assignmentId) {
+    const assignment = await Assignment.findById(assignmentId);
+    return assignment && assignment.submission_type === 'quiz' ? assignment : null;
+  }
+
+  /**
+   * Deal an attempt: which questions, in what order, and the order of each question's options
+   */
+  buildLayout(quiz, questions) {
+    let dealt = questions.filter(question => !question.is_archived);
+
+    if (quiz.shuffle_questions || quiz.questions_per_attempt) {
+      dealt = shuffle(dealt);
+    }
+    if (quiz.questions_per_attempt) {
+      dealt = dealt.slice(0, quiz.questions_per_attempt);
+    }
+    // A subset drawn from the bank still reads in the instructor's order unless shuffling is on
+    if (!quiz.shuffle_questions) {
+      dealt.sort((a, b) => questions.indexOf(a) - questions.indexOf(b));
+    }
+
+    return {
+      // Only choice questions have options to show; true/false always reads True, False
+      questions: dealt.map(question => {
+        const optionIds = CHOICE_TYPES.includes(question.question_type) ? question.options.map(option => option.id) : [];
+        const shuffleOptions = quiz.shuffle_options && question.question_type !== QUESTION_TYPES.TRUE_FALSE;
+
+        return {
+          id: question.id,
+          options: shuffleOptions ? shuffle(optionIds) : optionIds
+        };
+      })
+    };
+  }
+
+  /**
+   * A student's attempts at a quiz and whether they can start another
+   */
+  async getStudentQuiz(assignmentId, student) {
+    const quiz = await this.findQuiz(assignmentId);
+    if (!quiz || quiz.status === ASSIGNMENT_STATUS.DRAFT) {
+      throw new Error('Quiz not found');
+    }
+    if (!await Enrollment.isActive(student.id, quiz.course_id)) {
+      throw new Error('You are not enrolled in this course');
+    }
+
+    let attempts = await QuizAttempt.findByStudent(quiz.id, student.id);
+
+    // Close an attempt left open past its time before counting what is left
+    const stale = attempts.find(attempt => this.isOverdue(attempt));
+    if (stale) {
+      await this.finishAttempt(stale, QUIZ_ATTEMPT_STATUS.EXPIRED);
+      attempts = await QuizAttempt.findByStudent(quiz.id, student.id);
+    }
+
+    const inProgress = attempts.find(attempt => attempt.status === QUIZ_ATTEMPT_STATUS.IN_PROGRESS) || null;
+    const finished = attempts.filter(attempt => attempt.status !== QUIZ_ATTEMPT_STATUS.IN_PROGRESS);
+    const best = finished.reduce((top, attempt) => (!top || this.percentage(attempt) > this.percentage(top) ? attempt : top), null);
+
+    let blockedReason = null;
+    if (quiz.status !== ASSIGNMENT_STATUS.PUBLISHED) {
+      blockedReason = 'This quiz is closed';
+    } else if (quiz.due_date && new Date(quiz.due_date) <= new Date()) {
+      blockedReason = 'The due date has passed';
+    } else if (attempts.length >= quiz.max_attempts) {
+      blockedReason = 'You have used all your attempts';
+    }
+
+    return {
+      quiz,
+      attempts,
+      inProgress,
+      best,
+      attemptsLeft: Math.max(quiz.max_attempts - attempts.length, 0),
+      canStart: !inProgress && !blockedReason,
+      blockedReason
+    };
+  }
+
+  /**
+   * Start an attempt, or carry on with the one already open
+   */
+  async startAttempt(assignmentId, student) {
+    const state = await this.getStudentQuiz(assignmentId, student);
+    if (state.inProgress) {
+      return state.inProgress.id;
+    }
+    if (!state.canStart) {
+      throw new Error(state.blockedReason);
+    }
+
+    const quiz = state.quiz;
+    const layout = this.buildLayout(quiz, await QuizQuestion.findForAssignment(quiz.id));
+    if (layout.questions.length === 0) {
+      throw new Error('This quiz has no questions yet');
+    }
+
+    // Time runs out at the time limit or the due date, whichever comes first
+    const startedAt = new Date();
+    let expiresAt = quiz.due_date ? new Date(quiz.due_date) : null;
+    if (quiz.time_limit_minutes) {
+      const limit = new Date(startedAt.getTime() + quiz.time_limit_minutes * 60 * 1000);
+      expiresAt = expiresAt && expiresAt < limit ? expiresAt : limit;
+    }
+
+    return QuizAttempt.create({
+      assignment_id: quiz.id,
+      student_id: student.id,
+      attempt_number: state.attempts.length + 1,
+      layout,
+      started_at: startedAt,
+      expires_at: expiresAt
+    });
+  }
+
+  /**
+   * An attempt with its questions in the order dealt, for the student who made it
+   */
+  async getAttempt(attemptId, student) {
+    let attempt = await QuizAttempt.findById(attemptId);
+    if (!attempt || attempt.student_id !== student.id) {
+      throw new Error('Attempt not found');
+    }
+
+    if (this.isOverdue(attempt)) {
+      await this.finishAttempt(attempt, QUIZ_ATTEMPT_STATUS.EXPIRED);
+      attempt = await QuizAttempt.findById(attemptId);
+    }
+
+    const [questions, responses] = await Promise.all([
+      QuizQuestion.findByIds(attempt.layout.questions.map(item => item.id)),
+      QuizAttempt.getResponses(attempt.id)
+    ]);
+
+    return {
+      attempt,
+      questions: this.arrangeQuestions(attempt.layout, questions, responses),
+      // Correct answers stay hidden until the due date, so they cannot be passed on to later attempts
+      showAnswers: attempt.status !== QUIZ_ATTEMPT_STATUS.IN_PROGRESS && !!attempt.due_date && new Date(attempt.due_date) <= new Date(),
+      secondsLeft: attempt.expires_at ? Math.max(Math.floor((new Date(attempt.expires_at) - Date.now()) / 1000), 0) : null
+    };
+  }
+
+  /**
+   * Questions in the attempt's order, options in the order dealt, each with the answer given
+   */
+  arrangeQuestions(layout, questions, responses) {
+    return layout.questions
+      .map(item => {
+        const question = questions.find(q => q.id === item.id);
+        if (!question) return null;
+
+        const response = responses.find(r => r.question_id === item.id) || null;
+        return {
+          ...question,
+          options: CHOICE_TYPES.includes(question.question_type)
+            ? item.options.map(id => question.options.find(option => option.id === id)).filter(Boolean)
+            : question.options,
+          response: response ? response.response : null,
+          is_correct: response && response.is_correct !== null ? !!response.is_correct : null,
+          points_awarded: response ? response.points_awarded : null
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * Pull an attempt's answers out of the submitted form, in the shape each question type stores. The page
+   * always sends the whole form, so a question missing from it has been cleared.
+   */
+  readAnswers(layout, body) {
+    const answers = (body && body.answers) || {};
+    const responses = {};
+
+    layout.questions.forEach(item => {
+      const value = answers[answerKey(item.id)];
+
+      if (item.options.length > 0) {
+        const picked = [].concat(value === undefined ? [] : value)
+          .map(id => parseInt(id))
+          .filter(id => item.options.includes(id));
+        responses[item.id] = Array.isArray(value) ? picked : (picked[0] || null);
+      } else {
+        const text = value === undefined ? '' : String(value).trim().slice(0, 500);
+        responses[item.id] = text || null;
+      }
+
+      if (Array.isArray(responses[item.id]) && responses[item.id].length === 0) {
+        responses[item.id] = null;
+      }
+    });
+
+    return responses;
+  }
+
+  /**
+   * Save answers while the attempt is open (the page saves as the student goes)
+   */
+  async saveProgress(attemptId, student, body) {
+    const attempt = await QuizAttempt.findById(attemptId);
+    if (!attempt || attempt.student_id !== student.id) {
+      throw new Error('Attempt not found');
+    }
+    if (attempt.status !== QUIZ_ATTEMPT_STATUS.IN_PROGRESS || this.isOverdue(attempt)) {
+      throw new Error('This attempt is closed');
+    }
+
+    await QuizAttempt.saveResponses(attempt.id, this.readAnswers(attempt.layout, body));
+  }
+
+  /**
+   * Hand in an attempt. Answers sent after the time ran out are ignored; what was saved before counts.
+   */
+  async submitAttempt(attemptId, student, body) {
+    const attempt = await QuizAttempt.findById(attemptId);
+    if (!attempt || attempt.student_id !== student.id) {
+      throw new Error('Attempt not found');
+    }
+    if (attempt.status !== QUIZ_ATTEMPT_STATUS.IN_PROGRESS) {
+      return attempt;
+    }
+
+    if (this.isOverdue(attempt)) {
+      await this.finishAttempt(attempt, QUIZ_ATTEMPT_STATUS.EXPIRED);
+    } else {
+      await QuizAttempt.saveResponses(attempt.id, this.readAnswers(attempt.layout, body));
+      await this.finishAttempt(attempt, QUIZ_ATTEMPT_STATUS.SUBMITTED);
+    }
+
+    return QuizAttempt.findById(attempt.id);
+  }
+
+  isOverdue(attempt) {
+    return attempt.status === QUIZ_ATTEMPT_STATUS.IN_PROGRESS && attempt.expires_at &&
+      new Date(attempt.expires_at).getTime() + GRACE_SECONDS * 1000 < Date.now();
+  }
+
+  percentage(attempt) {
+    return attempt.max_score > 0 ? (attempt.score / attempt.max_score) * 100 : 0;
+  }
+
+  /**
+   * Mark one answer. Multi-select earns a share of the points for each correct option picked, less a
+   * share for each wrong one, never below zero; every other type is right or wrong.
+   */
+  scoreResponse(question, response) {
+    if (response === null || response === undefined || response === '') {
+      return { is_correct: false, points_awarded: 0 };
+    }
+
+    let fraction = 0;
+
+    switch (question.question_type) {
+      case QUESTION_TYPES.MULTIPLE_CHOICE:
+      case QUESTION_TYPES.TRUE_FALSE: {
+        const option = question.options.find(o => o.id === response);
+        fraction = option && option.is_correct ? 1 : 0;
+        break;
+      }
+      case QUESTION_TYPES.MULTI_SELECT: {
+        const picked = Array.isArray(response) ? response : [response];
+        const correct = question.options.filter(o => o.is_correct).map(o => o.id);
+        const wrong = question.options.length - correct.length;
+        const right = picked.filter(id => correct.includes(id)).length;
+        const mistakes = picked.filter(id => !correct.includes(id)).length;
+        fraction = Math.max(right / correct.length - (wrong > 0 ? mistakes / wrong : 0), 0);
+        break;
+      }
+      case QUESTION_TYPES.NUMERIC: {
+        const value = parseFloat(response);
+        fraction = !isNaN(value) && Math.abs(value - question.numeric_answer) <= question.numeric_tolerance + 1e-9 ? 1 : 0;
+        break;
+      }
+      case QUESTION_TYPES.SHORT_ANSWER: {
+        const answer = normalizeText(response);
+        fraction = question.options.some(o => normalizeText(o.option_text) === answer) ? 1 : 0;
+        break;
+      }
+      default:
+        fraction = 0;
+    }
+
+    return {
+      is_correct: fraction === 1,
+      points_awarded: round(question.points * fraction)
+    };
+  }
+
+  /**
+   * Mark and close an attempt, then record the student's best attempt as their grade
+   */
+  async finishAttempt(attempt, status) {
+    const [questions, saved] = await Promise.all([
+      QuizQuestion.findByIds(attempt.layout.questions.map(item => item.id)),
+      QuizAttempt.getResponses(attempt.id)
+    ]);
+
+    const responses = attempt.layout.questions
+      .map(item => questions.find(q => q.id === item.id))
+      .filter(Boolean)
+      .map(question => {
+        const answer = saved.find(r => r.question_id === question.id);
+        const response = answer ? answer.response : null;
+        return { question_id: question.id, response, ...this.scoreResponse(question, response) };
+      });
+
+    const score = round(responses.reduce((sum, r) => sum + r.points_awarded, 0));
+    const maxScore = round(questions.reduce((sum, q) => sum + q.points, 0));
+
+    const closed = await QuizAttempt.finish(attempt.id, { status, score, maxScore, responses });
+    if (closed) {
+      await this.recordBestGrade(attempt.assignment_id, attempt.student_id);
+    }
+
+    return { score, maxScore };
+  }
+
+  /**
+   * Write a student's best attempt into the grades table, scaled to what the quiz is worth
+   */
+  async recordBestGrade(assignmentId, studentId) {
+    const [quiz, attempts] = await Promise.all([
+      Assignment.findById(assignmentId),
+      QuizAttempt.findByStudent(assignmentId, studentId)
+    ]);
+
+    const finished = attempts.filter(attempt => attempt.status !== QUIZ_ATTEMPT_STATUS.IN_PROGRESS);
+    if (finished.length === 0) return null;
+
+    const best = finished.reduce((top, attempt) => (this.percentage(attempt) > this.percentage(top) ? attempt : top));
+    const percentage = this.percentage(best);
+    const maxPoints = Number(quiz.max_points);
+    const scale = await GradingScale.findForCourse(quiz.course_id);
+    const band = GradingScale.bandFor(scale, percentage);
+
+    await QuizAttempt.recordGrade({
+      assignment_id: quiz.id,
+      student_id: studentId,
+      teacher_id: quiz.teacher_id,
+      points_earned: round((percentage / 100) * maxPoints),
+      max_points: maxPoints,
+      grade: band.letter,
+      grade_points: band.grade_points,
+      is_late: quiz.due_date ? new Date(best.submitted_at || Date.now()) > new Date(quiz.due_date) : false,
+      summary: `Quiz: best of ${finished.length} attempt(s), ${best.score}/${best.max_score} on attempt ${best.attempt_number}`,
+      feedback: `Auto-graded: ${best.score}/${best.max_score} (${round(percentage)}%)`
+    });
+
+    return best;
+  }
+
+  /**
+   * Scheduled job: close attempts whose time ran out with the page closed, marking what was saved
+   */
+  async closeOverdueAttempts() {
+    const overdue = await QuizAttempt.findOverdue(GRACE_SECONDS);
+
+    for (const attempt of overdue) {
+      try {
+        await this.finishAttempt(attempt, QUIZ_ATTEMPT_STATUS.EXPIRED);
+      } catch (error) {
+        console.error(`❌ Closing quiz attempt ${attempt.id} failed:`, error.message);
+      }
+    }
+
+    if (overdue.length > 0) {
+      console.log(`📝 Closed ${overdue.length} overdue quiz attempt(s)`);
+    }
+
+    return overdue.length;
+  }
+
+  /**
+   * Per-question item analysis over every finished attempt: how many got it right (difficulty), how
+   * well it separates the strongest attempts from the weakest (discrimination, top 27% less bottom
+   * 27%), and how often each option or wrong answer was given
+   */
+  async getItemAnalysis(assignmentId) {
+    const [current, responses] = await Promise.all([
+      QuizQuestion.findForAssignment(assignmentId),
+      QuizAttempt.getAssignmentResponses(assignmentId)
+    ]);
+
+    // Questions since taken off the quiz still have answers worth analysing
+    const answeredIds = [...new Set(responses.map(r => r.question_id))];
+    const missing = answeredIds.filter(id => !current.some(q => q.id === id));
+    const questions = [...current, ...await QuizQuestion.findByIds(missing)];
+
+    const attemptScores = new Map();
+    responses.forEach(r => attemptScores.set(r.attempt_id, r.max_score > 0 ? r.score / r.max_score : 0));
+
+    const ranked = [...attemptScores.entries()].sort((a, b) => b[1] - a[1]).map(([attemptId]) => attemptId);
+    const groupSize = Math.floor(ranked.length * DISCRIMINATION_GROUP);
+    const upper = new Set(ranked.slice(0, groupSize));
+    const lower = new Set(ranked.slice(ranked.length - groupSize));
+
+    return questions.map(question => {
+      const answers = responses.filter(r => r.question_id === question.id);
+      const answered = answers.filter(r => r.response !== null);
+      const correct = answers.filter(r => r.is_correct).length;
+
+      const correctShare = (group) => {
+        const inGroup = answers.filter(r => group.has(r.attempt_id));
+        return inGroup.length > 0 ? inGroup.filter(r => r.is_correct).length / inGroup.length : null;
+      };
+      const upperShare = correctShare(upper);
+      const lowerShare = correctShare(lower);
+
+      const item = {
+        question_id: question.id,
+        prompt: question.prompt,
+        question_type: question.question_type,
+        topic: question.topic,
+        points: question.points,
+        on_quiz: current.some(q => q.id === question.id),
+        attempts: answers.length,
+        unanswered: answers.length - answered.length,
+        correct,
+        difficulty: answers.length > 0 ? round(correct / answers.length) : null,
+        average_points: answers.length > 0 ? round(answers.reduce((sum, r) => sum + (r.points_awarded || 0), 0) / answers.length) : null,
+        discrimination: groupSize > 0 && upperShare !== null && lowerShare !== null ? round(upperShare - lowerShare) : null
+      };
+
+      if (CHOICE_TYPES.includes(question.question_type)) {
+        item.options = question.options.map(option => ({
+          id: option.id,
+          text: option.option_text,
+          is_correct: option.is_correct,
+          chosen: answered.filter(r => [].concat(r.response).includes(option.id)).length
+        }));
+      } else {
+        // The wrong answers given most often
+        const counts = new Map();
+        answered.filter(r => !r.is_correct).forEach(r => {
+          const key = question.question_type === QUESTION_TYPES.SHORT_ANSWER ? normalizeText(r.response) : String(r.response).trim();
+          counts.set(key, (counts.get(key) || 0) + 1);
+        });
+        item.common_wrong_answers = [...counts.entries()]
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, 5)
+          .map(([answer, count]) => ({ answer, count }));
+      }
+
+      return item;
+    });
+  }
+}
+
+module.exports = new QuizService();
@@ -2,7 +2,9 @@ const ExcelJS = require('exceljs');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const moment = require('moment');
 const db = require('../../config/database');
+const Attendance = require('../models/Attendance');
 const { Generators, Helpers, Formatters } = require('../utils');
 
 class ReportService {
@@ -351,39 +353,12 @@ class ReportService {
         format = this.exportFormats.PDF
       } = options;
 
-      let query = `
-        SELECT 
-          a.*,
-          c.code as course_code,
-          c.title as course_title,
-          u.first_name as student_first_name,
-          u.last_name as student_last_name,
-          s.student_id,
-          i.first_name as instructor_first_name,
-          i.last_name as instructor_last_name
-        FROM attendance a
-        JOIN courses c ON a.course_id = c.id
-        JOIN users u ON a.student_id = u.id
-        JOIN users i ON c.instructor_id = i.id
-        LEFT JOIN students s ON a.student_id = s.user_id
-        WHERE a.attendance_date BETWEEN ? AND ?
-      `;
-
-      const params = [startDate, endDate];
-
-      if (courseId) {
-        query += ' AND a.course_id = ?';
-        params.push(courseId);
-      }
-
-      if (instructorId) {
-        query += ' AND c.instructor_id = ?';
-        params.push(instructorId);
-      }
-
-      query += ' ORDER BY a.attendance_date DESC, c.code, u.last_name, u.first_name';
-
-      const attendance = await db.query(query, params);
+      const attendance = await Attendance.getReportRows({
+        courseId,
+        instructorId,
+        startDate,
+        endDate
+      });
 
       // Calculate attendance statistics
       const statistics = this.calculateAttendanceStatistics(attendance);
@@ -630,11 +605,11 @@ class ReportService {
 
     reportData.attendance.forEach(record => {
       worksheet.addRow({
-        date: Helpers.formatDate(record.attendance_date),
+        date: moment(record.attendance_date).format('YYYY-MM-DD'),
         course: record.course_code,
-        student: `${record.student_first_name} ${record.student_last_name}`,
+        student: record.student_name,
         status: record.status,
-        instructor: `${record.instructor_first_name} ${record.instructor_last_name}`
+        instructor: record.instructor_name
       });
     });
 
@@ -718,12 +693,12 @@ class ReportService {
 
   async generateAttendanceCSV(reportData) {
     const headers = ['Date', 'Course', 'Student', 'Status', 'Instructor'];
-    const rows = reportData.attendance.forEach(record => [
-      Helpers.formatDate(record.attendance_date),
+    const rows = reportData.attendance.map(record => [
+      moment(record.attendance_date).format('YYYY-MM-DD'),
       record.course_code,
-      `${record.student_first_name} ${record.student_last_name}`,
+      record.student_name,
       record.status,
-      `${record.instructor_first_name} ${record.instructor_last_name}`
+      record.instructor_name
     ]);
 
     return this.arrayToCSV([headers, ...rows]);
@@ -836,13 +811,16 @@ class ReportService {
     const present = attendance.filter(a => a.status === 'present').length;
     const absent = attendance.filter(a => a.status === 'absent').length;
     const late = attendance.filter(a => a.status === 'late').length;
+    const excused = attendance.filter(a => a.status === 'excused').length;
+    const countable = totalRecords - excused;
 
     return {
       totalRecords,
       present,
       absent,
       late,
-      attendanceRate: totalRecords > 0 ? (present / totalRecords) * 100 : 0
+      excused,
+      attendanceRate: countable > 0 ? ((present + late) / countable) * 100 : 0
     };
   }
 
@@ -0,0 +1,239 @@
+const Rubric = require('../models/Rubric');
+const Submission = require('../models/Submission');
+const Instructor = require('../models/Instructor');
+const AuditLog = require('../models/AuditLog');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const text = (value, max) => String(value || '').trim().slice(0, max);
+
+class RubricService {
+  /**
+   * Validate a rubric from the rubric form. Blank criteria and levels are skipped; ids not already on
+   * the rubric are dropped so a form cannot claim another rubric's rows.
+   */
+  parseRubric(input, existing = null) {
+    const title = text(input.title, 200);
+    if (title.length < 3) {
+      throw new Error('The rubric needs a title of at least 3 characters');
+    }
+
+    const criterionIds = existing ? existing.criteria.map(criterion => criterion.id) : [];
+    const levelIds = existing ? existing.criteria.flatMap(criterion => criterion.levels.map(level => level.id)) : [];
+
+    const criteria = Object.values(input.criteria || {})
+      .filter(criterion => text(criterion.title, 200))
+      .map(criterion => {
+        const criterionTitle = text(criterion.title, 200);
+
+        const levels = Object.values(criterion.levels || {})
+          .filter(level => text(level.title, 100))
+          .map(level => {
+            const points = parseFloat(level.points);
+            if (isNaN(points) || points < 0 || points > 999) {
+              throw new Error(`Points for "${criterionTitle}" levels must be between 0 and 999`);
+            }
+            return {
+              id: levelIds.includes(parseInt(level.id)) ? parseInt(level.id) : null,
+              title: text(level.title, 100),
+              description: text(level.description, 1000) || null,
+              points
+            };
+          });
+
+        if (levels.length < 2) {
+          throw new Error(`Give "${criterionTitle}" at least two levels`);
+        }
+
+        return {
+          id: criterionIds.includes(parseInt(criterion.id)) ? parseInt(criterion.id) : null,
+          title: criterionTitle,
+          description: text(criterion.description, 1000) || null,
+          levels
+        };
+      });
+
+    if (criteria.length === 0) {
+      throw new Error('Add at least one criterion');
+    }
+
+    return {
+      id: existing ? existing.id : null,
+      title,
+      description: text(input.description, 2000) || null,
+      criteria
+    };
+  }
+
+  /**
+   * A rubric the user wrote, or null
+   */
+  async findOwnRubric(rubricId, user) {
+    const rubric = await Rubric.findById(rubricId);
+    return rubric && rubric.teacher_id === user.id ? rubric : null;
+  }
+
+  async saveRubric(input, user, ipAddress, existing = null) {
+    const rubric = this.parseRubric(input, existing);
+    const rubricId = await Rubric.save({ ...rubric, teacher_id: user.id });
+
+    await AuditLog.record({
+      userId: user.id,
+      action: existing ? 'rubric_updated' : 'rubric_created',
+      resourceType: 'rubric',
+      resourceId: rubricId,
+      description: `Rubric "${rubric.title}": ${rubric.criteria.length} criteria`,
+      ipAddress
+    });
+
+    return rubricId;
+  }
+
+  /**
+   * Copy a rubric as a new one the user can change without touching the original
+   */
+  async copyRubric(rubric, user, ipAddress) {
+    return this.saveRubric({
+      title: `Copy of ${rubric.title}`.slice(0, 200),
+      description: rubric.description,
+      criteria: rubric.criteria.map(criterion => ({
+        title: criterion.title,
+        description: criterion.description,
+        levels: criterion.levels.map(level => ({ title: level.title, description: level.description, points: level.points }))
+      }))
+    }, user, ipAddress);
+  }
+
+  async deleteRubric(rubricId, user, ipAddress) {
+    const deleted = await Rubric.delete(rubricId, user.id);
+    if (!deleted) {
+      throw new Error('Only rubrics no assignment uses can be deleted');
+    }
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'rubric_deleted',
+      resourceType: 'rubric',
+      resourceId: rubricId,
+      description: 'Rubric deleted',
+      ipAddress
+    });
+  }
+
+  /**
+   * Grade an assignment with one of the user's rubrics, or with plain points (rubricId empty)
+   */
+  async attachRubric(assignment, rubricId, user, ipAddress) {
+    let rubric = null;
+    if (rubricId) {
+      rubric = await this.findOwnRubric(rubricId, user);
+      if (!rubric) {
+        throw new Error('Rubric not found');
+      }
+    }
+
+    await Rubric.setForAssignment(assignment.id, rubric ? rubric.id : null);
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'assignment_rubric_set',
+      resourceType: 'assignment',
+      resourceId: assignment.id,
+      description: rubric ? `"${assignment.assignment_title || assignment.title}" graded with rubric "${rubric.title}"`
+        : `"${assignment.assignment_title || assignment.title}" graded with plain points`,
+      ipAddress
+    });
+
+    return rubric;
+  }
+
+  /**
+   * Score a submission against a rubric. Input is a list of { criterion_id, level_id, comment }; every
+   * criterion needs a level. The rubric total is scaled to what the assignment is worth.
+   */
+  scoreRubric(rubric, input, maxPoints) {
+    const picks = Object.values(input || {});
+
+    const scores = rubric.criteria.map(criterion => {
+      const picked = picks.find(pick => parseInt(pick.criterion_id) === criterion.id) || {};
+      const level = criterion.levels.find(l => l.id === parseInt(picked.level_id));
+      if (!level) {
+        throw new Error(`Choose a level for "${criterion.title}"`);
+      }
+
+      return {
+        criterion_id: criterion.id,
+        level_id: level.id,
+        criterion_title: criterion.title,
+        level_title: level.title,
+        points: level.points,
+        max_points: criterion.max_points,
+        comment: text(picked.comment, 2000) || null
+      };
+    });
+
+    const rubricPoints = scores.reduce((sum, score) => sum + score.points, 0);
+
+    return {
+      scores,
+      rubric_points: round(rubricPoints),
+      rubric_max: round(rubric.max_points),
+      points_earned: rubric.max_points > 0 ? round((rubricPoints / rubric.max_points) * Number(maxPoints)) : 0
+    };
+  }
+
+  /**
+   * Grade a submission: with its assignment's rubric when rubric levels are given, otherwise with
+   * plain points. Instructor.gradeSubmission checks the instructor teaches the course.
+   */
+  async gradeSubmission(submissionId, user, input) {
+    const submission = await Submission.findById(submissionId);
+    if (!submission) {
+      throw new Error('Submission not found');
+    }
+
+    const feedback = text(input.feedback, 5000) || null;
+
+    if (input.rubric && submission.rubric_id) {
+      const rubric = await Rubric.findById(submission.rubric_id);
+      const scored = this.scoreRubric(rubric, input.rubric, submission.max_points);
+
+      return Instructor.gradeSubmission(submission.id, user.id, {
+        points_earned: scored.points_earned,
+        feedback,
+        rubric_scores: scored.scores
+      });
+    }
+
+    const points = input.points === '' || input.points === undefined ? NaN : Number(input.points);
+    if (isNaN(points)) {
+      throw new Error('Give the points earned');
+    }
+
+    return Instructor.gradeSubmission(submission.id, user.id, { points_earned: points, feedback });
+  }
+
+  /**
+   * Each criterion's average points over the breakdowns recorded for an assignment
+   */
+  summarizeScores(scores) {
+    const byCriterion = new Map();
+
+    scores.forEach(score => {
+      const key = score.criterion_title;
+      const entry = byCriterion.get(key) || { criterion_title: key, max_points: score.max_points, total: 0, count: 0 };
+      entry.total += score.points;
+      entry.count += 1;
+      byCriterion.set(key, entry);
+    });
+
+    return [...byCriterion.values()].map(entry => ({
+      criterion_title: entry.criterion_title,
+      max_points: entry.max_points,
+      graded: entry.count,
+      average: round(entry.total / entry.count)
+    }));
+  }
+}
+
+module.exports = new RubricService();
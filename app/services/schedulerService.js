@@ -0,0 +1,90 @@
+const cron = require('node-cron');
+const paymentReconciliationService = require('./paymentReconciliationService');
+const feeReminderService = require('./feeReminderService');
+const academicStandingService = require('./academicStandingService');
+const quizService = require('./quizService');
+
+class SchedulerService {
+  constructor() {
+    this.tasks = [];
+  }
+
+  /**
+   * Register the application's recurring jobs (set ENABLE_SCHEDULER=false to skip them)
+   */
+  start() {
+    if (process.env.ENABLE_SCHEDULER === 'false') {
+      console.log('⏸️ Scheduled jobs are disabled');
+      return;
+    }
+
+    this.schedule(
+      'payment-reconciliation',
+      process.env.MPESA_RECONCILE_CRON || '*/5 * * * *',
+      () => paymentReconciliationService.reconcilePendingPayments()
+    );
+
+    this.schedule(
+      'refund-status-checks',
+      process.env.MPESA_REFUND_CHECK_CRON || '*/10 * * * *',
+      () => paymentReconciliationService.checkUnknownRefunds()
+    );
+
+    this.schedule(
+      'late-fee-penalties',
+      process.env.FEE_PENALTY_CRON || '0 1 * * *',
+      () => feeReminderService.applyLatePenalties()
+    );
+
+    this.schedule(
+      'fee-reminders',
+      process.env.FEE_REMINDER_CRON || '0 8 * * *',
+      () => feeReminderService.sendReminders()
+    );
+
+    this.schedule(
+      'academic-standing',
+      process.env.ACADEMIC_STANDING_CRON || '30 2 * * *',
+      () => academicStandingService.runTermClose()
+    );
+
+    this.schedule(
+      'quiz-attempt-expiry',
+      process.env.QUIZ_EXPIRY_CRON || '*/5 * * * *',
+      () => quizService.closeOverdueAttempts()
+    );
+  }
+
+  /**
+   * Schedule a job, never letting two runs of it overlap
+   */
+  schedule(name, expression, job) {
+    if (!cron.validate(expression)) {
+      console.error(`❌ Invalid cron expression for ${name}: ${expression}`);
+      return null;
+    }
+
+    const task = cron.schedule(expression, async () => {
+      try {
+        await job();
+      } catch (error) {
+        console.error(`❌ Scheduled job ${name} failed:`, error);
+      }
+    }, { name, noOverlap: true });
+
+    this.tasks.push(task);
+    console.log(`⏰ Scheduled ${name} (${expression})`);
+
+    return task;
+  }
+
+  /**
+   * Stop every scheduled job
+   */
+  stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+  }
+}
+
+module.exports = new SchedulerService();
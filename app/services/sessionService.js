@@ -0,0 +1,183 @@
+const crypto = require('crypto');
+const net = require('net');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const SystemSetting = require('../models/SystemSetting');
+const AuditLog = require('../models/AuditLog');
+const loginSecurityService = require('./loginSecurityService');
+
+const SETTINGS_CATEGORY = 'security';
+const IP_LOCATIONS_KEY = 'session_ip_locations';
+
+// The raw session id is what the cookie carries, so pages only ever see a short hash of it
+const sessionKey = (sessionId) => crypto.createHash('sha256').update(sessionId).digest('hex').slice(0, 16);
+
+// Express reports IPv4 clients on a dual-stack socket as ::ffff:a.b.c.d
+const normalizeIp = (ip = '') => ip.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+class SessionService {
+  /**
+   * A user's signed-in devices, the current one first, then the most recently active
+   */
+  async listForUser(userId, currentSessionId = null) {
+    const [sessions, locations] = await Promise.all([
+      Session.findActiveForUser(userId),
+      this.getIpLocations()
+    ]);
+
+    return sessions
+      .map(session => {
+        const device = session.data.device || {};
+
+        return {
+          key: sessionKey(session.sessionId),
+          current: session.sessionId === currentSessionId,
+          device: loginSecurityService.describeDevice(device.userAgent || ''),
+          ipAddress: device.ipAddress ? normalizeIp(device.ipAddress) : null,
+          location: device.ipAddress ? this.locate(device.ipAddress, locations) : null,
+          startedAt: device.startedAt ? new Date(device.startedAt) : null,
+          lastActiveAt: device.lastActiveAt ? new Date(device.lastActiveAt) : null,
+          expiresAt: session.expiresAt
+        };
+      })
+      .sort((a, b) => (b.current - a.current) || ((b.lastActiveAt || 0) - (a.lastActiveAt || 0)));
+  }
+
+  /**
+   * Sign out one of the user's other devices
+   */
+  async revoke(user, key, currentSessionId, { ipAddress, userAgent } = {}) {
+    const sessions = await Session.findActiveForUser(user.id);
+    const session = sessions.find(s => sessionKey(s.sessionId) === key);
+
+    if (!session) {
+      throw new Error('That session has already ended');
+    }
+    if (session.sessionId === currentSessionId) {
+      throw new Error('Use Logout to end the session you are using now');
+    }
+
+    await Session.destroyForUserById(user.id, session.sessionId);
+
+    const device = session.data.device || {};
+    await AuditLog.record({
+      userId: user.id,
+      action: 'session_revoked',
+      resourceType: 'user',
+      resourceId: user.id,
+      description: `Signed out ${loginSecurityService.describeDevice(device.userAgent || '')} (${device.ipAddress ? normalizeIp(device.ipAddress) : 'unknown IP'})`,
+      ipAddress,
+      userAgent
+    });
+  }
+
+  /**
+   * Sign the user out on every device except the one they are using
+   */
+  async signOutOthers(user, currentSessionId, { ipAddress, userAgent } = {}) {
+    const signedOut = await Session.destroyForUser(user.id, currentSessionId);
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'sessions_revoked',
+      resourceType: 'user',
+      resourceId: user.id,
+      description: `Signed out everywhere else; ${signedOut} session(s) ended`,
+      ipAddress,
+      userAgent
+    });
+
+    return signedOut;
+  }
+
+  /**
+   * End every session and API refresh token a user has. Used by admins, and whenever an
+   * account is deactivated, so the user cannot carry on with a session they already hold.
+   */
+  async forceLogout(userId, { actorId, reason, ipAddress, userAgent } = {}) {
+    const signedOut = await Session.destroyForUser(userId);
+    await RefreshToken.revokeForUser(userId);
+
+    console.log(`🚪 User ${userId} signed out everywhere (${reason}); ${signedOut} session(s) ended`);
+    await AuditLog.record({
+      userId: actorId || userId,
+      action: 'force_logout',
+      resourceType: 'user',
+      resourceId: userId,
+      description: `Signed out everywhere: ${reason}; ${signedOut} session(s) ended`,
+      ipAddress,
+      userAgent
+    });
+
+    return signedOut;
+  }
+
+  /**
+   * Name a place for an IP address from the configured ranges, or null if none match
+   */
+  locate(ipAddress, locations) {
+    const ip = normalizeIp(ipAddress);
+    const family = net.isIP(ip);
+    if (!family) return null;
+
+    const match = locations.find(location => {
+      const [network, prefix] = location.cidr.split('/');
+      if (net.isIP(network) !== family) return false;
+
+      const range = new net.BlockList();
+      const type = family === 4 ? 'ipv4' : 'ipv6';
+      range.addSubnet(network, parseInt(prefix, 10), type);
+      return range.check(ip, type);
+    });
+
+    return match ? match.label : null;
+  }
+
+  /**
+   * IP ranges admins have named, e.g. the campus network or a branch office
+   */
+  async getIpLocations() {
+    const locations = await SystemSetting.get(IP_LOCATIONS_KEY, []);
+    return Array.isArray(locations) ? locations : [];
+  }
+
+  /**
+   * Save IP ranges from text with one "CIDR label" per line, such as "10.20.0.0/16 Main campus"
+   */
+  async setIpLocations(text, updatedBy) {
+    const locations = String(text || '')
+      .split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map((line, index) => {
+        const [cidr, ...label] = line.split(/\s+/);
+        const [network, prefix] = cidr.split('/');
+        const family = net.isIP(network);
+        const bits = Number(prefix);
+
+        if (!family || !/^\d+$/.test(prefix || '') || bits > (family === 4 ? 32 : 128) || label.length === 0) {
+          throw new Error(`Line ${index + 1} should look like "10.20.0.0/16 Main campus"`);
+        }
+
+        return { cidr: `${network}/${bits}`, label: label.join(' ') };
+      });
+
+    await SystemSetting.set(IP_LOCATIONS_KEY, locations, {
+      dataType: 'json',
+      category: SETTINGS_CATEGORY,
+      description: 'Named IP ranges used to show where sessions are signed in from',
+      updatedBy
+    });
+
+    return locations;
+  }
+
+  /**
+   * The configured ranges as the text the settings form edits
+   */
+  formatIpLocations(locations) {
+    return locations.map(location => `${location.cidr} ${location.label}`).join('\n');
+  }
+}
+
+module.exports = new SessionService();
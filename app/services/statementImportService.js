@@ -0,0 +1,216 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const moment = require('moment');
+const StatementImport = require('../models/StatementImport');
+const mpesaService = require('./mpesaService');
+const { STATEMENT_SOURCES } = require('../../config/constants');
+
+// Header names (lowercased, letters and digits only) recognised for each field.
+// The first set is the M-Pesa full statement, the rest cover common bank exports.
+const COLUMN_ALIASES = {
+  reference: ['receiptno', 'receiptnumber', 'transactionid', 'transid', 'transactionreference', 'reference', 'referenceno', 'referencenumber', 'bankreference', 'chequeno'],
+  date: ['completiontime', 'transactiondate', 'transtime', 'date', 'valuedate', 'posteddate', 'postingdate', 'transactiontime'],
+  amount: ['paidin', 'credit', 'credits', 'creditamount', 'moneyin', 'deposit', 'deposits', 'transamount', 'amount'],
+  phone: ['otherpartyinfo', 'msisdn', 'phone', 'phonenumber', 'mobile', 'mobilenumber'],
+  account: ['acno', 'billrefnumber', 'accountreference', 'accountref', 'accountno'],
+  description: ['details', 'description', 'narration', 'narrative', 'particulars', 'transactiondetails'],
+  status: ['transactionstatus', 'status']
+};
+
+// Statements open with a preamble (account holder, period); the header row must be near the top
+const HEADER_SEARCH_ROWS = 30;
+
+const DATE_FORMATS = [
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD HH:mm',
+  'YYYY-MM-DD',
+  'DD/MM/YYYY HH:mm:ss',
+  'DD/MM/YYYY HH:mm',
+  'DD/MM/YYYY',
+  'DD-MM-YYYY',
+  'DD.MM.YYYY',
+  'DD-MMM-YYYY',
+  'DD MMM YYYY',
+  'D MMM YYYY',
+  'YYYYMMDDHHmmss'
+];
+
+class StatementImportService {
+  /**
+   * Parse an uploaded statement, match it against our payments and store the result
+   */
+  async importStatement({ source, file, importedBy }) {
+    if (!Object.values(STATEMENT_SOURCES).includes(source)) {
+      throw new Error('Unknown statement source');
+    }
+
+    const lines = await this.parseStatement(file.buffer, file.originalname);
+    if (lines.length === 0) {
+      throw new Error('No incoming payments were found in the statement');
+    }
+
+    // Suggest who unmatched money belongs to from the account reference the payer typed
+    const students = new Map();
+    for (const line of lines) {
+      const accountReference = mpesaService.normalizeAccountReference(line.account_reference);
+      if (!accountReference) continue;
+
+      if (!students.has(accountReference)) {
+        const student = await mpesaService.findStudentByAccountReference(accountReference);
+        students.set(accountReference, student ? student.id : null);
+      }
+      line.suggested_student_id = students.get(accountReference);
+    }
+
+    const statementImport = await StatementImport.create({
+      source,
+      file_name: file.originalname,
+      imported_by: importedBy
+    }, lines);
+
+    console.log(`📄 Imported ${source} statement ${file.originalname}: ${statementImport.matched_count}/${statementImport.line_count} lines matched`);
+
+    return statementImport;
+  }
+
+  /**
+   * Read a CSV or XLSX statement into money-in lines
+   */
+  async parseStatement(buffer, fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    if (extension === '.csv') {
+      worksheet = await workbook.csv.read(Readable.from(buffer));
+    } else if (extension === '.xlsx') {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      throw new Error('Statements must be CSV or XLSX files');
+    }
+
+    if (!worksheet) {
+      throw new Error('The statement is empty');
+    }
+
+    const rows = [];
+    worksheet.eachRow(row => rows.push(row.values.slice(1).map(value => this.cellValue(value))));
+
+    const headerIndex = rows.slice(0, HEADER_SEARCH_ROWS).findIndex(row => {
+      const columns = this.mapColumns(row);
+      return columns.reference !== undefined && columns.amount !== undefined;
+    });
+
+    if (headerIndex === -1) {
+      throw new Error('Could not find the reference and amount columns in the statement');
+    }
+
+    const columns = this.mapColumns(rows[headerIndex]);
+    const seenReferences = new Set();
+    const lines = [];
+
+    rows.slice(headerIndex + 1).forEach(row => {
+      const line = this.parseRow(row, columns);
+
+      // Withdrawals, reversals and repeated rows have nothing to reconcile
+      if (!line || seenReferences.has(line.reference)) return;
+
+      seenReferences.add(line.reference);
+      lines.push(line);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Work out which column holds which field from a header row
+   */
+  mapColumns(headerRow) {
+    const normalized = headerRow.map(header =>
+      (header === null || header === undefined ? '' : String(header)).toLowerCase().replace(/[^a-z0-9]/g, '')
+    );
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      // Aliases are in order of preference, so "Paid In" wins over a signed "Amount"
+      for (const alias of aliases) {
+        const index = normalized.indexOf(alias);
+        if (index !== -1) {
+          columns[field] = index;
+          break;
+        }
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * Turn one statement row into a line, or null when it is not completed money in
+   */
+  parseRow(row, columns) {
+    const field = (name) => (columns[name] === undefined ? null : row[columns[name]]);
+
+    const reference = field('reference') ? String(field('reference')).trim() : '';
+    const amount = this.parseAmount(field('amount'));
+
+    if (!reference || !amount || amount <= 0) return null;
+
+    const status = field('status');
+    if (status && String(status).trim().toLowerCase() !== 'completed') return null;
+
+    const description = field('description') ? String(field('description')).trim() : null;
+
+    return {
+      reference: reference.substring(0, 100),
+      transaction_date: this.parseDate(field('date')),
+      amount,
+      phone: this.extractPhone(field('phone')) || this.extractPhone(description),
+      account_reference: field('account') ? String(field('account')).trim().substring(0, 100) : null,
+      description: description ? description.substring(0, 255) : null
+    };
+  }
+
+  /**
+   * Flatten the rich values exceljs returns for formulas, links and styled text
+   */
+  cellValue(value) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return value;
+    if (typeof value !== 'object') return value;
+    if (value.result !== undefined) return value.result;
+    if (value.text !== undefined) return value.text;
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+    return null;
+  }
+
+  parseAmount(value) {
+    if (typeof value === 'number') return Math.round(value * 100) / 100;
+    if (!value) return null;
+
+    const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+    return isNaN(amount) ? null : Math.round(amount * 100) / 100;
+  }
+
+  parseDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+
+    const date = moment(String(value).trim(), DATE_FORMATS, true);
+    return date.isValid() ? date.toDate() : null;
+  }
+
+  /**
+   * Pull a Kenyan mobile number out of free text, in 254 format
+   */
+  extractPhone(value) {
+    if (!value) return null;
+
+    const match = String(value).match(/(?:\+?254|\b0)([17]\d{8})\b/);
+    return match ? `254${match[1]}` : null;
+  }
+}
+
+module.exports = new StatementImportService();
@@ -0,0 +1,155 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const AuditLog = require('../models/AuditLog');
+
+// Access tokens are short-lived; clients keep a refresh token to get new ones
+const ACCESS_TOKEN_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '15m';
+const TOKEN_ISSUER = 'edulms';
+const TOKEN_AUDIENCE = 'edulms-api';
+
+const DEVELOPMENT_SECRET = 'edu-lms-jwt-secret-key-development';
+
+class TokenService {
+  /**
+   * Signing secret. A guessable fallback would let anyone mint tokens, so production refuses to run without one.
+   */
+  getSecret() {
+    if (process.env.JWT_SECRET) {
+      return process.env.JWT_SECRET;
+    }
+
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('JWT_SECRET must be set to issue API tokens in production');
+    }
+
+    return DEVELOPMENT_SECRET;
+  }
+
+  /**
+   * Sign an access token for a user
+   */
+  signAccessToken(user) {
+    return jwt.sign(
+      { role: user.role_name },
+      this.getSecret(),
+      {
+        subject: String(user.id),
+        expiresIn: ACCESS_TOKEN_EXPIRY,
+        issuer: TOKEN_ISSUER,
+        audience: TOKEN_AUDIENCE
+      }
+    );
+  }
+
+  /**
+   * Check an access token's signature and expiry and return its payload.
+   * Throws the jsonwebtoken errors, which errorHandler turns into 401s.
+   */
+  verifyAccessToken(token) {
+    return jwt.verify(token, this.getSecret(), {
+      issuer: TOKEN_ISSUER,
+      audience: TOKEN_AUDIENCE
+    });
+  }
+
+  /**
+   * Access and refresh token pair in the shape the API returns
+   */
+  buildTokenResponse(accessToken, refreshToken) {
+    const { iat, exp } = jwt.decode(accessToken);
+
+    return {
+      tokenType: 'Bearer',
+      accessToken,
+      expiresIn: exp - iat,
+      refreshToken: refreshToken.token,
+      refreshExpiresIn: refreshToken.expiresInDays * 24 * 60 * 60
+    };
+  }
+
+  /**
+   * Issue tokens after a successful API sign in
+   */
+  async issueTokens(user, { ipAddress = null, userAgent = null } = {}) {
+    const accessToken = this.signAccessToken(user);
+    const refreshToken = await RefreshToken.create(user.id, { ipAddress, userAgent });
+
+    console.log(`🔑 API tokens issued for: ${user.email}`);
+
+    await AuditLog.record({
+      userId: user.id,
+      action: 'api_login',
+      resourceType: 'user',
+      resourceId: user.id,
+      description: 'Signed in to the API',
+      ipAddress,
+      userAgent
+    });
+
+    return this.buildTokenResponse(accessToken, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for a new pair. Returns null when the token cannot be used.
+   */
+  async refreshTokens(token, { ipAddress = null, userAgent = null } = {}) {
+    const result = await RefreshToken.rotate(token, { ipAddress, userAgent });
+
+    if (result.status === 'reused') {
+      console.log(`⚠️ Refresh token reused for user ${result.userId}; signed out that device`);
+      await AuditLog.record({
+        userId: result.userId,
+        action: 'api_token_reuse',
+        resourceType: 'user',
+        resourceId: result.userId,
+        description: 'An already used refresh token was presented; all tokens from that sign in were revoked',
+        ipAddress,
+        userAgent
+      });
+      return null;
+    }
+
+    if (result.status !== 'rotated') {
+      return null;
+    }
+
+    const user = await User.findById(result.userId);
+    if (!user || !user.is_active) {
+      await RefreshToken.revokeForUser(result.userId);
+      return null;
+    }
+
+    return this.buildTokenResponse(this.signAccessToken(user), result.next);
+  }
+
+  /**
+   * Sign a device out by revoking its refresh token
+   */
+  async revokeToken(token, { ipAddress = null, userAgent = null } = {}) {
+    const userId = await RefreshToken.revoke(token);
+
+    if (userId) {
+      await AuditLog.record({
+        userId,
+        action: 'api_logout',
+        resourceType: 'user',
+        resourceId: userId,
+        description: 'Signed out of the API',
+        ipAddress,
+        userAgent
+      });
+    }
+
+    return !!userId;
+  }
+
+  /**
+   * Sign a user out of every API client
+   */
+  async revokeAllForUser(userId) {
+    return RefreshToken.revokeForUser(userId);
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,327 @@
+const crypto = require('crypto');
+const { transaction } = require('../../config/database');
+const TwoFactor = require('../models/TwoFactor');
+const SystemSetting = require('../models/SystemSetting');
+const smsService = require('./smsService');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Authenticator apps expect 6-digit SHA-1 codes that change every 30 seconds
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Accept the neighbouring codes too, to allow for clock drift on the phone
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+// Matches the expiry smsService.sendOTP tells the user about
+const SMS_CODE_TTL_MS = 10 * 60 * 1000;
+const SMS_RESEND_INTERVAL_MS = 60 * 1000;
+
+const SETTINGS_CATEGORY = 'security';
+const REQUIRED_ROLES_KEY = 'two_factor_required_roles';
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+// Recovery codes are shown as xxxx-xxxx but accepted with any case or spacing
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+class TwoFactorService {
+  /**
+   * Generate a new base32 TOTP secret
+   */
+  generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Time step a moment falls in
+   */
+  currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+  }
+
+  /**
+   * TOTP code for a secret at a given time step (RFC 6238)
+   */
+  generateTotp(secret, step = this.currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      (hmac[offset + 1] << 16) |
+      (hmac[offset + 2] << 8) |
+      hmac[offset + 3];
+
+    return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+  }
+
+  /**
+   * Find the time step a code belongs to, or null if it matches none in the window
+   */
+  matchTotp(secret, code, now = Date.now()) {
+    const cleaned = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(cleaned) || cleaned.length !== TOTP_DIGITS) {
+      return null;
+    }
+
+    const current = this.currentStep(now);
+    for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+      const expected = this.generateTotp(secret, current + drift);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleaned))) {
+        return current + drift;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Link authenticator apps read from the enrollment QR code
+   */
+  getOtpauthUrl(user, secret) {
+    const issuer = process.env.SITE_NAME || 'EduLMS';
+    const label = encodeURIComponent(`${issuer}:${user.email}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(TOTP_DIGITS),
+      period: String(TOTP_PERIOD_SECONDS)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Roles that may not sign in without two-factor authentication
+   */
+  async getRequiredRoles() {
+    const roles = await SystemSetting.get(REQUIRED_ROLES_KEY, []);
+    return Array.isArray(roles) ? roles : [];
+  }
+
+  /**
+   * Choose which roles must use two-factor authentication
+   */
+  async setRequiredRoles(roles, updatedBy) {
+    return SystemSetting.set(REQUIRED_ROLES_KEY, [].concat(roles || []), {
+      dataType: 'json',
+      category: SETTINGS_CATEGORY,
+      description: 'Roles that must complete two-factor authentication to sign in',
+      updatedBy
+    });
+  }
+
+  /**
+   * Whether a user has two-factor turned on, and whether their role demands it
+   */
+  async getStatus(user) {
+    const [settings, requiredRoles] = await Promise.all([
+      TwoFactor.findByUser(user.id),
+      this.getRequiredRoles()
+    ]);
+
+    const enabled = !!(settings && settings.is_enabled);
+
+    return {
+      enabled,
+      required: requiredRoles.includes(user.role_name),
+      enabledAt: enabled ? settings.enabled_at : null,
+      recoveryCodesLeft: enabled ? await TwoFactor.countRecoveryCodes(user.id) : 0,
+      smsAvailable: !!user.phone
+    };
+  }
+
+  /**
+   * Start (or resume) enrollment, keeping the same secret until it is confirmed
+   * so reloading the page does not invalidate an already scanned QR code
+   */
+  async beginEnrollment(user) {
+    const settings = await TwoFactor.findByUser(user.id);
+    let secret = settings && settings.pending_secret;
+
+    if (!secret) {
+      secret = this.generateSecret();
+      await TwoFactor.setPendingSecret(user.id, secret);
+    }
+
+    return {
+      secret,
+      otpauthUrl: this.getOtpauthUrl(user, secret)
+    };
+  }
+
+  /**
+   * Turn two-factor on once the user enters a code from their new authenticator.
+   * Returns the plain recovery codes to show once, or null if the code was wrong.
+   */
+  async confirmEnrollment(user, code) {
+    const settings = await TwoFactor.findByUser(user.id);
+    if (!settings || !settings.pending_secret) {
+      return null;
+    }
+
+    const step = this.matchTotp(settings.pending_secret, code);
+    if (step === null) {
+      return null;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    const enabled = await TwoFactor.enable(user.id, step, recoveryCodes.map(c => hashCode(normalizeRecoveryCode(c))));
+
+    if (enabled) {
+      console.log(`🔐 Two-factor authentication enabled for user ${user.id}`);
+    }
+
+    return enabled ? recoveryCodes : null;
+  }
+
+  /**
+   * Check an authenticator code at sign in, refusing codes that were already used
+   */
+  async verifyTotp(userId, code) {
+    const settings = await TwoFactor.findByUser(userId);
+    if (!settings || !settings.is_enabled) {
+      return false;
+    }
+
+    const step = this.matchTotp(settings.totp_secret, code);
+    if (step === null) {
+      return false;
+    }
+
+    return TwoFactor.recordStep(userId, step);
+  }
+
+  /**
+   * Fresh set of recovery codes in xxxx-xxxx form
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(4).toString('hex');
+      return `${code.slice(0, 4)}-${code.slice(4)}`;
+    });
+  }
+
+  /**
+   * Replace a user's recovery codes, returning the new plain codes
+   */
+  async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    await transaction(connection => TwoFactor.replaceRecoveryCodes(
+      userId,
+      recoveryCodes.map(code => hashCode(normalizeRecoveryCode(code))),
+      connection
+    ));
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Spend a recovery code in place of an authenticator code
+   */
+  async verifyRecoveryCode(userId, code) {
+    const normalized = normalizeRecoveryCode(code);
+    if (normalized.length !== 8) {
+      return false;
+    }
+
+    return TwoFactor.useRecoveryCode(userId, hashCode(normalized));
+  }
+
+  /**
+   * Text a one-time code as a fallback for users without their authenticator.
+   * Returns the challenge to keep in the pending login session (only the hash is kept).
+   */
+  async sendSmsCode(user, previousChallenge = null) {
+    if (!user.phone) {
+      throw new Error('No phone number is registered for this account');
+    }
+
+    if (previousChallenge && Date.now() - previousChallenge.sentAt < SMS_RESEND_INTERVAL_MS) {
+      throw new Error('Please wait a minute before requesting another code');
+    }
+
+    const code = String(crypto.randomInt(0, 10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+    const result = await smsService.sendOTP(user.phone, code);
+
+    if (!result || !result.success) {
+      throw new Error((result && result.error) || 'Failed to send verification code');
+    }
+
+    const now = Date.now();
+    return {
+      codeHash: hashCode(code),
+      sentAt: now,
+      expiresAt: now + SMS_CODE_TTL_MS
+    };
+  }
+
+  /**
+   * Check a texted code against the pending challenge
+   */
+  verifySmsCode(challenge, code) {
+    if (!challenge || Date.now() > challenge.expiresAt) {
+      return false;
+    }
+
+    const cleaned = String(code || '').replace(/\s/g, '');
+    return crypto.timingSafeEqual(Buffer.from(hashCode(cleaned)), Buffer.from(challenge.codeHash));
+  }
+
+  /**
+   * Turn two-factor off for a user (self-service or an admin reset)
+   */
+  async disable(userId) {
+    await TwoFactor.remove(userId);
+    console.log(`🔓 Two-factor authentication removed for user ${userId}`);
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Readable } = require('stream');
+const bcrypt = require('bcryptjs');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const { pool, transaction } = require('../../config/database');
+const Role = require('../models/Role');
+const PasswordResetToken = require('../models/PasswordResetToken');
+const AuditLog = require('../models/AuditLog');
+const { validateImportRow } = require('../validators/userValidators');
+const IdGeneratorService = require('./idGeneratorService');
+const statementImportService = require('./statementImportService');
+const { ROLES } = require('../../config/constants');
+
+// Header names (lowercased, letters and digits only) recognised for each column
+const COLUMN_ALIASES = {
+  name: ['name', 'fullname', 'studentname', 'names'],
+  firstName: ['firstname', 'givenname', 'othernames'],
+  lastName: ['lastname', 'surname', 'familyname'],
+  email: ['email', 'emailaddress', 'mail'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'msisdn', 'telephone'],
+  role: ['role', 'usertype', 'type', 'accounttype']
+};
+
+const MAX_ROWS = 1000;
+
+// Welcome links stay valid long enough for a semester's intake to get round to them
+const WELCOME_LINK_MINUTES = 7 * 24 * 60;
+
+const ROW_STATUS = {
+  NEW: 'new',
+  DUPLICATE: 'duplicate',
+  INVALID: 'invalid'
+};
+
+class UserImportService {
+  constructor() {
+    this.rowStatus = ROW_STATUS;
+    this.maxRows = MAX_ROWS;
+  }
+
+  /**
+   * Dry run: read the file and say what would happen to each row. Nothing is written.
+   */
+  async preview(file, defaultRole) {
+    const rows = await this.parseFile(file.buffer, file.originalname);
+    if (rows.length === 0) {
+      throw new Error('No users were found in the file');
+    }
+    if (rows.length > MAX_ROWS) {
+      throw new Error(`Import at most ${MAX_ROWS} users at a time`);
+    }
+
+    const roles = await this.getImportableRoles();
+    await this.checkRows(rows, roles, defaultRole);
+
+    return {
+      rows,
+      counts: Object.values(ROW_STATUS).reduce((counts, status) => {
+        counts[status] = rows.filter(row => row.status === status).length;
+        return counts;
+      }, {})
+    };
+  }
+
+  /**
+   * Roles users can be imported into. Admins are only ever created one at a time.
+   */
+  async getImportableRoles() {
+    const roles = await Role.findAll();
+    return roles.filter(role => role.name !== ROLES.ADMIN);
+  }
+
+  /**
+   * Read a CSV or XLSX file into rows keyed by column
+   */
+  async parseFile(buffer, fileName) {
+    const extension = path.extname(fileName || '').toLowerCase();
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+
+    if (extension === '.csv') {
+      // Cells are kept as text so phone numbers keep their leading zero
+      worksheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+    } else if (extension === '.xlsx') {
+      await workbook.xlsx.load(buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      throw new Error('User lists must be CSV or XLSX files');
+    }
+
+    if (!worksheet) {
+      throw new Error('The file is empty');
+    }
+
+    const cells = [];
+    worksheet.eachRow((row, rowNumber) => {
+      cells.push({ rowNumber, values: row.values.slice(1).map(value => statementImportService.cellValue(value)) });
+    });
+
+    if (cells.length === 0) {
+      throw new Error('The file is empty');
+    }
+
+    const columns = this.mapColumns(cells[0].values);
+    if (columns.email === undefined || (columns.name === undefined && columns.firstName === undefined)) {
+      throw new Error('The first row must name the columns, including email and name (or first name and last name)');
+    }
+
+    const text = (values, column) => {
+      const value = column === undefined ? null : values[column];
+      return value === null || value === undefined ? '' : String(value).trim();
+    };
+
+    return cells.slice(1)
+      .map(({ rowNumber, values }) => ({
+        rowNumber,
+        name: text(values, columns.name) ||
+          [text(values, columns.firstName), text(values, columns.lastName)].filter(Boolean).join(' '),
+        email: text(values, columns.email).toLowerCase(),
+        phone: text(values, columns.phone),
+        role: text(values, columns.role)
+      }))
+      .filter(row => row.name || row.email || row.phone);
+  }
+
+  /**
+   * Work out which column holds which field from the header row
+   */
+  mapColumns(headerRow) {
+    const normalized = headerRow.map(header =>
+      (header === null || header === undefined ? '' : String(header)).toLowerCase().replace(/[^a-z0-9]/g, '')
+    );
+    const columns = {};
+
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      const index = normalized.findIndex(header => aliases.includes(header));
+      if (index !== -1) {
+        columns[field] = index;
+      }
+    });
+
+    return columns;
+  }
+
+  /**
+   * Find a role from what a spreadsheet says ("Finance Officer", "finance_officer", "student")
+   */
+  resolveRole(value, roles) {
+    const wanted = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return roles.find(role =>
+      role.name === wanted || (role.display_name || '').toLowerCase().replace(/[\s-]+/g, '_') === wanted
+    ) || null;
+  }
+
+  /**
+   * Give every row a status and the reasons behind it
+   */
+  async checkRows(rows, roles, defaultRole) {
+    for (const row of rows) {
+      row.errors = [];
+
+      const req = { body: { name: row.name, email: row.email, phone: row.phone } };
+      for (const chain of validateImportRow) {
+        await chain.run(req);
+      }
+      validationResult(req).array().forEach(error => row.errors.push(error.msg));
+      row.phone = req.body.phone || null;
+
+      const role = this.resolveRole(row.role || defaultRole, roles);
+      if (role) {
+        row.role = role.name;
+        row.roleId = role.id;
+      } else if (!row.role) {
+        row.errors.push('Choose a role for rows that do not name one');
+      } else if (row.role.toLowerCase() === ROLES.ADMIN) {
+        row.errors.push('Administrators are added one at a time from Add User');
+      } else {
+        row.errors.push(`Unknown role "${row.role}"`);
+      }
+    }
+
+    const emails = rows.map(row => row.email).filter(Boolean);
+    const existing = new Set();
+    if (emails.length > 0) {
+      // The column's collation already compares case-insensitively
+      const [users] = await pool.query('SELECT email FROM users WHERE email IN (?)', [emails]);
+      users.forEach(user => existing.add(user.email.toLowerCase()));
+    }
+
+    const seen = new Set();
+    rows.forEach(row => {
+      if (row.errors.length > 0) {
+        row.status = ROW_STATUS.INVALID;
+      } else if (existing.has(row.email)) {
+        row.status = ROW_STATUS.DUPLICATE;
+        row.errors.push('An account with this email already exists');
+      } else if (seen.has(row.email)) {
+        row.status = ROW_STATUS.DUPLICATE;
+        row.errors.push('This email appears earlier in the file');
+      } else {
+        row.status = ROW_STATUS.NEW;
+      }
+      seen.add(row.email);
+    });
+
+    return rows;
+  }
+
+  /**
+   * Create the accounts from a preview in one transaction. Rows whose email was taken since
+   * the preview are skipped rather than failing the whole import.
+   */
+  async importUsers(rows, { fileName, importedBy, ipAddress }) {
+    const roles = await this.getImportableRoles();
+    await this.checkRows(rows, roles, null);
+
+    const toCreate = rows.filter(row => row.status === ROW_STATUS.NEW);
+    const skipped = rows.length - toCreate.length;
+
+    if (toCreate.length === 0) {
+      return { created: [], skipped };
+    }
+
+    // Imported accounts get the hash of a random secret that is thrown away, so nobody can
+    // sign in until they choose a password through the welcome link or "Forgot password".
+    const unusablePassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+    const byRole = (role) => toCreate.filter(row => row.role === role).length;
+    const studentIds = IdGeneratorService.generateUserIds(ROLES.STUDENT, byRole(ROLES.STUDENT));
+    const teacherIds = IdGeneratorService.generateUserIds(ROLES.INSTRUCTOR, byRole(ROLES.INSTRUCTOR));
+    const employeeIds = IdGeneratorService.generateUserIds('employee', toCreate.length - byRole(ROLES.STUDENT));
+
+    const created = await transaction(async (connection) => {
+      const users = [];
+
+      for (const row of toCreate) {
+        const ids = {
+          studentId: row.role === ROLES.STUDENT ? studentIds.pop() : null,
+          teacherId: row.role === ROLES.INSTRUCTOR ? teacherIds.pop() : null,
+          employeeId: row.role === ROLES.STUDENT ? null : employeeIds.pop()
+        };
+
+        const [result] = await connection.query(
+          `INSERT INTO users (name, email, password, role_id, phone, student_id, teacher_id, employee_id, is_active)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+          [row.name, row.email, unusablePassword, row.roleId, row.phone, ids.studentId, ids.teacherId, ids.employeeId]
+        );
+
+        users.push({ id: result.insertId, name: row.name, email: row.email, role: row.role, ...ids });
+      }
+
+      return users;
+    });
+
+    console.log(`👥 Imported ${created.length} user(s) from ${fileName} (${skipped} skipped)`);
+    await AuditLog.record({
+      userId: importedBy,
+      action: 'users_imported',
+      resourceType: 'user',
+      description: `Imported ${created.length} user(s) from ${fileName}; ${skipped} row(s) skipped`,
+      ipAddress
+    });
+
+    return { created, skipped };
+  }
+
+  /**
+   * Email each new user a welcome message with a link to choose their password
+   */
+  async sendWelcomeEmails(users, { importedBy, ipAddress }) {
+    const emailService = require('./emailService');
+    let sent = 0;
+
+    for (const user of users) {
+      try {
+        const setPassword = await PasswordResetToken.create(user.id, ipAddress, WELCOME_LINK_MINUTES);
+        const result = await emailService.sendWelcomeEmail(user, null, setPassword);
+        if (result && result.success) sent++;
+      } catch (error) {
+        console.error(`❌ Welcome email to ${user.email} failed:`, error.message);
+      }
+    }
+
+    console.log(`📧 Sent ${sent}/${users.length} welcome email(s) to imported users`);
+    await AuditLog.record({
+      userId: importedBy,
+      action: 'welcome_emails_sent',
+      resourceType: 'user',
+      description: `Sent ${sent} of ${users.length} welcome email(s) to imported users`,
+      ipAddress
+    });
+
+    return sent;
+  }
+
+  /**
+   * A CSV with the expected columns for admins to fill in
+   */
+  getTemplate() {
+    return [
+      'name,email,phone,role',
+      'Jane Wanjiku,jane.wanjiku@example.com,0712345678,student',
+      'Peter Otieno,peter.otieno@example.com,0723456789,instructor'
+    ].join('\n') + '\n';
+  }
+}
+
+module.exports = new UserImportService();
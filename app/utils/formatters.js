@@ -207,6 +207,24 @@ class Formatters {
     return `${start} - ${end}`;
   }
 
+  // Format date for display
+  static formatDate(date) {
+    if (!date) return 'N/A';
+    return moment(date).format('DD/MM/YYYY');
+  }
+
+  // Format date and time for display
+  static formatDateTime(date) {
+    if (!date) return 'N/A';
+    return moment(date).format('DD/MM/YYYY HH:mm');
+  }
+
+  // Format currency amount (KES by default)
+  static formatCurrency(amount, currency = 'KES') {
+    const value = parseFloat(amount) || 0;
+    return `${currency} ${value.toLocaleString('en-KE', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+
   // Format time remaining
   static formatTimeRemaining(endDate) {
     const now = moment();
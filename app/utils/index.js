@@ -12,5 +12,7 @@ module.exports = {
   ...validators,
   ...helpers,
   ...formatters,
-  ...constants
+  ...constants,
+  // Formatters is a class, so its static methods are not picked up by the spread above
+  Formatters: formatters
 };
\ No newline at end of file
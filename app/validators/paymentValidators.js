@@ -43,7 +43,7 @@ const paymentValidators = {
       .matches(/^(?:254|\+254|0)?[17]\d{8}$/).withMessage('Please provide a valid Kenyan phone number'),
     
     body('amount')
-      .isFloat({ min: 1, max: 150000 }).withMessage('Amount must be between 1 and 150,000 KES'),
+      .isInt({ min: 1, max: 150000 }).withMessage('Amount must be a whole number between 1 and 150,000 KES'),
     
     body('payment_id')
       .isInt({ min: 1 }).withMessage('Invalid payment ID')
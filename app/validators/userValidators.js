@@ -193,6 +193,34 @@ const userValidators = {
       .isIn(['male', 'female', 'other']).withMessage('Please select a valid gender')
   ],
 
+  // Contact details on the shared profile page
+  validateContactDetails: [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    
+    body('phone')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^(?:254|\+254|0)?[17]\d{8}$/).withMessage('Please provide a valid Kenyan phone number'),
+    
+    body('address')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ min: 5, max: 500 }).withMessage('Address must be between 5 and 500 characters'),
+    
+    body('emergency_contact_name')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isLength({ max: 255 }).withMessage('Emergency contact name must not exceed 255 characters'),
+    
+    body('emergency_contact_phone')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^(?:254|\+254|0)?[17]\d{8}$/).withMessage('Please provide a valid Kenyan phone number for your emergency contact')
+  ],
+
   // Password change validation
   validatePasswordChange: [
     body('current_password')
@@ -278,6 +306,25 @@ const userValidators = {
       .matches(/^(?:254|\+254|0)?[17]\d{8}$/).withMessage('Invalid phone number format')
   ],
 
+  // One row of a CSV/XLSX user import, checked before any account is created
+  validateImportRow: [
+    body('name')
+      .trim()
+      .notEmpty().withMessage('Name is required')
+      .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+    
+    body('email')
+      .trim()
+      .notEmpty().withMessage('Email is required')
+      .isEmail().withMessage('Invalid email address')
+      .isLength({ max: 255 }).withMessage('Email must not exceed 255 characters'),
+    
+    body('phone')
+      .optional({ values: 'falsy' })
+      .trim()
+      .matches(/^(?:254|\+254|0)?[17]\d{8}$/).withMessage('Invalid phone number; use a Kenyan mobile number such as 0712345678')
+  ],
+
   // Email validation for forgot password
   validateForgotPassword: [
     body('email')
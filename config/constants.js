@@ -7,6 +7,46 @@ module.exports = {
     FINANCE_OFFICER: 'finance_officer'
   },
 
+  // Everything a role can be allowed to do. A ".own" permission covers records the user owns
+  // (courses they teach); the matching ".any" permission covers every record.
+  PERMISSIONS: {
+    'area.admin': 'Open the admin area',
+    'area.instructor': 'Open the instructor area',
+    'area.student': 'Open the student area',
+    'area.finance': 'Open the finance area',
+    'users.manage': 'Create, edit and delete users',
+    'users.impersonate': 'Sign in as another user to see what they see',
+    'roles.manage': 'Create roles and change their permissions',
+    'courses.edit.own': 'Create courses and edit the ones they teach',
+    'courses.edit.any': 'Edit and delete any course',
+    'enrollments.manage': 'Enroll students and change enrollments',
+    'assignments.manage': 'Create, publish and delete assignments',
+    'submissions.grade': 'View and grade submissions',
+    'academics.view': 'See every assignment, submission and grade',
+    'grading.scales': 'Manage the institution grading scales',
+    'academics.standing': 'Set academic standing rules and close terms',
+    'payments.view': 'See all payments and M-Pesa callbacks',
+    'payments.verify': 'Verify payments',
+    'payments.refund': 'Refund payments',
+    'payments.configure': 'Register M-Pesa URLs and retry callbacks',
+    'fees.manage': 'Manage fee structures, installments and reminders',
+    'invoices.manage': 'Generate and send invoices',
+    'reports.view': 'Run reports',
+    'system.settings': 'Change system settings and view system health',
+    'system.audit': 'Read audit logs and lift lockouts',
+    'system.api_keys': 'Manage service accounts and API keys'
+  },
+
+  // What the built-in roles start with. Admins always hold every permission.
+  DEFAULT_ROLE_PERMISSIONS: {
+    instructor: ['area.instructor', 'courses.edit.own', 'enrollments.manage', 'assignments.manage', 'submissions.grade'],
+    student: ['area.student'],
+    finance_officer: [
+      'area.finance', 'payments.view', 'payments.verify', 'payments.refund', 'payments.configure',
+      'fees.manage', 'invoices.manage', 'reports.view'
+    ]
+  },
+
   // Course status
   COURSE_STATUS: {
     ACTIVE: 'active',
@@ -29,14 +69,101 @@ module.exports = {
     LATE: 'late'
   },
 
+  // Quiz question types
+  QUESTION_TYPES: {
+    MULTIPLE_CHOICE: 'multiple_choice',
+    MULTI_SELECT: 'multi_select',
+    TRUE_FALSE: 'true_false',
+    NUMERIC: 'numeric',
+    SHORT_ANSWER: 'short_answer'
+  },
+
+  // Quiz attempt status
+  QUIZ_ATTEMPT_STATUS: {
+    IN_PROGRESS: 'in_progress',
+    SUBMITTED: 'submitted',
+    EXPIRED: 'expired'
+  },
+
   // Payment status
   PAYMENT_STATUS: {
     PENDING: 'pending',
     COMPLETED: 'completed',
     FAILED: 'failed',
+    CANCELLED: 'cancelled',
+    REFUND_PENDING: 'refund_pending',
+    REFUNDED: 'refunded'
+  },
+
+  // Payment refund status
+  REFUND_STATUS: {
+    PENDING: 'pending',
+    // M-Pesa's answer was lost (network error, queue timeout); settled by a Transaction Status query
+    UNKNOWN: 'unknown',
+    COMPLETED: 'completed',
+    FAILED: 'failed'
+  },
+
+  // M-Pesa callback inbox status
+  CALLBACK_STATUS: {
+    PENDING: 'pending',
+    PROCESSED: 'processed',
+    FAILED: 'failed'
+  },
+
+  // Statement import sources
+  STATEMENT_SOURCES: {
+    MPESA: 'mpesa',
+    BANK: 'bank'
+  },
+
+  // How a statement line compares with the payments we hold
+  STATEMENT_LINE_STATUS: {
+    MATCHED: 'matched',
+    AMOUNT_MISMATCH: 'amount_mismatch',
+    MISSING_IN_SYSTEM: 'missing_in_system',
+    RESOLVED: 'resolved'
+  },
+
+  // Student fee schedule installment status (overdue is worked out from the due date)
+  INSTALLMENT_STATUS: {
+    PENDING: 'pending',
+    PARTIAL: 'partial',
+    PAID: 'paid'
+  },
+
+  // How a late payment penalty is worked out
+  LATE_FEE_TYPES: {
+    FLAT: 'flat',
+    PERCENTAGE: 'percentage'
+  },
+
+  // Invoice status
+  INVOICE_STATUS: {
+    PENDING: 'pending',
+    PAID: 'paid',
+    OVERDUE: 'overdue',
     CANCELLED: 'cancelled'
   },
 
+  // Student ledger entry types
+  LEDGER_ENTRY_TYPES: {
+    FEE: 'fee',
+    INVOICE: 'invoice',
+    PENALTY: 'penalty',
+    PAYMENT: 'payment',
+    SCHOLARSHIP: 'scholarship',
+    WAIVER: 'waiver',
+    REFUND: 'refund',
+    ADJUSTMENT: 'adjustment'
+  },
+
+  // Student ledger entry directions (debits raise the amount owed, credits lower it)
+  LEDGER_DIRECTIONS: {
+    DEBIT: 'debit',
+    CREDIT: 'credit'
+  },
+
   // Enrollment status
   ENROLLMENT_STATUS: {
     ACTIVE: 'active',
@@ -45,6 +172,14 @@ module.exports = {
     DROPPED: 'dropped'
   },
 
+  // Attendance status
+  ATTENDANCE_STATUS: {
+    PRESENT: 'present',
+    ABSENT: 'absent',
+    LATE: 'late',
+    EXCUSED: 'excused'
+  },
+
   // Notification types
   NOTIFICATION_TYPES: {
     INFO: 'info',
@@ -53,6 +188,28 @@ module.exports = {
     SUCCESS: 'success'
   },
 
+  // Notification categories users choose delivery channels for (security alerts cannot be turned off)
+  NOTIFICATION_CATEGORIES: {
+    ACADEMIC: 'academic',
+    PAYMENTS: 'payments',
+    FEE_REMINDERS: 'fee_reminders',
+    ANNOUNCEMENTS: 'announcements',
+    SECURITY: 'security'
+  },
+
+  // What an API key may do, on top of its service account's role
+  API_KEY_SCOPES: {
+    'courses:read': 'Read courses',
+    'assignments:read': 'Read assignments',
+    'submissions:read': 'Read submissions',
+    'grades:read': 'Read grades',
+    'enrollments:read': 'Read course enrollments',
+    'enrollments:write': 'Enroll and drop students',
+    'payments:read': 'Read payments and balances',
+    'notifications:read': 'Read notifications',
+    'notifications:write': 'Mark notifications read'
+  },
+
   // Announcement types
   ANNOUNCEMENT_TYPES: {
     GENERAL: 'general',
@@ -87,6 +244,16 @@ module.exports = {
     WINTER: 'winter'
   },
 
+  // Order of the semesters within an academic year, which starts in the fall
+  SEMESTER_ORDER: ['fall', 'winter', 'spring', 'summer'],
+
+  // Standing a student is given when a term closes
+  ACADEMIC_STANDING: {
+    GOOD: 'good',
+    PROBATION: 'probation',
+    DISCONTINUED: 'discontinued'
+  },
+
   // File upload limits
   UPLOAD_LIMITS: {
     MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
@@ -1,6 +1,14 @@
 const LocalStrategy = require('passport-local').Strategy;
 const bcrypt = require('bcryptjs');
 const { pool } = require('./database');
+const loginSecurityService = require('../app/services/loginSecurityService');
+
+const lockoutMessage = (lockout) => {
+  const until = new Date(lockout.locked_until).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  return lockout.scope === 'ip'
+    ? `Too many failed sign-in attempts from your network. Please try again after ${until}.`
+    : `This account is locked after too many failed sign-in attempts. It unlocks at ${until}, or use the link we emailed you to unlock it now.`;
+};
 
 module.exports = function(passport) {
   passport.use(
@@ -12,54 +20,66 @@ module.exports = function(passport) {
       async (req, email, password, done) => {
         try {
           console.log(`🔐 Passport login attempt for: ${email}`);
+
+          const attempt = { email, ipAddress: req.ip, userAgent: req.get('User-Agent') || 'Unknown' };
+
+          // An IP that keeps failing is turned away before any account is looked up
+          const ipLockout = await loginSecurityService.getIpLockout(req.ip);
+          if (ipLockout) {
+            console.log('🔒 Login blocked for locked IP:', req.ip);
+            return done(null, false, { message: lockoutMessage(ipLockout) });
+          }
           
           // FIXED: Use pool.query() instead of db.query()
+          // Service accounts only ever authenticate with an API key
           const [users] = await pool.query(
             `SELECT u.*, r.name as role_name 
              FROM users u 
              JOIN roles r ON u.role_id = r.id 
-             WHERE u.email = ? AND u.is_active = 1`,
+             WHERE u.email = ? AND u.is_active = 1
+               AND u.id NOT IN (SELECT user_id FROM service_accounts)`,
             [email]
           );
 
           if (users.length === 0) {
             console.log('❌ No account found with email:', email);
-            req.flash('error_msg', 'No account found with that email address');
-            return done(null, false);
+            const { ipLockout: newIpLockout } = await loginSecurityService.recordFailure({ ...attempt, reason: 'unknown_email' });
+            return done(null, false, {
+              message: newIpLockout ? lockoutMessage(newIpLockout) : 'No account found with that email address'
+            });
           }
 
           const user = users[0];
           console.log(`✅ User found: ${user.name} (${user.role_name})`);
 
+          // Checked before the password so a correct guess does not get around the lock
+          const accountLockout = await loginSecurityService.getAccountLockout(user.id);
+          if (accountLockout) {
+            console.log('🔒 Login blocked for locked account:', email);
+            await loginSecurityService.recordFailure({ ...attempt, user, reason: 'locked' });
+            return done(null, false, { message: lockoutMessage(accountLockout) });
+          }
+
           // Check password
           const isMatch = await bcrypt.compare(password, user.password);
           if (!isMatch) {
             console.log('❌ Password incorrect for user:', email);
-            req.flash('error_msg', 'Password is incorrect');
-            return done(null, false);
+            const result = await loginSecurityService.recordFailure({ ...attempt, user, reason: 'bad_password' });
+            const lockout = result.accountLockout || result.ipLockout;
+
+            if (lockout) {
+              return done(null, false, { message: lockoutMessage(lockout) });
+            }
+            return done(null, false, {
+              message: result.attemptsLeft <= 2
+                ? `Password is incorrect. ${result.attemptsLeft} attempt(s) left before the account is locked.`
+                : 'Password is incorrect'
+            });
           }
 
           console.log('✅ Password verified successfully');
 
-          // Update last login
-          await pool.query(
-            'UPDATE users SET last_login = NOW() WHERE id = ?',
-            [user.id]
-          );
-
-          // Log login activity
-          try {
-            await pool.query(
-              `INSERT INTO audit_logs (user_id, action, table_name, record_id, ip_address, user_agent) 
-               VALUES (?, 'login', 'users', ?, ?, ?)`,
-              [user.id, user.id, req.ip, req.get('User-Agent') || 'Unknown']
-            );
-            console.log('📝 Login activity logged');
-          } catch (logError) {
-            console.warn('⚠️ Could not log login activity (table might not exist):', logError.message);
-          }
-
-          console.log(`✅ Login successful for: ${user.name}`);
+          // The success is recorded by whoever finishes the login, after any second factor
           return done(null, user);
         } catch (err) {
           console.error('❌ Passport login error:', err);
@@ -78,10 +98,12 @@ module.exports = function(passport) {
       console.log(`🔍 Deserializing user ID: ${id}`);
       
       // FIXED: Use pool.query() instead of db.query()
+      // The avatar thumbnail comes along so headers and sidebars can show it
       const [users] = await pool.query(
-        `SELECT u.*, r.name as role_name 
+        `SELECT u.*, r.name as role_name, p.avatar_thumbnail_url as avatar 
          FROM users u 
          JOIN roles r ON u.role_id = r.id 
+         LEFT JOIN user_profiles p ON p.user_id = u.id 
          WHERE u.id = ?`,
         [id]
       );
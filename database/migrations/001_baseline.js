@@ -0,0 +1,808 @@
+// Baseline schema: every table as config/database.js created it before migrations existed.
+// Tables are created only if missing, so databases built the old way adopt this migration unchanged.
+
+const { ROLES, DEFAULT_ROLE_PERMISSIONS } = require('../../config/constants');
+
+// Built-in roles and their starting permissions. Permissions are only seeded while the table is
+// empty so later changes made from the admin UI are not undone on restart.
+const seedRoles = async (connection) => {
+  const builtIn = [
+    [ROLES.ADMIN, 'Administrator'],
+    [ROLES.INSTRUCTOR, 'Instructor'],
+    [ROLES.STUDENT, 'Student'],
+    [ROLES.FINANCE_OFFICER, 'Finance Officer']
+  ];
+
+  for (const [name, displayName] of builtIn) {
+    await connection.query(
+      'INSERT IGNORE INTO roles (name, display_name, is_system) VALUES (?, ?, 1)',
+      [name, displayName]
+    );
+  }
+
+  const [[{ count }]] = await connection.query('SELECT COUNT(*) as count FROM role_permissions');
+  if (count > 0) return;
+
+  for (const [roleName, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    for (const permission of permissions) {
+      await connection.query(
+        `INSERT IGNORE INTO role_permissions (role_id, permission)
+         SELECT id, ? FROM roles WHERE name = ?`,
+        [permission, roleName]
+      );
+    }
+  }
+};
+
+// Dropped children first
+const TABLES = [
+  'audit_logs',
+  'role_permissions',
+  'roles',
+  'api_keys',
+  'service_accounts',
+  'api_refresh_tokens',
+  'known_login_devices',
+  'account_lockouts',
+  'login_attempts',
+  'two_factor_recovery_codes',
+  'user_two_factor',
+  'password_reset_tokens',
+  'system_settings',
+  'notification_preferences',
+  'notifications',
+  'student_ledger',
+  'invoice_items',
+  'invoices',
+  'invoice_sequences',
+  'fee_reminder_log',
+  'installment_allocations',
+  'student_fee_schedules',
+  'fee_installments',
+  'fee_structures',
+  'statement_lines',
+  'statement_imports',
+  'payment_refunds',
+  'mpesa_errors',
+  'mpesa_callbacks',
+  'payment_reconciliation_log',
+  'payments',
+  'attendance_records',
+  'attendance_sessions',
+  'grades',
+  'submissions',
+  'assignments',
+  'enrollments',
+  'courses',
+  'user_profiles',
+  'users'
+];
+
+module.exports = {
+  up: async (connection) => {
+    // Users table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        password VARCHAR(255) NOT NULL,
+        role_id INT DEFAULT 2,
+        phone VARCHAR(20),
+        student_id VARCHAR(50) UNIQUE,
+        teacher_id VARCHAR(50) UNIQUE,
+        employee_id VARCHAR(50) UNIQUE,
+        is_active BOOLEAN DEFAULT TRUE,
+        email_verified BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_email (email),
+        INDEX idx_role (role_id),
+        INDEX idx_student_id (student_id),
+        INDEX idx_teacher_id (teacher_id)
+      )
+    `);
+
+    // User profiles table (one row per user for details edited on the profile page; the verified
+    // phone only counts while it still matches users.phone)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_profiles (
+        user_id INT PRIMARY KEY,
+        avatar_url VARCHAR(500),
+        avatar_thumbnail_url VARCHAR(500),
+        address VARCHAR(500),
+        emergency_contact_name VARCHAR(255),
+        emergency_contact_phone VARCHAR(20),
+        verified_phone VARCHAR(20),
+        phone_verified_at DATETIME,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Courses table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS courses (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        course_code VARCHAR(50) UNIQUE NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        credits INT DEFAULT 3,
+        teacher_id INT,
+        department VARCHAR(100),
+        semester VARCHAR(50),
+        academic_year VARCHAR(20),
+        max_students INT DEFAULT 30,
+        fee_amount DECIMAL(10,2) DEFAULT 0.00,
+        start_date DATE,
+        end_date DATE,
+        status ENUM('active', 'inactive', 'completed') DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (teacher_id) REFERENCES users(id),
+        INDEX idx_course_code (course_code),
+        INDEX idx_teacher (teacher_id),
+        INDEX idx_status (status)
+      )
+    `);
+
+    // Enrollments table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS enrollments (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        student_id INT NOT NULL,
+        course_id INT NOT NULL,
+        enrolled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        status ENUM('active', 'completed', 'dropped') DEFAULT 'active',
+        grade DECIMAL(5,2),
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        FOREIGN KEY (course_id) REFERENCES courses(id),
+        UNIQUE KEY unique_enrollment (student_id, course_id),
+        INDEX idx_student (student_id),
+        INDEX idx_course (course_id)
+      )
+    `);
+
+    // Assignments table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS assignments (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        course_id INT NOT NULL,
+        teacher_id INT NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        max_points DECIMAL(5,2) DEFAULT 100.00,
+        due_date DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses(id),
+        FOREIGN KEY (teacher_id) REFERENCES users(id),
+        INDEX idx_course (course_id),
+        INDEX idx_teacher (teacher_id)
+      )
+    `);
+
+    // Submissions table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS submissions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        assignment_id INT NOT NULL,
+        student_id INT NOT NULL,
+        submission_text TEXT,
+        file_path VARCHAR(500),
+        submitted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        status ENUM('submitted', 'graded', 'late') DEFAULT 'submitted',
+        FOREIGN KEY (assignment_id) REFERENCES assignments(id),
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        INDEX idx_assignment (assignment_id),
+        INDEX idx_student (student_id)
+      )
+    `);
+
+    // Grades table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS grades (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        assignment_id INT NOT NULL,
+        student_id INT NOT NULL,
+        teacher_id INT NOT NULL,
+        points_earned DECIMAL(5,2),
+        feedback TEXT,
+        graded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (assignment_id) REFERENCES assignments(id),
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        FOREIGN KEY (teacher_id) REFERENCES users(id),
+        UNIQUE KEY unique_grade (assignment_id, student_id),
+        INDEX idx_assignment (assignment_id),
+        INDEX idx_student (student_id)
+      )
+    `);
+
+    // Attendance sessions table (one roll call per course per day)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS attendance_sessions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        course_id INT NOT NULL,
+        instructor_id INT NOT NULL,
+        session_date DATE NOT NULL,
+        topic VARCHAR(255),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses(id),
+        FOREIGN KEY (instructor_id) REFERENCES users(id),
+        UNIQUE KEY unique_course_session (course_id, session_date),
+        INDEX idx_course (course_id),
+        INDEX idx_session_date (session_date)
+      )
+    `);
+
+    // Attendance records table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS attendance_records (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        session_id INT NOT NULL,
+        student_id INT NOT NULL,
+        status ENUM('present', 'absent', 'late', 'excused') NOT NULL DEFAULT 'present',
+        remarks VARCHAR(255),
+        marked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (session_id) REFERENCES attendance_sessions(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        UNIQUE KEY unique_session_student (session_id, student_id),
+        INDEX idx_student (student_id),
+        INDEX idx_status (status)
+      )
+    `);
+
+    // Payments table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payments (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        student_id INT,
+        fee_structure_id INT,
+        amount DECIMAL(10,2) NOT NULL,
+        payment_method VARCHAR(50),
+        transaction_id VARCHAR(255),
+        phone_number VARCHAR(20),
+        checkout_request_id VARCHAR(100) UNIQUE,
+        callback_token VARCHAR(64),
+        status ENUM('pending', 'completed', 'failed', 'refund_pending', 'refunded') DEFAULT 'pending',
+        failure_reason VARCHAR(255),
+        reconcile_attempts INT DEFAULT 0,
+        next_reconcile_at DATETIME,
+        payment_date DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        INDEX idx_student (student_id),
+        INDEX idx_status (status),
+        INDEX idx_transaction (transaction_id)
+      )
+    `);
+
+    // Payment reconciliation log (one row per automatic status query of a pending payment)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payment_reconciliation_log (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        payment_id INT NOT NULL,
+        attempt INT NOT NULL,
+        outcome ENUM('completed', 'failed', 'pending') NOT NULL,
+        result_code VARCHAR(20),
+        result_desc VARCHAR(255),
+        checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (payment_id) REFERENCES payments(id),
+        INDEX idx_payment (payment_id),
+        INDEX idx_checked (checked_at)
+      )
+    `);
+
+    // M-Pesa callback inbox (every accepted STK callback, kept so failed processing can be retried)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS mpesa_callbacks (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        callback_type VARCHAR(30) NOT NULL,
+        idempotency_key VARCHAR(100) NOT NULL,
+        receipt_number VARCHAR(100) UNIQUE,
+        payload TEXT NOT NULL,
+        source_ip VARCHAR(45),
+        status ENUM('pending', 'processed', 'failed') DEFAULT 'pending',
+        attempts INT DEFAULT 0,
+        last_error TEXT,
+        processed_at DATETIME,
+        received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uniq_callback (callback_type, idempotency_key),
+        INDEX idx_status (status)
+      )
+    `);
+
+    // M-Pesa errors table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS mpesa_errors (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        error_type VARCHAR(50) NOT NULL,
+        error_message TEXT,
+        context TEXT,
+        occurred_at DATETIME,
+        INDEX idx_type (error_type),
+        INDEX idx_occurred (occurred_at)
+      )
+    `);
+
+    // Payment refunds table (one row per B2C refund attempt)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS payment_refunds (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        payment_id INT NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        phone VARCHAR(20) NOT NULL,
+        reason VARCHAR(255) NOT NULL,
+        status ENUM('pending', 'completed', 'failed') DEFAULT 'pending',
+        conversation_id VARCHAR(100),
+        originator_conversation_id VARCHAR(100),
+        mpesa_transaction_id VARCHAR(100),
+        result_code VARCHAR(20),
+        result_desc VARCHAR(255),
+        requested_by INT,
+        completed_at DATETIME,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (payment_id) REFERENCES payments(id),
+        FOREIGN KEY (requested_by) REFERENCES users(id),
+        INDEX idx_payment (payment_id),
+        INDEX idx_conversation (conversation_id),
+        INDEX idx_originator_conversation (originator_conversation_id)
+      )
+    `);
+
+    // Statement imports table (one row per uploaded bank or M-Pesa statement)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS statement_imports (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        source ENUM('mpesa', 'bank') NOT NULL,
+        file_name VARCHAR(255) NOT NULL,
+        period_start DATE,
+        period_end DATE,
+        line_count INT DEFAULT 0,
+        matched_count INT DEFAULT 0,
+        imported_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (imported_by) REFERENCES users(id),
+        INDEX idx_created (created_at)
+      )
+    `);
+
+    // Statement lines table (each money-in row of an import and the payment it was matched to)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS statement_lines (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        import_id INT NOT NULL,
+        reference VARCHAR(100),
+        transaction_date DATETIME,
+        amount DECIMAL(10,2) NOT NULL,
+        phone VARCHAR(20),
+        account_reference VARCHAR(100),
+        description VARCHAR(255),
+        match_status ENUM('matched', 'amount_mismatch', 'missing_in_system', 'resolved') NOT NULL,
+        match_method VARCHAR(20),
+        payment_id INT,
+        suggested_student_id INT,
+        FOREIGN KEY (import_id) REFERENCES statement_imports(id) ON DELETE CASCADE,
+        FOREIGN KEY (payment_id) REFERENCES payments(id),
+        FOREIGN KEY (suggested_student_id) REFERENCES users(id),
+        INDEX idx_import (import_id),
+        INDEX idx_reference (reference),
+        INDEX idx_payment (payment_id)
+      )
+    `);
+
+    // Fee structures table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS fee_structures (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        amount DECIMAL(10,2) NOT NULL,
+        academic_year VARCHAR(20),
+        semester VARCHAR(50),
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        INDEX idx_academic_year (academic_year),
+        INDEX idx_active (is_active)
+      )
+    `);
+
+    // Fee installments table (how a fee structure's amount is split into due dates)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS fee_installments (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        fee_structure_id INT NOT NULL,
+        installment_number INT NOT NULL,
+        semester VARCHAR(50),
+        amount DECIMAL(10,2) NOT NULL,
+        due_date DATE NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (fee_structure_id) REFERENCES fee_structures(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_installment (fee_structure_id, installment_number)
+      )
+    `);
+
+    // Student fee schedules table (one row per installment a student owes)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS student_fee_schedules (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        student_id INT NOT NULL,
+        fee_structure_id INT NOT NULL,
+        installment_id INT NOT NULL,
+        installment_number INT NOT NULL,
+        semester VARCHAR(50),
+        amount_due DECIMAL(10,2) NOT NULL,
+        amount_paid DECIMAL(10,2) DEFAULT 0.00,
+        due_date DATE NOT NULL,
+        status ENUM('pending', 'partial', 'paid') DEFAULT 'pending',
+        assigned_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        FOREIGN KEY (fee_structure_id) REFERENCES fee_structures(id),
+        FOREIGN KEY (installment_id) REFERENCES fee_installments(id),
+        FOREIGN KEY (assigned_by) REFERENCES users(id),
+        UNIQUE KEY uniq_student_installment (student_id, installment_id),
+        INDEX idx_student_due (student_id, due_date),
+        INDEX idx_status_due (status, due_date)
+      )
+    `);
+
+    // Installment allocations table (which payment paid how much of which installment)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS installment_allocations (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        schedule_id INT NOT NULL,
+        payment_id INT NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (schedule_id) REFERENCES student_fee_schedules(id) ON DELETE CASCADE,
+        FOREIGN KEY (payment_id) REFERENCES payments(id),
+        INDEX idx_schedule (schedule_id),
+        INDEX idx_payment (payment_id)
+      )
+    `);
+
+    // Fee reminder log table (every reminder we sent, failed to send or skipped, per channel)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS fee_reminder_log (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        schedule_id INT NOT NULL,
+        student_id INT NOT NULL,
+        reminder_offset INT NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        status ENUM('sent', 'failed', 'skipped') NOT NULL,
+        error VARCHAR(255),
+        sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (schedule_id) REFERENCES student_fee_schedules(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        UNIQUE KEY uniq_reminder (schedule_id, reminder_offset, channel),
+        INDEX idx_sent (sent_at)
+      )
+    `);
+
+    // Invoice sequences table (per-year counter backing gap-free invoice numbers)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS invoice_sequences (
+        year INT PRIMARY KEY,
+        last_number INT NOT NULL DEFAULT 0
+      )
+    `);
+
+    // Invoices table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS invoices (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        invoice_number VARCHAR(50) UNIQUE NOT NULL,
+        student_id INT NOT NULL,
+        fee_structure_id INT,
+        academic_year VARCHAR(20),
+        semester VARCHAR(50),
+        due_date DATE NOT NULL,
+        total_amount DECIMAL(10,2) NOT NULL,
+        status ENUM('pending', 'paid', 'overdue', 'cancelled') DEFAULT 'pending',
+        notes TEXT,
+        generated_by INT,
+        updated_by INT,
+        sent_at DATETIME,
+        sent_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        FOREIGN KEY (fee_structure_id) REFERENCES fee_structures(id),
+        FOREIGN KEY (generated_by) REFERENCES users(id),
+        INDEX idx_student (student_id),
+        INDEX idx_status (status),
+        INDEX idx_due_date (due_date)
+      )
+    `);
+
+    // Invoice items table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS invoice_items (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        invoice_id INT NOT NULL,
+        description VARCHAR(255) NOT NULL,
+        quantity INT NOT NULL DEFAULT 1,
+        unit_price DECIMAL(10,2) NOT NULL,
+        FOREIGN KEY (invoice_id) REFERENCES invoices(id) ON DELETE CASCADE,
+        INDEX idx_invoice (invoice_id)
+      )
+    `);
+
+    // Student ledger table (append-only; balance_after is the running amount owed)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS student_ledger (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        student_id INT NOT NULL,
+        entry_type ENUM('fee', 'invoice', 'penalty', 'payment', 'scholarship', 'waiver', 'refund', 'adjustment') NOT NULL,
+        direction ENUM('debit', 'credit') NOT NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        balance_after DECIMAL(12,2) NOT NULL,
+        description VARCHAR(255),
+        reference_type VARCHAR(50),
+        reference_id INT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES users(id),
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        INDEX idx_student (student_id, id),
+        INDEX idx_reference (reference_type, reference_id)
+      )
+    `);
+
+    // Notifications table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT,
+        title VARCHAR(255) NOT NULL,
+        message TEXT NOT NULL,
+        type ENUM('info', 'success', 'warning', 'error', 'system', 'payment', 'academic', 'financial') DEFAULT 'info',
+        is_read BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        INDEX idx_user (user_id),
+        INDEX idx_read (is_read)
+      )
+    `);
+
+    // Notification preferences table (a row only exists once a user changes the default of receiving everything)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        category VARCHAR(50) NOT NULL,
+        channel VARCHAR(20) NOT NULL,
+        enabled BOOLEAN DEFAULT TRUE,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_preference (user_id, category, channel)
+      )
+    `);
+
+    // System settings table (typed key/value configuration editable at runtime)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS system_settings (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        setting_key VARCHAR(100) NOT NULL UNIQUE,
+        setting_value TEXT,
+        data_type ENUM('string', 'number', 'boolean', 'json') DEFAULT 'string',
+        category VARCHAR(50) DEFAULT 'general',
+        description VARCHAR(255),
+        updated_by INT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (updated_by) REFERENCES users(id),
+        INDEX idx_category (category)
+      )
+    `);
+
+    // Password reset tokens table (only a SHA-256 hash of the emailed token is stored)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS password_reset_tokens (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        requested_ip VARCHAR(45),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user (user_id),
+        INDEX idx_expires (expires_at)
+      )
+    `);
+
+    // Two-factor authentication table (one row per user; the secret only becomes active once confirmed)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS user_two_factor (
+        user_id INT PRIMARY KEY,
+        totp_secret VARCHAR(64),
+        pending_secret VARCHAR(64),
+        is_enabled BOOLEAN DEFAULT FALSE,
+        last_totp_step BIGINT,
+        enabled_at DATETIME,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Two-factor recovery codes table (hashed, each usable once)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user (user_id)
+      )
+    `);
+
+    // Login attempts table (every password check, kept for lockout counting and the security review)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS login_attempts (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NULL,
+        email VARCHAR(255),
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        success BOOLEAN NOT NULL DEFAULT FALSE,
+        failure_reason VARCHAR(50),
+        unusual_reason VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_created (user_id, created_at),
+        INDEX idx_ip_created (ip_address, created_at)
+      )
+    `);
+
+    // Account lockouts table (per account or per IP; progressive, lifted by expiry, email link or an admin)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS account_lockouts (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        scope ENUM('account', 'ip') NOT NULL,
+        user_id INT NULL,
+        ip_address VARCHAR(45),
+        failed_attempts INT NOT NULL,
+        locked_until DATETIME NOT NULL,
+        unlock_token_hash CHAR(64) UNIQUE,
+        unlocked_at DATETIME NULL,
+        unlock_method ENUM('email', 'admin') NULL,
+        unlocked_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (unlocked_by) REFERENCES users(id),
+        INDEX idx_user_until (user_id, locked_until),
+        INDEX idx_ip_until (ip_address, locked_until)
+      )
+    `);
+
+    // Known login devices table (browser and IP pairs a user has signed in from)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS known_login_devices (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        device_hash CHAR(64) NOT NULL,
+        ip_address VARCHAR(45) NOT NULL,
+        user_agent TEXT,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_device (user_id, device_hash, ip_address)
+      )
+    `);
+
+    // API refresh tokens table (hashed; each use replaces the token, and tokens from one sign in share a family)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS api_refresh_tokens (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        family_id CHAR(32) NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME NULL,
+        revoked_at DATETIME NULL,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user (user_id),
+        INDEX idx_family (family_id)
+      )
+    `);
+
+    // Service accounts table (users that exist only to own API keys for integrations)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS service_accounts (
+        user_id INT PRIMARY KEY,
+        description VARCHAR(255),
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+      )
+    `);
+
+    // API keys table (only a SHA-256 hash of the key is stored; the prefix identifies it in lists)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        key_prefix VARCHAR(16) NOT NULL,
+        key_hash CHAR(64) NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        expires_at DATETIME NULL,
+        last_used_at DATETIME NULL,
+        last_used_ip VARCHAR(45),
+        revoked_at DATETIME NULL,
+        revoked_by INT,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (revoked_by) REFERENCES users(id),
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        INDEX idx_user (user_id)
+      )
+    `);
+
+    // Roles table (built-in roles are marked is_system and cannot be deleted)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS roles (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(50) NOT NULL UNIQUE,
+        display_name VARCHAR(100),
+        description VARCHAR(255),
+        is_system BOOLEAN DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Role permissions table (one row per permission string a role holds)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id INT NOT NULL,
+        permission VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Audit logs table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        user_id INT,
+        action VARCHAR(100) NOT NULL,
+        resource_type VARCHAR(50),
+        resource_id INT,
+        description TEXT,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id),
+        INDEX idx_user (user_id),
+        INDEX idx_action (action),
+        INDEX idx_created (created_at)
+      )
+    `);
+
+    await seedRoles(connection);
+  },
+
+  down: async (connection) => {
+    for (const table of TABLES) {
+      await connection.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+  }
+};
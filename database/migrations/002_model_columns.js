@@ -0,0 +1,195 @@
+// Columns and tables the models query that the baseline never created
+
+module.exports = {
+  up: async (connection) => {
+    // Details collected when an account is created for a role, and the last successful sign in
+    await connection.query(`
+      ALTER TABLE users
+        ADD COLUMN date_of_birth DATE,
+        ADD COLUMN gender VARCHAR(20),
+        ADD COLUMN qualification VARCHAR(255),
+        ADD COLUMN specialization VARCHAR(255),
+        ADD COLUMN hire_date DATE,
+        ADD COLUMN admission_date DATE,
+        ADD COLUMN parent_phone VARCHAR(20),
+        ADD COLUMN last_login DATETIME
+    `);
+
+    await connection.query(`
+      ALTER TABLE courses
+        ADD COLUMN current_students INT NOT NULL DEFAULT 0
+    `);
+    await connection.query(`
+      UPDATE courses c
+      SET c.current_students = (SELECT COUNT(*) FROM enrollments e WHERE e.course_id = c.id AND e.status = 'active')
+    `);
+
+    await connection.query(`
+      ALTER TABLE enrollments
+        ADD COLUMN final_grade VARCHAR(5),
+        ADD COLUMN grade_points DECIMAL(3,2),
+        ADD COLUMN completion_date DATE,
+        ADD COLUMN dropped_at DATETIME
+    `);
+
+    // New assignments start as drafts; ones that already exist were visible to students, so stay that way
+    await connection.query(`
+      ALTER TABLE assignments
+        ADD COLUMN instructions TEXT,
+        ADD COLUMN allowed_extensions VARCHAR(255) DEFAULT '.pdf,.doc,.docx,.txt',
+        ADD COLUMN max_file_size INT DEFAULT 10485760,
+        ADD COLUMN submission_type ENUM('file', 'text', 'both') DEFAULT 'file',
+        ADD COLUMN status ENUM('draft', 'published', 'closed') DEFAULT 'draft',
+        ADD INDEX idx_status (status)
+    `);
+    await connection.query(`UPDATE assignments SET status = 'published'`);
+
+    await connection.query(`
+      ALTER TABLE submissions
+        ADD COLUMN file_name VARCHAR(255),
+        ADD COLUMN file_size INT,
+        ADD COLUMN is_late BOOLEAN DEFAULT FALSE,
+        ADD COLUMN updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP
+    `);
+    await connection.query(`UPDATE submissions SET is_late = (status = 'late')`);
+
+    // Grades are looked up by the submission they mark; link the ones recorded before that
+    await connection.query(`
+      ALTER TABLE grades
+        ADD COLUMN submission_id INT,
+        ADD COLUMN max_points DECIMAL(5,2),
+        ADD COLUMN grade VARCHAR(5),
+        ADD COLUMN grade_points DECIMAL(3,2),
+        ADD COLUMN updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
+        ADD CONSTRAINT fk_grades_submission FOREIGN KEY (submission_id) REFERENCES submissions(id) ON DELETE CASCADE
+    `);
+    await connection.query(`
+      UPDATE grades g
+      JOIN (
+        SELECT assignment_id, student_id, MAX(id) as id
+        FROM submissions
+        GROUP BY assignment_id, student_id
+      ) s ON s.assignment_id = g.assignment_id AND s.student_id = g.student_id
+      JOIN assignments a ON a.id = g.assignment_id
+      SET g.submission_id = s.id, g.max_points = a.max_points
+    `);
+
+    // Notifications raised by assignment, submission and grading events point back at their source
+    await connection.query(`
+      ALTER TABLE notifications
+        MODIFY COLUMN type ENUM('info', 'success', 'warning', 'error', 'system', 'payment', 'academic', 'financial',
+          'assignment', 'submission', 'grade') DEFAULT 'info',
+        ADD COLUMN related_id INT,
+        ADD COLUMN related_type VARCHAR(50)
+    `);
+
+    await connection.query(`
+      ALTER TABLE payments
+        ADD COLUMN description TEXT,
+        ADD COLUMN verified_by INT,
+        ADD COLUMN verified_at DATETIME,
+        ADD CONSTRAINT fk_payments_verified_by FOREIGN KEY (verified_by) REFERENCES users(id)
+    `);
+
+    await connection.query(`
+      ALTER TABLE fee_structures
+        ADD COLUMN fee_type VARCHAR(50),
+        ADD COLUMN due_date DATE,
+        ADD INDEX idx_fee_type (fee_type)
+    `);
+
+    // Course materials table (files and notes an instructor shares with a course)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS course_materials (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        course_id INT NOT NULL,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        file_path VARCHAR(500),
+        file_name VARCHAR(255),
+        uploaded_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id),
+        INDEX idx_course (course_id)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS course_materials');
+
+    await connection.query(`
+      ALTER TABLE fee_structures
+        DROP INDEX idx_fee_type,
+        DROP COLUMN fee_type,
+        DROP COLUMN due_date
+    `);
+
+    await connection.query('ALTER TABLE payments DROP FOREIGN KEY fk_payments_verified_by');
+    await connection.query(`
+      ALTER TABLE payments
+        DROP COLUMN description,
+        DROP COLUMN verified_by,
+        DROP COLUMN verified_at
+    `);
+
+    await connection.query(`UPDATE notifications SET type = 'academic' WHERE type IN ('assignment', 'submission', 'grade')`);
+    await connection.query(`
+      ALTER TABLE notifications
+        MODIFY COLUMN type ENUM('info', 'success', 'warning', 'error', 'system', 'payment', 'academic', 'financial') DEFAULT 'info',
+        DROP COLUMN related_id,
+        DROP COLUMN related_type
+    `);
+
+    await connection.query('ALTER TABLE grades DROP FOREIGN KEY fk_grades_submission');
+    await connection.query(`
+      ALTER TABLE grades
+        DROP COLUMN submission_id,
+        DROP COLUMN max_points,
+        DROP COLUMN grade,
+        DROP COLUMN grade_points,
+        DROP COLUMN updated_at
+    `);
+
+    await connection.query(`
+      ALTER TABLE submissions
+        DROP COLUMN file_name,
+        DROP COLUMN file_size,
+        DROP COLUMN is_late,
+        DROP COLUMN updated_at
+    `);
+
+    await connection.query(`
+      ALTER TABLE assignments
+        DROP INDEX idx_status,
+        DROP COLUMN instructions,
+        DROP COLUMN allowed_extensions,
+        DROP COLUMN max_file_size,
+        DROP COLUMN submission_type,
+        DROP COLUMN status
+    `);
+
+    await connection.query(`
+      ALTER TABLE enrollments
+        DROP COLUMN final_grade,
+        DROP COLUMN grade_points,
+        DROP COLUMN completion_date,
+        DROP COLUMN dropped_at
+    `);
+
+    await connection.query('ALTER TABLE courses DROP COLUMN current_students');
+
+    await connection.query(`
+      ALTER TABLE users
+        DROP COLUMN date_of_birth,
+        DROP COLUMN gender,
+        DROP COLUMN qualification,
+        DROP COLUMN specialization,
+        DROP COLUMN hire_date,
+        DROP COLUMN admission_date,
+        DROP COLUMN parent_phone,
+        DROP COLUMN last_login
+    `);
+  }
+};
@@ -0,0 +1,104 @@
+// Weighted gradebook: grading scales, per-course grade categories and the category of each assignment
+
+// Institution default scale; grade points feed GPA
+const DEFAULT_SCALE = {
+  name: 'Standard (A-E)',
+  bands: [
+    ['A', 75, 4.0],
+    ['A-', 70, 3.7],
+    ['B+', 65, 3.3],
+    ['B', 60, 3.0],
+    ['B-', 55, 2.7],
+    ['C+', 50, 2.3],
+    ['C', 45, 2.0],
+    ['C-', 40, 1.7],
+    ['D+', 35, 1.3],
+    ['D', 30, 1.0],
+    ['D-', 25, 0.7],
+    ['E', 0, 0.0]
+  ]
+};
+
+module.exports = {
+  up: async (connection) => {
+    // Grading scales table (institution scales have no course; a course may also define its own)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS grading_scales (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(100) NOT NULL,
+        course_id INT NULL,
+        is_default BOOLEAN DEFAULT FALSE,
+        created_by INT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id),
+        INDEX idx_course (course_id)
+      )
+    `);
+
+    // Grading scale bands table (a percentage earns the band with the highest minimum it reaches)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS grading_scale_bands (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        scale_id INT NOT NULL,
+        letter VARCHAR(5) NOT NULL,
+        min_percentage DECIMAL(5,2) NOT NULL,
+        grade_points DECIMAL(3,2) NOT NULL,
+        FOREIGN KEY (scale_id) REFERENCES grading_scales(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_scale_letter (scale_id, letter),
+        UNIQUE KEY uniq_scale_min (scale_id, min_percentage)
+      )
+    `);
+
+    // Grade categories table (e.g. CATs 30%, assignments 10%, exam 60%, optionally dropping the lowest scores)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS grade_categories (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        course_id INT NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        weight DECIMAL(5,2) NOT NULL,
+        drop_lowest INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_course_category (course_id, name)
+      )
+    `);
+
+    await connection.query(`
+      ALTER TABLE assignments
+        ADD COLUMN category_id INT NULL,
+        ADD CONSTRAINT fk_assignments_category FOREIGN KEY (category_id) REFERENCES grade_categories(id) ON DELETE SET NULL
+    `);
+
+    // A course without a scale of its own uses the institution default
+    await connection.query(`
+      ALTER TABLE courses
+        ADD COLUMN grading_scale_id INT NULL,
+        ADD CONSTRAINT fk_courses_grading_scale FOREIGN KEY (grading_scale_id) REFERENCES grading_scales(id) ON DELETE SET NULL
+    `);
+
+    const [result] = await connection.query(
+      'INSERT INTO grading_scales (name, is_default) VALUES (?, TRUE)',
+      [DEFAULT_SCALE.name]
+    );
+    for (const [letter, minPercentage, gradePoints] of DEFAULT_SCALE.bands) {
+      await connection.query(
+        'INSERT INTO grading_scale_bands (scale_id, letter, min_percentage, grade_points) VALUES (?, ?, ?, ?)',
+        [result.insertId, letter, minPercentage, gradePoints]
+      );
+    }
+  },
+
+  down: async (connection) => {
+    await connection.query('ALTER TABLE courses DROP FOREIGN KEY fk_courses_grading_scale');
+    await connection.query('ALTER TABLE courses DROP COLUMN grading_scale_id');
+    await connection.query('ALTER TABLE assignments DROP FOREIGN KEY fk_assignments_category');
+    await connection.query('ALTER TABLE assignments DROP COLUMN category_id');
+
+    await connection.query('DROP TABLE IF EXISTS grade_categories');
+    await connection.query('DROP TABLE IF EXISTS grading_scale_bands');
+    await connection.query('DROP TABLE IF EXISTS grading_scales');
+  }
+};
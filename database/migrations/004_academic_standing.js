@@ -0,0 +1,54 @@
+// Academic terms and the GPA, CGPA and standing each student is given when a term closes
+
+module.exports = {
+  up: async (connection) => {
+    // Academic terms table (one per academic year and semester that courses run in)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS academic_terms (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        academic_year VARCHAR(20) NOT NULL,
+        semester VARCHAR(50) NOT NULL,
+        closed_at DATETIME NULL,
+        closed_by INT NULL,
+        standing_computed_at DATETIME NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (closed_by) REFERENCES users(id),
+        UNIQUE KEY uniq_term (academic_year, semester)
+      )
+    `);
+
+    // Student term standings table (a snapshot taken at term close, recomputed if grades change)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS student_term_standings (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        student_id INT NOT NULL,
+        term_id INT NOT NULL,
+        credits_attempted INT NOT NULL DEFAULT 0,
+        credits_earned INT NOT NULL DEFAULT 0,
+        quality_points DECIMAL(8,2) NOT NULL DEFAULT 0.00,
+        gpa DECIMAL(3,2) NOT NULL,
+        cumulative_credits INT NOT NULL DEFAULT 0,
+        cgpa DECIMAL(3,2) NOT NULL,
+        standing ENUM('good', 'probation', 'discontinued') NOT NULL,
+        deans_list BOOLEAN DEFAULT FALSE,
+        computed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY (term_id) REFERENCES academic_terms(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_student_term (student_id, term_id),
+        INDEX idx_term_standing (term_id, standing)
+      )
+    `);
+
+    await connection.query(`
+      INSERT IGNORE INTO academic_terms (academic_year, semester)
+      SELECT DISTINCT academic_year, semester
+      FROM courses
+      WHERE academic_year IS NOT NULL AND semester IS NOT NULL
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS student_term_standings');
+    await connection.query('DROP TABLE IF EXISTS academic_terms');
+  }
+};
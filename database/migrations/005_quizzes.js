@@ -0,0 +1,123 @@
+// Timed, auto-graded quizzes: per-course question banks, the questions each quiz draws on, and
+// students' attempts and answers
+
+module.exports = {
+  up: async (connection) => {
+    // A quiz is an assignment students answer online instead of uploading work for
+    await connection.query(`
+      ALTER TABLE assignments
+        MODIFY COLUMN submission_type ENUM('file', 'text', 'both', 'quiz') DEFAULT 'file',
+        ADD COLUMN time_limit_minutes INT NULL,
+        ADD COLUMN max_attempts INT NOT NULL DEFAULT 1,
+        ADD COLUMN questions_per_attempt INT NULL,
+        ADD COLUMN shuffle_questions BOOLEAN DEFAULT FALSE,
+        ADD COLUMN shuffle_options BOOLEAN DEFAULT FALSE
+    `);
+
+    // Quiz questions table (a course's question bank; archived questions stay for past attempts)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS quiz_questions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        course_id INT NOT NULL,
+        topic VARCHAR(100) NULL,
+        question_type ENUM('multiple_choice', 'multi_select', 'true_false', 'numeric', 'short_answer') NOT NULL,
+        prompt TEXT NOT NULL,
+        points DECIMAL(5,2) NOT NULL DEFAULT 1.00,
+        numeric_answer DECIMAL(15,4) NULL,
+        numeric_tolerance DECIMAL(15,4) NOT NULL DEFAULT 0,
+        explanation TEXT NULL,
+        is_archived BOOLEAN DEFAULT FALSE,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (course_id) REFERENCES courses(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL,
+        INDEX idx_course_topic (course_id, topic)
+      )
+    `);
+
+    // Quiz question options table (choices for choice questions, accepted answers for short answers)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS quiz_question_options (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        question_id INT NOT NULL,
+        option_text VARCHAR(500) NOT NULL,
+        is_correct BOOLEAN DEFAULT FALSE,
+        position INT NOT NULL DEFAULT 0,
+        FOREIGN KEY (question_id) REFERENCES quiz_questions(id) ON DELETE CASCADE,
+        INDEX idx_question (question_id)
+      )
+    `);
+
+    // Assignment questions table (the bank questions a quiz draws on)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS assignment_questions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        assignment_id INT NOT NULL,
+        question_id INT NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        FOREIGN KEY (assignment_id) REFERENCES assignments(id) ON DELETE CASCADE,
+        FOREIGN KEY (question_id) REFERENCES quiz_questions(id),
+        UNIQUE KEY uniq_assignment_question (assignment_id, question_id)
+      )
+    `);
+
+    // Quiz attempts table (layout holds the question and option order this attempt was dealt)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS quiz_attempts (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        assignment_id INT NOT NULL,
+        student_id INT NOT NULL,
+        attempt_number INT NOT NULL,
+        layout TEXT NOT NULL,
+        status ENUM('in_progress', 'submitted', 'expired') DEFAULT 'in_progress',
+        started_at DATETIME NOT NULL,
+        expires_at DATETIME NULL,
+        submitted_at DATETIME NULL,
+        score DECIMAL(7,2) NULL,
+        max_score DECIMAL(7,2) NULL,
+        FOREIGN KEY (assignment_id) REFERENCES assignments(id) ON DELETE CASCADE,
+        FOREIGN KEY (student_id) REFERENCES users(id) ON DELETE CASCADE,
+        UNIQUE KEY uniq_student_attempt (assignment_id, student_id, attempt_number),
+        INDEX idx_status_expires (status, expires_at)
+      )
+    `);
+
+    // Quiz responses table (response is JSON: option ids, a number or text depending on the question)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS quiz_responses (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        attempt_id INT NOT NULL,
+        question_id INT NOT NULL,
+        response TEXT NULL,
+        is_correct BOOLEAN NULL,
+        points_awarded DECIMAL(5,2) NULL,
+        answered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (attempt_id) REFERENCES quiz_attempts(id) ON DELETE CASCADE,
+        FOREIGN KEY (question_id) REFERENCES quiz_questions(id),
+        UNIQUE KEY uniq_attempt_question (attempt_id, question_id),
+        INDEX idx_question (question_id)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS quiz_responses');
+    await connection.query('DROP TABLE IF EXISTS quiz_attempts');
+    await connection.query('DROP TABLE IF EXISTS assignment_questions');
+    await connection.query('DROP TABLE IF EXISTS quiz_question_options');
+    await connection.query('DROP TABLE IF EXISTS quiz_questions');
+
+    // Quizzes keep their grades and become plain text assignments
+    await connection.query(`UPDATE assignments SET submission_type = 'text' WHERE submission_type = 'quiz'`);
+    await connection.query(`
+      ALTER TABLE assignments
+        MODIFY COLUMN submission_type ENUM('file', 'text', 'both') DEFAULT 'file',
+        DROP COLUMN time_limit_minutes,
+        DROP COLUMN max_attempts,
+        DROP COLUMN questions_per_attempt,
+        DROP COLUMN shuffle_questions,
+        DROP COLUMN shuffle_options
+    `);
+  }
+};
@@ -0,0 +1,86 @@
+// Rubric grading: reusable rubrics (criteria, each with performance levels worth points), the rubric an
+// assignment is graded with, and the level and comment picked for each criterion of a grade
+
+module.exports = {
+  up: async (connection) => {
+    // Rubrics table (owned by the instructor who wrote them, reusable across their assignments)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS rubrics (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        teacher_id INT NOT NULL,
+        title VARCHAR(200) NOT NULL,
+        description TEXT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        FOREIGN KEY (teacher_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_teacher (teacher_id)
+      )
+    `);
+
+    // Rubric criteria table
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS rubric_criteria (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        rubric_id INT NOT NULL,
+        title VARCHAR(200) NOT NULL,
+        description TEXT NULL,
+        position INT NOT NULL DEFAULT 0,
+        FOREIGN KEY (rubric_id) REFERENCES rubrics(id) ON DELETE CASCADE,
+        INDEX idx_rubric (rubric_id)
+      )
+    `);
+
+    // Rubric levels table (the performance levels of a criterion, e.g. Excellent 10 / Good 7 / Poor 2)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS rubric_levels (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        criterion_id INT NOT NULL,
+        title VARCHAR(100) NOT NULL,
+        description TEXT NULL,
+        points DECIMAL(6,2) NOT NULL DEFAULT 0,
+        position INT NOT NULL DEFAULT 0,
+        FOREIGN KEY (criterion_id) REFERENCES rubric_criteria(id) ON DELETE CASCADE,
+        INDEX idx_criterion (criterion_id)
+      )
+    `);
+
+    await connection.query(`
+      ALTER TABLE assignments
+        ADD COLUMN rubric_id INT NULL,
+        ADD CONSTRAINT fk_assignments_rubric FOREIGN KEY (rubric_id) REFERENCES rubrics(id) ON DELETE SET NULL
+    `);
+
+    // Grade rubric scores table (titles and points are copied in, so a breakdown still reads the same
+    // after the rubric is edited)
+    await connection.query(`
+      CREATE TABLE IF NOT EXISTS grade_rubric_scores (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        grade_id INT NOT NULL,
+        criterion_id INT NULL,
+        level_id INT NULL,
+        criterion_title VARCHAR(200) NOT NULL,
+        level_title VARCHAR(100) NOT NULL,
+        points DECIMAL(6,2) NOT NULL,
+        max_points DECIMAL(6,2) NOT NULL,
+        comment TEXT NULL,
+        position INT NOT NULL DEFAULT 0,
+        FOREIGN KEY (grade_id) REFERENCES grades(id) ON DELETE CASCADE,
+        FOREIGN KEY (criterion_id) REFERENCES rubric_criteria(id) ON DELETE SET NULL,
+        FOREIGN KEY (level_id) REFERENCES rubric_levels(id) ON DELETE SET NULL,
+        INDEX idx_grade (grade_id)
+      )
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query('DROP TABLE IF EXISTS grade_rubric_scores');
+    await connection.query(`
+      ALTER TABLE assignments
+        DROP FOREIGN KEY fk_assignments_rubric,
+        DROP COLUMN rubric_id
+    `);
+    await connection.query('DROP TABLE IF EXISTS rubric_levels');
+    await connection.query('DROP TABLE IF EXISTS rubric_criteria');
+    await connection.query('DROP TABLE IF EXISTS rubrics');
+  }
+};
@@ -0,0 +1,29 @@
+// Refunds whose outcome M-Pesa never reported stay open as 'unknown' until a Transaction Status
+// query settles them, instead of releasing the payment for a second payout
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE payment_refunds
+        MODIFY COLUMN status ENUM('pending', 'unknown', 'completed', 'failed') DEFAULT 'pending',
+        ADD COLUMN status_query_conversation_id VARCHAR(100),
+        ADD COLUMN status_checks INT NOT NULL DEFAULT 0,
+        ADD COLUMN next_status_check_at DATETIME NULL,
+        ADD INDEX idx_status_check (status, next_status_check_at),
+        ADD INDEX idx_status_query_conversation (status_query_conversation_id)
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query(`UPDATE payment_refunds SET status = 'pending' WHERE status = 'unknown'`);
+    await connection.query(`
+      ALTER TABLE payment_refunds
+        DROP INDEX idx_status_check,
+        DROP INDEX idx_status_query_conversation,
+        DROP COLUMN status_query_conversation_id,
+        DROP COLUMN status_checks,
+        DROP COLUMN next_status_check_at,
+        MODIFY COLUMN status ENUM('pending', 'completed', 'failed') DEFAULT 'pending'
+    `);
+  }
+};
@@ -0,0 +1,22 @@
+// A success reported after a payment was already marked failed is held for a finance officer
+// instead of being dropped, so money M-Pesa took from the payer is never lost silently
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE payments
+        ADD COLUMN review_required TINYINT(1) NOT NULL DEFAULT 0,
+        ADD COLUMN review_reason VARCHAR(255),
+        ADD INDEX idx_review_required (review_required)
+    `);
+  },
+
+  down: async (connection) => {
+    await connection.query(`
+      ALTER TABLE payments
+        DROP INDEX idx_review_required,
+        DROP COLUMN review_required,
+        DROP COLUMN review_reason
+    `);
+  }
+};
@@ -0,0 +1,69 @@
+// Databases created by the old config/database.js adopted 001_baseline without its CREATE TABLE
+// running, so their payments table is missing what the baseline added to it. Each change is
+// applied only when information_schema shows it is missing, because fresh databases already have it.
+// (The only other old table 001 changed is notifications, whose type enum 002 already widens.)
+
+const columnExists = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0;
+};
+
+const indexExists = async (connection, table, index) => {
+  const [rows] = await connection.query(
+    `SELECT 1 FROM information_schema.STATISTICS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+    [table, index]
+  );
+  return rows.length > 0;
+};
+
+const columnType = async (connection, table, column) => {
+  const [rows] = await connection.query(
+    `SELECT COLUMN_TYPE as type FROM information_schema.COLUMNS
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+    [table, column]
+  );
+  return rows.length > 0 ? rows[0].type : null;
+};
+
+// In the order and with the definitions 001_baseline gives them
+const PAYMENT_COLUMNS = [
+  ['phone_number', 'VARCHAR(20) AFTER transaction_id'],
+  ['checkout_request_id', 'VARCHAR(100) AFTER phone_number'],
+  ['callback_token', 'VARCHAR(64) AFTER checkout_request_id'],
+  ['failure_reason', 'VARCHAR(255) AFTER status'],
+  ['reconcile_attempts', 'INT DEFAULT 0 AFTER failure_reason'],
+  ['next_reconcile_at', 'DATETIME AFTER reconcile_attempts'],
+  ['updated_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP AFTER created_at']
+];
+
+module.exports = {
+  up: async (connection) => {
+    // Refunds hold a payment in refund_pending until M-Pesa confirms them
+    const statusType = await columnType(connection, 'payments', 'status');
+    if (statusType && !statusType.includes("'refund_pending'")) {
+      await connection.query(`
+        ALTER TABLE payments
+          MODIFY COLUMN status ENUM('pending', 'completed', 'failed', 'refund_pending', 'refunded') DEFAULT 'pending'
+      `);
+    }
+
+    for (const [column, definition] of PAYMENT_COLUMNS) {
+      if (!(await columnExists(connection, 'payments', column))) {
+        await connection.query(`ALTER TABLE payments ADD COLUMN ${column} ${definition}`);
+      }
+    }
+
+    // UNIQUE on the column definition names the index after the column
+    if (!(await indexExists(connection, 'payments', 'checkout_request_id'))) {
+      await connection.query('ALTER TABLE payments ADD UNIQUE INDEX checkout_request_id (checkout_request_id)');
+    }
+  },
+
+  // Nothing to undo: on every database these now belong to the baseline and go when it is rolled back
+  down: async () => {}
+};
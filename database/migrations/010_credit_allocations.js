@@ -0,0 +1,26 @@
+// Scholarships, waivers and adjustments on the student ledger pay installments off too, so an
+// allocation now comes from either a payment or a ledger credit
+
+module.exports = {
+  up: async (connection) => {
+    await connection.query(`
+      ALTER TABLE installment_allocations
+        MODIFY COLUMN payment_id INT NULL,
+        ADD COLUMN ledger_entry_id INT NULL AFTER payment_id,
+        ADD CONSTRAINT fk_allocations_ledger_entry FOREIGN KEY (ledger_entry_id) REFERENCES student_ledger(id),
+        ADD INDEX idx_ledger_entry (ledger_entry_id)
+    `);
+  },
+
+  down: async (connection) => {
+    // Installments keep their amount_paid; the next allocation run recomputes it from payments alone
+    await connection.query('DELETE FROM installment_allocations WHERE payment_id IS NULL');
+    await connection.query('ALTER TABLE installment_allocations DROP FOREIGN KEY fk_allocations_ledger_entry');
+    await connection.query(`
+      ALTER TABLE installment_allocations
+        DROP INDEX idx_ledger_entry,
+        DROP COLUMN ledger_entry_id,
+        MODIFY COLUMN payment_id INT NOT NULL
+    `);
+  }
+};
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const mysql = require('mysql2/promise');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Held while migrating so two app instances starting together don't both apply the same migration
+const LOCK_NAME = 'edulms_schema_migrations';
+const LOCK_TIMEOUT_SECONDS = 60;
+
+// Migration files are named like 001_baseline.js; the number is the version
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+// Connect to the server and create the configured database if it doesn't exist yet
+const connect = async () => {
+  const dbName = process.env.DB_NAME;
+  if (!dbName) {
+    throw new Error('DB_NAME is not set');
+  }
+
+  const connection = await mysql.createConnection({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    port: process.env.DB_PORT || 3306,
+    charset: 'utf8mb4',
+    timezone: '+00:00'
+  });
+
+  try {
+    await connection.query(`CREATE DATABASE IF NOT EXISTS \`${dbName}\` CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci`);
+    await connection.query(`USE \`${dbName}\``);
+    return connection;
+  } catch (error) {
+    await connection.end();
+    throw error;
+  }
+};
+
+// Every migration on disk, oldest first
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return { version: match[1], name: match[2], file, ...migration };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(migration.version)) {
+      throw new Error(`More than one migration is numbered ${migration.version}`);
+    }
+    versions.add(migration.version);
+  }
+
+  return migrations;
+};
+
+const ensureMigrationsTable = async (connection) => {
+  await connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      batch INT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+};
+
+const getApplied = async (connection) => {
+  const [rows] = await connection.query('SELECT version, name, batch, applied_at FROM schema_migrations ORDER BY version');
+  return rows;
+};
+
+// Run a callback while holding the migration lock
+const withLock = async (connection, callback) => {
+  const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, ?) as acquired', [LOCK_NAME, LOCK_TIMEOUT_SECONDS]);
+  if (acquired !== 1) {
+    throw new Error('Another process is running migrations; try again once it finishes');
+  }
+
+  try {
+    return await callback();
+  } finally {
+    await connection.query('SELECT RELEASE_LOCK(?)', [LOCK_NAME]);
+  }
+};
+
+// Apply every pending migration in order. Returns the migrations that were applied.
+const migrate = async (connection) => {
+  await ensureMigrationsTable(connection);
+
+  return withLock(connection, async () => {
+    const applied = await getApplied(connection);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = loadMigrations().filter(migration => !appliedVersions.has(migration.version));
+
+    if (pending.length === 0) {
+      return [];
+    }
+
+    const batch = applied.reduce((max, row) => Math.max(max, row.batch), 0) + 1;
+
+    for (const migration of pending) {
+      console.log(`⬆️  Migrating ${migration.file}`);
+      await migration.up(connection);
+      await connection.query(
+        'INSERT INTO schema_migrations (version, name, batch) VALUES (?, ?, ?)',
+        [migration.version, migration.name, batch]
+      );
+    }
+
+    return pending;
+  });
+};
+
+// Undo the most recent batch of migrations, or the last `steps` migrations when given
+const rollback = async (connection, { steps = null } = {}) => {
+  await ensureMigrationsTable(connection);
+
+  return withLock(connection, async () => {
+    const applied = await getApplied(connection);
+    if (applied.length === 0) {
+      return [];
+    }
+
+    const lastBatch = applied[applied.length - 1].batch;
+    const toUndo = (steps ? applied.slice(-steps) : applied.filter(row => row.batch === lastBatch)).reverse();
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+
+    for (const row of toUndo) {
+      const migration = migrations.get(row.version);
+      if (!migration) {
+        throw new Error(`Migration ${row.version}_${row.name} was applied but its file is missing`);
+      }
+
+      console.log(`⬇️  Rolling back ${migration.file}`);
+      await migration.down(connection);
+      await connection.query('DELETE FROM schema_migrations WHERE version = ?', [row.version]);
+    }
+
+    return toUndo;
+  });
+};
+
+// Every migration on disk with when it was applied, or null if it is pending
+const status = async (connection) => {
+  await ensureMigrationsTable(connection);
+
+  const applied = new Map((await getApplied(connection)).map(row => [row.version, row]));
+  return loadMigrations().map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    batch: applied.has(migration.version) ? applied.get(migration.version).batch : null,
+    appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+  }));
+};
+
+module.exports = {
+  connect,
+  loadMigrations,
+  migrate,
+  rollback,
+  status
+};
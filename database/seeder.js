@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcryptjs');
+const { LEDGER_ENTRY_TYPES, LEDGER_DIRECTIONS } = require('../config/constants');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'tests', 'fixtures');
+
+// Each fixture row is matched to an existing row by a natural key (email, course code, transaction
+// id) and only inserted when missing, so seeding can be run again without duplicating anything.
+
+const readFixture = (fixturesDir, name) => {
+  const file = path.join(fixturesDir, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    return [];
+  }
+
+  const text = fs.readFileSync(file, 'utf8').trim();
+  if (!text) {
+    return [];
+  }
+
+  const rows = JSON.parse(text);
+  if (!Array.isArray(rows)) {
+    throw new Error(`${name}.json must contain an array`);
+  }
+  return rows;
+};
+
+const findUserId = async (connection, email) => {
+  const [rows] = await connection.query('SELECT id FROM users WHERE email = ?', [email]);
+  if (rows.length === 0) {
+    throw new Error(`No user with email ${email}; add them to users.json`);
+  }
+  return rows[0].id;
+};
+
+const seedUsers = async (connection, users) => {
+  let created = 0;
+
+  for (const user of users) {
+    const [existing] = await connection.query('SELECT id FROM users WHERE email = ?', [user.email]);
+    if (existing.length > 0) continue;
+
+    const [roles] = await connection.query('SELECT id FROM roles WHERE name = ?', [user.role]);
+    if (roles.length === 0) {
+      throw new Error(`Unknown role "${user.role}" for ${user.email}`);
+    }
+
+    const hashedPassword = await bcrypt.hash(user.password, 12);
+    await connection.query(
+      `INSERT INTO users (name, email, password, role_id, phone, student_id, teacher_id, employee_id, is_active, email_verified)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        user.name, user.email, hashedPassword, roles[0].id, user.phone || null,
+        user.student_id || null, user.teacher_id || null, user.employee_id || null,
+        user.is_active === false ? 0 : 1, user.email_verified === false ? 0 : 1
+      ]
+    );
+    created++;
+  }
+
+  return created;
+};
+
+const seedCourses = async (connection, courses) => {
+  let created = 0;
+
+  for (const course of courses) {
+    const [existing] = await connection.query('SELECT id FROM courses WHERE course_code = ?', [course.course_code]);
+    let courseId = existing.length > 0 ? existing[0].id : null;
+
+    if (!courseId) {
+      const teacherId = course.instructor_email ? await findUserId(connection, course.instructor_email) : null;
+      const [result] = await connection.query(
+        `INSERT INTO courses (course_code, title, description, credits, teacher_id, department, semester,
+           academic_year, max_students, fee_amount, start_date, end_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          course.course_code, course.title, course.description || null, course.credits || 3, teacherId,
+          course.department || null, course.semester || null, course.academic_year || null,
+          course.max_students || 30, course.fee_amount || 0, course.start_date || null, course.end_date || null
+        ]
+      );
+      courseId = result.insertId;
+      created++;
+    }
+
+    for (const email of course.students || []) {
+      const studentId = await findUserId(connection, email);
+      await connection.query(
+        'INSERT IGNORE INTO enrollments (student_id, course_id) VALUES (?, ?)',
+        [studentId, courseId]
+      );
+    }
+
+    await connection.query(
+      `UPDATE courses SET current_students =
+         (SELECT COUNT(*) FROM enrollments WHERE course_id = ? AND status = 'active')
+       WHERE id = ?`,
+      [courseId, courseId]
+    );
+  }
+
+  return created;
+};
+
+// Completed payments are credited to the student ledger the same way a confirmed M-Pesa payment is
+const seedPayments = async (connection, payments) => {
+  const StudentLedger = require('../app/models/StudentLedger');
+  let created = 0;
+
+  for (const payment of payments) {
+    const [existing] = await connection.query('SELECT id FROM payments WHERE transaction_id = ?', [payment.transaction_id]);
+    if (existing.length > 0) continue;
+
+    const studentId = await findUserId(connection, payment.student_email);
+    const status = payment.status || 'pending';
+    const [result] = await connection.query(
+      `INSERT INTO payments (student_id, amount, payment_method, transaction_id, phone_number, status, payment_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        studentId, payment.amount, payment.payment_method || 'mpesa', payment.transaction_id,
+        payment.phone_number || null, status, payment.payment_date || null
+      ]
+    );
+
+    if (status === 'completed') {
+      await StudentLedger.postEntry({
+        student_id: studentId,
+        entry_type: LEDGER_ENTRY_TYPES.PAYMENT,
+        direction: LEDGER_DIRECTIONS.CREDIT,
+        amount: payment.amount,
+        description: `Payment ${payment.transaction_id}`,
+        reference_type: 'payment',
+        reference_id: result.insertId
+      }, connection);
+    }
+    created++;
+  }
+
+  return created;
+};
+
+// Load users, courses (with enrollments) and payments from the fixture files, in that order
+const seed = async (connection, { fixturesDir = FIXTURES_DIR } = {}) => {
+  const users = await seedUsers(connection, readFixture(fixturesDir, 'users'));
+  const courses = await seedCourses(connection, readFixture(fixturesDir, 'courses'));
+  const payments = await seedPayments(connection, readFixture(fixturesDir, 'payments'));
+
+  console.log(`🌱 Seeded ${users} user(s), ${courses} course(s) and ${payments} payment(s)`);
+  return { users, courses, payments };
+};
+
+module.exports = {
+  FIXTURES_DIR,
+  seed
+};
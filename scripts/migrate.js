@@ -0,0 +1,47 @@
+require('dotenv').config();
+const migrator = require('../database/migrator');
+
+const USAGE = `Usage:
+  npm run migrate                 apply every pending migration
+  npm run migrate -- down [n]     roll back the last batch, or the last n migrations
+  npm run migrate -- status       list migrations and when each was applied`;
+
+const run = async () => {
+  const [command = 'up', steps] = process.argv.slice(2);
+
+  if (!['up', 'down', 'status'].includes(command) || (steps !== undefined && !/^[1-9]\d*$/.test(steps))) {
+    console.log(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const connection = await migrator.connect();
+
+  try {
+    if (command === 'up') {
+      const applied = await migrator.migrate(connection);
+      console.log(applied.length > 0
+        ? `✅ Applied ${applied.length} migration(s)`
+        : '✅ Nothing to migrate');
+    } else if (command === 'down') {
+      const undone = await migrator.rollback(connection, { steps: steps ? parseInt(steps, 10) : null });
+      console.log(undone.length > 0
+        ? `✅ Rolled back ${undone.length} migration(s)`
+        : '✅ Nothing to roll back');
+    } else {
+      for (const migration of await migrator.status(connection)) {
+        const state = migration.appliedAt
+          ? `applied ${new Date(migration.appliedAt).toLocaleString()} (batch ${migration.batch})`
+          : 'pending';
+        console.log(`${migration.version}_${migration.name}  ${state}`);
+      }
+    }
+  } finally {
+    await connection.end();
+  }
+};
+
+run().catch((error) => {
+  console.error('❌ Migration failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+require('dotenv').config();
+const migrator = require('../database/migrator');
+const { seed, FIXTURES_DIR } = require('../database/seeder');
+
+// Load tests/fixtures/*.json (or the directory given as the first argument) into the database.
+// Rows that already exist are left alone, so this is safe to run more than once.
+const run = async () => {
+  const fixturesDir = process.argv[2] || FIXTURES_DIR;
+  const connection = await migrator.connect();
+
+  try {
+    const pending = (await migrator.status(connection)).filter(migration => !migration.appliedAt);
+    if (pending.length > 0) {
+      throw new Error(`${pending.length} migration(s) have not been applied; run npm run migrate first`);
+    }
+
+    await connection.beginTransaction();
+    try {
+      await seed(connection, { fixturesDir });
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    }
+  } finally {
+    await connection.end();
+  }
+
+  // The ledger model opens the app's connection pool; nothing else is left to wait for
+  process.exit(0);
+};
+
+run().catch((error) => {
+  console.error('❌ Seeding failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+// A stand-in for a mysql2 connection. Each query is answered by the first handler whose pattern
+// matches its SQL; the handler gets the params and returns what `rows` should be (a list for a
+// SELECT, a result header such as { insertId, affectedRows } for a write). Every query is kept in
+// `calls` so tests can check what was written.
+const createFakeConnection = (handlers = []) => {
+  const connection = {
+    calls: [],
+    query: jest.fn(async (sql, params = []) => {
+      const text = sql.replace(/\s+/g, ' ').trim();
+      connection.calls.push({ sql: text, params });
+
+      const handler = handlers.find(([pattern]) => pattern.test(text));
+      if (!handler) {
+        throw new Error(`Unexpected query: ${text}`);
+      }
+
+      const rows = await handler[1](params, text);
+      return [rows === undefined ? { affectedRows: 1 } : rows, []];
+    }),
+    // The queries whose SQL matches a pattern
+    queriesMatching: (pattern) => connection.calls.filter(call => pattern.test(call.sql))
+  };
+
+  return connection;
+};
+
+// Replacement for config/database. Point it at a fake connection with use(); the pool and
+// transactions both run on it.
+//   jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+let current = null;
+
+const database = {
+  use: (connection) => { current = connection; },
+  pool: { query: (...args) => current.query(...args) },
+  transaction: (callback) => callback(current)
+};
+
+module.exports = {
+  createFakeConnection,
+  database
+};
@@ -0,0 +1,133 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+
+const { createFakeConnection, database } = require('../../helpers/fakeConnection');
+const academicController = require('../../../app/controllers/api/academicController');
+
+const student = { id: 3, role_name: 'student', permissions: ['area.student'] };
+const instructor = {
+  id: 2,
+  role_name: 'instructor',
+  permissions: ['area.instructor', 'courses.edit.own', 'enrollments.manage', 'assignments.manage', 'submissions.grade']
+};
+const course = { id: 7, teacher_id: instructor.id, title: 'Introduction to Programming', course_code: 'CS101' };
+
+const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+let connection;
+
+const useAssignment = (assignment) => {
+  connection = createFakeConnection([
+    [/^SELECT \* FROM assignments WHERE id = \?/, () => [{ id: 40, course_id: course.id, due_date: nextWeek, ...assignment }]],
+    [/^SELECT c\.\*, u\.name as instructor_name FROM courses c/, () => [course]],
+    [/^SELECT id FROM enrollments WHERE course_id = \? AND student_id = \?/, () => [{ id: 1 }]],
+    [/^SELECT id FROM submissions WHERE assignment_id = \? AND student_id = \?/, () => []],
+    [/^INSERT INTO submissions/, () => ({ insertId: 90 })],
+    [/^SELECT \* FROM submissions WHERE id = \?/, () => [{ id: 90 }]],
+    [/^SELECT \* FROM submissions WHERE assignment_id = \?/, () => []],
+    [/^SELECT points_earned, feedback, graded_at FROM grades/, () => []]
+  ]);
+  database.use(connection);
+};
+
+// Runs a handler the way the router does; resolves once it responds or passes an error on
+const call = (handler, { user = student, body = {} } = {}) => new Promise((resolve) => {
+  const res = {
+    status: jest.fn(function (code) { this.statusCode = code; return this; }),
+    json: jest.fn(function (payload) { this.body = payload; resolve({ res, error: null }); return this; })
+  };
+  handler({ user, params: { assignmentId: '40' }, query: {}, body }, res, (error) => resolve({ res, error }));
+});
+
+describe('GET /api/v1/assignments/:assignmentId', () => {
+  it.each(['draft', 'closed'])('hides a %s assignment from students', async (status) => {
+    useAssignment({ status, submission_type: 'text' });
+
+    const { error } = await call(academicController.getAssignment);
+
+    expect(error.statusCode).toBe(404);
+  });
+
+  it('shows a published assignment to an enrolled student', async () => {
+    useAssignment({ status: 'published', submission_type: 'text' });
+
+    const { res, error } = await call(academicController.getAssignment);
+
+    expect(error).toBeNull();
+    expect(res.body.data.assignment.id).toBe(40);
+  });
+
+  it('still shows a draft to the course instructor', async () => {
+    useAssignment({ status: 'draft', submission_type: 'text' });
+
+    const { error } = await call(academicController.getAssignment, { user: instructor });
+
+    expect(error).toBeNull();
+  });
+
+  it('refuses an instructor who does not teach the course', async () => {
+    useAssignment({ status: 'published', submission_type: 'text' });
+
+    const { error } = await call(academicController.getAssignment, { user: { ...instructor, id: 9 } });
+
+    expect(error.statusCode).toBe(403);
+  });
+
+  it('goes by permission rather than role name', async () => {
+    useAssignment({ status: 'draft', submission_type: 'text' });
+    const registrar = { id: 12, role_name: 'registrar', permissions: ['academics.view'] };
+
+    const { error } = await call(academicController.getAssignment, { user: registrar });
+
+    expect(error).toBeNull();
+  });
+});
+
+describe('POST /api/v1/assignments/:assignmentId/submissions', () => {
+  const submit = () => call(academicController.submitAssignment, { body: { submission_text: 'My answer' } });
+
+  it('returns 404 for a draft assignment', async () => {
+    useAssignment({ status: 'draft', submission_type: 'text' });
+
+    const { error } = await submit();
+
+    expect(error.statusCode).toBe(404);
+    expect(connection.queriesMatching(/^INSERT INTO submissions/)).toHaveLength(0);
+  });
+
+  it('returns 404 for a closed assignment', async () => {
+    useAssignment({ status: 'closed', submission_type: 'text' });
+
+    const { error } = await submit();
+
+    expect(error.statusCode).toBe(404);
+    expect(connection.queriesMatching(/^INSERT INTO submissions/)).toHaveLength(0);
+  });
+
+  it('refuses a quiz', async () => {
+    useAssignment({ status: 'published', submission_type: 'quiz' });
+
+    const { error } = await submit();
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toMatch(/quiz/i);
+    expect(connection.queriesMatching(/^INSERT INTO submissions/)).toHaveLength(0);
+  });
+
+  it('refuses a text answer to a file-only assignment', async () => {
+    useAssignment({ status: 'published', submission_type: 'file' });
+
+    const { error } = await submit();
+
+    expect(error.statusCode).toBe(400);
+  });
+
+  it('accepts a text answer to a published assignment', async () => {
+    useAssignment({ status: 'published', submission_type: 'text' });
+
+    const { res, error } = await submit();
+
+    expect(error).toBeNull();
+    expect(res.statusCode).toBe(201);
+    expect(connection.queriesMatching(/^INSERT INTO submissions/)[0].params).toEqual([40, student.id, 'My answer', 'submitted']);
+  });
+});
@@ -0,0 +1,97 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+
+const { verifyMpesaSource, requireCallbackToken } = require('../../../app/middleware/mpesaCallback');
+const mpesaService = require('../../../app/services/mpesaService');
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const run = (middleware, req) => {
+  const res = {
+    status: jest.fn(function (code) { this.statusCode = code; return this; }),
+    json: jest.fn()
+  };
+  const next = jest.fn();
+  middleware({ baseUrl: '/payments', route: { path: '/test' }, params: {}, ...req }, res, next);
+  return { res, next };
+};
+
+describe('verifyMpesaSource', () => {
+  const env = { ...process.env };
+  afterEach(() => { process.env = { ...env }; });
+
+  test('rejects every callback when no allow-list is configured', () => {
+    delete process.env.MPESA_CALLBACK_ALLOWED_IPS;
+    const { res, next } = run(verifyMpesaSource, { ip: '196.201.214.200' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('lets allowed addresses through, including IPv4-mapped IPv6', () => {
+    process.env.MPESA_CALLBACK_ALLOWED_IPS = '196.201.214.200, 196.201.214.206';
+    const { next } = run(verifyMpesaSource, { ip: '::ffff:196.201.214.206' });
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('allows any source only when opted out outside production', () => {
+    delete process.env.MPESA_CALLBACK_ALLOWED_IPS;
+    process.env.MPESA_CALLBACK_ALLOW_ANY_IP = 'true';
+
+    process.env.NODE_ENV = 'development';
+    expect(run(verifyMpesaSource, { ip: '127.0.0.1' }).next).toHaveBeenCalled();
+
+    process.env.NODE_ENV = 'production';
+    expect(run(verifyMpesaSource, { ip: '127.0.0.1' }).next).not.toHaveBeenCalled();
+  });
+
+  test('rejects addresses not on the allow-list', () => {
+    process.env.MPESA_CALLBACK_ALLOWED_IPS = '196.201.214.200';
+    const { res, next } = run(verifyMpesaSource, { ip: '10.0.0.5' });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+});
+
+describe('requireCallbackToken', () => {
+  const env = { ...process.env };
+  afterEach(() => { process.env = { ...env }; });
+
+  test('accepts the token issued for that URL only', () => {
+    process.env.MPESA_CALLBACK_SECRET = 'test-secret';
+    const token = mpesaService.callbackUrlToken('c2b_confirmation');
+
+    expect(run(requireCallbackToken('c2b_confirmation'), { params: { token } }).next).toHaveBeenCalled();
+    expect(run(requireCallbackToken('c2b_validation'), { params: { token } }).next).not.toHaveBeenCalled();
+    expect(run(requireCallbackToken('c2b_confirmation'), { params: { token: 'guess' } }).next).not.toHaveBeenCalled();
+  });
+
+  test('rejects everything when no secret is configured', () => {
+    delete process.env.MPESA_CALLBACK_SECRET;
+    const { res, next } = run(requireCallbackToken('c2b_confirmation'), { params: { token: 'anything' } });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('B2C result and timeout URLs carry their own tokens', () => {
+    process.env.MPESA_CALLBACK_SECRET = 'test-secret';
+
+    expect(mpesaService.callbackUrlToken('b2c_result')).not.toBe(mpesaService.callbackUrlToken('b2c_timeout'));
+    expect(() => mpesaService.callbackUrl(undefined, 'b2c_result')).toThrow(/b2c_result URL/);
+  });
+
+  test('registered URLs carry the token', () => {
+    process.env.MPESA_CALLBACK_SECRET = 'test-secret';
+    const url = mpesaService.callbackUrl('https://lms.example.ac.ke/payments/mpesa/c2b/confirmation/', 'c2b_confirmation');
+
+    expect(url).toBe(`https://lms.example.ac.ke/payments/mpesa/c2b/confirmation/${mpesaService.callbackUrlToken('c2b_confirmation')}`);
+  });
+});
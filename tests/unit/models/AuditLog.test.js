@@ -0,0 +1,41 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+
+const { createFakeConnection, database } = require('../../helpers/fakeConnection');
+const AuditLog = require('../../../app/models/AuditLog');
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AuditLog', () => {
+  it('writes an entry on the connection it is given', async () => {
+    const connection = createFakeConnection([[/^INSERT INTO audit_logs/, () => ({ insertId: 7 })]]);
+
+    const id = await AuditLog.create({
+      userId: 8,
+      action: 'payment_verification',
+      resourceType: 'payments',
+      resourceId: 21,
+      description: 'Seen on bank statement'
+    }, connection);
+
+    expect(id).toBe(7);
+    const [entry] = connection.queriesMatching(/^INSERT INTO audit_logs/);
+    expect(entry.params).toEqual([8, 'payment_verification', 'payments', 21, 'Seen on bank statement', null, null]);
+  });
+
+  it('lets create failures reach the caller so its transaction rolls back', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const connection = createFakeConnection([[/^INSERT INTO audit_logs/, () => { throw new Error('Lock wait timeout'); }]]);
+
+    await expect(AuditLog.create({ action: 'ledger_entry_create' }, connection)).rejects.toThrow('Lock wait timeout');
+  });
+
+  it('only logs a failed record', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    database.use(createFakeConnection([[/^INSERT INTO audit_logs/, () => { throw new Error('Table is full'); }]]));
+
+    await expect(AuditLog.record({ userId: 1, action: 'login' })).resolves.toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
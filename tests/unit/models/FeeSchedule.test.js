@@ -0,0 +1,104 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+
+const { createFakeConnection } = require('../../helpers/fakeConnection');
+const FeeSchedule = require('../../../app/models/FeeSchedule');
+
+// Two installments of a 20,000 fee, the first due earlier
+const schedules = [
+  { id: 1, amount_due: '12000.00' },
+  { id: 2, amount_due: '8000.00' }
+];
+
+const allocate = async ({ payments = [], credits = [] }) => {
+  const connection = createFakeConnection([
+    [/^SELECT id, amount_due FROM student_fee_schedules/, () => schedules],
+    [/^SELECT id, amount, COALESCE\(payment_date, created_at\) as received_at FROM payments/, () => payments],
+    [/^SELECT id, amount, created_at as received_at FROM student_ledger/, () => credits],
+    [/^DELETE FROM installment_allocations/, () => ({ affectedRows: 0 })],
+    [/^INSERT INTO installment_allocations/, () => ({ insertId: 1 })],
+    [/^UPDATE student_fee_schedules/, () => ({ affectedRows: 1 })]
+  ]);
+
+  const result = await FeeSchedule.allocatePayments(3, connection);
+
+  return {
+    connection,
+    result,
+    // [schedule_id, payment_id, ledger_entry_id, amount]
+    allocations: connection.queriesMatching(/^INSERT INTO installment_allocations/).map(call => call.params),
+    statuses: connection.queriesMatching(/^UPDATE student_fee_schedules/).map(call => call.params)
+  };
+};
+
+describe('FeeSchedule.allocatePayments', () => {
+  it('fills the earliest installment first and carries the rest over', async () => {
+    const { allocations, statuses } = await allocate({
+      payments: [{ id: 40, amount: '15000.00', received_at: '2026-01-10 09:00:00' }]
+    });
+
+    expect(allocations).toEqual([
+      [1, 40, null, 12000],
+      [2, 40, null, 3000]
+    ]);
+    expect(statuses).toEqual([
+      [12000, 'paid', 1],
+      [3000, 'partial', 2]
+    ]);
+  });
+
+  it('takes payments in the order they were received', async () => {
+    const { allocations } = await allocate({
+      payments: [
+        { id: 41, amount: '5000.00', received_at: '2026-01-05 09:00:00' },
+        { id: 42, amount: '10000.00', received_at: '2026-02-01 09:00:00' }
+      ]
+    });
+
+    expect(allocations).toEqual([
+      [1, 41, null, 5000],
+      [1, 42, null, 7000],
+      [2, 42, null, 3000]
+    ]);
+  });
+
+  it('allocates scholarship and waiver credits alongside payments by date', async () => {
+    const { allocations, statuses } = await allocate({
+      payments: [{ id: 40, amount: '10000.00', received_at: '2026-02-01 09:00:00' }],
+      credits: [{ id: 90, amount: '6000.00', received_at: '2026-01-15 12:00:00' }]
+    });
+
+    expect(allocations).toEqual([
+      [1, null, 90, 6000],
+      [1, 40, null, 6000],
+      [2, 40, null, 4000]
+    ]);
+    expect(statuses[1]).toEqual([4000, 'partial', 2]);
+  });
+
+  it('puts a payment before a credit recorded at the same time', async () => {
+    const { allocations } = await allocate({
+      payments: [{ id: 40, amount: '12000.00', received_at: '2026-01-15 12:00:00' }],
+      credits: [{ id: 90, amount: '8000.00', received_at: '2026-01-15 12:00:00' }]
+    });
+
+    expect(allocations).toEqual([
+      [1, 40, null, 12000],
+      [2, null, 90, 8000]
+    ]);
+  });
+
+  it('only pools credits that are not invoice reversals', async () => {
+    const { connection } = await allocate({});
+
+    const [creditQuery] = connection.queriesMatching(/FROM student_ledger/);
+    expect(creditQuery.sql).toContain("NOT (entry_type = ? AND reference_type <=> 'invoice')");
+    expect(creditQuery.params).toEqual([3, 'credit', ['scholarship', 'waiver', 'adjustment'], 'adjustment']);
+  });
+
+  it('leaves installments pending when nothing has been paid', async () => {
+    const { allocations, result } = await allocate({});
+
+    expect(allocations).toEqual([]);
+    expect(result).toEqual([{ id: 1, amount_paid: 0 }, { id: 2, amount_paid: 0 }]);
+  });
+});
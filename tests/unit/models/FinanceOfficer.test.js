@@ -0,0 +1,78 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+jest.mock('../../../app/models/FeeSchedule');
+
+const { createFakeConnection, database } = require('../../helpers/fakeConnection');
+const FeeSchedule = require('../../../app/models/FeeSchedule');
+const FinanceOfficer = require('../../../app/models/FinanceOfficer');
+
+const payment = {
+  id: 21,
+  student_id: 3,
+  amount: '5000.00',
+  payment_method: 'bank_transfer',
+  transaction_id: 'BNK778812',
+  status: 'pending'
+};
+
+let connection;
+
+const useConnection = (stored) => {
+  connection = createFakeConnection([
+    [/^SELECT \* FROM payments WHERE id = \? FOR UPDATE/, () => (stored ? [{ ...stored }] : [])],
+    [/^UPDATE payments/, () => ({ affectedRows: 1 })],
+    [/^SELECT id FROM users WHERE id = \? FOR UPDATE/, () => [{ id: payment.student_id }]],
+    [/^SELECT balance_after FROM student_ledger/, () => [{ balance_after: '15000.00' }]],
+    [/^INSERT INTO student_ledger/, () => ({ insertId: 90 })],
+    [/^INSERT INTO audit_logs/, () => ({ insertId: 1 })],
+    [/^INSERT INTO notifications/, () => ({ insertId: 1 })]
+  ]);
+  database.use(connection);
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  FeeSchedule.allocatePayments.mockResolvedValue([]);
+});
+
+describe('FinanceOfficer.verifyPayment', () => {
+  it('credits the ledger and allocates fees when a pending payment is completed', async () => {
+    useConnection(payment);
+
+    const result = await FinanceOfficer.verifyPayment(payment.id, 8, 'completed', 'Seen on bank statement');
+
+    expect(result.payment.status).toBe('completed');
+
+    const [entry] = connection.queriesMatching(/^INSERT INTO student_ledger/);
+    expect(entry.params).toEqual([
+      payment.student_id, 'payment', 'credit', 5000, 10000, 'Verified payment BNK778812', 'payment', payment.id, 8
+    ]);
+    expect(FeeSchedule.allocatePayments).toHaveBeenCalledWith(payment.student_id, connection);
+  });
+
+  it('does not touch the ledger when a payment is rejected', async () => {
+    useConnection(payment);
+
+    await FinanceOfficer.verifyPayment(payment.id, 8, 'failed');
+
+    expect(connection.queriesMatching(/^INSERT INTO student_ledger/)).toHaveLength(0);
+    expect(FeeSchedule.allocatePayments).not.toHaveBeenCalled();
+    expect(connection.queriesMatching(/^INSERT INTO notifications/)).toHaveLength(0);
+  });
+
+  it.each(['completed', 'failed', 'refunded'])('refuses a payment that is already %s', async (status) => {
+    useConnection({ ...payment, status });
+
+    await expect(FinanceOfficer.verifyPayment(payment.id, 8, 'completed'))
+      .rejects.toThrow(`Payment is already ${status}`);
+
+    expect(connection.queriesMatching(/^UPDATE payments/)).toHaveLength(0);
+    expect(connection.queriesMatching(/^INSERT INTO student_ledger/)).toHaveLength(0);
+  });
+
+  it('rejects an unknown status before reading the payment', async () => {
+    useConnection(payment);
+
+    await expect(FinanceOfficer.verifyPayment(payment.id, 8, 'refunded')).rejects.toThrow('Invalid payment status');
+    expect(connection.calls).toHaveLength(0);
+  });
+});
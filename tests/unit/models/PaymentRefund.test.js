@@ -0,0 +1,88 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+jest.mock('../../../app/models/StudentLedger', () => ({ postEntry: jest.fn(async () => ({ balance_after: 5000 })) }));
+jest.mock('../../../app/models/FeeSchedule', () => ({ allocatePayments: jest.fn(async () => {}) }));
+
+const { createFakeConnection, database } = require('../../helpers/fakeConnection');
+const PaymentRefund = require('../../../app/models/PaymentRefund');
+const StudentLedger = require('../../../app/models/StudentLedger');
+const FeeSchedule = require('../../../app/models/FeeSchedule');
+
+// One payment held in refund_pending by one refund, kept in memory as the queries change them
+const setup = (refundStatus) => {
+  const payment = { id: 10, student_id: 3, amount: '2500.00', status: 'refund_pending' };
+  const refund = { id: 7, payment_id: 10, amount: '2500.00', requested_by: 1, status: refundStatus };
+
+  const connection = createFakeConnection([
+    [/^SELECT r\.\*, p\.student_id FROM payment_refunds/, () => [{ ...refund, student_id: payment.student_id }]],
+    [/^SELECT \* FROM payment_refunds WHERE id = \? FOR UPDATE/, () => [{ ...refund }]],
+    [/^UPDATE payment_refunds SET status = \?/, ([status]) => { refund.status = status; }],
+    [/^UPDATE payments SET status = \? WHERE id = \? AND status = \?/, ([status, , from]) => {
+      if (payment.status === from) payment.status = status;
+    }],
+    [/^UPDATE payments SET status = \? WHERE id = \?/, ([status]) => { payment.status = status; }],
+    [/^INSERT INTO audit_logs/, () => ({ insertId: 1 })]
+  ]);
+  database.use(connection);
+
+  return { payment, refund, connection };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PaymentRefund state machine', () => {
+  test('an unknown outcome keeps the payment held in refund_pending', async () => {
+    const { payment, refund } = setup('pending');
+
+    const result = await PaymentRefund.markUnknown(7, { result_desc: 'timeout of 30000ms exceeded' });
+
+    expect(result.status).toBe('unknown');
+    expect(refund.status).toBe('unknown');
+    expect(payment.status).toBe('refund_pending');
+  });
+
+  test('only a pending refund can become unknown', async () => {
+    const { refund } = setup('completed');
+
+    expect(await PaymentRefund.markUnknown(7)).toBeNull();
+    expect(refund.status).toBe('completed');
+  });
+
+  test('a definite failure of an unknown refund releases the payment for another refund', async () => {
+    const { payment, refund } = setup('unknown');
+
+    await PaymentRefund.fail(7, { result_code: '0', result_desc: 'Transaction Status: failed' });
+
+    expect(refund.status).toBe('failed');
+    expect(payment.status).toBe('completed');
+  });
+
+  test('completing an unknown refund marks the payment refunded and debits the student', async () => {
+    const { payment, refund } = setup('unknown');
+
+    await PaymentRefund.complete(7, { transaction_id: 'RKT123ABC' });
+
+    expect(refund.status).toBe('completed');
+    expect(payment.status).toBe('refunded');
+    expect(StudentLedger.postEntry).toHaveBeenCalledWith(
+      expect.objectContaining({ student_id: 3, entry_type: 'refund', direction: 'debit', amount: '2500.00' }),
+      expect.anything()
+    );
+    expect(FeeSchedule.allocatePayments).toHaveBeenCalledWith(3, expect.anything());
+  });
+
+  test('a settled refund is never settled again', async () => {
+    const { payment, connection } = setup('failed');
+
+    expect(await PaymentRefund.complete(7, { transaction_id: 'RKT123ABC' })).toBeNull();
+    expect(await PaymentRefund.fail(7)).toBeNull();
+    expect(payment.status).toBe('refund_pending');
+    expect(connection.queriesMatching(/^UPDATE/)).toHaveLength(0);
+  });
+});
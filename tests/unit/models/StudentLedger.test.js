@@ -0,0 +1,99 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+
+const { createFakeConnection, database } = require('../../helpers/fakeConnection');
+const StudentLedger = require('../../../app/models/StudentLedger');
+const courses = require('../../fixtures/courses.json');
+const payments = require('../../fixtures/payments.json');
+
+const STUDENT_ID = 3;
+const EMAIL = 'mary.wanjiku@edulms.com';
+
+let rows;
+let connection;
+
+// Keeps posted entries in memory so each posting sees the balance the previous one left
+beforeEach(() => {
+  rows = [];
+  connection = createFakeConnection([
+    [/^SELECT id FROM users WHERE id = \? FOR UPDATE/, ([id]) => [{ id }]],
+    [/^SELECT balance_after FROM student_ledger/, ([studentId]) =>
+      rows.filter(row => row.student_id === studentId).slice(-1)],
+    [/^INSERT INTO student_ledger/, ([student_id, entry_type, direction, amount, balance_after]) => {
+      rows.push({ id: rows.length + 1, student_id, entry_type, direction, amount, balance_after });
+      return { insertId: rows.length };
+    }],
+    [/^SELECT id, direction, amount, balance_after FROM student_ledger/, ([studentId]) =>
+      rows.filter(row => row.student_id === studentId)]
+  ]);
+  database.use(connection);
+});
+
+const post = (entry) => StudentLedger.postEntry({ student_id: STUDENT_ID, ...entry });
+
+describe('StudentLedger running balance', () => {
+  it('adds debits and subtracts credits from the previous balance', async () => {
+    const balances = [];
+
+    for (const course of courses.filter(c => c.students.includes(EMAIL))) {
+      const entry = await post({ entry_type: 'fee', direction: 'debit', amount: course.fee_amount });
+      balances.push(entry.balance_after);
+    }
+
+    for (const payment of payments.filter(p => p.student_email === EMAIL && p.status === 'completed')) {
+      const entry = await post({ entry_type: 'payment', direction: 'credit', amount: payment.amount });
+      balances.push(entry.balance_after);
+    }
+
+    // CS101 fee of 15,000, then the 5,000 bank transfer; the pending M-Pesa payment is not posted
+    expect(balances).toEqual([15000, 10000]);
+  });
+
+  it('goes negative when a student pays more than they owe', async () => {
+    await post({ entry_type: 'fee', direction: 'debit', amount: 12000 });
+    const entry = await post({ entry_type: 'payment', direction: 'credit', amount: 15000 });
+
+    expect(entry.balance_after).toBe(-3000);
+  });
+
+  it('keeps the balance in whole cents', async () => {
+    await post({ entry_type: 'fee', direction: 'debit', amount: '0.10' });
+    const entry = await post({ entry_type: 'penalty', direction: 'debit', amount: '0.20' });
+
+    expect(entry.balance_after).toBe(0.3);
+  });
+
+  it('locks the student before reading the last balance', async () => {
+    await post({ entry_type: 'fee', direction: 'debit', amount: 100 });
+
+    expect(connection.calls.map(call => call.sql.split(' ').slice(0, 3).join(' '))).toEqual([
+      'SELECT id FROM',
+      'SELECT balance_after FROM',
+      'INSERT INTO student_ledger'
+    ]);
+  });
+
+  it.each([0, -50, 'abc'])('rejects an amount of %p without writing', async (amount) => {
+    await expect(post({ entry_type: 'fee', direction: 'debit', amount }))
+      .rejects.toThrow('Ledger amount must be a positive number');
+    expect(connection.calls).toHaveLength(0);
+  });
+
+  it('reconciles a ledger whose balances add up and finds the first that does not', async () => {
+    await post({ entry_type: 'fee', direction: 'debit', amount: 15000 });
+    await post({ entry_type: 'payment', direction: 'credit', amount: 5000 });
+    await post({ entry_type: 'scholarship', direction: 'credit', amount: 2500 });
+
+    expect(await StudentLedger.reconcile(STUDENT_ID)).toEqual({
+      recordedBalance: 7500,
+      computedBalance: 7500,
+      firstMismatchId: null,
+      reconciled: true
+    });
+
+    rows[1].balance_after = 11000;
+
+    const result = await StudentLedger.reconcile(STUDENT_ID);
+    expect(result.firstMismatchId).toBe(2);
+    expect(result.reconciled).toBe(false);
+  });
+});
@@ -0,0 +1,105 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+
+const academicStandingService = require('../../../app/services/academicStandingService');
+const courses = require('../../fixtures/courses.json');
+
+const settings = {
+  standing_probation_below: 2.0,
+  standing_discontinue_below: 1.0,
+  standing_max_probation_terms: 2,
+  deans_list_min_gpa: 3.5,
+  deans_list_min_credits: 6,
+  standing_pass_grade_points: 1.0
+};
+
+const course = (code) => courses.find(c => c.course_code === code);
+
+// A graded enrollment in a fixture course, optionally moved to another term
+const graded = (code, gradePoints, term = {}) => ({
+  course_code: code,
+  credits: course(code).credits,
+  academic_year: course(code).academic_year,
+  semester: course(code).semester,
+  grade_points: gradePoints,
+  ...term
+});
+
+const spring = { academic_year: '2024/2025', semester: 'spring' };
+const nextFall = { academic_year: '2025/2026', semester: 'fall' };
+
+describe('academicStandingService.buildTerms', () => {
+  it('weights the term GPA by credits', () => {
+    // CS101 (3 credits) at 4.0 and MATH101 (4 credits) at 2.0: 20 quality points over 7 credits
+    const [term] = academicStandingService.buildTerms([graded('CS101', 4.0), graded('MATH101', 2.0)], settings);
+
+    expect(term.credits_attempted).toBe(7);
+    expect(term.quality_points).toBe(20);
+    expect(term.gpa).toBe(2.86);
+    expect(term.cgpa).toBe(2.86);
+  });
+
+  it('carries the CGPA across terms in order, whatever order the grades arrive in', () => {
+    const terms = academicStandingService.buildTerms([
+      graded('CS101', 3.0, nextFall),
+      graded('MATH101', 1.0, spring),
+      graded('CS101', 4.0)
+    ], settings);
+
+    expect(terms.map(term => term.semester)).toEqual(['fall', 'spring', 'fall']);
+    expect(terms.map(term => term.gpa)).toEqual([4, 1, 3]);
+    // (12) / 3, (12 + 4) / 7, (12 + 4 + 9) / 10
+    expect(terms.map(term => term.cgpa)).toEqual([4, 2.29, 2.5]);
+  });
+
+  it('only counts passed courses as earned credits', () => {
+    const [term] = academicStandingService.buildTerms([graded('CS101', 0.0), graded('MATH101', 1.0)], settings);
+
+    expect(term.credits_attempted).toBe(7);
+    expect(term.credits_earned).toBe(4);
+  });
+});
+
+describe('academicStandingService.applyStanding', () => {
+  const standingsFor = (gradesByTerm) => {
+    const terms = academicStandingService.buildTerms(gradesByTerm.flat(), settings);
+    return academicStandingService.applyStanding(terms, settings, new Set(terms.map(term => term.key)));
+  };
+
+  it('puts a student on the dean\'s list for a strong full term', () => {
+    const [term] = standingsFor([[graded('CS101', 4.0), graded('MATH101', 3.7)]]);
+
+    expect(term.standing).toBe('good');
+    expect(term.deans_list).toBe(true);
+  });
+
+  it('needs the credit load for the dean\'s list', () => {
+    const [term] = standingsFor([[graded('CS101', 4.0)]]);
+
+    expect(term.deans_list).toBe(false);
+  });
+
+  it('discontinues after the allowed probation terms in a row', () => {
+    const terms = standingsFor([
+      [graded('CS101', 1.7), graded('MATH101', 1.7)],
+      [graded('CS101', 1.3, spring)],
+      [graded('MATH101', 1.7, nextFall)]
+    ]);
+
+    expect(terms.map(term => term.standing)).toEqual(['probation', 'probation', 'discontinued']);
+  });
+
+  it('discontinues at once below the discontinuation line', () => {
+    const [term] = standingsFor([[graded('CS101', 0.0), graded('MATH101', 1.0)]]);
+
+    expect(term.cgpa).toBe(0.57);
+    expect(term.standing).toBe('discontinued');
+  });
+
+  it('leaves terms that are still open without a standing', () => {
+    const terms = academicStandingService.buildTerms([graded('CS101', 1.0), graded('MATH101', 4.0, spring)], settings);
+    const [, open] = academicStandingService.applyStanding(terms, settings, new Set([terms[0].key]));
+
+    expect(open.standing).toBeNull();
+    expect(open.deans_list).toBe(false);
+  });
+});
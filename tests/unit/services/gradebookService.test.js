@@ -0,0 +1,91 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+
+const gradebookService = require('../../../app/services/gradebookService');
+
+const scale = {
+  bands: gradebookService.parseBands(['A 70 4.0', 'B 60 3.0', 'C 50 2.0', 'D 40 1.0', 'E 0 0.0'].join('\n'))
+};
+
+// Three CATs worth 30% with the lowest dropped, and a 70% final exam
+const categories = [
+  { id: 1, name: 'CATs', weight: 30, drop_lowest: 1 },
+  { id: 2, name: 'Exam', weight: 70, drop_lowest: 0 }
+];
+
+const assignments = [
+  { id: 11, category_id: 1, max_points: 20 },
+  { id: 12, category_id: 1, max_points: 20 },
+  { id: 13, category_id: 1, max_points: 30 },
+  { id: 21, category_id: 2, max_points: 100 }
+];
+
+const grade = (marks, overrides = {}) => gradebookService.calculateStudentGrade({
+  categories,
+  assignments,
+  marks: new Map(Object.entries(marks).map(([id, points]) => [Number(id), points])),
+  scale,
+  ...overrides
+});
+
+describe('gradebookService.calculateStudentGrade', () => {
+  it('weights each category and drops the lowest CAT by percentage, not points', () => {
+    // 12/30 = 40% is dropped even though 9/20 is fewer points
+    const result = grade({ 11: 18, 12: 9, 13: 12, 21: 72 });
+
+    expect(result.dropped).toEqual([13]);
+    expect(result.categories.map(category => category.percentage)).toEqual([67.5, 72]);
+    // 0.3 * 67.5 + 0.7 * 72
+    expect(result.percentage).toBe(70.65);
+    expect(result.letter).toBe('A');
+    expect(result.gradePoints).toBe(4);
+  });
+
+  it('always keeps at least one mark in a category', () => {
+    const result = grade({ 11: 10 }, { categories: [{ ...categories[0], drop_lowest: 3 }, categories[1]] });
+
+    expect(result.dropped).toEqual([]);
+    expect(result.percentage).toBe(50);
+  });
+
+  it('grades on the categories that have marks so far', () => {
+    const result = grade({ 11: 14, 12: 16, 13: 27 });
+
+    // Best two CATs: (16 + 27) / 50; the exam is not marked yet
+    expect(result.categories[1].percentage).toBeNull();
+    expect(result.percentage).toBe(86);
+    expect(result.letter).toBe('A');
+  });
+
+  it('ignores work outside every category', () => {
+    const result = grade({ 21: 65, 99: 0 }, {
+      assignments: [...assignments, { id: 99, category_id: null, max_points: 50 }]
+    });
+
+    expect(result.percentage).toBe(65);
+  });
+
+  it('counts every mark by points when the course has no categories', () => {
+    const result = grade({ 11: 10, 13: 30 }, { categories: [] });
+
+    // 40 / 50 points; nothing is dropped without a category
+    expect(result.percentage).toBe(80);
+    expect(result.dropped).toEqual([]);
+  });
+
+  it('has no grade until something is marked', () => {
+    const result = grade({});
+
+    expect(result.percentage).toBeNull();
+    expect(result.letter).toBeNull();
+  });
+});
+
+describe('gradebookService.parseBands', () => {
+  it('sorts bands from the highest minimum down', () => {
+    expect(gradebookService.parseBands('E 0 0\nA 70 4').map(band => band.letter)).toEqual(['A', 'E']);
+  });
+
+  it('requires a band starting at 0', () => {
+    expect(() => gradebookService.parseBands('A 70 4\nB 60 3')).toThrow('The lowest band must start at 0');
+  });
+});
@@ -0,0 +1,184 @@
+jest.mock('axios');
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+jest.mock('../../../app/models/PaymentRefund');
+
+const axios = require('axios');
+const { createFakeConnection, database } = require('../../helpers/fakeConnection');
+const PaymentRefund = require('../../../app/models/PaymentRefund');
+const mpesaService = require('../../../app/services/mpesaService');
+
+const refund = {
+  id: 7,
+  payment_id: 10,
+  amount: 2500,
+  phone: '254712345678',
+  originator_conversation_id: 'EDULMS-RF-10-abc123'
+};
+
+const statusResult = (resultCode, transactionStatus, receipt = null) => ({
+  Result: {
+    ResultCode: resultCode,
+    ResultDesc: 'The service request is processed successfully.',
+    ConversationID: 'AG_20261019_status',
+    OriginatorConversationID: '1234-5678-1',
+    ResultParameters: {
+      ResultParameter: [
+        { Key: 'TransactionStatus', Value: transactionStatus },
+        { Key: 'ReceiptNo', Value: receipt }
+      ]
+    }
+  }
+});
+
+const env = { ...process.env };
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  process.env.MPESA_CALLBACK_SECRET = 'test-secret';
+  process.env.MPESA_B2C_RESULT_URL = 'https://lms.example.ac.ke/payments/mpesa/b2c/result';
+  process.env.MPESA_B2C_TIMEOUT_URL = 'https://lms.example.ac.ke/payments/mpesa/b2c/timeout';
+
+  database.use(createFakeConnection([[/^INSERT INTO mpesa_errors/, () => ({ insertId: 1 })]]));
+  mpesaService.accessToken = 'token';
+  mpesaService.tokenExpiry = Date.now() + 60000;
+
+  PaymentRefund.request.mockResolvedValue({ ...refund });
+  PaymentRefund.fail.mockResolvedValue({});
+  PaymentRefund.markUnknown.mockResolvedValue({});
+  PaymentRefund.complete.mockResolvedValue({});
+});
+
+afterEach(() => {
+  process.env = { ...env };
+  jest.restoreAllMocks();
+});
+
+describe('mpesaService.refundPayment', () => {
+  const request = { phone: '0712345678', reason: 'Overpaid', requestedBy: 1 };
+
+  test('sends our own conversation id so the refund can be looked up later', async () => {
+    axios.post.mockResolvedValue({ status: 200, data: { ResponseCode: '0', ConversationID: 'AG_1', OriginatorConversationID: refund.originator_conversation_id } });
+
+    const result = await mpesaService.refundPayment(10, request);
+
+    expect(axios.post.mock.calls[0][1].OriginatorConversationID).toBe(refund.originator_conversation_id);
+    expect(result.status).toBe('pending');
+    expect(PaymentRefund.attachConversation).toHaveBeenCalledWith(7, 'AG_1', refund.originator_conversation_id);
+  });
+
+  test('releases the payment when M-Pesa refuses the request', async () => {
+    axios.post.mockResolvedValue({ status: 200, data: { ResponseCode: '1', ResponseDescription: 'Insufficient balance' } });
+
+    await expect(mpesaService.refundPayment(10, request)).rejects.toThrow(/Insufficient balance/);
+    expect(PaymentRefund.fail).toHaveBeenCalledWith(7, expect.any(Object));
+    expect(PaymentRefund.markUnknown).not.toHaveBeenCalled();
+  });
+
+  test('releases the payment when the request was never sent', async () => {
+    delete process.env.MPESA_CALLBACK_SECRET;
+
+    await expect(mpesaService.refundPayment(10, request)).rejects.toThrow(/MPESA_CALLBACK_SECRET/);
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(PaymentRefund.fail).toHaveBeenCalled();
+  });
+
+  test('refuses an amount with cents instead of rounding it', async () => {
+    PaymentRefund.request.mockResolvedValue({ ...refund, amount: '2500.50' });
+
+    await expect(mpesaService.refundPayment(10, request)).rejects.toThrow(/whole number of shillings/);
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(PaymentRefund.fail).toHaveBeenCalledWith(7, expect.any(Object));
+  });
+
+  test('sends a whole-shilling amount as a number', async () => {
+    PaymentRefund.request.mockResolvedValue({ ...refund, amount: '2500.00' });
+    axios.post.mockResolvedValue({ status: 200, data: { ResponseCode: '0', ConversationID: 'AG_1' } });
+
+    await mpesaService.refundPayment(10, request);
+
+    expect(axios.post.mock.calls[0][1].Amount).toBe(2500);
+  });
+
+  test('holds the payment when the request times out after being sent', async () => {
+    axios.post.mockRejectedValue(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' }));
+
+    const result = await mpesaService.refundPayment(10, request);
+
+    expect(result.status).toBe('unknown');
+    expect(PaymentRefund.markUnknown).toHaveBeenCalledWith(7, expect.any(Object));
+    expect(PaymentRefund.fail).not.toHaveBeenCalled();
+  });
+
+  test('holds the payment when M-Pesa answers with a server error', async () => {
+    axios.post.mockRejectedValue(Object.assign(new Error('Request failed with status code 503'), {
+      response: { status: 503, data: { errorMessage: 'Service unavailable' } }
+    }));
+
+    const result = await mpesaService.refundPayment(10, request);
+
+    expect(result.status).toBe('unknown');
+    expect(PaymentRefund.fail).not.toHaveBeenCalled();
+  });
+});
+
+describe('mpesaService B2C callbacks', () => {
+  test('a queue timeout leaves the refund unknown instead of releasing the payment', async () => {
+    PaymentRefund.findByConversation.mockResolvedValue({ ...refund, status: 'pending' });
+
+    await mpesaService.handleB2CTimeout({ Result: { ConversationID: 'AG_1' } });
+
+    expect(PaymentRefund.markUnknown).toHaveBeenCalledWith(7, expect.objectContaining({ result_code: 'timeout' }));
+    expect(PaymentRefund.fail).not.toHaveBeenCalled();
+  });
+
+  test('a B2C failure result releases the payment', async () => {
+    PaymentRefund.findByConversation.mockResolvedValue({ ...refund, status: 'pending' });
+
+    await mpesaService.handleB2CResult({ Result: { ResultCode: 2001, ResultDesc: 'The initiator information is invalid.', ConversationID: 'AG_1' } });
+
+    expect(PaymentRefund.fail).toHaveBeenCalledWith(7, expect.objectContaining({ result_code: '2001' }));
+  });
+});
+
+describe('mpesaService.handleTransactionStatusResult', () => {
+  beforeEach(() => {
+    PaymentRefund.findByStatusQuery.mockResolvedValue({ ...refund, status: 'unknown' });
+  });
+
+  test('a completed transaction completes the refund with its receipt', async () => {
+    await mpesaService.handleTransactionStatusResult(statusResult(0, 'Completed', 'RKT123ABC'));
+
+    expect(PaymentRefund.complete).toHaveBeenCalledWith(7, expect.objectContaining({ transaction_id: 'RKT123ABC' }));
+    expect(PaymentRefund.fail).not.toHaveBeenCalled();
+  });
+
+  test('a failed transaction releases the payment', async () => {
+    await mpesaService.handleTransactionStatusResult(statusResult(0, 'Failed'));
+
+    expect(PaymentRefund.fail).toHaveBeenCalledWith(7, expect.any(Object));
+    expect(PaymentRefund.complete).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['a status still in progress', statusResult(0, 'Pending')],
+    ['a query that failed', statusResult(2001, null)]
+  ])('%s leaves the refund unknown', async (label, result) => {
+    await mpesaService.handleTransactionStatusResult(result);
+
+    expect(PaymentRefund.complete).not.toHaveBeenCalled();
+    expect(PaymentRefund.fail).not.toHaveBeenCalled();
+  });
+});
+
+describe('mpesaService.initiateSTKPush', () => {
+  test('refuses an amount with cents instead of rounding it', async () => {
+    const result = await mpesaService.initiateSTKPush('0712345678', 1500.4, 'STU001', 'Fees');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/whole number of shillings/);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+});
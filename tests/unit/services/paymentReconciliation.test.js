@@ -0,0 +1,201 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+
+const { createFakeConnection, database } = require('../../helpers/fakeConnection');
+const mpesaService = require('../../../app/services/mpesaService');
+const paymentReconciliationService = require('../../../app/services/paymentReconciliationService');
+
+const pendingPayment = { id: 10, checkout_request_id: 'ws_CO_191020261015', reconcile_attempts: 1 };
+
+let connection;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  connection = createFakeConnection([
+    [/^UPDATE payments SET reconcile_attempts/, () => ({ affectedRows: 1 })],
+    [/^INSERT INTO payment_reconciliation_log/, () => ({ insertId: 1 })]
+  ]);
+  database.use(connection);
+
+  jest.spyOn(mpesaService, 'updatePaymentStatus').mockResolvedValue(true);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const queryReturns = (result) => {
+  jest.spyOn(mpesaService, 'queryTransactionStatus').mockResolvedValue(result);
+};
+
+const loggedOutcome = () => connection.queriesMatching(/^INSERT INTO payment_reconciliation_log/)[0].params[2];
+
+describe('paymentReconciliationService.reconcilePayment', () => {
+  it('completes a payment M-Pesa reports as paid', async () => {
+    queryReturns({ success: true, resultCode: '0', resultDesc: 'The service request is processed successfully.' });
+
+    const outcome = await paymentReconciliationService.reconcilePayment(pendingPayment);
+
+    expect(outcome).toBe('completed');
+    expect(mpesaService.updatePaymentStatus).toHaveBeenCalledWith(
+      pendingPayment.checkout_request_id, 'completed', null, null, null, null, null
+    );
+    expect(loggedOutcome()).toBe('completed');
+  });
+
+  it.each([
+    ['1032', 'Request cancelled by user'],
+    ['1037', 'DS timeout user cannot be reached'],
+    ['2001', 'The initiator information is invalid'],
+    ['1', 'The balance is insufficient for the transaction']
+  ])('fails a payment on definitive code %s', async (resultCode, resultDesc) => {
+    queryReturns({ success: true, resultCode, resultDesc });
+
+    const outcome = await paymentReconciliationService.reconcilePayment(pendingPayment);
+
+    expect(outcome).toBe('failed');
+    expect(mpesaService.updatePaymentStatus).toHaveBeenCalledWith(
+      pendingPayment.checkout_request_id, 'failed', null, null, null, null, resultDesc
+    );
+  });
+
+  it('keeps a payment pending while M-Pesa is still processing it', async () => {
+    queryReturns({ success: true, resultCode: '4999', resultDesc: 'The transaction is still under processing' });
+
+    const outcome = await paymentReconciliationService.reconcilePayment(pendingPayment);
+
+    expect(outcome).toBe('pending');
+    expect(mpesaService.updatePaymentStatus).not.toHaveBeenCalled();
+    expect(loggedOutcome()).toBe('pending');
+
+    // The next check is pushed back rather than giving up
+    const [backoff] = connection.queriesMatching(/^UPDATE payments SET reconcile_attempts/);
+    expect(backoff.params).toEqual([2, paymentReconciliationService.getBackoffMinutes(2), pendingPayment.id]);
+  });
+
+  it('keeps a payment pending when the query itself fails', async () => {
+    jest.spyOn(mpesaService, 'queryTransactionStatus').mockRejectedValue(new Error('socket hang up'));
+
+    const outcome = await paymentReconciliationService.reconcilePayment(pendingPayment);
+
+    expect(outcome).toBe('pending');
+    expect(mpesaService.updatePaymentStatus).not.toHaveBeenCalled();
+  });
+
+  it('reports skipped when the callback settled the payment first', async () => {
+    queryReturns({ success: true, resultCode: '0', resultDesc: 'Processed' });
+    mpesaService.updatePaymentStatus.mockResolvedValue(false);
+
+    const outcome = await paymentReconciliationService.reconcilePayment(pendingPayment);
+
+    expect(outcome).toBe('skipped');
+    expect(connection.queriesMatching(/^INSERT INTO payment_reconciliation_log/)).toHaveLength(0);
+  });
+});
+
+describe('mpesaService.updatePaymentStatus on a failed payment', () => {
+  const failedPayment = {
+    id: 10,
+    student_id: 3,
+    amount: '2500.00',
+    status: 'failed',
+    transaction_id: null,
+    checkout_request_id: 'ws_CO_191020261015'
+  };
+
+  beforeEach(() => {
+    mpesaService.updatePaymentStatus.mockRestore();
+  });
+
+  const useConnection = (receiptOwners = []) => {
+    connection = createFakeConnection([
+      [/^SELECT \* FROM payments WHERE checkout_request_id/, () => [{ ...failedPayment }]],
+      [/^SELECT id FROM payments WHERE transaction_id/, () => receiptOwners],
+      [/^UPDATE payments SET review_required/, () => ({ affectedRows: 1 })],
+      [/^INSERT INTO mpesa_errors/, () => ({ insertId: 1 })]
+    ]);
+    database.use(connection);
+  };
+
+  it('flags a late success for review instead of dropping it', async () => {
+    useConnection();
+
+    const settled = await mpesaService.updatePaymentStatus(failedPayment.checkout_request_id, 'completed', 'TJR8K2LQ5M');
+
+    expect(settled).toBe(false);
+
+    const [flag] = connection.queriesMatching(/^UPDATE payments SET review_required/);
+    expect(flag.params).toEqual([expect.stringContaining('TJR8K2LQ5M'), 'TJR8K2LQ5M', failedPayment.id]);
+
+    const [logged] = connection.queriesMatching(/^INSERT INTO mpesa_errors/);
+    expect(logged.params[0]).toBe('late_success_on_failed_payment');
+
+    // The payment is not completed or credited until finance accepts it
+    expect(connection.queriesMatching(/SET status = /)).toHaveLength(0);
+    expect(connection.queriesMatching(/student_ledger/)).toHaveLength(0);
+  });
+
+  it('does not record a receipt another payment already carries', async () => {
+    useConnection([{ id: 11 }]);
+
+    await mpesaService.updatePaymentStatus(failedPayment.checkout_request_id, 'completed', 'TJR8K2LQ5M');
+
+    const [flag] = connection.queriesMatching(/^UPDATE payments SET review_required/);
+    expect(flag.params[1]).toBeNull();
+  });
+
+  it('ignores a repeated failure', async () => {
+    useConnection();
+
+    const settled = await mpesaService.updatePaymentStatus(failedPayment.checkout_request_id, 'failed', null, null, null, null, 'Cancelled');
+
+    expect(settled).toBe(false);
+    expect(connection.queriesMatching(/^UPDATE payments/)).toHaveLength(0);
+  });
+});
+
+describe('mpesaService.updatePaymentStatus on a pending payment', () => {
+  const pending = {
+    id: 12,
+    student_id: 3,
+    amount: '2500.00',
+    status: 'pending',
+    transaction_id: null,
+    checkout_request_id: 'ws_CO_191020261020'
+  };
+
+  beforeEach(() => {
+    mpesaService.updatePaymentStatus.mockRestore();
+    jest.spyOn(mpesaService, 'creditStudentLedger').mockResolvedValue();
+    jest.spyOn(mpesaService, 'notifyPaymentReceived').mockResolvedValue();
+
+    connection = createFakeConnection([
+      [/^SELECT \* FROM payments WHERE checkout_request_id/, () => [{ ...pending }]],
+      [/^SELECT id FROM payments WHERE transaction_id/, () => []],
+      [/^UPDATE payments SET status = \?, amount = \?/, () => ({ affectedRows: 1 })]
+    ]);
+    database.use(connection);
+  });
+
+  it('credits the amount M-Pesa reported when it differs from the request', async () => {
+    const settled = await mpesaService.updatePaymentStatus(pending.checkout_request_id, 'completed', 'TJR8K2LQ6N', 2000, '254712345678', '20261019101500');
+
+    expect(settled).toBe(true);
+
+    const [update] = connection.queriesMatching(/^UPDATE payments SET status = \?, amount = \?/);
+    expect(update.params.slice(0, 3)).toEqual(['completed', 2000, 'TJR8K2LQ6N']);
+    expect(mpesaService.creditStudentLedger).toHaveBeenCalledWith(
+      expect.objectContaining({ id: pending.id, amount: 2000 }), 'TJR8K2LQ6N', expect.anything()
+    );
+  });
+
+  it('credits the requested amount when M-Pesa does not report one', async () => {
+    await mpesaService.updatePaymentStatus(pending.checkout_request_id, 'completed', 'TJR8K2LQ6N');
+
+    expect(mpesaService.creditStudentLedger).toHaveBeenCalledWith(
+      expect.objectContaining({ amount: '2500.00' }), 'TJR8K2LQ6N', expect.anything()
+    );
+  });
+});
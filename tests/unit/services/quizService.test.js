@@ -0,0 +1,86 @@
+jest.mock('../../../config/database', () => require('../../helpers/fakeConnection').database);
+
+const quizService = require('../../../app/services/quizService');
+
+// "Which of these are prime?" with two right answers out of four
+const multiSelect = {
+  question_type: 'multi_select',
+  points: 4,
+  options: [
+    { id: 1, option_text: '2', is_correct: true },
+    { id: 2, option_text: '3', is_correct: true },
+    { id: 3, option_text: '4', is_correct: false },
+    { id: 4, option_text: '9', is_correct: false }
+  ]
+};
+
+describe('quizService.scoreResponse for multi-select', () => {
+  it.each([
+    ['every right option', [1, 2], 4, true],
+    ['one of the two right options', [1], 2, false],
+    ['both right options and one wrong one', [1, 2, 3], 2, false],
+    ['one right and one wrong option', [2, 4], 0, false],
+    ['only wrong options', [3, 4], 0, false],
+    ['every option', [1, 2, 3, 4], 0, false]
+  ])('scores %s', (_, response, points, isCorrect) => {
+    expect(quizService.scoreResponse(multiSelect, response)).toEqual({ is_correct: isCorrect, points_awarded: points });
+  });
+
+  it('accepts a single option given on its own', () => {
+    expect(quizService.scoreResponse(multiSelect, 1).points_awarded).toBe(2);
+  });
+
+  it('keeps shares to whole cents', () => {
+    const question = {
+      ...multiSelect,
+      points: 1,
+      options: [...multiSelect.options.slice(0, 2), { id: 5, option_text: '5', is_correct: true }, multiSelect.options[2]]
+    };
+
+    expect(quizService.scoreResponse(question, [1])).toEqual({ is_correct: false, points_awarded: 0.33 });
+  });
+
+  it('gives nothing for a blank answer', () => {
+    expect(quizService.scoreResponse(multiSelect, null)).toEqual({ is_correct: false, points_awarded: 0 });
+  });
+});
+
+describe('quizService.scoreResponse for other types', () => {
+  it('accepts a numeric answer within the tolerance', () => {
+    const question = { question_type: 'numeric', points: 2, numeric_answer: 3.14, numeric_tolerance: 0.01, options: [] };
+
+    expect(quizService.scoreResponse(question, '3.15').points_awarded).toBe(2);
+    expect(quizService.scoreResponse(question, '3.16').points_awarded).toBe(0);
+  });
+
+  it('matches short answers ignoring case and spacing', () => {
+    const question = {
+      question_type: 'short_answer',
+      points: 1,
+      options: [{ id: 7, option_text: 'Nairobi', is_correct: true }]
+    };
+
+    expect(quizService.scoreResponse(question, '  nairobi ').is_correct).toBe(true);
+  });
+});
+
+describe('quizService.parseQuestion for multi-select', () => {
+  const input = (options) => ({ question_type: 'multi_select', prompt: 'Which are prime?', points: '4', options });
+
+  it('needs at least one correct option', () => {
+    expect(() => quizService.parseQuestion(input({
+      0: { text: '4' },
+      1: { text: '9' }
+    }))).toThrow('Mark at least one option as correct');
+  });
+
+  it('allows several correct options', () => {
+    const question = quizService.parseQuestion(input({
+      0: { text: '2', is_correct: '1' },
+      1: { text: '3', is_correct: 'on' },
+      2: { text: '4' }
+    }));
+
+    expect(question.options.map(option => option.is_correct)).toEqual([true, true, false]);
+  });
+});